@@ -0,0 +1,36 @@
+-- Migration: Add session compaction support
+--
+-- Adds:
+--   - archive columns to sessions (merged archive written by src/compactor.js)
+--   - compacted_at / purged_at to session_chunks (chunk rows are kept, objects are GC'd)
+--   - partial indexes for the compaction and garbage-collection scans
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/007_add_session_compaction.sql
+
+-- 1. Archive pointer on sessions
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS archive_s3_key VARCHAR(512),
+ADD COLUMN IF NOT EXISTS archive_s3_bucket VARCHAR(255),
+ADD COLUMN IF NOT EXISTS archive_event_count INTEGER,
+ADD COLUMN IF NOT EXISTS compacted_at TIMESTAMPTZ;
+
+-- 2. Compaction state on chunks
+ALTER TABLE session_chunks
+ADD COLUMN IF NOT EXISTS compacted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS purged_at TIMESTAMPTZ;
+
+-- 3. Indexes for the scheduler scans
+CREATE INDEX IF NOT EXISTS idx_session_chunks_uncompacted ON session_chunks(session_id)
+    WHERE compacted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_session_chunks_gc ON session_chunks(compacted_at)
+    WHERE purged_at IS NULL;
+
+-- 4. Verification
+SELECT 'archive_s3_key column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'archive_s3_key') as result;
+
+SELECT 'compacted_at column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'session_chunks' AND column_name = 'compacted_at') as result;
@@ -0,0 +1,49 @@
+-- Migration: Add per-session integrity tracking (sequence gaps, failed chunks)
+--
+-- Adds:
+--   - integrity_status / integrity_report columns to sessions
+--   - chunk_failures table (failed confirm-chunk calls, missing/corrupt chunks found on read)
+--   - backfill of integrity_status from existing sequence IDs
+--     (integrity_report is computed on first view of each session)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/008_add_session_integrity.sql
+
+-- 1. Integrity columns on sessions
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS integrity_status VARCHAR(20),
+ADD COLUMN IF NOT EXISTS integrity_report TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_integrity_status ON sessions(integrity_status);
+
+-- 2. Chunk failures table
+CREATE TABLE IF NOT EXISTS chunk_failures (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,
+    sequence_id INTEGER,
+    s3_key VARCHAR(512) NOT NULL,
+    s3_bucket VARCHAR(255),
+    stage VARCHAR(20) NOT NULL,                   -- confirm, read
+    reason TEXT,
+    created_at BIGINT NOT NULL,                   -- Unix ms
+    UNIQUE (s3_key, stage)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chunk_failures_session_id ON chunk_failures(session_id);
+
+-- 3. Backfill: a session is partial if 0..max(sequence_id) has holes
+UPDATE sessions s
+SET integrity_status = CASE WHEN sub.max_seq + 1 > sub.seq_count THEN 'partial' ELSE 'complete' END
+FROM (
+    SELECT session_id, MAX(sequence_id) as max_seq, COUNT(DISTINCT sequence_id) as seq_count
+    FROM session_chunks
+    WHERE sequence_id IS NOT NULL
+    GROUP BY session_id
+) sub
+WHERE s.session_id = sub.session_id
+  AND s.integrity_status IS NULL;
+
+-- 4. Verification
+SELECT integrity_status, COUNT(*) as sessions
+FROM sessions
+GROUP BY integrity_status;
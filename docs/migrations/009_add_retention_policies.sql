@@ -0,0 +1,38 @@
+-- Migration: Add per-campaign retention policies and a deletion audit log
+--
+-- Adds:
+--   - retention_days column to campaigns (NULL = keep forever)
+--   - deletion_audit_log table (manual deletes + retention purges)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/009_add_retention_policies.sql
+
+-- 1. Retention period on campaigns
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS retention_days INTEGER;
+
+-- 2. Audit log
+CREATE TABLE IF NOT EXISTS deletion_audit_log (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- No FK: the session is gone
+    campaign_id INTEGER,
+    reason VARCHAR(50) NOT NULL,                  -- manual, retention
+    actor VARCHAR(255),                           -- Admin email for manual deletes
+    retention_days INTEGER,                       -- Policy applied (retention purges)
+    status VARCHAR(20) NOT NULL,                  -- deleted, failed
+    objects_deleted TEXT,                         -- JSON array of bucket/key removed from storage
+    rows_deleted TEXT,                            -- JSON object: table -> row count
+    error TEXT,                                   -- JSON array of storage errors (failed only)
+    created_at BIGINT NOT NULL                    -- Unix ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_deletion_audit_campaign_id ON deletion_audit_log(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_deletion_audit_created_at ON deletion_audit_log(created_at);
+
+-- 3. Verification
+SELECT 'retention_days column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'campaigns' AND column_name = 'retention_days') as result;
+
+SELECT 'deletion_audit_log table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'deletion_audit_log') as result;
@@ -0,0 +1,23 @@
+-- Migration: Add signed receipts for data-subject erasure requests
+--
+-- Adds:
+--   - erasure_receipts table (one row per erasure by email)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/010_add_erasure_receipts.sql
+
+-- 1. Receipts
+CREATE TABLE IF NOT EXISTS erasure_receipts (
+    id UUID PRIMARY KEY,
+    subject_hash VARCHAR(64) NOT NULL,            -- HMAC of the lowercased email (never the address)
+    status VARCHAR(20) NOT NULL,                  -- complete, partial
+    receipt TEXT NOT NULL,                        -- JSON receipt body (signed)
+    signature VARCHAR(64) NOT NULL,               -- Hex HMAC-SHA256 of the canonical receipt
+    created_at BIGINT NOT NULL                    -- Unix ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_erasure_receipts_subject_hash ON erasure_receipts(subject_hash);
+
+-- 2. Verification
+SELECT 'erasure_receipts table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'erasure_receipts') as result;
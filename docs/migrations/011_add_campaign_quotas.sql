@@ -0,0 +1,35 @@
+-- Migration: Add per-campaign session sampling and recording quotas
+--
+-- Adds:
+--   - sample_rate, daily_session_cap, monthly_session_cap columns to campaigns
+--   - session_admissions table (sessions counted against the caps)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/011_add_campaign_quotas.sql
+
+-- 1. Quota settings on campaigns
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS sample_rate NUMERIC(5,2) NOT NULL DEFAULT 100;
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS daily_session_cap INTEGER;
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS monthly_session_cap INTEGER;
+
+-- 2. Admitted sessions
+CREATE TABLE IF NOT EXISTS session_admissions (
+    session_id VARCHAR(255) PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    admitted_at BIGINT NOT NULL                   -- Unix ms of the session's first chunk
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_admissions_campaign ON session_admissions(campaign_id, admitted_at);
+
+-- 3. Verification
+SELECT 'sample_rate column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'campaigns' AND column_name = 'sample_rate') as result;
+
+SELECT 'session_admissions table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'session_admissions') as result;
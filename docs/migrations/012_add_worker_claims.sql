@@ -0,0 +1,30 @@
+-- Migration: Add worker claims and heartbeats to the render queue
+--
+-- Adds:
+--   - worker_id, heartbeat_at columns to sessions
+--   - Partial index for claiming the oldest queued job
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/012_add_worker_claims.sql
+
+-- 1. Claim columns
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS worker_id VARCHAR(255);
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS heartbeat_at BIGINT;
+
+-- 2. Queue index
+CREATE INDEX IF NOT EXISTS idx_sessions_queued ON sessions(updated_at) WHERE assets_status = 'queued';
+
+-- 3. Jobs left 'processing' by pre-migration workers have no heartbeat;
+--    workers re-queue them on their first stale check.
+
+-- 4. Verification
+SELECT 'worker_id column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'worker_id') as result;
+
+SELECT 'heartbeat_at column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'heartbeat_at') as result;
@@ -0,0 +1,41 @@
+-- Migration: Add retries with backoff and a dead-letter state to the render queue
+--
+-- Adds:
+--   - render_attempts, last_error, last_error_stack, next_attempt_at columns to sessions
+--   - 'dead' assets_status (failed RENDER_MAX_ATTEMPTS times)
+--   - Partial index for finding failed jobs due for a retry
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/013_add_render_retries.sql
+
+-- 1. Retry columns
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS render_attempts INTEGER DEFAULT 0;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS last_error_stack TEXT;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS next_attempt_at BIGINT;
+
+-- 2. Retry index
+CREATE INDEX IF NOT EXISTS idx_sessions_retry ON sessions(next_attempt_at) WHERE assets_status = 'failed';
+
+-- 3. Sessions that failed before this migration have no next_attempt_at and are
+--    not retried automatically; re-queue them with POST /api/queue/requeue.
+
+-- 4. Verification
+SELECT 'render_attempts column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'render_attempts') as result;
+
+SELECT 'last_error column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'last_error') as result;
+
+SELECT 'next_attempt_at column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'next_attempt_at') as result;
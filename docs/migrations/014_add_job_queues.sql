@@ -0,0 +1,47 @@
+-- Migration: Add named queues and priorities to the render queue
+--
+-- Adds:
+--   - job_queue, job_priority, queued_at columns to sessions
+--   - Queue index ordered by priority, then queue time (replaces the updated_at one)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/014_add_job_queues.sql
+
+-- 1. Queue columns
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS job_queue VARCHAR(20);
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS job_priority INTEGER DEFAULT 0;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS queued_at BIGINT;
+
+-- 2. Backfill jobs already waiting: they were auto-queued at updated_at
+UPDATE sessions
+SET job_queue = 'auto', job_priority = 0, queued_at = updated_at
+WHERE assets_status IN ('queued', 'processing', 'failed') AND job_queue IS NULL;
+
+-- ...except sessions in a problem cohort
+UPDATE sessions
+SET job_priority = 50
+WHERE assets_status IN ('queued', 'failed')
+  AND session_id IN (SELECT session_id FROM problem_sessions);
+
+-- 3. Queue index
+DROP INDEX IF EXISTS idx_sessions_queued;
+CREATE INDEX IF NOT EXISTS idx_sessions_queued ON sessions(job_priority DESC, queued_at) WHERE assets_status = 'queued';
+
+-- 4. Verification
+SELECT 'job_queue column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'job_queue') as result;
+
+SELECT 'job_priority column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'job_priority') as result;
+
+SELECT job_queue, COUNT(*) as jobs
+FROM sessions
+WHERE assets_status IN ('queued', 'processing', 'failed')
+GROUP BY job_queue;
@@ -0,0 +1,27 @@
+-- Migration: Add per-job progress reporting to the render queue
+--
+-- Adds:
+--   - job_stage, frames_rendered, frames_total columns to sessions
+--   - 'cancelled' assets_status (cancelled from the queue API)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/015_add_job_progress.sql
+
+-- 1. Progress columns
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS job_stage VARCHAR(20);
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS frames_rendered INTEGER;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS frames_total INTEGER;
+
+-- 2. Verification
+SELECT 'job_stage column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'job_stage') as result;
+
+SELECT 'frames_rendered column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'frames_rendered') as result;
@@ -0,0 +1,32 @@
+-- Migration: Add render profiles for session videos
+--
+-- Adds:
+--   - render_profile column to campaigns (default profile for the campaign's videos)
+--   - job_render_profile, render_profile columns to sessions
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/016_add_render_profiles.sql
+
+-- 1. Campaign default
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS render_profile VARCHAR(50);
+
+-- 2. Requested (per job) and used (per video) profile
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS job_render_profile VARCHAR(50);
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS render_profile VARCHAR(50);
+
+-- 3. Videos rendered before this migration used what is now the 'analysis' profile
+UPDATE sessions SET render_profile = 'analysis'
+WHERE assets_status = 'ready' AND render_profile IS NULL;
+
+-- 4. Verification
+SELECT 'campaigns.render_profile column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'campaigns' AND column_name = 'render_profile') as result;
+
+SELECT 'sessions.render_profile column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'render_profile') as result;
@@ -0,0 +1,31 @@
+-- Migration: Add session thumbnails
+--
+-- Adds:
+--   - poster_s3_key, preview_s3_key, sprite_s3_key columns to sessions
+--   - sprite_meta column to sessions (JSON sprite sheet layout)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/017_add_thumbnails.sql
+
+-- 1. Thumbnail objects (same bucket as the video)
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS poster_s3_key VARCHAR(512);
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS preview_s3_key VARCHAR(512);
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS sprite_s3_key VARCHAR(512);
+
+-- 2. Sprite sheet layout: interval, count, columns, rows, tile_width, tile_height
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS sprite_meta TEXT;
+
+-- 3. Verification
+SELECT 'sessions.poster_s3_key column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'poster_s3_key') as result;
+
+SELECT 'sessions.sprite_meta column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'sprite_meta') as result;
@@ -0,0 +1,16 @@
+-- Migration: Add structured (JSON) session timelines
+--
+-- Adds:
+--   - timeline_json_s3_key column to sessions (timeline.json next to timeline.txt)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/018_add_timeline_json.sql
+
+-- 1. Structured timeline object (same bucket as the video)
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS timeline_json_s3_key VARCHAR(512);
+
+-- 2. Verification
+SELECT 'sessions.timeline_json_s3_key column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'timeline_json_s3_key') as result;
@@ -0,0 +1,29 @@
+-- Migration: Add frustration signals
+--
+-- Adds:
+--   - session_signals table (rage/dead/error clicks, thrashing, back-and-forth
+--     navigation detected by src/frustration.js)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/019_add_session_signals.sql
+
+-- 1. Signals (replaced whenever a session is re-analyzed)
+CREATE TABLE IF NOT EXISTS session_signals (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    signal VARCHAR(30) NOT NULL,                  -- rage_click, dead_click, error_click, thrashing, back_and_forth
+    offset_ms INTEGER NOT NULL,                   -- When it happened (ms from the session's first event)
+    node_id INTEGER,                              -- rrweb node id of the element involved
+    label TEXT,                                   -- Element as named in the timeline ("Pay now")
+    selector TEXT,                                -- CSS-style path to the element
+    url TEXT,                                     -- Page it happened on
+    details TEXT,                                 -- JSON: clicks, error, reversals, via...
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_signals_session_id ON session_signals(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_signals_signal ON session_signals(signal, session_id);
+
+-- 2. Verification
+SELECT 'session_signals table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'session_signals') as result;
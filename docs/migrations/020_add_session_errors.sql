@@ -0,0 +1,30 @@
+-- Migration: Add per-session error index
+--
+-- Adds:
+--   - session_errors table (console errors, unhandled rejections and failed
+--     requests captured by the recorder, grouped per session by src/session-errors.js)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/020_add_session_errors.sql
+
+-- 1. Errors (replaced whenever a session is re-indexed)
+CREATE TABLE IF NOT EXISTS session_errors (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    kind VARCHAR(20) NOT NULL,                    -- console, rejection, network
+    message TEXT NOT NULL,                        -- Error message, or "POST https://api.example.com/pay returned 500"
+    request_url TEXT,                             -- network: URL without its query string
+    status INTEGER,                               -- network: HTTP status (0 = no response)
+    page_url TEXT,                                -- Page of the first occurrence
+    count INTEGER NOT NULL DEFAULT 1,             -- Occurrences in the session
+    first_offset_ms INTEGER NOT NULL,             -- ms from the session's first event
+    last_offset_ms INTEGER NOT NULL,
+    max_duration_ms INTEGER,                      -- network: slowest failed request
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_errors_session_id ON session_errors(session_id);
+
+-- 2. Verification
+SELECT 'session_errors table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'session_errors') as result;
@@ -0,0 +1,29 @@
+-- Migration: Add full-text session search
+--
+-- Adds:
+--   - session_search_entries table (clicks, page URLs, typed values, page text and
+--     errors from each session's timeline, built by src/session-search.js)
+--   - GIN index on the entries' tsvector for GET /api/sessions/search
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/021_add_session_search.sql
+
+-- 1. Search entries (replaced whenever a session is re-indexed)
+CREATE TABLE IF NOT EXISTS session_search_entries (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    kind VARCHAR(20) NOT NULL,                    -- click, navigation, input, text, error
+    offset_ms INTEGER NOT NULL,                   -- ms from the session's first event
+    text TEXT NOT NULL,                           -- Label, URL, "field: value", page text or error
+    url TEXT,                                     -- Page the entry happened on
+    search_vector TSVECTOR NOT NULL,              -- to_tsvector('simple', ...) of text, punctuation as spaces
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_session_search_entries_session ON session_search_entries(session_id, offset_ms);
+CREATE INDEX IF NOT EXISTS idx_session_search_entries_vector ON session_search_entries USING GIN (search_vector);
+
+-- 3. Verification
+SELECT 'session_search_entries table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'session_search_entries') as result;
@@ -0,0 +1,29 @@
+-- Migration: Add per-session page index
+--
+-- Adds:
+--   - session_pages table (every page a session visited, with entry and dwell
+--     time, read from rrweb meta events by src/session-pages.js)
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/022_add_session_pages.sql
+
+-- 1. Pages (replaced whenever a session is re-indexed)
+CREATE TABLE IF NOT EXISTS session_pages (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    visit_index INTEGER NOT NULL,                 -- 0 = landing page
+    url TEXT NOT NULL,                            -- Page URL without its query string
+    entered_at BIGINT NOT NULL,                   -- Unix ms
+    offset_ms INTEGER NOT NULL,                   -- ms from the session's first event
+    dwell_ms INTEGER NOT NULL,                    -- Until the next page, or the session's last event
+    is_exit BOOLEAN NOT NULL DEFAULT FALSE,       -- Last page of the session
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_session_pages_session_id ON session_pages(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_pages_url ON session_pages(url);
+
+-- 3. Verification
+SELECT 'session_pages table created:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.tables WHERE table_name = 'session_pages') as result;
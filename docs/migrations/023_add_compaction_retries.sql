@@ -0,0 +1,27 @@
+-- Migration: Back off compaction of sessions that can't be compacted
+--
+-- Adds:
+--   - compaction_attempts, next_compaction_at columns to sessions
+--
+-- A session with a missing, corrupt or unavailable chunk (or a failing
+-- compaction) is skipped until next_compaction_at, doubling the wait per
+-- attempt, so it no longer takes a slot in every compaction batch.
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/023_add_compaction_retries.sql
+
+-- 1. Retry columns
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS compaction_attempts INTEGER DEFAULT 0;
+
+ALTER TABLE sessions
+ADD COLUMN IF NOT EXISTS next_compaction_at TIMESTAMPTZ;
+
+-- 2. Verification
+SELECT 'compaction_attempts column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'compaction_attempts') as result;
+
+SELECT 'next_compaction_at column added:' as check_type,
+       EXISTS(SELECT 1 FROM information_schema.columns
+              WHERE table_name = 'sessions' AND column_name = 'next_compaction_at') as result;
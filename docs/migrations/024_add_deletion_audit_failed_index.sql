@@ -0,0 +1,18 @@
+-- Migration: Index failed purges in the deletion audit log
+--
+-- Adds:
+--   - Partial index on deletion_audit_log(session_id, created_at) for failed purges
+--
+-- The retention purger (src/retention.js) skips sessions whose purge failed
+-- recently, so it looks up the latest failed audit row of every expired session.
+--
+-- Usage:
+--   psql -U rrweb -d rrweb_sessions -f docs/migrations/024_add_deletion_audit_failed_index.sql
+
+-- 1. Index
+CREATE INDEX IF NOT EXISTS idx_deletion_audit_failed ON deletion_audit_log(session_id, created_at)
+    WHERE status = 'failed';
+
+-- 2. Verification
+SELECT 'idx_deletion_audit_failed index created:' as check_type,
+       EXISTS(SELECT 1 FROM pg_indexes WHERE indexname = 'idx_deletion_audit_failed') as result;
@@ -26,7 +26,18 @@ CREATE TABLE IF NOT EXISTS campaigns (
     funnel_config TEXT,                           -- Step definitions for funnel tracking (JSON)
 
     -- Campaign State
-    is_paused BOOLEAN DEFAULT FALSE               -- Paused campaigns don't record new sessions
+    is_paused BOOLEAN DEFAULT FALSE,              -- Paused campaigns don't record new sessions
+
+    -- Retention (src/retention.js)
+    retention_days INTEGER,                       -- Purge sessions idle this many days (NULL = keep forever)
+
+    -- Sampling & Quotas (src/quotas.js)
+    sample_rate NUMERIC(5,2) NOT NULL DEFAULT 100, -- % of distinct_ids recorded (0-100)
+    daily_session_cap INTEGER,                    -- Max new sessions per UTC day (NULL = no cap)
+    monthly_session_cap INTEGER,                  -- Max new sessions per UTC month (NULL = no cap)
+
+    -- Video Rendering (src/render-profiles.js)
+    render_profile VARCHAR(50)                    -- Default render profile (NULL = analysis)
 );
 
 CREATE INDEX IF NOT EXISTS idx_campaigns_name ON campaigns(name);
@@ -68,9 +79,28 @@ CREATE TABLE IF NOT EXISTS sessions (
     updated_at BIGINT,
 
     -- Asset Processing Status
-    assets_status VARCHAR(50) DEFAULT 'raw',      -- raw, queued, processing, ready, failed
+    assets_status VARCHAR(50) DEFAULT 'raw',      -- raw, queued, processing, ready, failed, dead, cancelled
     video_s3_key VARCHAR(512),                    -- S3 key for rendered video
     timeline_s3_key VARCHAR(512),                 -- S3 key for timeline text
+    timeline_json_s3_key VARCHAR(512),            -- S3 key for structured timeline (JSON entries)
+    worker_id VARCHAR(255),                       -- Worker holding the job while processing
+    heartbeat_at BIGINT,                          -- Last heartbeat from that worker (stale = re-queued)
+    render_attempts INTEGER DEFAULT 0,            -- Claims since last (re)queue; 'dead' after RENDER_MAX_ATTEMPTS
+    last_error TEXT,                              -- Message of the last failed attempt
+    last_error_stack TEXT,                        -- Stack trace of the last failed attempt
+    next_attempt_at BIGINT,                       -- When a 'failed' job is retried (backoff)
+    job_queue VARCHAR(20),                        -- manual (dashboard request) or auto (drop-off)
+    job_priority INTEGER DEFAULT 0,               -- Higher is rendered first (manual 100, problem cohort 50, auto 0)
+    queued_at BIGINT,                             -- When the job entered the queue (FIFO within a priority)
+    job_stage VARCHAR(20),                        -- fetching, timeline, rendering, uploading (set by the worker)
+    frames_rendered INTEGER,                      -- Render progress: frames written so far...
+    frames_total INTEGER,                         -- ...out of this many
+    job_render_profile VARCHAR(50),               -- Render profile requested for the job (NULL = campaign default)
+    render_profile VARCHAR(50),                   -- Render profile the ready video was made with
+    poster_s3_key VARCHAR(512),                   -- Thumbnails (src/thumbnails.js): last frame before the end...
+    preview_s3_key VARCHAR(512),                  -- ...animated WebP of the last seconds...
+    sprite_s3_key VARCHAR(512),                   -- ...and keyframe sprite sheet for scrubbing
+    sprite_meta TEXT,                             -- JSON: sprite layout (interval, count, columns, rows, tile size) + video/session gap map
 
     -- AI Analysis Results (per-session)
     ai_diagnosis TEXT,                            -- AI-identified drop-off reason
@@ -90,13 +120,28 @@ CREATE TABLE IF NOT EXISTS sessions (
     -- Device Data (User-Agent parsing)
     device_os VARCHAR(50),                        -- e.g. "Windows", "iOS", "Android"
     device_browser VARCHAR(50),                   -- e.g. "Chrome", "Safari"
-    device_type VARCHAR(20)                       -- e.g. "mobile", "tablet", "desktop"
+    device_type VARCHAR(20),                      -- e.g. "mobile", "tablet", "desktop"
+
+    -- Compaction (src/compactor.js)
+    archive_s3_key VARCHAR(512),                  -- Merged archive replacing compacted chunks
+    archive_s3_bucket VARCHAR(255),
+    archive_event_count INTEGER,
+    compacted_at TIMESTAMPTZ,
+    compaction_attempts INTEGER DEFAULT 0,        -- Failed/skipped passes since the last compaction
+    next_compaction_at TIMESTAMPTZ,               -- Not a candidate again before this (backoff)
+
+    -- Integrity (src/integrity.js)
+    integrity_status VARCHAR(20),                 -- complete, partial, corrupt (NULL = not yet checked)
+    integrity_report TEXT                         -- JSON: missing sequence ranges, failed/unreadable chunks
 );
 
 CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
 CREATE INDEX IF NOT EXISTS idx_sessions_assets_status ON sessions(assets_status);
 CREATE INDEX IF NOT EXISTS idx_sessions_location_country ON sessions(location_country);
 CREATE INDEX IF NOT EXISTS idx_sessions_campaign_id ON sessions(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_integrity_status ON sessions(integrity_status);
+CREATE INDEX IF NOT EXISTS idx_sessions_queued ON sessions(job_priority DESC, queued_at) WHERE assets_status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_sessions_retry ON sessions(next_attempt_at) WHERE assets_status = 'failed';
 
 -- =============================================================================
 -- SESSION CHUNKS TABLE
@@ -112,18 +157,92 @@ CREATE TABLE IF NOT EXISTS session_chunks (
     page_url TEXT,
     timestamp BIGINT NOT NULL,                    -- Client timestamp for ordering
     sequence_id INTEGER,                          -- Client-assigned chunk sequence (0, 1, 2...)
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    compacted_at TIMESTAMPTZ,                     -- Merged into sessions.archive_s3_key
+    purged_at TIMESTAMPTZ                         -- Chunk object deleted after compaction
 );
 
 CREATE INDEX IF NOT EXISTS idx_session_chunks_session_id ON session_chunks(session_id);
 CREATE INDEX IF NOT EXISTS idx_session_chunks_distinct_id ON session_chunks(distinct_id);
 CREATE INDEX IF NOT EXISTS idx_session_chunks_campaign_id ON session_chunks(campaign_id);
 CREATE INDEX IF NOT EXISTS idx_session_chunks_timestamp ON session_chunks(timestamp);
+CREATE INDEX IF NOT EXISTS idx_session_chunks_uncompacted ON session_chunks(session_id)
+    WHERE compacted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_session_chunks_gc ON session_chunks(compacted_at)
+    WHERE purged_at IS NULL;
 
 -- Prevent duplicate chunks within a session (data integrity)
 CREATE UNIQUE INDEX IF NOT EXISTS idx_session_sequence ON session_chunks(session_id, sequence_id)
     WHERE sequence_id IS NOT NULL;
 
+-- =============================================================================
+-- CHUNK FAILURES TABLE
+-- Chunks that failed confirm-chunk or were found missing/corrupt when read
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS chunk_failures (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,
+    sequence_id INTEGER,
+    s3_key VARCHAR(512) NOT NULL,
+    s3_bucket VARCHAR(255),
+    stage VARCHAR(20) NOT NULL,                   -- confirm, read
+    reason TEXT,
+    created_at BIGINT NOT NULL,                   -- Unix ms
+    UNIQUE (s3_key, stage)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chunk_failures_session_id ON chunk_failures(session_id);
+
+-- =============================================================================
+-- DELETION AUDIT LOG TABLE
+-- One row per session deleted (manually or by the retention purger)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS deletion_audit_log (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- No FK: the session is gone
+    campaign_id INTEGER,
+    reason VARCHAR(50) NOT NULL,                  -- manual, retention, erasure
+    actor VARCHAR(255),                           -- Admin email for manual deletes
+    retention_days INTEGER,                       -- Policy applied (retention purges)
+    status VARCHAR(20) NOT NULL,                  -- deleted, failed
+    objects_deleted TEXT,                         -- JSON array of bucket/key removed from storage
+    rows_deleted TEXT,                            -- JSON object: table -> row count
+    error TEXT,                                   -- JSON array of storage errors (failed only)
+    created_at BIGINT NOT NULL                    -- Unix ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_deletion_audit_campaign_id ON deletion_audit_log(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_deletion_audit_created_at ON deletion_audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_deletion_audit_failed ON deletion_audit_log(session_id, created_at) WHERE status = 'failed';
+
+-- =============================================================================
+-- ERASURE RECEIPTS TABLE
+-- One signed receipt per data-subject erasure request (src/data-subject.js)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS erasure_receipts (
+    id UUID PRIMARY KEY,
+    subject_hash VARCHAR(64) NOT NULL,            -- HMAC of the lowercased email (never the address)
+    status VARCHAR(20) NOT NULL,                  -- complete, partial
+    receipt TEXT NOT NULL,                        -- JSON receipt body (signed)
+    signature VARCHAR(64) NOT NULL,               -- Hex HMAC-SHA256 of the canonical receipt
+    created_at BIGINT NOT NULL                    -- Unix ms
+);
+
+CREATE INDEX IF NOT EXISTS idx_erasure_receipts_subject_hash ON erasure_receipts(subject_hash);
+
+-- =============================================================================
+-- SESSION ADMISSIONS TABLE
+-- One row per session admitted past sampling/caps; counted for quota usage
+-- Pruned after two months by src/scheduler.js
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS session_admissions (
+    session_id VARCHAR(255) PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    admitted_at BIGINT NOT NULL                   -- Unix ms of the session's first chunk
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_admissions_campaign ON session_admissions(campaign_id, admitted_at);
+
 -- =============================================================================
 -- CAMPAIGN RULES TABLE
 -- Visual editor rules for autopilot SDK
@@ -158,6 +277,87 @@ CREATE TABLE IF NOT EXISTS session_steps (
 
 CREATE INDEX IF NOT EXISTS idx_session_steps_session_id ON session_steps(session_id);
 
+-- =============================================================================
+-- SESSION SIGNALS TABLE
+-- Frustration signals detected in each session (src/frustration.js)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS session_signals (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    signal VARCHAR(30) NOT NULL,                  -- rage_click, dead_click, error_click, thrashing, back_and_forth
+    offset_ms INTEGER NOT NULL,                   -- When it happened (ms from the session's first event)
+    node_id INTEGER,                              -- rrweb node id of the element involved
+    label TEXT,                                   -- Element as named in the timeline ("Pay now")
+    selector TEXT,                                -- CSS-style path to the element
+    url TEXT,                                     -- Page it happened on
+    details TEXT,                                 -- JSON: clicks, error, reversals, via...
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_signals_session_id ON session_signals(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_signals_signal ON session_signals(signal, session_id);
+
+-- =============================================================================
+-- SESSION ERRORS TABLE
+-- Console errors, unhandled rejections and failed requests captured by the
+-- recorder, grouped per session (src/session-errors.js)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS session_errors (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    kind VARCHAR(20) NOT NULL,                    -- console, rejection, network
+    message TEXT NOT NULL,                        -- Error message, or "POST https://api.example.com/pay returned 500"
+    request_url TEXT,                             -- network: URL without its query string
+    status INTEGER,                               -- network: HTTP status (0 = no response)
+    page_url TEXT,                                -- Page of the first occurrence
+    count INTEGER NOT NULL DEFAULT 1,             -- Occurrences in the session
+    first_offset_ms INTEGER NOT NULL,             -- ms from the session's first event
+    last_offset_ms INTEGER NOT NULL,
+    max_duration_ms INTEGER,                      -- network: slowest failed request
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_errors_session_id ON session_errors(session_id);
+
+-- =============================================================================
+-- SESSION SEARCH ENTRIES TABLE
+-- Full-text index of clicks, page URLs, typed values, page text and errors
+-- from each session's timeline (src/session-search.js)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS session_search_entries (
+    id BIGSERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    kind VARCHAR(20) NOT NULL,                    -- click, navigation, input, text, error
+    offset_ms INTEGER NOT NULL,                   -- ms from the session's first event
+    text TEXT NOT NULL,                           -- Label, URL, "field: value", page text or error
+    url TEXT,                                     -- Page the entry happened on
+    search_vector TSVECTOR NOT NULL,              -- to_tsvector('simple', ...) of text, punctuation as spaces
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_search_entries_session ON session_search_entries(session_id, offset_ms);
+CREATE INDEX IF NOT EXISTS idx_session_search_entries_vector ON session_search_entries USING GIN (search_vector);
+
+-- =============================================================================
+-- SESSION PAGES TABLE
+-- Every page a session visited, with entry and dwell time, read from rrweb
+-- meta events (src/session-pages.js)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS session_pages (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL,             -- References sessions.session_id
+    visit_index INTEGER NOT NULL,                 -- 0 = landing page
+    url TEXT NOT NULL,                            -- Page URL without its query string
+    entered_at BIGINT NOT NULL,                   -- Unix ms
+    offset_ms INTEGER NOT NULL,                   -- ms from the session's first event
+    dwell_ms INTEGER NOT NULL,                    -- Until the next page, or the session's last event
+    is_exit BOOLEAN NOT NULL DEFAULT FALSE,       -- Last page of the session
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_pages_session_id ON session_pages(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_pages_url ON session_pages(url);
+
 -- =============================================================================
 -- CAMPAIGN PROBLEMS TABLE (Problem Cohorts)
 -- Manual cohorts for curating sessions as evidence for specific problems
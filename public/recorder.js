@@ -60,6 +60,14 @@
 
   // Constants
   var IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+  // Same version as package.json (the UMD build is named after the package)
+  var CONSOLE_PLUGIN_URL = "https://cdn.jsdelivr.net/npm/@rrweb/rrweb-plugin-console-record@2.0.0-alpha.18/dist/rrweb-plugin-console-record.umd.min.cjs";
+  // Longest error message kept from an unhandled rejection
+  var MAX_ERROR_LENGTH = 1000;
+
+  // The page's fetch from before network capture wraps it: the recorder's own
+  // requests (uploads, config, identify...) go through this and are never recorded
+  var nativeFetch = window.fetch.bind(window);
 
   // State
   var events = [];
@@ -74,6 +82,17 @@
   var librariesLoaded = false;
   var librariesLoading = false;
   var chunkSequence = 0;
+  var consolePluginLoaded = false;
+  var errorCaptureInstalled = false;
+  var networkCaptureInstalled = false;
+
+  // rrweb privacy options from the server config manifest (see src/recording-privacy.js).
+  // If the config can't be loaded, every input is masked rather than none.
+  var FALLBACK_RECORDING_SETTINGS = { maskAllInputs: true, maskInputOptions: { password: true } };
+  var recordingSettings = null;
+  var configLoaded = Promise.resolve();
+  // Campaigns this visitor is sampled out of or that hit a session cap: { name: { reason } }
+  var blockedCampaigns = {};
 
   function loadScript(src) {
     return new Promise(function(resolve, reject) {
@@ -325,7 +344,7 @@
     });
 
     // Step 1: Get presigned URL
-    fetch(uploadUrlEndpoint, {
+    nativeFetch(uploadUrlEndpoint, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(ticketPayload),
@@ -333,6 +352,14 @@
     })
     .then(function(res) {
       console.log("[rrweb-send] Presigned URL response:", res.status);
+      if (res.status === 429) {
+        // Sampled out or over quota - retrying won't help
+        return res.json().catch(function() { return {}; }).then(function(body) {
+          var quotaErr = new Error("Session not admitted: " + (body.reason || "quota"));
+          quotaErr.quotaReason = body.reason || "quota";
+          throw quotaErr;
+        });
+      }
       if (!res.ok) {
         return res.text().then(function(text) {
           throw new Error("Failed to get upload URL: " + res.status + " - " + text);
@@ -347,7 +374,7 @@
       console.log("[rrweb-send] Got presigned URL, uploading to S3...");
 
       // Step 2: Upload to S3
-      return fetch(uploadUrl, {
+      return nativeFetch(uploadUrl, {
         method: "PUT",
         headers: { "Content-Type": "application/gzip" },
         body: compressed,
@@ -364,7 +391,7 @@
 
       // Step 3: Confirm chunk with server (this creates the DB record)
       console.log("[rrweb-send] S3 upload succeeded, confirming chunk...");
-      return fetch(confirmEndpoint, {
+      return nativeFetch(confirmEndpoint, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -406,6 +433,11 @@
       uploadInProgress = false;
     })
     .catch(function(err) {
+      if (err && err.quotaReason) {
+        uploadInProgress = false;
+        abandonRecording(err.quotaReason);
+        return;
+      }
       console.error("[rrweb-send] ❌ Upload failed, retaining events for retry:", err.message || err);
       // DO NOT clear events - they remain in buffer for next retry cycle
       // Next interval will attempt to upload old + new events together
@@ -448,7 +480,7 @@
     // Fallback for older browsers or if beacon queue is full
     if (!sent) {
       try {
-        fetch(beaconUrl, {
+        nativeFetch(beaconUrl, {
           method: "POST",
           body: blob,
           keepalive: true
@@ -465,6 +497,192 @@
     // Server ON CONFLICT DO NOTHING handles duplicate sequence IDs.
   }
 
+  function getRecordOptions(emit) {
+    var settings = recordingSettings || FALLBACK_RECORDING_SETTINGS;
+    var recordOptions = {
+      emit: emit,
+      maskAllInputs: !!settings.maskAllInputs,
+      maskInputOptions: settings.maskInputOptions || { password: true }
+    };
+    if (settings.maskTextSelector) recordOptions.maskTextSelector = settings.maskTextSelector;
+    if (settings.blockSelector) recordOptions.blockSelector = settings.blockSelector;
+    if (settings.ignoreClass) recordOptions.ignoreClass = settings.ignoreClass;
+    if (plugins.length > 0) recordOptions.plugins = plugins;
+    return recordOptions;
+  }
+
+  // ----- Error & Network Capture (recording.captureConsole / captureNetwork) -----
+  // Console errors and uncaught exceptions come from the rrweb console plugin;
+  // unhandled rejections and failed requests are recorded as custom events
+  // ("unhandled_rejection", "network_error"). See src/session-errors.js.
+
+  function loadCapturePlugins() {
+    var settings = recordingSettings || FALLBACK_RECORDING_SETTINGS;
+    if (!settings.captureConsole || consolePluginLoaded) {
+      return Promise.resolve();
+    }
+    return loadScript(CONSOLE_PLUGIN_URL)
+      .then(function() {
+        consolePluginLoaded = true;
+        var lib = window.rrwebPluginConsoleRecord;
+        if (lib && typeof lib.getRecordConsolePlugin === "function") {
+          plugins.push(lib.getRecordConsolePlugin({ level: ["error"], lengthThreshold: 50 }));
+        } else {
+          console.warn("[rrweb-record] Console plugin loaded without getRecordConsolePlugin, not capturing console errors");
+        }
+      })
+      .catch(function() {
+        console.warn("[rrweb-record] Console plugin failed to load from " + CONSOLE_PLUGIN_URL + ", not capturing console errors");
+      });
+  }
+
+  function addCaptureEvent(tag, payload) {
+    if (!isRecordingActive || typeof rrweb === "undefined" || !rrweb.record || !rrweb.record.addCustomEvent) {
+      return;
+    }
+    try {
+      rrweb.record.addCustomEvent(tag, payload);
+    } catch (err) {
+      // Never break the page over a lost event
+    }
+  }
+
+  // Query strings and fragments often carry tokens or PII
+  function stripQuery(url) {
+    try {
+      var parsed = new URL(String(url), window.location.href);
+      return parsed.origin + parsed.pathname;
+    } catch (err) {
+      return String(url).split(/[?#]/)[0];
+    }
+  }
+
+  function truncateBody(text, limit) {
+    return typeof text === "string" && text.length > 0 ? text.substring(0, limit) : undefined;
+  }
+
+  function installErrorCapture() {
+    if (errorCaptureInstalled) return;
+    errorCaptureInstalled = true;
+
+    window.addEventListener("unhandledrejection", function(event) {
+      var reason = event.reason;
+      var message = reason && reason.message ? reason.message : String(reason);
+      addCaptureEvent("unhandled_rejection", {
+        message: message.substring(0, MAX_ERROR_LENGTH),
+        name: reason && reason.name ? String(reason.name) : undefined
+      });
+    });
+  }
+
+  function installNetworkCapture(bodyLimit) {
+    if (networkCaptureInstalled) return;
+    networkCaptureInstalled = true;
+
+    var pageFetch = window.fetch;
+    window.fetch = function(input, init) {
+      var started = Date.now();
+      var method = String((init && init.method) || (input && input.method) || "GET").toUpperCase();
+      var url = stripQuery(input && typeof input === "object" && input.url ? input.url : input);
+
+      return pageFetch.apply(this, arguments).then(function(res) {
+        if (res.status >= 400) {
+          var details = { method: method, url: url, status: res.status, duration_ms: Date.now() - started };
+          var body = bodyLimit > 0 ? res.clone().text().catch(function() { return undefined; }) : Promise.resolve(undefined);
+          body.then(function(text) {
+            details.body = truncateBody(text, bodyLimit);
+            addCaptureEvent("network_error", details);
+          });
+        }
+        return res;
+      }, function(err) {
+        // Aborted on purpose (AbortController) - not a failure
+        if (!err || err.name !== "AbortError") {
+          addCaptureEvent("network_error", {
+            method: method,
+            url: url,
+            status: 0,
+            duration_ms: Date.now() - started,
+            error: (err && err.message) || "Network error"
+          });
+        }
+        throw err;
+      });
+    };
+
+    var open = XMLHttpRequest.prototype.open;
+    var send = XMLHttpRequest.prototype.send;
+
+    XMLHttpRequest.prototype.open = function(method, url) {
+      this.__rrwebRequest = { method: String(method || "GET").toUpperCase(), url: stripQuery(url) };
+      return open.apply(this, arguments);
+    };
+
+    XMLHttpRequest.prototype.send = function() {
+      var xhr = this;
+      var request = xhr.__rrwebRequest;
+      if (request) {
+        var started = Date.now();
+        var aborted = false;
+        xhr.addEventListener("abort", function() { aborted = true; });
+        xhr.addEventListener("loadend", function() {
+          if (aborted || (xhr.status > 0 && xhr.status < 400)) return;
+          var details = { method: request.method, url: request.url, status: xhr.status, duration_ms: Date.now() - started };
+          if (xhr.status === 0) {
+            details.error = "Network error";
+          } else if (bodyLimit > 0 && (xhr.responseType === "" || xhr.responseType === "text")) {
+            details.body = truncateBody(xhr.responseText, bodyLimit);
+          }
+          addCaptureEvent("network_error", details);
+        });
+      }
+      return send.apply(this, arguments);
+    };
+  }
+
+  function installCapture() {
+    var settings = recordingSettings || FALLBACK_RECORDING_SETTINGS;
+    if (settings.captureConsole) installErrorCapture();
+    if (settings.captureNetwork) installNetworkCapture(settings.networkBodyLimit || 0);
+  }
+
+  function isCampaignBlocked(options) {
+    var blocked = blockedCampaigns[options.campaign];
+    if (!blocked) {
+      return false;
+    }
+    // A session admitted before the cap was reached may keep recording
+    if (options.resume && blocked.reason !== "sampled_out") {
+      return false;
+    }
+    console.log("[rrweb-record] Not recording campaign:", options.campaign, blocked.reason);
+    return true;
+  }
+
+  // Drop everything buffered for a session the server won't accept (sampling/quota)
+  function abandonRecording(reason) {
+    console.warn("[rrweb-record] Session rejected by server, stopping:", reason);
+
+    if (typeof stopFn === "function") {
+      stopFn();
+      stopFn = null;
+    }
+
+    isRecordingActive = false;
+    events = [];
+    if (currentCampaign) {
+      blockedCampaigns[currentCampaign] = { reason: reason };
+    }
+    clearTimeoutState();
+    currentCampaign = null;
+    localStorage.removeItem(CAMPAIGN_KEY);
+    localStorage.removeItem(SESSION_ID_KEY);
+    localStorage.removeItem(EVENTS_KEY);
+    localStorage.removeItem(CHUNK_SEQUENCE_KEY);
+    sessionId = null;
+    chunkSequence = 0;
+  }
+
   function startRecordingInternal(options) {
     options = options || {};
 
@@ -476,6 +694,16 @@
       return;
     }
 
+    // Sampling/caps come from the config manifest, so wait for it
+    configLoaded.then(function() {
+      if (isRecordingActive || isCampaignBlocked(options)) {
+        return;
+      }
+      beginRecording(options);
+    });
+  }
+
+  function beginRecording(options) {
     if (isTimeoutExpired()) {
       clearTimeoutState();
       localStorage.removeItem(CAMPAIGN_KEY);
@@ -500,18 +728,19 @@
       timeout: options.timeout
     });
 
-    loadLibraries()
+    // Privacy settings must be known before the first snapshot is taken
+    Promise.all([loadLibraries(), configLoaded])
+      .then(loadCapturePlugins)
       .then(function() {
         try {
           console.log("[rrweb-record] Libraries loaded, initializing rrweb.record()");
-          stopFn = rrweb.record({
-            emit: function(event) {
-              events.push(event);
-              updateLastActivity();
-              saveEventsDebounced();
-            }
-          });
+          stopFn = rrweb.record(getRecordOptions(function(event) {
+            events.push(event);
+            updateLastActivity();
+            saveEventsDebounced();
+          }));
           isRecordingActive = true;
+          installCapture();
           console.log("[rrweb-record] Recording active, events will flush in 500ms");
 
           setTimeout(function() {
@@ -593,7 +822,7 @@
 
     console.log("[rrweb-record] Validating campaign exists:", savedCampaign);
 
-    fetch(validateUrl)
+    nativeFetch(validateUrl)
       .then(function(res) {
         if (res.status === 404) {
           // Campaign was deleted - clear localStorage and don't resume
@@ -622,7 +851,8 @@
         console.log("[rrweb-record] ✅ Campaign validated, resuming recording:", savedCampaign);
         startRecordingInternal({
           campaign: savedCampaign,
-          timeout: getRemainingTimeout() || undefined
+          timeout: getRemainingTimeout() || undefined,
+          resume: true
         });
       })
       .catch(function(err) {
@@ -837,7 +1067,7 @@
       var identifyUrl = window.RRWEB_SERVER_URL
         ? window.RRWEB_SERVER_URL.replace("/upload-session", "/identify")
         : "http://localhost:3000/identify";
-      return fetch(identifyUrl, {
+      return nativeFetch(identifyUrl, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -864,7 +1094,7 @@
       var statusUrl = window.RRWEB_SERVER_URL
         ? window.RRWEB_SERVER_URL.replace("/upload-session", "/api/sessions/" + sessionId + "/status")
         : "http://localhost:3000/api/sessions/" + sessionId + "/status";
-      return fetch(statusUrl, {
+      return nativeFetch(statusUrl, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -890,7 +1120,7 @@
       var checkpointUrl = window.RRWEB_SERVER_URL
         ? window.RRWEB_SERVER_URL.replace("/upload-session", "/api/sessions/" + sessionId + "/checkpoint")
         : "http://localhost:3000/api/sessions/" + sessionId + "/checkpoint";
-      fetch(checkpointUrl, {
+      nativeFetch(checkpointUrl, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -908,15 +1138,32 @@
       return sessionId;
     };
 
-    var configUrl = window.RRWEB_SERVER_URL
+    var configUrl = (window.RRWEB_SERVER_URL
         ? window.RRWEB_SERVER_URL.replace("/upload-session", "/api/projects/" + DOMAIN_TOKEN + "/config")
-        : "http://localhost:3000/api/projects/" + DOMAIN_TOKEN + "/config";
+        : "http://localhost:3000/api/projects/" + DOMAIN_TOKEN + "/config") +
+        "?distinct_id=" + encodeURIComponent(distinctId);
 
-    fetch(configUrl)
+    var configFetch = nativeFetch(configUrl)
       .then(function(res) {
         if (res.ok) return res.json();
         throw new Error("Config fetch failed");
+      });
+
+    configLoaded = configFetch
+      .then(function(data) {
+        if (data.recording) {
+          recordingSettings = data.recording;
+        }
+        if (data.campaigns) {
+          blockedCampaigns = data.campaigns;
+        }
       })
+      .catch(function() {
+        console.warn("[rrweb-record] Config unavailable, masking all inputs");
+      });
+    window.recorder.ready = configLoaded;
+
+    configFetch
       .then(function(data) {
         if (data.rules && Array.isArray(data.rules)) {
           runAutopilot(data.rules);
@@ -1,136 +1,255 @@
 const puppeteer = require('puppeteer');
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { performance } = require('perf_hooks');
-
-// Render settings
-const FPS = 3;  // 3 frames per second
-const WIDTH = 1280;
-const HEIGHT = 720;
+const renderProfiles = require('./src/render-profiles');
+const { runFfmpeg } = require('./src/ffmpeg');
+const { buildFrameSchedule, fixedFrameSchedule, splitSegments, buildConcatScript } = require('./src/frame-schedule');
+const { buildOverlays, sliceOverlays } = require('./src/overlays');
 
 // Path to renderer.html (relative to this script)
 const RENDERER_HTML = path.join(__dirname, 'renderer.html');
+// Segments of a long session rendered at once (pages in one browser)
+const RENDER_PARALLELISM = Math.max(1, parseInt(process.env.RENDER_PARALLELISM || '2', 10) || 1);
+
+/**
+ * Encode captured frames with their hold times into an MP4 (ffmpeg concat demuxer).
+ *
+ * @param {string} concatPath - ffconcat script listing the frames
+ * @param {string} outputPath - Video file to write
+ * @param {object} profile - Render profile
+ * @returns {Promise<void>}
+ */
+function encodeFrames(concatPath, outputPath, profile) {
+    return runFfmpeg([
+        '-y',
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', concatPath,
+        // Keep the variable frame timing instead of duplicating frames to a fixed rate
+        '-fps_mode', 'vfr',
+        '-c:v', profile.codec,
+        '-pix_fmt', 'yuv420p',
+        '-preset', profile.preset,
+        '-crf', String(profile.crf),
+        // Play in browsers before the whole file has downloaded
+        '-movflags', '+faststart',
+        outputPath
+    ]);
+}
+
+/**
+ * Join segment videos (same encoder settings) into one MP4 without re-encoding.
+ *
+ * @param {Array<string>} segmentPaths - In playback order
+ * @param {string} listPath - Where to write the ffconcat list
+ * @param {string} outputPath - Video file to write
+ * @returns {Promise<void>}
+ */
+function joinSegments(segmentPaths, listPath, outputPath) {
+    const lines = ['ffconcat version 1.0', ...segmentPaths.map(file => `file '${file.replace(/'/g, "'\\''")}'`)];
+    fs.writeFileSync(listPath, lines.join('\n') + '\n');
+    return runFfmpeg([
+        '-y',
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', listPath,
+        '-c', 'copy',
+        '-movflags', '+faststart',
+        outputPath
+    ]);
+}
 
 /**
  * Render rrweb events to an MP4 video.
  *
+ * Frames are captured on the profile's frame schedule (src/frame-schedule.js):
+ * around events for adaptive profiles, at a fixed fps otherwise. The session is
+ * split at full snapshots into segments that render in up to `parallelism`
+ * pages at once; each segment is encoded on its own and the segments are joined.
+ * The profile's overlays (click ripples, cursor trail, captions...) are drawn
+ * into the frames.
+ *
  * @param {string} inputJsonPath - Path to the events JSON file
  * @param {string} outputDir - Directory to write video.mp4
+ * @param {object} [options]
+ * @param {object} [options.profile] - Render profile (src/render-profiles.js); defaults to the default profile
+ * @param {number} [options.parallelism] - Segments rendered at once (default RENDER_PARALLELISM; 1 = whole session in one page)
+ * @param {function} [options.onProgress] - Called with (framesRendered, totalFrames) after each frame
+ * @param {function} [options.isCancelled] - Checked before each frame; rendering stops with an error when it returns true
  * @returns {Promise<string>} - Path to the output video file
  */
-async function renderVideo(inputJsonPath, outputDir) {
+async function renderVideo(inputJsonPath, outputDir, {
+    profile = renderProfiles.getProfile(),
+    parallelism = RENDER_PARALLELISM,
+    onProgress,
+    isCancelled
+} = {}) {
+    const { fps, width, height } = profile;
+
     const events = JSON.parse(fs.readFileSync(inputJsonPath, 'utf-8'));
 
     if (!events || events.length === 0) {
         throw new Error('No events to render');
     }
 
-    const durationMs = events[events.length - 1].timestamp - events[0].timestamp;
-    const totalFrames = Math.ceil((durationMs / 1000) * FPS);
-    const outputPath = path.join(outputDir, 'video.mp4');
-
-    console.log(`[Render] Starting: ${totalFrames} frames @ ${FPS} FPS (720p)`);
-    console.log(`[Render] Duration: ${(durationMs / 1000).toFixed(1)}s`);
-
-    // Spawn FFMPEG process
-    const ffmpeg = spawn('ffmpeg', [
-        '-y',
-        '-f', 'image2pipe',
-        '-vcodec', 'mjpeg',
-        '-r', String(FPS),
-        '-i', '-',
-        '-c:v', 'libx264',
-        '-pix_fmt', 'yuv420p',
-        '-preset', 'ultrafast',
-        outputPath
-    ]);
-
-    // Handle FFMPEG errors
-    ffmpeg.stderr.on('data', (data) => {
-        // FFMPEG outputs progress info to stderr, ignore unless it's an error
-        const msg = data.toString();
-        if (msg.includes('Error') || msg.includes('error')) {
-            console.error(`[FFMPEG] ${msg}`);
-        }
-    });
-
-    // Launch browser
-    const browser = await puppeteer.launch({
-        headless: 'shell',
-        args: [
-            `--window-size=${WIDTH},${HEIGHT}`,
-            '--no-sandbox',
-            '--disable-gpu',
-            '--hide-scrollbars'
-        ]
-    });
-
-    const page = await browser.newPage();
-    await page.setViewport({ width: WIDTH, height: HEIGHT });
-
     // Load renderer HTML
     if (!fs.existsSync(RENDERER_HTML)) {
         throw new Error(`Renderer HTML not found: ${RENDERER_HTML}`);
     }
-    await page.goto(`file://${RENDERER_HTML}`);
 
-    // Initialize rrweb replayer with events
-    await page.evaluate((data) => window.initSession(data), events);
+    const durationMs = events[events.length - 1].timestamp - events[0].timestamp;
+    const schedule = profile.adaptive
+        ? buildFrameSchedule(events, profile)
+        : fixedFrameSchedule(durationMs, fps);
+    const totalFrames = schedule.length;
+    const overlays = buildOverlays(events, profile.overlays);
+    const segments = splitSegments(events, schedule, parallelism > 1 ? {} : { minSegmentMs: Infinity })
+        .filter(segment => segment.frames.length > 0);
+    const outputPath = path.join(outputDir, 'video.mp4');
+    const framesDir = path.join(outputDir, 'frames');
+
+    console.log(`[Render] Starting: ${totalFrames} frames, ${profile.adaptive ? `adaptive ${fps}-${profile.maxFps}` : fps} FPS (${width}x${height}, ${profile.name || 'custom'} profile)`);
+    console.log(`[Render] Duration: ${(durationMs / 1000).toFixed(1)}s (fixed ${fps} FPS would be ${Math.ceil((durationMs / 1000) * fps)} frames)`);
+    if (segments.length > 1) {
+        console.log(`[Render] ${segments.length} segments, up to ${parallelism} at once`);
+    }
+    if (overlays) {
+        console.log(`[Render] Overlays: ${profile.overlays.join(', ')}`);
+    }
+
+    fs.mkdirSync(framesDir, { recursive: true });
 
-    // Render loop with progress logging
+    let browser = null;
     const startTime = performance.now();
+
+    // Shared by all segments
+    let framesRendered = 0;
     let lastProgressLog = 0;
     let errorCount = 0;
-    let lastSuccessfulFrame = null;
+    let stopError = null;
+
+    const checkStopped = () => {
+        if (stopError) throw stopError;
+        if (isCancelled && isCancelled()) {
+            throw new Error('Render cancelled');
+        }
+    };
 
-    for (let i = 0; i < totalFrames; i++) {
-        const timeOffset = (i / FPS) * 1000;
+    /**
+     * Capture one segment's frames in its own page, then encode them.
+     * Resolves with the encoded file (the final video when there is one segment).
+     */
+    const renderSegment = async (segment, k) => {
+        const page = await browser.newPage();
+        const frames = [];
 
         try {
-            // Seek to timestamp
-            await page.evaluate((t) => window.seekTo(t), timeOffset);
-        } catch (seekError) {
-            // rrweb can fail on navigation boundaries or malformed events
-            // Continue with the last successful frame
-            errorCount++;
-            if (errorCount === 1) {
-                console.log(`[Render] Warning: seek failed at ${(timeOffset/1000).toFixed(1)}s, using previous frame`);
-            }
-        }
+            await page.setViewport({ width, height });
+            await page.goto(`file://${RENDERER_HTML}`);
 
-        // Capture frame (will capture current state even if seek failed)
-        const screenshot = await page.screenshot({ type: 'jpeg', quality: 80 });
-        lastSuccessfulFrame = screenshot;
+            // Initialize rrweb replayer with the segment's events (and its share of the overlays)
+            const lastFrame = segment.frames[segment.frames.length - 1];
+            const segmentOverlays = overlays
+                ? { offset: segment.offset, ...sliceOverlays(overlays, segment.offset, lastFrame.time) }
+                : null;
+            await page.evaluate((data, overlayData) => window.initSession(data, overlayData), segment.events, segmentOverlays);
 
-        // Pipe to FFMPEG
-        if (!ffmpeg.stdin.write(screenshot)) {
-            await new Promise(resolve => ffmpeg.stdin.once('drain', resolve));
-        }
+            for (const { index, time: timeOffset, duration } of segment.frames) {
+                checkStopped();
 
-        // Progress logging every 10% (prevents timeout kills)
-        const progress = Math.floor((i / totalFrames) * 100);
-        if (progress >= lastProgressLog + 10) {
-            const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
-            console.log(`[Render] Progress: ${progress}% (${i}/${totalFrames} frames, ${elapsed}s elapsed)`);
-            lastProgressLog = progress;
+                try {
+                    // Seek to timestamp (relative to the segment's first event)
+                    await page.evaluate((t) => window.seekTo(t), timeOffset - segment.offset);
+                } catch (seekError) {
+                    // rrweb can fail on navigation boundaries or malformed events
+                    // Continue with the last successful frame
+                    errorCount++;
+                    if (errorCount === 1) {
+                        console.log(`[Render] Warning: seek failed at ${(timeOffset/1000).toFixed(1)}s, using previous frame`);
+                    }
+                }
+
+                // Capture frame (will capture current state even if seek failed)
+                const file = `${String(index).padStart(6, '0')}.jpg`;
+                await page.screenshot({ type: 'jpeg', quality: profile.jpegQuality, path: path.join(framesDir, file) });
+                frames.push({ file, duration });
+
+                framesRendered++;
+                if (onProgress) onProgress(framesRendered, totalFrames);
+
+                // Progress logging every 10% (prevents timeout kills)
+                const progress = Math.floor((framesRendered / totalFrames) * 100);
+                if (progress >= lastProgressLog + 10) {
+                    const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
+                    console.log(`[Render] Progress: ${progress}% (${framesRendered}/${totalFrames} frames, ${elapsed}s elapsed)`);
+                    lastProgressLog = progress;
+                }
+            }
+        } finally {
+            await page.close().catch(() => {});
         }
-    }
 
-    if (errorCount > 0) {
-        console.log(`[Render] Completed with ${errorCount} seek error(s) (frames recovered from previous state)`);
-    }
+        checkStopped();
+
+        // Encode while the other pages keep capturing
+        const name = `segment-${String(k).padStart(3, '0')}`;
+        const concatPath = path.join(framesDir, `${name}.txt`);
+        const segmentPath = segments.length > 1 ? path.join(framesDir, `${name}.mp4`) : outputPath;
+        fs.writeFileSync(concatPath, buildConcatScript(frames));
+        await encodeFrames(concatPath, segmentPath, profile);
+        return segmentPath;
+    };
+
+    try {
+        // Launch browser
+        browser = await puppeteer.launch({
+            headless: 'shell',
+            args: [
+                `--window-size=${width},${height}`,
+                '--no-sandbox',
+                '--disable-gpu',
+                '--hide-scrollbars'
+            ]
+        });
 
-    // Finalize
-    ffmpeg.stdin.end();
-    await new Promise((resolve, reject) => {
-        ffmpeg.on('close', (code) => {
-            if (code === 0) resolve();
-            else reject(new Error(`FFMPEG exited with code ${code}`));
+        // Each runner takes the next unrendered segment until none are left
+        const segmentPaths = [];
+        let nextSegment = 0;
+        const runners = Array.from({ length: Math.min(parallelism, segments.length) }, async () => {
+            while (nextSegment < segments.length) {
+                const k = nextSegment++;
+                try {
+                    segmentPaths[k] = await renderSegment(segments[k], k);
+                } catch (err) {
+                    // Stop the other runners too
+                    stopError = stopError || err;
+                    throw err;
+                }
+            }
         });
-    });
+        const results = await Promise.allSettled(runners);
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw stopError || failed.reason;
+
+        if (errorCount > 0) {
+            console.log(`[Render] Completed with ${errorCount} seek error(s) (frames recovered from previous state)`);
+        }
 
-    await browser.close();
+        await browser.close();
+        browser = null;
+
+        // Finalize
+        if (segments.length > 1) {
+            await joinSegments(segmentPaths, path.join(framesDir, 'segments.txt'), outputPath);
+        }
+    } finally {
+        // Never leave Chromium running after a failed or cancelled render
+        if (browser) {
+            await browser.close().catch(err => console.error(`[Render] Failed to close browser:`, err.message));
+        }
+        fs.rmSync(framesDir, { recursive: true, force: true });
+    }
 
     const totalTime = ((performance.now() - startTime) / 1000).toFixed(1);
     console.log(`[Render] Complete: ${outputPath} (${totalTime}s)`);
@@ -141,13 +260,19 @@ async function renderVideo(inputJsonPath, outputDir) {
 // Export for Worker usage
 module.exports = { renderVideo };
 
-// CLI Support: node render-worker.js <input.json> [output_dir]
+// CLI Support: node render-worker.js <input.json> [output_dir] [profile]
 if (require.main === module) {
     const inputFile = process.argv[2] || 'recording.json';
     const outputDir = process.argv[3] || __dirname;
+    const profileName = process.argv[4] || renderProfiles.DEFAULT_PROFILE;
+
+    if (!renderProfiles.isProfile(profileName)) {
+        console.error(`Unknown render profile: ${profileName} (available: ${Object.keys(renderProfiles.getProfiles()).join(', ')})`);
+        process.exit(1);
+    }
 
     if (!fs.existsSync(inputFile)) {
-        console.error(`Usage: node render-worker.js <events.json> [output_dir]`);
+        console.error(`Usage: node render-worker.js <events.json> [output_dir] [profile]`);
         console.error(`File not found: ${inputFile}`);
         process.exit(1);
     }
@@ -157,7 +282,7 @@ if (require.main === module) {
         fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    renderVideo(inputFile, outputDir)
+    renderVideo(inputFile, outputDir, { profile: renderProfiles.getProfile(profileName) })
         .then((outputPath) => {
             console.log(`Success: ${outputPath}`);
             process.exit(0);
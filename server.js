@@ -4,9 +4,6 @@ require("dotenv").config();
 const express = require("express");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
-const AWS = require("aws-sdk");
-const { S3Client, PutObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
-const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const { v4: uuidv4 } = require("uuid");
 const path = require("path");
 const zlib = require("zlib");
@@ -17,7 +14,21 @@ const db = require("./src/db");
 const queue = require("./src/queue-manager");
 const aiAnalyst = require("./src/ai-analyst");
 const s3Helpers = require("./src/s3-helpers");
-const { generateTimeline } = require("./timeline-react-aware");
+const sessionReader = require("./src/session-reader");
+const integrity = require("./src/integrity");
+const retention = require("./src/retention");
+const { deleteSessionData } = require("./src/session-purge");
+const dataSubject = require("./src/data-subject");
+const piiScrubber = require("./src/pii-scrubber");
+const { buildRecordingSettings } = require("./src/recording-privacy");
+const quotas = require("./src/quotas");
+const renderProfiles = require("./src/render-profiles");
+const frustration = require("./src/frustration");
+const sessionSearch = require("./src/session-search");
+const { buildSessionFilters } = require("./src/session-filters");
+const funnelTiming = require("./src/funnel-timing");
+const storage = require("./src/storage");
+const { generateTimeline, buildTimeline } = require("./timeline-react-aware");
 const { getLocationFromRequest } = require("./src/utils/geo");
 const UAParser = require("ua-parser-js");
 
@@ -30,6 +41,8 @@ const sessionCache = new NodeCache({
   maxKeys: 5000,
   useClones: false  // Don't clone on get (faster, we're read-only)
 });
+// Sessions with more events than this are streamed but never cached
+const PLAYBACK_CACHE_MAX_EVENTS = parseInt(process.env.PLAYBACK_CACHE_MAX_EVENTS || "50000", 10);
 
 // ----- Auth Configuration -----
 // SECURITY: JWT_SECRET must be set via environment variable - no fallback allowed
@@ -153,10 +166,11 @@ app.get("/api/projects/:token/config", async (req, res) => {
   res.header("Access-Control-Allow-Origin", "*");
 
   const { token } = req.params;
+  const distinctId = typeof req.query.distinct_id === "string" ? req.query.distinct_id : null;
 
   // Validate token against any configured domain
-  const isValidToken = Object.values(allowedDomains).some(d => d.token === token);
-  if (!isValidToken) {
+  const domainConfig = Object.values(allowedDomains).find(d => d.token === token);
+  if (!domainConfig) {
     return res.status(403).json({ error: "Invalid token" });
   }
 
@@ -179,7 +193,11 @@ app.get("/api/projects/:token/config", async (req, res) => {
       ORDER BY c.id, cr.id
     `);
 
-    res.json({ rules });
+    // Campaigns this visitor is sampled out of, or that have hit their session cap
+    const campaigns = await quotas.getBlockedCampaigns(distinctId, db);
+
+    const recording = buildRecordingSettings(domainConfig.recording, { captureConsole: process.env.ENABLE_CONSOLE_PLUGIN === "true" });
+    res.json({ rules, recording, campaigns });
   } catch (err) {
     console.error("Error in GET /api/projects/:token/config:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -483,16 +501,58 @@ try {
   process.exit(1);
 }
 
-// ----- AWS Configuration -----
-AWS.config.update({
-  region: process.env.AWS_REGION
-});
-const s3 = new AWS.S3();
+// ----- PII Scrub Rules -----
+// Each domain's optional "scrub" field masks matching text/inputs before events are stored - see src/pii-scrubber.js
+// Validated at startup so a bad regex or selector fails here, not on the first upload
+try {
+  piiScrubber.getDomainRules();
+} catch (err) {
+  console.error("Error in ALLOWED_DOMAINS scrub rules:", err.message);
+  process.exit(1);
+}
 
-// AWS SDK v3 Client (for presigned URLs - more efficient)
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION
-});
+// Scrub a /flush or /upload-session batch. Selector/attribute rules are resolved against the
+// session's stored events when the batch has no full snapshot of its own. If those can't be
+// read, only the patterns are applied; the compactor scrubs the whole session again.
+async function scrubUpload(sessionId, events, rules) {
+  try {
+    return await piiScrubber.scrubSessionBatch(events, rules, async (onBatch) => {
+      await sessionReader.readSession(sessionId, db, { onBatch });
+    });
+  } catch (err) {
+    console.error(`Error reading ${sessionId} for PII scrubbing, applying patterns only:`, err.message);
+    return piiScrubber.scrubEvents(events, rules);
+  }
+}
+
+// ----- Recorder Privacy Settings -----
+// Each domain's optional "recording" field sets rrweb masking and error capture options, served by /api/projects/:token/config
+for (const [host, config] of Object.entries(allowedDomains)) {
+  try {
+    buildRecordingSettings(config.recording);
+  } catch (err) {
+    console.error(`Error in ALLOWED_DOMAINS recording settings for ${host}:`, err.message);
+    process.exit(1);
+  }
+}
+
+// ----- Render Profiles -----
+// Built-in video profiles, tuned/extended with RENDER_PROFILES - see src/render-profiles.js
+try {
+  renderProfiles.getProfiles();
+} catch (err) {
+  console.error("Error in RENDER_PROFILES:", err.message);
+  process.exit(1);
+}
+
+const RENDER_PROFILE_ERROR = () => `render_profile must be one of: ${Object.keys(renderProfiles.getProfiles()).join(", ")}`;
+
+// ----- Storage Configuration -----
+// Each domain's "storage" field picks the driver (s3 or local) - see src/storage
+// Local-disk URLs point back at this server, so it needs its public base URL
+function getPublicBaseUrl(req) {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+}
 
 // =====================================================
 // CAMPAIGN ENDPOINTS
@@ -501,11 +561,29 @@ const s3Client = new S3Client({
 // Create campaign (auth required)
 app.post("/api/campaigns", authenticateJWT, async (req, res) => {
   try {
-    const { name, mission_brief, funnel_config } = req.body;
+    const { name, mission_brief, funnel_config, retention_days } = req.body;
     if (!name || typeof name !== "string" || name.trim().length === 0) {
       return res.status(400).json({ error: "Missing or invalid campaign name" });
     }
 
+    const retentionDays = retention.parseRetentionDays(retention_days);
+    if (!retentionDays.valid) {
+      return res.status(400).json({ error: `retention_days must be an integer from 1 to ${retention.MAX_RETENTION_DAYS}, or null to keep forever` });
+    }
+
+    const quota = quotas.parseQuotaSettings(req.body);
+    if (!quota.valid) {
+      return res.status(400).json({ error: quota.error });
+    }
+    const sampleRate = quota.values.sample_rate ?? 100;
+    const dailyCap = quota.values.daily_session_cap ?? null;
+    const monthlyCap = quota.values.monthly_session_cap ?? null;
+
+    const renderProfile = renderProfiles.parseProfileName(req.body.render_profile);
+    if (!renderProfile.valid) {
+      return res.status(400).json({ error: RENDER_PROFILE_ERROR() });
+    }
+
     const trimmedName = name.trim();
 
     // Check if campaign already exists
@@ -522,9 +600,11 @@ app.post("/api/campaigns", authenticateJWT, async (req, res) => {
 
     const createdAt = Date.now();
     const result = await db.insert(
-      `INSERT INTO campaigns (name, created_at, mission_brief, funnel_config)
-       VALUES ($1, $2, $3, $4) RETURNING id`,
-      [trimmedName, createdAt, mission_brief || null, funnelConfigStr]
+      `INSERT INTO campaigns (name, created_at, mission_brief, funnel_config, retention_days,
+                              sample_rate, daily_session_cap, monthly_session_cap, render_profile)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+      [trimmedName, createdAt, mission_brief || null, funnelConfigStr, retentionDays.value,
+       sampleRate, dailyCap, monthlyCap, renderProfile.value]
     );
 
     console.log(`📋 Campaign created: ${trimmedName}`);
@@ -533,7 +613,12 @@ app.post("/api/campaigns", authenticateJWT, async (req, res) => {
       name: trimmedName,
       created_at: createdAt,
       mission_brief: mission_brief || null,
-      funnel_config: funnel_config || null
+      funnel_config: funnel_config || null,
+      retention_days: retentionDays.value,
+      sample_rate: sampleRate,
+      daily_session_cap: dailyCap,
+      monthly_session_cap: monthlyCap,
+      render_profile: renderProfile.value
     });
   } catch (err) {
     console.error("Error in POST /api/campaigns:", err);
@@ -555,20 +640,22 @@ app.get("/api/campaigns", authenticateJWT, async (req, res) => {
 
     // Single query with JOIN instead of 3 correlated subqueries per campaign
     const { rows: campaigns } = await db.query(`
-      SELECT c.id, c.name, c.created_at, c.is_paused,
+      SELECT c.id, c.name, c.created_at, c.is_paused, c.retention_days,
+        c.sample_rate, c.daily_session_cap, c.monthly_session_cap, c.render_profile,
         COUNT(DISTINCT s.session_id) as session_count,
         COUNT(DISTINCT CASE WHEN s.status = 'completed' THEN s.session_id END) as completed_count,
         COUNT(DISTINCT CASE WHEN s.status IS NULL OR s.status = 'dropped_off' THEN s.session_id END) as dropped_off_count
       FROM campaigns c
       LEFT JOIN sessions s ON s.campaign_id = c.id
-      GROUP BY c.id, c.name, c.created_at, c.is_paused
+      GROUP BY c.id, c.name, c.created_at, c.is_paused, c.retention_days,
+        c.sample_rate, c.daily_session_cap, c.monthly_session_cap, c.render_profile
       ORDER BY c.created_at DESC
       LIMIT $1 OFFSET $2
     `, [limit, offset]);
 
     const total_pages = Math.ceil(total / limit);
     res.json({
-      campaigns,
+      campaigns: campaigns.map(c => ({ ...c, sample_rate: parseFloat(c.sample_rate) })),
       pagination: {
         page,
         limit,
@@ -621,7 +708,8 @@ app.get("/api/campaigns/:id", authenticateJWT, async (req, res) => {
     // Single query: campaign data + session counts via LEFT JOIN
     const campaign = await db.queryOne(`
       SELECT c.id, c.name, c.created_at, c.mission_brief, c.funnel_config,
-             c.generated_rubric, c.ai_report, c.ai_analysis_status, c.is_paused,
+             c.generated_rubric, c.ai_report, c.ai_analysis_status, c.is_paused, c.retention_days,
+             c.sample_rate, c.daily_session_cap, c.monthly_session_cap, c.render_profile,
              COUNT(DISTINCT s.session_id) as session_count,
              COUNT(DISTINCT CASE WHEN s.status = 'completed' THEN s.session_id END) as completed_count,
              COUNT(DISTINCT CASE WHEN s.status IS NULL OR s.status = 'dropped_off' THEN s.session_id END) as dropped_off_count
@@ -629,7 +717,8 @@ app.get("/api/campaigns/:id", authenticateJWT, async (req, res) => {
       LEFT JOIN sessions s ON s.campaign_id = c.id
       WHERE c.id = $1
       GROUP BY c.id, c.name, c.created_at, c.mission_brief, c.funnel_config,
-               c.generated_rubric, c.ai_report, c.ai_analysis_status, c.is_paused
+               c.generated_rubric, c.ai_report, c.ai_analysis_status, c.is_paused, c.retention_days,
+               c.sample_rate, c.daily_session_cap, c.monthly_session_cap, c.render_profile
     `, [id]);
 
     if (!campaign) {
@@ -669,8 +758,13 @@ app.get("/api/campaigns/:id", authenticateJWT, async (req, res) => {
       ORDER BY created_at ASC
     `, [id]);
 
+    // Sampling/caps with current usage
+    const quota = await quotas.describeQuota(campaign, db);
+
     res.json({
       ...campaign,
+      sample_rate: quota.sample_rate,
+      quota,
       funnel_config: funnelConfig.length > 0 ? funnelConfig : null,
       generated_rubric: campaign.generated_rubric ? JSON.parse(campaign.generated_rubric) : null,
       session_count: parseInt(campaign.session_count) || 0,
@@ -688,10 +782,12 @@ app.get("/api/campaigns/:id", authenticateJWT, async (req, res) => {
 app.put("/api/campaigns/:id", authenticateJWT, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, mission_brief, funnel_config } = req.body;
+    const { name, mission_brief, funnel_config, retention_days } = req.body;
 
     const campaign = await db.queryOne(`
-      SELECT id, name, created_at, mission_brief, funnel_config FROM campaigns WHERE id = $1
+      SELECT id, name, created_at, mission_brief, funnel_config, retention_days,
+             sample_rate, daily_session_cap, monthly_session_cap, render_profile
+      FROM campaigns WHERE id = $1
     `, [id]);
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
@@ -720,9 +816,38 @@ app.put("/api/campaigns/:id", authenticateJWT, async (req, res) => {
       newFunnelConfig = funnel_config ? JSON.stringify(funnel_config) : null;
     }
 
+    let newRetentionDays = campaign.retention_days;
+    if (retention_days !== undefined) {
+      const parsed = retention.parseRetentionDays(retention_days);
+      if (!parsed.valid) {
+        return res.status(400).json({ error: `retention_days must be an integer from 1 to ${retention.MAX_RETENTION_DAYS}, or null to keep forever` });
+      }
+      newRetentionDays = parsed.value;
+    }
+
+    const quota = quotas.parseQuotaSettings(req.body);
+    if (!quota.valid) {
+      return res.status(400).json({ error: quota.error });
+    }
+    const newSampleRate = quota.values.sample_rate ?? parseFloat(campaign.sample_rate);
+    const newDailyCap = quota.values.daily_session_cap !== undefined ? quota.values.daily_session_cap : campaign.daily_session_cap;
+    const newMonthlyCap = quota.values.monthly_session_cap !== undefined ? quota.values.monthly_session_cap : campaign.monthly_session_cap;
+
+    let newRenderProfile = campaign.render_profile;
+    if (req.body.render_profile !== undefined) {
+      const parsed = renderProfiles.parseProfileName(req.body.render_profile);
+      if (!parsed.valid) {
+        return res.status(400).json({ error: RENDER_PROFILE_ERROR() });
+      }
+      newRenderProfile = parsed.value;
+    }
+
     await db.query(`
-      UPDATE campaigns SET name = $1, mission_brief = $2, funnel_config = $3 WHERE id = $4
-    `, [trimmedName, newMissionBrief, newFunnelConfig, id]);
+      UPDATE campaigns SET name = $1, mission_brief = $2, funnel_config = $3, retention_days = $4,
+        sample_rate = $5, daily_session_cap = $6, monthly_session_cap = $7, render_profile = $8
+      WHERE id = $9
+    `, [trimmedName, newMissionBrief, newFunnelConfig, newRetentionDays, newSampleRate, newDailyCap, newMonthlyCap,
+        newRenderProfile, id]);
 
     console.log(`📝 Campaign updated: ${campaign.name} -> ${trimmedName}`);
     res.json({
@@ -730,7 +855,12 @@ app.put("/api/campaigns/:id", authenticateJWT, async (req, res) => {
       name: trimmedName,
       created_at: campaign.created_at,
       mission_brief: newMissionBrief,
-      funnel_config: newFunnelConfig ? JSON.parse(newFunnelConfig) : null
+      funnel_config: newFunnelConfig ? JSON.parse(newFunnelConfig) : null,
+      retention_days: newRetentionDays,
+      sample_rate: newSampleRate,
+      daily_session_cap: newDailyCap,
+      monthly_session_cap: newMonthlyCap,
+      render_profile: newRenderProfile
     });
   } catch (err) {
     console.error("Error in PUT /api/campaigns/:id:", err);
@@ -797,25 +927,34 @@ app.get("/api/campaigns/:id/funnel-stats", authenticateJWT, async (req, res) =>
       statusFilter = "AND s.status = 'completed'";
     }
 
-    // Get total sessions for this campaign (with optional status filter)
+    // Location, device, duration, time-of-day and date filters (same as GET /api/sessions)
+    const sessionFilters = buildSessionFilters(req.query, 2);
+    const conditions = [statusFilter, ...sessionFilters.clauses.map(clause => `AND ${clause}`)].join(" ");
+
+    // Get total sessions for this campaign (with optional filters)
     const totalResult = await db.queryOne(`
       SELECT COUNT(DISTINCT sc.session_id) as count
       FROM session_chunks sc
       LEFT JOIN sessions s ON sc.session_id = s.session_id
-      WHERE sc.campaign_id = $1 ${statusFilter}
-    `, [id]);
+      WHERE sc.campaign_id = $1 ${conditions}
+    `, [id, ...sessionFilters.params]);
     const totalSessions = parseInt(totalResult?.count || 0);
 
-    // Get step counts from session_steps (with optional status filter)
+    // Get step counts from session_steps (with optional filters)
     const { rows: stepCounts } = await db.query(`
       SELECT ss.step_key, COUNT(DISTINCT ss.session_id) as reached
       FROM session_steps ss
       LEFT JOIN sessions s ON ss.session_id = s.session_id
       WHERE ss.session_id IN (
         SELECT DISTINCT session_id FROM session_chunks WHERE campaign_id = $1
-      ) ${statusFilter}
+      ) ${conditions}
       GROUP BY ss.step_key
-    `, [id]);
+    `, [id, ...sessionFilters.params]);
+
+    // Time to each step, between steps and before drop-off (src/funnel-timing.js)
+    const timing = await funnelTiming.getFunnelTiming(
+      id, funnelConfig.map(step => step.key), conditions, sessionFilters.params, db
+    );
 
     // Build step count map
     const countMap = {};
@@ -831,7 +970,10 @@ app.get("/api/campaigns/:id/funnel-stats", authenticateJWT, async (req, res) =>
         name: step.name,
         index,
         reached,
-        percentage: totalSessions > 0 ? Math.round((reached / totalSessions) * 100) : 0
+        percentage: totalSessions > 0 ? Math.round((reached / totalSessions) * 100) : 0,
+        time_from_start: timing[step.key].time_from_start,
+        time_from_previous: index > 0 ? timing[step.key].time_from_previous : null,
+        drop_off: timing[step.key].drop_off
       };
     });
 
@@ -848,6 +990,92 @@ app.get("/api/campaigns/:id/funnel-stats", authenticateJWT, async (req, res) =>
   }
 });
 
+// Top pages and exit pages for a campaign (session_pages, see src/session-pages.js)
+app.get("/api/campaigns/:id/pages", authenticateJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    // Validate status if provided
+    if (status && !["completed", "dropped_off"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status. Must be 'completed' or 'dropped_off'" });
+    }
+
+    const campaign = await db.queryOne(`
+      SELECT id, name FROM campaigns WHERE id = $1
+    `, [id]);
+
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    // Build status filter clause
+    let statusFilter = "";
+    if (status === "dropped_off") {
+      statusFilter = "AND (s.status IS NULL OR s.status = 'dropped_off')";
+    } else if (status === "completed") {
+      statusFilter = "AND s.status = 'completed'";
+    }
+
+    // Sessions with indexed pages (with optional status filter)
+    const totalResult = await db.queryOne(`
+      SELECT COUNT(DISTINCT sp.session_id) as count
+      FROM session_pages sp
+      JOIN sessions s ON sp.session_id = s.session_id
+      WHERE s.campaign_id = $1 ${statusFilter}
+    `, [id]);
+    const totalSessions = parseInt(totalResult?.count || 0);
+
+    // Per-URL stats, ranked by the given ORDER BY
+    const pageStats = (having, orderBy) => db.query(`
+      SELECT
+        sp.url,
+        COUNT(*) as visits,
+        COUNT(DISTINCT sp.session_id) as sessions,
+        SUM(CASE WHEN sp.is_exit THEN 1 ELSE 0 END) as exits,
+        AVG(sp.dwell_ms) as avg_dwell_ms,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY sp.dwell_ms) as median_dwell_ms
+      FROM session_pages sp
+      JOIN sessions s ON sp.session_id = s.session_id
+      WHERE s.campaign_id = $1 ${statusFilter}
+      GROUP BY sp.url
+      ${having}
+      ORDER BY ${orderBy}, sp.url
+      LIMIT $2
+    `, [id, limit]);
+
+    const { rows: topRows } = await pageStats("", "sessions DESC, visits DESC");
+    const { rows: exitRows } = await pageStats("HAVING SUM(CASE WHEN sp.is_exit THEN 1 ELSE 0 END) > 0", "exits DESC");
+
+    const toPage = row => {
+      const visits = parseInt(row.visits);
+      const exits = parseInt(row.exits);
+      return {
+        url: row.url,
+        sessions: parseInt(row.sessions),
+        visits,
+        exits,
+        exit_percentage: visits > 0 ? Math.round((exits / visits) * 100) : 0,
+        avg_dwell_ms: Math.round(parseFloat(row.avg_dwell_ms) || 0),
+        median_dwell_ms: Math.round(parseFloat(row.median_dwell_ms) || 0)
+      };
+    };
+
+    res.json({
+      campaign_id: parseInt(id),
+      campaign_name: campaign.name,
+      total_sessions: totalSessions,
+      status: status || null,
+      top_pages: topRows.map(toPage),
+      exit_pages: exitRows.map(toPage)
+    });
+  } catch (err) {
+    console.error("Error in GET /api/campaigns/:id/pages:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Delete campaign (auth required)
 app.delete("/api/campaigns/:id", authenticateJWT, async (req, res) => {
   try {
@@ -999,6 +1227,9 @@ app.post("/api/problems/:problemId/sessions", authenticateJWT, async (req, res)
       ON CONFLICT DO NOTHING
     `, [problemId, sessionId]);
 
+    // Render problem-cohort sessions ahead of other auto-queued drop-offs
+    await queue.prioritizeJob(sessionId);
+
     console.log(`📎 Session ${sessionId} added to problem "${problem.title}"`);
     res.json({ success: true });
   } catch (err) {
@@ -1832,33 +2063,41 @@ app.post("/api/sessions/:sessionId/upload-url", async (req, res) => {
     // Get bucket for this domain
     const bucketName = allowedDomains[host].bucket;
     if (!bucketName) {
-      return res.status(500).json({ error: "S3 bucket not configured for domain" });
+      return res.status(500).json({ error: "Storage bucket not configured for domain" });
     }
 
     // Validate campaign exists
-    const campaignRecord = await db.queryOne("SELECT id, name FROM campaigns WHERE name = $1", [campaign]);
+    const campaignRecord = await db.queryOne(
+      `SELECT id, name, ${quotas.QUOTA_COLUMNS} FROM campaigns WHERE name = $1`,
+      [campaign]
+    );
     if (!campaignRecord) {
       return res.status(404).json({ error: `Campaign not found: ${campaign}` });
     }
 
+    // Sampling + session caps (the recorder checks too, but clients can't be trusted to)
+    const admission = await quotas.admitSession(sessionId, distinctId, campaignRecord, db);
+    if (!admission.allowed) {
+      console.log(`🚫 Session not admitted: ${sessionId} -> ${campaign} (${admission.reason})`);
+      return res.status(429).json({ error: "Session not recorded for this campaign", reason: admission.reason });
+    }
+
     // Generate unique S3 key for this chunk
     // Format: recordings/{campaignId}/{sessionId}/{timestamp}_{uuid}.json.gz
     const randomSuffix = uuidv4().substring(0, 8);
     const s3Key = `recordings/${campaignRecord.id}/${sessionId}/${chunkTimestamp}_${randomSuffix}.json.gz`;
 
     // Generate presigned PUT URL (60 second expiry)
-    const command = new PutObjectCommand({
-      Bucket: bucketName,
-      Key: s3Key,
-      ContentType: "application/gzip"
+    const uploadUrl = await storage.getUploadUrl(bucketName, s3Key, {
+      contentType: "application/gzip",
+      expiresIn: 60,
+      baseUrl: getPublicBaseUrl(req)
     });
 
-    const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 60 });
-
     // NOTE: DB insert is now deferred to /confirm-chunk endpoint
     // This prevents "phantom chunks" where DB has record but S3 upload failed
 
-    console.log(`🎫 Presigned URL issued: ${sessionId} -> s3://${bucketName}/${s3Key} (seq: ${seqId})`);
+    console.log(`🎫 Presigned URL issued: ${sessionId} -> ${bucketName}/${s3Key} (seq: ${seqId})`);
 
     res.json({
       uploadUrl,
@@ -1895,15 +2134,15 @@ app.post("/api/sessions/:sessionId/confirm-chunk", async (req, res) => {
 
     const seqId = (sequenceId !== undefined && sequenceId !== null) ? parseInt(sequenceId, 10) : null;
 
-    // CRITICAL: Verify the file actually exists in S3 before recording in DB
-    try {
-      await s3Client.send(new HeadObjectCommand({ Bucket: s3Bucket, Key: s3Key }));
-    } catch (headErr) {
-      if (headErr.name === 'NotFound' || headErr.$metadata?.httpStatusCode === 404) {
-        console.error(`❌ Chunk confirmation failed - S3 object not found: ${s3Key}`);
-        return res.status(400).json({ error: "S3 object not found - upload may have failed" });
-      }
-      throw headErr; // Re-throw other errors
+    // CRITICAL: Verify the file actually exists in storage before recording in DB
+    const objectExists = await storage.objectExists(s3Bucket, s3Key);
+    if (!objectExists) {
+      console.error(`❌ Chunk confirmation failed - object not found: ${s3Key}`);
+      await integrity.recordChunkFailure(db, {
+        sessionId, sequenceId: seqId, s3Key, s3Bucket, stage: "confirm", reason: "Object not found at confirm-chunk"
+      });
+      await integrity.updateSessionIntegrity(sessionId, db);
+      return res.status(400).json({ error: "S3 object not found - upload may have failed" });
     }
 
     // S3 object exists - safe to insert into DB
@@ -1968,7 +2207,13 @@ app.post("/api/sessions/:sessionId/confirm-chunk", async (req, res) => {
       WHERE s.session_id = sub.session_id
     `, [sessionId]);
 
-    console.log(`✅ Chunk confirmed: ${sessionId} -> s3://${s3Bucket}/${s3Key} (seq: ${seqId}, ${metaLog})`);
+    // Re-check for sequence holes now that this chunk is in
+    const integrityReport = await integrity.updateSessionIntegrity(sessionId, db);
+    if (integrityReport && integrityReport.status !== "complete") {
+      metaLog += `, integrity: ${integrityReport.status}`;
+    }
+
+    console.log(`✅ Chunk confirmed: ${sessionId} -> ${s3Bucket}/${s3Key} (seq: ${seqId}, ${metaLog})`);
 
     res.json({ success: true });
   } catch (err) {
@@ -1979,7 +2224,8 @@ app.post("/api/sessions/:sessionId/confirm-chunk", async (req, res) => {
 
 // ----- Final Flush: Lightweight endpoint for tab close -----
 // Uses sendBeacon - accepts plain JSON, no gzip (small final chunks only)
-// This is the ONLY endpoint that touches event data on the server (for reliability on tab close)
+// This is the ONLY chunk endpoint that touches event data on the server (for reliability on tab close),
+// so it is also where the final chunk is PII-scrubbed; presigned-URL chunks are scrubbed on compaction
 // Sequence ID passed via query string: /flush?seq=10 (since sendBeacon can't send custom JSON with Blob)
 app.post("/api/sessions/:sessionId/flush", async (req, res) => {
   try {
@@ -2022,20 +2268,36 @@ app.post("/api/sessions/:sessionId/flush", async (req, res) => {
 
     const bucketName = allowedDomains[host].bucket;
     if (!bucketName) {
-      return res.status(500).json({ error: "S3 bucket not configured" });
+      return res.status(500).json({ error: "Storage bucket not configured" });
     }
 
     // Validate campaign
-    const campaignRecord = await db.queryOne("SELECT id, name FROM campaigns WHERE name = $1", [campaign]);
+    const campaignRecord = await db.queryOne(
+      `SELECT id, name, ${quotas.QUOTA_COLUMNS} FROM campaigns WHERE name = $1`,
+      [campaign]
+    );
     if (!campaignRecord) {
       return res.status(404).json({ error: `Campaign not found: ${campaign}` });
     }
 
+    // Same sampling + caps as upload-url
+    const admission = await quotas.admitSession(sessionId, distinctId, campaignRecord, db);
+    if (!admission.allowed) {
+      return res.status(429).json({ error: "Session not recorded for this campaign", reason: admission.reason });
+    }
+
     // Generate S3 key for final flush chunk
     const chunkTimestamp = timestamp || Date.now();
     const randomSuffix = uuidv4().substring(0, 8);
     const s3Key = `recordings/${campaignRecord.id}/${sessionId}/${chunkTimestamp}_flush_${randomSuffix}.json`;
 
+    // Mask PII before anything is stored
+    const scrubRules = piiScrubber.getRulesForHost(host);
+    if (scrubRules) {
+      const { stats } = await scrubUpload(sessionId, events, scrubRules);
+      console.log(`🙈 Flush scrubbed: ${sessionId} (${stats.text} text, ${stats.inputs} inputs, ${stats.attributes} attributes)`);
+    }
+
     // Prepare data (plain JSON, no gzip - keep it simple for final flush)
     const sessionData = JSON.stringify({
       sessionId,
@@ -2047,18 +2309,13 @@ app.post("/api/sessions/:sessionId/flush", async (req, res) => {
 
     console.log(`🚪 Final flush received: ${sessionId} (${events.length} events, seq: ${seqId})`);
 
-    // CRITICAL FIX: Await both S3 upload and DB insert before responding
+    // CRITICAL FIX: Await both storage upload and DB insert before responding
     // This ensures data is persisted even if the process is killed after response
     try {
-      // First upload to S3
-      await s3.upload({
-        Bucket: bucketName,
-        Key: s3Key,
-        Body: sessionData,
-        ContentType: "application/json"
-      }).promise();
-
-      // Only insert to DB after S3 confirms (prevents phantom chunks)
+      // First upload to storage
+      await storage.putObject(bucketName, s3Key, sessionData, "application/json");
+
+      // Only insert to DB after storage confirms (prevents phantom chunks)
       await db.query(`
         INSERT INTO session_chunks (session_id, distinct_id, campaign_id, s3_key, s3_bucket, page_url, timestamp, sequence_id)
         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
@@ -2092,6 +2349,9 @@ app.post("/api/sessions/:sessionId/flush", async (req, res) => {
         WHERE s.session_id = sub.session_id
       `, [sessionId]);
 
+      // Final chunk fixes the expected sequence range
+      await integrity.updateSessionIntegrity(sessionId, db);
+
       console.log(`🚪 Final flush uploaded: ${sessionId} (${events.length} events)`);
       res.status(200).json({ accepted: true, persisted: true });
     } catch (flushErr) {
@@ -2105,14 +2365,53 @@ app.post("/api/sessions/:sessionId/flush", async (req, res) => {
   }
 });
 
-// Search sessions by email (auth required, MUST be before :session_id route)
+// Search sessions by email and/or by what happened in them (auth required, MUST be before :session_id route)
 app.get("/api/sessions/search", authenticateJWT, async (req, res) => {
   try {
-    const { email } = req.query;
+    const { email, q, step, campaign_id } = req.query;
 
-    if (!email) {
-      return res.status(400).json({ error: "Email query parameter required" });
+    // Pagination params. Email-only searches keep their original unpaginated
+    // { sessions } response unless page/limit is given.
+    const paginate = Boolean(q || step || req.query.page || req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = (page - 1) * limit;
+
+    if (!email && !q && !step) {
+      return res.status(400).json({ error: "Query parameter required: email, q or step" });
+    }
+
+    // Ordered full-text steps (?q= is a single step of any kind)
+    const { error: stepError, steps } = sessionSearch.parseSearchSteps(step, q);
+    if (stepError) {
+      return res.status(400).json({ error: stepError });
+    }
+
+    const campaignId = campaign_id ? parseInt(campaign_id) : null;
+    if (campaign_id && isNaN(campaignId)) {
+      return res.status(400).json({ error: "Invalid campaign_id" });
+    }
+
+    const params = [];
+    // Sessions whose search entries match every step in order
+    const matchJoin = steps.length > 0
+      ? `JOIN (${sessionSearch.buildSequenceQuery(steps, params, campaignId)}) m ON sc.session_id = m.session_id`
+      : "";
+    let paramIndex = params.length + 1;
+
+    const whereClauses = [];
+    if (email) {
+      whereClauses.push(`EXISTS (
+        SELECT 1 FROM aliases a JOIN users u ON a.user_id = u.id
+        WHERE a.distinct_id = sc.distinct_id AND u.email LIKE $${paramIndex++}
+      )`);
+      params.push(`%${email}%`);
     }
+    if (campaignId !== null) {
+      whereClauses.push(`sc.campaign_id = $${paramIndex++}`);
+      params.push(campaignId);
+    }
+    const whereClause = whereClauses.length > 0 ? " WHERE " + whereClauses.join(" AND ") : "";
 
     const { rows: sessions } = await db.query(`
       SELECT
@@ -2128,23 +2427,53 @@ app.get("/api/sessions/search", authenticateJWT, async (req, res) => {
         (MAX(sc.timestamp) - MIN(sc.timestamp)) as duration_ms,
         COUNT(sc.id) as chunk_count
       FROM session_chunks sc
+      ${matchJoin}
       LEFT JOIN campaigns c ON sc.campaign_id = c.id
       LEFT JOIN sessions s ON sc.session_id = s.session_id
-      JOIN aliases a ON sc.distinct_id = a.distinct_id
-      JOIN users u ON a.user_id = u.id
-      WHERE u.email LIKE $1
+      ${whereClause}
       GROUP BY sc.session_id, sc.distinct_id, sc.campaign_id, c.name, s.status, s.watched, s.watched_at
       ORDER BY first_timestamp DESC
-    `, [`%${email}%`]);
+      ${paginate ? `LIMIT $${paramIndex++} OFFSET $${paramIndex++}` : ""}
+    `, paginate ? [...params, limit, offset] : params);
+
+    // Earliest matching entries per session, one query per step (avoids N+1)
+    const matchesMap = steps.length > 0
+      ? await sessionSearch.findMatches(sessions.map(s => s.session_id), steps, db)
+      : {};
 
     const transformedSessions = sessions.map(session => ({
       ...session,
       status: session.status || "dropped_off",
       watched: session.watched === true,
-      playback_url: `/api/sessions/${session.session_id}/playback`
+      playback_url: `/api/sessions/${session.session_id}/playback`,
+      matches: matchesMap[session.session_id] || []
     }));
 
-    res.json({ sessions: transformedSessions });
+    if (!paginate) {
+      return res.json({ sessions: transformedSessions });
+    }
+
+    // Count query for pagination (uses same filters)
+    const countResult = await db.queryOne(`
+      SELECT COUNT(DISTINCT sc.session_id) as total
+      FROM session_chunks sc
+      ${matchJoin}
+      ${whereClause}
+    `, params);
+    const total = parseInt(countResult?.total || 0);
+
+    const total_pages = Math.ceil(total / limit);
+    res.json({
+      sessions: transformedSessions,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages,
+        has_next: page < total_pages,
+        has_prev: page > 1
+      }
+    });
   } catch (err) {
     console.error("Error in GET /api/sessions/search:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -2154,7 +2483,7 @@ app.get("/api/sessions/search", authenticateJWT, async (req, res) => {
 // List sessions (auth required)
 app.get("/api/sessions", authenticateJWT, async (req, res) => {
   try {
-    const { campaign_id, campaign, email, status, reached_step, not_reached_step, country, city, os, browser, device_type, min_duration, max_duration, hour_start, hour_end, date_from, date_to } = req.query;
+    const { campaign_id, campaign, email, status, reached_step, not_reached_step, integrity: integrityFilter, signal, has_errors, error_contains, visited_url } = req.query;
 
     // Pagination params
     const page = Math.max(1, parseInt(req.query.page) || 1);
@@ -2170,6 +2499,22 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
       return res.status(400).json({ error: "Invalid status. Must be 'completed' or 'dropped_off'" });
     }
 
+    // Validate integrity if provided
+    if (integrityFilter && !integrity.STATUSES.includes(integrityFilter)) {
+      return res.status(400).json({ error: `Invalid integrity. Must be one of: ${integrity.STATUSES.join(", ")}` });
+    }
+
+    // Validate has_errors if provided
+    if (has_errors !== undefined && !["true", "false"].includes(has_errors)) {
+      return res.status(400).json({ error: "Invalid has_errors. Must be 'true' or 'false'" });
+    }
+
+    // Parse signal filter (comma-separated, session must have ALL of them)
+    const signalFilter = frustration.parseSignalFilter(signal);
+    if (!signalFilter.valid) {
+      return res.status(400).json({ error: `Invalid signal. Must be one or more of: ${frustration.SIGNALS.join(", ")}` });
+    }
+
     // Parse step filters (comma-separated for multiple steps)
     const reachedSteps = reached_step ? reached_step.split(',').map(s => s.trim()).filter(Boolean) : [];
     const notReachedSteps = not_reached_step ? not_reached_step.split(',').map(s => s.trim()).filter(Boolean) : [];
@@ -2200,6 +2545,7 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
         s.duration_ms,
         s.start_hour,
         s.updated_at,
+        s.integrity_status,
         MIN(sc.timestamp) as first_timestamp,
         MAX(sc.timestamp) as last_timestamp,
         COUNT(sc.id) as chunk_count
@@ -2242,6 +2588,16 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
       }
     }
 
+    // Integrity filter (sessions never checked are treated as complete)
+    if (integrityFilter) {
+      if (integrityFilter === "complete") {
+        whereClauses.push("(s.integrity_status IS NULL OR s.integrity_status = 'complete')");
+      } else {
+        whereClauses.push(`s.integrity_status = $${paramIndex++}`);
+        params.push(integrityFilter);
+      }
+    }
+
     // Step filters using EXISTS for efficiency (avoids JOIN multiplication)
     // Each reached step gets its own EXISTS clause (must have reached ALL specified steps)
     for (const step of reachedSteps) {
@@ -2263,79 +2619,49 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
       params.push(step);
     }
 
-    // Location filters
-    if (country) {
-      whereClauses.push(`s.location_country = $${paramIndex++}`);
-      params.push(country.toUpperCase()); // ISO codes are uppercase
-    }
-    if (city) {
-      whereClauses.push(`LOWER(s.location_city) = LOWER($${paramIndex++})`);
-      params.push(city);
-    }
-
-    // Device filters
-    if (os) {
-      whereClauses.push(`LOWER(s.device_os) = LOWER($${paramIndex++})`);
-      params.push(os);
-    }
-    if (browser) {
-      whereClauses.push(`LOWER(s.device_browser) = LOWER($${paramIndex++})`);
-      params.push(browser);
-    }
-    if (device_type) {
-      whereClauses.push(`LOWER(s.device_type) = LOWER($${paramIndex++})`);
-      params.push(device_type);
+    // Frustration signal filters, one EXISTS per signal like the step filters
+    for (const signalName of signalFilter.signals) {
+      whereClauses.push(`EXISTS (
+        SELECT 1 FROM session_signals sig
+        WHERE sig.session_id = sc.session_id
+        AND sig.signal = $${paramIndex++}
+      )`);
+      params.push(signalName);
     }
 
-    // Duration filters (uses indexed s.duration_ms column)
-    if (min_duration) {
-      const minMs = parseInt(min_duration);
-      if (!isNaN(minMs)) {
-        whereClauses.push(`s.duration_ms >= $${paramIndex++}`);
-        params.push(minMs);
-      }
+    // Captured error filters (session_errors, see src/session-errors.js)
+    if (has_errors !== undefined) {
+      whereClauses.push(`${has_errors === "true" ? "EXISTS" : "NOT EXISTS"} (
+        SELECT 1 FROM session_errors se_any
+        WHERE se_any.session_id = sc.session_id
+      )`);
     }
-    if (max_duration) {
-      const maxMs = parseInt(max_duration);
-      if (!isNaN(maxMs)) {
-        whereClauses.push(`s.duration_ms <= $${paramIndex++}`);
-        params.push(maxMs);
-      }
+    if (error_contains) {
+      whereClauses.push(`EXISTS (
+        SELECT 1 FROM session_errors se_match
+        WHERE se_match.session_id = sc.session_id
+        AND se_match.message ILIKE $${paramIndex++}
+      )`);
+      // Match the text literally, not as a LIKE pattern
+      params.push(`%${String(error_contains).replace(/[\\%_]/g, "\\$&")}%`);
     }
 
-    // Time-of-day filters (uses indexed s.start_hour column, 0-23)
-    if (hour_start !== undefined && hour_start !== '') {
-      const hStart = parseInt(hour_start);
-      if (!isNaN(hStart) && hStart >= 0 && hStart <= 23) {
-        whereClauses.push(`s.start_hour >= $${paramIndex++}`);
-        params.push(hStart);
-      }
-    }
-    if (hour_end !== undefined && hour_end !== '') {
-      const hEnd = parseInt(hour_end);
-      if (!isNaN(hEnd) && hEnd >= 0 && hEnd <= 23) {
-        whereClauses.push(`s.start_hour <= $${paramIndex++}`);
-        params.push(hEnd);
-      }
+    // Visited page filter (session_pages, see src/session-pages.js)
+    if (visited_url) {
+      whereClauses.push(`EXISTS (
+        SELECT 1 FROM session_pages sp_visit
+        WHERE sp_visit.session_id = sc.session_id
+        AND sp_visit.url ILIKE $${paramIndex++}
+      )`);
+      // Match the text literally, not as a LIKE pattern
+      params.push(`%${String(visited_url).replace(/[\\%_]/g, "\\$&")}%`);
     }
 
-    // Date range filters (uses indexed s.updated_at column, Unix ms)
-    // Accepts ISO date strings (2025-12-03) or Unix ms timestamps
-    if (date_from) {
-      const fromMs = date_from.includes('-') ? new Date(date_from).getTime() : parseInt(date_from);
-      if (!isNaN(fromMs)) {
-        whereClauses.push(`s.updated_at >= $${paramIndex++}`);
-        params.push(fromMs);
-      }
-    }
-    if (date_to) {
-      // If ISO date, set to end of day (23:59:59.999)
-      let toMs = date_to.includes('-') ? new Date(date_to).getTime() + 86400000 - 1 : parseInt(date_to);
-      if (!isNaN(toMs)) {
-        whereClauses.push(`s.updated_at <= $${paramIndex++}`);
-        params.push(toMs);
-      }
-    }
+    // Location, device, duration, time-of-day and date filters (shared with funnel-stats)
+    const sessionFilters = buildSessionFilters(req.query, paramIndex);
+    whereClauses.push(...sessionFilters.clauses);
+    params.push(...sessionFilters.params);
+    paramIndex = sessionFilters.paramIndex;
 
     // Build WHERE clause string
     let whereClause = "";
@@ -2365,7 +2691,7 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
     baseQuery += whereClause;
 
     baseQuery += `
-      GROUP BY sc.session_id, sc.distinct_id, sc.campaign_id, c.name, c.funnel_config, s.status, s.watched, s.watched_at, s.assets_status, s.ai_diagnosis, s.furthest_step_index, s.location_country, s.location_city, s.location_region, s.device_os, s.device_browser, s.device_type, s.duration_ms, s.start_hour, s.updated_at
+      GROUP BY sc.session_id, sc.distinct_id, sc.campaign_id, c.name, c.funnel_config, s.status, s.watched, s.watched_at, s.assets_status, s.ai_diagnosis, s.furthest_step_index, s.location_country, s.location_city, s.location_region, s.device_os, s.device_browser, s.device_type, s.duration_ms, s.start_hour, s.updated_at, s.integrity_status
       ORDER BY first_timestamp DESC
       LIMIT $${paramIndex++} OFFSET $${paramIndex++}
     `;
@@ -2385,6 +2711,26 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
       WHERE ps.session_id = ANY($1)
     `, [sessionIds]) : { rows: [] };
 
+    // Batch fetch frustration signal counts for all sessions (avoids N+1)
+    const { rows: signalCounts } = sessionIds.length > 0 ? await db.query(`
+      SELECT session_id, signal, COUNT(*) as count
+      FROM session_signals
+      WHERE session_id = ANY($1)
+      GROUP BY session_id, signal
+    `, [sessionIds]) : { rows: [] };
+
+    // Batch fetch captured error counts for all sessions (avoids N+1)
+    const { rows: errorCounts } = sessionIds.length > 0 ? await db.query(`
+      SELECT session_id, SUM(count) as count
+      FROM session_errors
+      WHERE session_id = ANY($1)
+      GROUP BY session_id
+    `, [sessionIds]) : { rows: [] };
+    const errorCountMap = {};
+    for (const row of errorCounts) {
+      errorCountMap[row.session_id] = parseInt(row.count);
+    }
+
     // Batch fetch emails for all distinct_ids (avoids N+1)
     const { rows: emailLinks } = distinctIds.length > 0 ? await db.query(`
       SELECT a.distinct_id, u.email
@@ -2402,6 +2748,15 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
       problemsMap[link.session_id].push({ id: link.problem_id, title: link.problem_title });
     }
 
+    // Build session -> { signal: count } map
+    const signalsMap = {};
+    for (const row of signalCounts) {
+      if (!signalsMap[row.session_id]) {
+        signalsMap[row.session_id] = {};
+      }
+      signalsMap[row.session_id][row.signal] = parseInt(row.count);
+    }
+
     // Build distinct_id -> email map
     const emailMap = {};
     for (const link of emailLinks) {
@@ -2429,9 +2784,12 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
         status: session.status || "dropped_off",
         watched: session.watched === true,
         email: emailMap[session.distinct_id] || null,
+        integrity_status: session.integrity_status || "complete",
         playback_url: `/api/sessions/${session.session_id}/playback`,
         furthest_step_key,
-        problems: problemsMap[session.session_id] || []
+        problems: problemsMap[session.session_id] || [],
+        signals: signalsMap[session.session_id] || {},
+        error_count: errorCountMap[session.session_id] || 0
       };
     });
 
@@ -2453,22 +2811,35 @@ app.get("/api/sessions", authenticateJWT, async (req, res) => {
   }
 });
 
+// Wait until a streaming response can take more data. No "drain" follows a closed
+// socket, so this rejects if the client goes away first instead of hanging forever.
+function waitForDrain(res) {
+  return new Promise((resolve, reject) => {
+    const finish = (err) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onClose);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => finish();
+    const onClose = () => finish(new Error("Client disconnected"));
+    if (res.destroyed) return onClose();
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", onClose);
+  });
+}
+
 // Get session playback data (auth required)
+// Events are streamed into the JSON response as the session reader merges them,
+// so multi-hour sessions never have to be held in memory in full.
 app.get("/api/sessions/:session_id/playback", authenticateJWT, async (req, res) => {
   try {
     const { session_id } = req.params;
 
     // 1. Always get "Source of Truth" from DB first (required anyway for S3 keys)
-    const { rows: chunks } = await db.query(`
-      SELECT sc.*, c.name as campaign_name
-      FROM session_chunks sc
-      LEFT JOIN campaigns c ON sc.campaign_id = c.id
-      WHERE sc.session_id = $1
-      ORDER BY
-        CASE WHEN sc.sequence_id IS NULL THEN 1 ELSE 0 END,
-        sc.sequence_id ASC,
-        sc.timestamp ASC
-    `, [session_id]);
+    const chunks = await sessionReader.listSessionChunks(session_id, db);
 
     if (chunks.length === 0) {
       return res.status(404).json({ error: "Session not found" });
@@ -2491,85 +2862,71 @@ app.get("/api/sessions/:session_id/playback", authenticateJWT, async (req, res)
       console.log(`🔄 Cache stale for session: ${session_id} (DB: ${chunks.length} chunks, Cache: ${cached.metadata?.chunk_count || 0} chunks)`);
     }
 
-    // 3. Fetch all chunks from S3 in PARALLEL (cache miss or stale)
-    console.log(`📥 Fetching ${validChunks.length} chunks from S3 for session: ${session_id}`);
+    // 3. Stream chunks from storage in sequence order (cache miss or stale)
+    console.log(`📥 Streaming ${validChunks.length} chunks from storage for session: ${session_id}`);
     const fetchStart = Date.now();
 
-    const chunkPromises = validChunks.map(async (chunk) => {
-      try {
-        const s3Response = await s3.getObject({
-          Bucket: chunk.s3_bucket,
-          Key: chunk.s3_key
-        }).promise();
-
-        // Handle both gzipped (.json.gz) and plain JSON files
-        let jsonString;
-        if (chunk.s3_key.endsWith('.gz')) {
-          // Decompress gzipped content (async)
-          const decompressed = await new Promise((resolve, reject) => {
-            zlib.gunzip(s3Response.Body, (err, result) => {
-              if (err) reject(err);
-              else resolve(result);
-            });
-          });
-          jsonString = decompressed.toString("utf8");
-        } else {
-          // Legacy plain JSON
-          jsonString = s3Response.Body.toString("utf8");
+    res.type("json");
+    res.write(`{"session_id":${JSON.stringify(session_id)},"events":[`);
+
+    // Keep a copy for the cache only while the session is small enough
+    let cacheEvents = [];
+    let first = true;
+
+    const { pageUrls, eventCount, report } = await sessionReader.readSession(session_id, db, {
+      chunks,
+      onBatch: async (batch) => {
+        // Throwing stops the read, releasing its prefetched chunks and the cache copy
+        if (res.destroyed) throw new Error("Client disconnected");
+        if (cacheEvents) {
+          for (const event of batch) cacheEvents.push(event);
+          if (cacheEvents.length > PLAYBACK_CACHE_MAX_EVENTS) cacheEvents = null;
         }
 
-        return JSON.parse(jsonString);
-      } catch (s3Err) {
-        console.error(`Error fetching chunk from S3 (${chunk.s3_bucket}/${chunk.s3_key}):`, s3Err.message);
-        return null;
+        const json = batch.map(event => JSON.stringify(event)).join(",");
+        const ok = res.write(first ? json : "," + json);
+        first = false;
+        if (!ok) await waitForDrain(res);
       }
     });
 
-    const chunkResults = await Promise.all(chunkPromises);
     const fetchDuration = Date.now() - fetchStart;
-    console.log(`⏱️  Fetched ${validChunks.length} chunks in ${fetchDuration}ms`);
-
-    // Merge events and collect page URLs
-    let allEvents = [];
-    const pageUrls = [];
-
-    for (const data of chunkResults) {
-      if (!data) continue;
-      if (data.events && Array.isArray(data.events)) {
-        allEvents = allEvents.concat(data.events);
-      }
-      if (data.pageUrl && !pageUrls.includes(data.pageUrl)) {
-        pageUrls.push(data.pageUrl);
-      }
-    }
-
-    // Sort events by timestamp
-    allEvents.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    console.log(`⏱️  Streamed ${eventCount} events from ${report.loaded_chunks}/${report.total_chunks} objects in ${fetchDuration}ms`);
 
     const firstChunk = chunks[0];
     const lastChunk = chunks[chunks.length - 1];
 
-    const result = {
-      session_id,
-      events: allEvents,
-      metadata: {
-        campaign_id: firstChunk.campaign_id,
-        campaign_name: firstChunk.campaign_name,
-        distinct_id: firstChunk.distinct_id,
-        duration_ms: lastChunk.timestamp - firstChunk.timestamp,
-        page_urls: pageUrls,
-        chunk_count: chunks.length,
-        cached: false
-      }
+    const metadata = {
+      campaign_id: firstChunk.campaign_id,
+      campaign_name: firstChunk.campaign_name,
+      distinct_id: firstChunk.distinct_id,
+      duration_ms: lastChunk.timestamp - firstChunk.timestamp,
+      page_urls: pageUrls,
+      chunk_count: chunks.length,
+      chunk_report: report,
+      cached: false
     };
 
-    // Cache the result
-    sessionCache.set(session_id, result);
-    console.log(`💾 Cached session: ${session_id} (${allEvents.length} events)`);
+    res.end(`],"metadata":${JSON.stringify(metadata)}}`);
 
-    res.json(result);
+    // Chunks found missing/corrupt while streaming feed the session's integrity report
+    await integrity.recordReadReport(session_id, report, db).catch(err => {
+      console.error(`Error recording integrity for ${session_id}:`, err.message);
+    });
+
+    // Only cache complete, reasonably sized sessions (a retry may recover missing chunks)
+    if (cacheEvents && report.complete) {
+      sessionCache.set(session_id, { session_id, events: cacheEvents, metadata });
+      console.log(`💾 Cached session: ${session_id} (${cacheEvents.length} events)`);
+    }
   } catch (err) {
+    if (res.destroyed) {
+      console.log(`🔌 Playback aborted for ${req.params.session_id}: client disconnected`);
+      return;
+    }
     console.error("Error in GET /api/sessions/:session_id/playback:", err);
+    // Headers are gone once streaming has started - abort so the client sees a failed response
+    if (res.headersSent) return res.destroy(err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -2595,6 +2952,8 @@ app.get("/api/sessions/:session_id", authenticateJWT, async (req, res) => {
         s.ai_last_step,
         s.ai_progress,
         s.furthest_step_index,
+        s.integrity_status,
+        s.integrity_report,
         MIN(sc.timestamp) as first_timestamp,
         MAX(sc.timestamp) as last_timestamp,
         (MAX(sc.timestamp) - MIN(sc.timestamp)) as duration_ms,
@@ -2603,7 +2962,7 @@ app.get("/api/sessions/:session_id", authenticateJWT, async (req, res) => {
       LEFT JOIN campaigns c ON sc.campaign_id = c.id
       LEFT JOIN sessions s ON sc.session_id = s.session_id
       WHERE sc.session_id = $1
-      GROUP BY sc.session_id, sc.distinct_id, sc.campaign_id, c.name, c.funnel_config, s.status, s.watched, s.watched_at, s.assets_status, s.ai_diagnosis, s.ai_evidence, s.ai_last_step, s.ai_progress, s.furthest_step_index
+      GROUP BY sc.session_id, sc.distinct_id, sc.campaign_id, c.name, c.funnel_config, s.status, s.watched, s.watched_at, s.assets_status, s.ai_diagnosis, s.ai_evidence, s.ai_last_step, s.ai_progress, s.furthest_step_index, s.integrity_status, s.integrity_report
     `, [session_id]);
 
     if (!session) {
@@ -2627,6 +2986,39 @@ app.get("/api/sessions/:session_id", authenticateJWT, async (req, res) => {
     `, [session_id]);
     const journey = stepVisits.map(s => s.step_key);
 
+    // Frustration signals (src/frustration.js), in session order
+    const { rows: signalRows } = await db.query(`
+      SELECT signal, offset_ms, node_id, label, selector, url, details
+      FROM session_signals
+      WHERE session_id = $1
+      ORDER BY offset_ms ASC
+    `, [session_id]);
+    const signals = signalRows.map(row => {
+      let details = {};
+      try {
+        details = JSON.parse(row.details) || {};
+      } catch (e) {
+        // Invalid JSON, leave empty
+      }
+      return { ...row, details };
+    });
+
+    // Captured errors (src/session-errors.js), in order of first occurrence
+    const { rows: errors } = await db.query(`
+      SELECT kind, message, request_url, status, page_url, count, first_offset_ms, last_offset_ms, max_duration_ms
+      FROM session_errors
+      WHERE session_id = $1
+      ORDER BY first_offset_ms ASC
+    `, [session_id]);
+
+    // Visited pages (src/session-pages.js), in visit order
+    const { rows: pages } = await db.query(`
+      SELECT visit_index, url, offset_ms, dwell_ms, is_exit
+      FROM session_pages
+      WHERE session_id = $1
+      ORDER BY visit_index ASC
+    `, [session_id]);
+
     // Resolve furthest_step_index to key string
     let furthest_step_key = null;
     if (session.funnel_config && session.furthest_step_index >= 0) {
@@ -2638,18 +3030,36 @@ app.get("/api/sessions/:session_id", authenticateJWT, async (req, res) => {
       }
     }
 
+    // Integrity report (computed on first view for sessions recorded before tracking)
+    let integrityReport = null;
+    if (session.integrity_report) {
+      try {
+        integrityReport = JSON.parse(session.integrity_report);
+      } catch (e) {
+        // Invalid JSON, recompute below
+      }
+    }
+    if (!integrityReport) {
+      integrityReport = await integrity.updateSessionIntegrity(session_id, db);
+    }
+
     // Exclude funnel_config from response (internal detail)
-    const { funnel_config, ...sessionData } = session;
+    const { funnel_config, integrity_report, ...sessionData } = session;
 
     res.json({
       ...sessionData,
+      integrity_status: integrityReport?.status || session.integrity_status || "complete",
+      integrity: integrityReport,
       email: emailResult?.email || null,
       status: session.status || "dropped_off",
       assets_status: session.assets_status || "raw",
       watched: session.watched === true,
       playback_url: `/api/sessions/${session.session_id}/playback`,
       furthest_step_key,
-      journey
+      journey,
+      signals,
+      errors,
+      pages
     });
   } catch (err) {
     console.error("Error in GET /api/sessions/:session_id:", err);
@@ -2658,45 +3068,28 @@ app.get("/api/sessions/:session_id", authenticateJWT, async (req, res) => {
 });
 
 // Delete session (auth required)
+// Removes chunk objects, archive, rendered assets and all DB rows (see src/session-purge.js)
 app.delete("/api/sessions/:session_id", authenticateJWT, async (req, res) => {
   try {
     const { session_id } = req.params;
 
-    // Check if session exists and get S3 info
-    const { rows: chunks } = await db.query(
-      "SELECT s3_key, s3_bucket FROM session_chunks WHERE session_id = $1",
-      [session_id]
-    );
-    if (chunks.length === 0) {
+    const result = await deleteSessionData(session_id, db, { reason: "manual", actor: req.user?.email || null });
+    if (!result) {
       return res.status(404).json({ error: "Session not found" });
     }
 
-    // Delete from S3
-    for (const chunk of chunks) {
-      if (chunk.s3_key && chunk.s3_bucket) {
-        try {
-          await s3.deleteObject({
-            Bucket: chunk.s3_bucket,
-            Key: chunk.s3_key
-          }).promise();
-          console.log(`🗑️  Deleted from S3: ${chunk.s3_bucket}/${chunk.s3_key}`);
-        } catch (s3Err) {
-          console.error(`Error deleting from S3 (${chunk.s3_key}):`, s3Err.message);
-        }
-      }
+    if (!result.deleted) {
+      return res.status(500).json({
+        error: "Failed to delete session data from storage",
+        storage_errors: result.storage_errors
+      });
     }
 
-    // Delete from session_chunks
-    await db.query("DELETE FROM session_chunks WHERE session_id = $1", [session_id]);
-
-    // Delete from sessions (status)
-    await db.query("DELETE FROM sessions WHERE session_id = $1", [session_id]);
-
     // Invalidate cache
     sessionCache.del(session_id);
 
-    console.log(`🗑️  Session deleted: ${session_id}`);
-    res.json({ success: true, deleted_chunks: chunks.length });
+    console.log(`🗑️  Session deleted: ${session_id} (${result.objects_deleted} objects)`);
+    res.json({ success: true, deleted_chunks: result.chunk_count, deleted_objects: result.objects_deleted });
   } catch (err) {
     console.error("Error in DELETE /api/sessions/:session_id:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -2751,8 +3144,8 @@ app.post("/api/sessions/:session_id/status", validateDomainToken, async (req, re
     // Handle assets based on status
     let assetsStatus;
     if (status === 'dropped_off') {
-      // Auto-queue for video generation
-      await queue.addJob(session_id);
+      // Auto-queue for video generation (bulk, behind manual and problem-cohort jobs)
+      await queue.addJob(session_id, { queue: "auto" });
       assetsStatus = 'queued';
     } else {
       // Completed sessions stay raw (save cost)
@@ -2840,10 +3233,16 @@ app.post("/api/sessions/:session_id/checkpoint", validateDomainToken, async (req
 });
 
 // Manually trigger video generation for a session (auth required)
+// Body (optional): { render_profile } - overrides the campaign's render profile for this video
 app.post("/api/sessions/:session_id/generate-assets", authenticateJWT, async (req, res) => {
   try {
     const { session_id } = req.params;
 
+    const renderProfile = renderProfiles.parseProfileName(req.body?.render_profile);
+    if (!renderProfile.valid) {
+      return res.status(400).json({ error: RENDER_PROFILE_ERROR() });
+    }
+
     // Check if session exists
     const session = await db.queryOne("SELECT session_id, assets_status FROM sessions WHERE session_id = $1", [session_id]);
     if (!session) {
@@ -2865,24 +3264,25 @@ app.post("/api/sessions/:session_id/generate-assets", authenticateJWT, async (re
       return res.status(400).json({ error: "Assets already queued", assets_status: 'queued' });
     }
 
-    // Queue for processing
-    await queue.addJob(session_id);
+    // Queue for processing (manual queue: someone is waiting on it)
+    await queue.addJob(session_id, { queue: "manual", renderProfile: renderProfile.value });
     console.log(`🎬 Manual video generation queued: ${session_id}`);
-    res.json({ success: true, session_id, assets_status: 'queued' });
+    res.json({ success: true, session_id, assets_status: 'queued', job_queue: "manual", render_profile: renderProfile.value });
   } catch (err) {
     console.error("Error in POST /api/sessions/:session_id/generate-assets:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get session assets (video + timeline signed URLs) - auth required
+// Get session assets (video, timeline and thumbnail signed URLs) - auth required
 app.get("/api/sessions/:session_id/assets", authenticateJWT, async (req, res) => {
   try {
     const { session_id } = req.params;
 
     // Get session with asset info
     const session = await db.queryOne(`
-      SELECT s.session_id, s.assets_status, s.video_s3_key, s.timeline_s3_key, sc.s3_bucket
+      SELECT s.session_id, s.assets_status, s.video_s3_key, s.timeline_s3_key, s.render_profile,
+             s.poster_s3_key, s.preview_s3_key, s.sprite_s3_key, s.sprite_meta, sc.s3_bucket
       FROM sessions s
       LEFT JOIN session_chunks sc ON s.session_id = sc.session_id
       WHERE s.session_id = $1
@@ -2899,7 +3299,8 @@ app.get("/api/sessions/:session_id/assets", authenticateJWT, async (req, res) =>
         session_id,
         assets_status: session.assets_status || 'raw',
         video_url: null,
-        timeline_url: null
+        timeline_url: null,
+        thumbnails: null
       });
     }
 
@@ -2908,20 +3309,35 @@ app.get("/api/sessions/:session_id/assets", authenticateJWT, async (req, res) =>
     let videoUrl = null;
     let timelineUrl = null;
 
+    const urlOptions = { expiresIn: signedUrlExpiry, baseUrl: getPublicBaseUrl(req) };
+
     if (session.video_s3_key && session.s3_bucket) {
-      videoUrl = s3.getSignedUrl('getObject', {
-        Bucket: session.s3_bucket,
-        Key: session.video_s3_key,
-        Expires: signedUrlExpiry
-      });
+      videoUrl = await storage.getDownloadUrl(session.s3_bucket, session.video_s3_key, urlOptions);
     }
 
     if (session.timeline_s3_key && session.s3_bucket) {
-      timelineUrl = s3.getSignedUrl('getObject', {
-        Bucket: session.s3_bucket,
-        Key: session.timeline_s3_key,
-        Expires: signedUrlExpiry
-      });
+      timelineUrl = await storage.getDownloadUrl(session.s3_bucket, session.timeline_s3_key, urlOptions);
+    }
+
+    // Videos rendered before thumbnails existed (or whose thumbnails failed) have none
+    let thumbnails = null;
+    if (session.poster_s3_key && session.s3_bucket) {
+      let sprite = null;
+      try {
+        sprite = session.sprite_meta ? JSON.parse(session.sprite_meta) : null;
+      } catch (e) {
+        // Invalid JSON, serve the sprite without its layout
+      }
+      thumbnails = {
+        poster_url: await storage.getDownloadUrl(session.s3_bucket, session.poster_s3_key, urlOptions),
+        preview_url: session.preview_s3_key
+          ? await storage.getDownloadUrl(session.s3_bucket, session.preview_s3_key, urlOptions)
+          : null,
+        sprite_url: session.sprite_s3_key
+          ? await storage.getDownloadUrl(session.s3_bucket, session.sprite_s3_key, urlOptions)
+          : null,
+        sprite: session.sprite_s3_key ? sprite : null
+      };
     }
 
     res.json({
@@ -2929,6 +3345,8 @@ app.get("/api/sessions/:session_id/assets", authenticateJWT, async (req, res) =>
       assets_status: 'ready',
       video_url: videoUrl,
       timeline_url: timelineUrl,
+      thumbnails,
+      render_profile: session.render_profile || renderProfiles.DEFAULT_PROFILE,
       expires_in: signedUrlExpiry
     });
   } catch (err) {
@@ -2937,15 +3355,63 @@ app.get("/api/sessions/:session_id/assets", authenticateJWT, async (req, res) =>
   }
 });
 
-// Get session AI analysis result (auth required)
-app.get("/api/sessions/:session_id/ai-result", authenticateJWT, async (req, res) => {
+// Get structured session timeline (JSON entries) - auth required
+// Served from the worker's timeline.json when the session has been rendered,
+// otherwise built from the recorded events.
+app.get("/api/sessions/:session_id/timeline", authenticateJWT, async (req, res) => {
   try {
     const { session_id } = req.params;
 
-    // Get session with AI diagnosis
     const session = await db.queryOne(`
-      SELECT session_id, ai_diagnosis, ai_evidence, ai_last_step, ai_progress
-      FROM sessions
+      SELECT sc.session_id, s.timeline_json_s3_key, sc.s3_bucket
+      FROM session_chunks sc
+      LEFT JOIN sessions s ON s.session_id = sc.session_id
+      WHERE sc.session_id = $1
+      LIMIT 1
+    `, [session_id]);
+
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (session.timeline_json_s3_key && session.s3_bucket) {
+      try {
+        const body = await storage.getObject(session.s3_bucket, session.timeline_json_s3_key);
+        const stored = JSON.parse(body.toString("utf8"));
+        return res.json({ session_id, source: "stored", ...stored });
+      } catch (err) {
+        // Missing or unreadable: fall back to the events
+        console.warn(`⚠️ Stored timeline unavailable for ${session_id}: ${err.message}`);
+      }
+    }
+
+    const { events } = await s3Helpers.fetchMergedSession(session_id, db);
+    if (!events || events.length === 0) {
+      return res.status(404).json({ error: "No events found in session" });
+    }
+
+    res.json({
+      session_id,
+      source: "generated",
+      duration_ms: events[events.length - 1].timestamp - events[0].timestamp,
+      event_count: events.length,
+      entries: buildTimeline(events)
+    });
+  } catch (err) {
+    console.error("Error in GET /api/sessions/:session_id/timeline:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get session AI analysis result (auth required)
+app.get("/api/sessions/:session_id/ai-result", authenticateJWT, async (req, res) => {
+  try {
+    const { session_id } = req.params;
+
+    // Get session with AI diagnosis
+    const session = await db.queryOne(`
+      SELECT session_id, ai_diagnosis, ai_evidence, ai_last_step, ai_progress
+      FROM sessions
       WHERE session_id = $1
     `, [session_id]);
 
@@ -2999,6 +3465,8 @@ app.get("/api/campaigns/:id/ai-status", authenticateJWT, async (req, res) => {
         COUNT(DISTINCT CASE WHEN s.assets_status = 'processing' THEN s.session_id END) as processing,
         COUNT(DISTINCT CASE WHEN s.assets_status = 'raw' OR s.assets_status IS NULL THEN s.session_id END) as raw,
         COUNT(DISTINCT CASE WHEN s.assets_status = 'failed' THEN s.session_id END) as failed,
+        COUNT(DISTINCT CASE WHEN s.assets_status = 'dead' THEN s.session_id END) as dead,
+        COUNT(DISTINCT CASE WHEN s.assets_status = 'cancelled' THEN s.session_id END) as cancelled,
         COUNT(DISTINCT CASE WHEN s.status = 'dropped_off' THEN s.session_id END) as dropped_off,
         COUNT(DISTINCT CASE WHEN s.status = 'completed' THEN s.session_id END) as completed
       FROM sessions s
@@ -3019,7 +3487,9 @@ app.get("/api/campaigns/:id/ai-status", authenticateJWT, async (req, res) => {
         queued: parseInt(stats.queued) || 0,
         processing: parseInt(stats.processing) || 0,
         raw: parseInt(stats.raw) || 0,
-        failed: parseInt(stats.failed) || 0
+        failed: parseInt(stats.failed) || 0,
+        dead: parseInt(stats.dead) || 0,
+        cancelled: parseInt(stats.cancelled) || 0
       },
       ai_ready: parseInt(stats.ready) || 0
     });
@@ -3112,7 +3582,7 @@ app.post("/api/campaigns/:id/analyze", authenticateJWT, async (req, res) => {
 
         // Step 1: Generate Golden Timeline from completed session
         console.log(`[AI] Generating Golden Timeline from: ${goldenSession.session_id}`);
-        const goldenData = await s3Helpers.fetchMergedSession(goldenSession.session_id, db, s3);
+        const goldenData = await s3Helpers.fetchMergedSession(goldenSession.session_id, db);
         const goldenTimelineText = generateTimeline(goldenData.events);
 
         // Step 2: Generate custom rubric from mission brief + golden path
@@ -3148,19 +3618,13 @@ app.post("/api/campaigns/:id/analyze", authenticateJWT, async (req, res) => {
             console.log(`[AI] Processing ${session.session_id} [${i + 1}/${dropOffSessions.length}]`);
 
             // A. Download timeline (text, keep in memory)
-            const timelineResponse = await s3.getObject({
-              Bucket: session.bucket,
-              Key: session.timeline_s3_key
-            }).promise();
-            const timelineText = timelineResponse.Body.toString('utf8');
+            const timelineBody = await storage.getObject(session.bucket, session.timeline_s3_key);
+            const timelineText = timelineBody.toString('utf8');
 
             // B. Download video (binary, write to disk)
             console.log(`[AI] Downloading video for ${session.session_id}...`);
-            const videoResponse = await s3.getObject({
-              Bucket: session.bucket,
-              Key: session.video_s3_key
-            }).promise();
-            fs.writeFileSync(tempVideoPath, videoResponse.Body);
+            const videoBody = await storage.getObject(session.bucket, session.video_s3_key);
+            fs.writeFileSync(tempVideoPath, videoBody);
 
             // C. Run AI analysis with video
             const result = await aiAnalyst.analyzeDropOff(
@@ -3276,6 +3740,246 @@ app.get("/api/campaigns/:id/report", authenticateJWT, async (req, res) => {
   }
 });
 
+// =====================================================
+// AUDIT LOG ENDPOINTS
+// =====================================================
+
+// List session deletions (manual deletes and retention purges) (auth required)
+app.get("/api/audit/deletions", authenticateJWT, async (req, res) => {
+  try {
+    const { campaign_id, session_id, reason } = req.query;
+
+    // Pagination params
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = (page - 1) * limit;
+
+    const whereClauses = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (campaign_id) {
+      whereClauses.push(`campaign_id = $${paramIndex++}`);
+      params.push(campaign_id);
+    }
+    if (session_id) {
+      whereClauses.push(`session_id = $${paramIndex++}`);
+      params.push(session_id);
+    }
+    if (reason) {
+      whereClauses.push(`reason = $${paramIndex++}`);
+      params.push(reason);
+    }
+    const whereClause = whereClauses.length > 0 ? " WHERE " + whereClauses.join(" AND ") : "";
+
+    const countResult = await db.queryOne(`SELECT COUNT(*) as total FROM deletion_audit_log${whereClause}`, params);
+    const total = parseInt(countResult?.total || 0);
+
+    const { rows } = await db.query(`
+      SELECT id, session_id, campaign_id, reason, actor, retention_days, status,
+             objects_deleted, rows_deleted, error, created_at
+      FROM deletion_audit_log${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+    `, [...params, limit, offset]);
+
+    const total_pages = Math.ceil(total / limit);
+    res.json({
+      deletions: rows.map(row => ({
+        ...row,
+        objects_deleted: JSON.parse(row.objects_deleted || "[]"),
+        rows_deleted: JSON.parse(row.rows_deleted || "{}"),
+        error: row.error ? JSON.parse(row.error) : null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages,
+        has_next: page < total_pages,
+        has_prev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /api/audit/deletions:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// =====================================================
+// DATA SUBJECT ENDPOINTS (GDPR/CCPA)
+// =====================================================
+// Look up, export and erase everything tied to an end-user's email.
+// See src/data-subject.js.
+
+// Preview what is held for an email (auth required)
+app.get("/api/admin/subjects", authenticateJWT, async (req, res) => {
+  try {
+    const email = String(req.query.email || "").trim();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const summary = await dataSubject.summarizeSubject(email, db);
+    if (!summary.found) {
+      return res.status(404).json({ error: "No user found for this email" });
+    }
+
+    res.json(summary);
+  } catch (err) {
+    console.error("Error in GET /api/admin/subjects:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Download everything held for an email as .tar.gz (auth required)
+app.get("/api/admin/subjects/export", authenticateJWT, async (req, res) => {
+  try {
+    const email = String(req.query.email || "").trim();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    const { users } = await dataSubject.findSubject(email, db);
+    if (users.length === 0) {
+      return res.status(404).json({ error: "No user found for this email" });
+    }
+
+    const fileName = `subject-export-${dataSubject.hashEmail(email).slice(0, 8)}.tar.gz`;
+    res.setHeader("Content-Type", "application/gzip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    const result = await dataSubject.exportSubject(email, db, res);
+    console.log(`📦 Subject export by ${req.user?.email}: ${result.sessions} session(s), ${result.files} file(s)`);
+  } catch (err) {
+    console.error("Error in GET /api/admin/subjects/export:", err);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+
+// Erase everything held for an email and return a signed receipt (auth required)
+app.post("/api/admin/subjects/erase", authenticateJWT, async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim();
+    if (!email) {
+      return res.status(400).json({ error: "email is required" });
+    }
+    if (req.body.confirm !== true) {
+      return res.status(400).json({ error: "Set confirm: true to erase this subject's data" });
+    }
+
+    const result = await dataSubject.eraseSubject(email, db, { actor: req.user?.email || null });
+    if (!result) {
+      return res.status(404).json({ error: "No user found for this email" });
+    }
+
+    for (const sessionId of result.receipt.sessions_erased) {
+      sessionCache.del(sessionId);
+    }
+
+    console.log(`🧹 Subject erasure ${result.receipt.receipt_id} by ${req.user?.email}: ${result.receipt.status}`);
+    res.status(result.receipt.status === "complete" ? 200 : 207).json(result);
+  } catch (err) {
+    console.error("Error in POST /api/admin/subjects/erase:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Fetch and verify a stored erasure receipt (auth required)
+app.get("/api/admin/erasure-receipts/:id", authenticateJWT, async (req, res) => {
+  try {
+    const row = await db.queryOne(
+      "SELECT id, receipt, signature, created_at FROM erasure_receipts WHERE id::text = $1",
+      [req.params.id]
+    );
+    if (!row) {
+      return res.status(404).json({ error: "Receipt not found" });
+    }
+
+    const receipt = JSON.parse(row.receipt);
+    res.json({
+      receipt,
+      signature: row.signature,
+      valid: dataSubject.verifyReceipt(receipt, row.signature)
+    });
+  } catch (err) {
+    console.error("Error in GET /api/admin/erasure-receipts/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// =====================================================
+// LOCAL STORAGE ENDPOINTS
+// =====================================================
+// Stand-in for S3 presigned URLs when a domain uses the "local" storage driver.
+// URLs are issued by storage.getUploadUrl/getDownloadUrl and carry an HMAC signature.
+
+// Resolve and authorize a signed local storage request
+function authorizeLocalStorageRequest(req, method) {
+  const bucket = req.params.bucket;
+  const key = req.params[0];
+  const driver = storage.forBucket(bucket);
+
+  if (driver.name !== "local") {
+    return { error: 404 };
+  }
+  if (!driver.verifySignature(method, bucket, key, req.query.expires, req.query.signature)) {
+    return { error: 403 };
+  }
+  return { bucket, key, driver };
+}
+
+// Direct upload target (recorder PUTs gzipped chunks here instead of S3)
+app.put("/api/storage/:bucket/*", express.raw({ type: "*/*", limit: "10mb" }), async (req, res) => {
+  try {
+    const auth = authorizeLocalStorageRequest(req, "PUT");
+    if (auth.error) {
+      return res.status(auth.error).json({ error: auth.error === 404 ? "Not found" : "Invalid or expired signature" });
+    }
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: "Expected raw request body" });
+    }
+
+    await auth.driver.put(auth.bucket, auth.key, req.body, req.headers["content-type"]);
+    console.log(`💾 Local storage write: ${auth.bucket}/${auth.key} (${req.body.length} bytes)`);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error("Error in PUT /api/storage/:bucket/*:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Signed download (video/timeline asset URLs for local tenants)
+app.get("/api/storage/:bucket/*", async (req, res) => {
+  try {
+    const auth = authorizeLocalStorageRequest(req, "GET");
+    if (auth.error) {
+      return res.status(auth.error).json({ error: auth.error === 404 ? "Not found" : "Invalid or expired signature" });
+    }
+
+    if (!(await auth.driver.exists(auth.bucket, auth.key))) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    res.type(path.extname(auth.key) || "application/octet-stream");
+    auth.driver.createReadStream(auth.bucket, auth.key)
+      .on("error", (streamErr) => {
+        console.error(`Error streaming ${auth.bucket}/${auth.key}:`, streamErr.message);
+        res.destroy(streamErr);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error("Error in GET /api/storage/:bucket/*:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // =====================================================
 // UPLOAD SESSION (Modified to require campaign)
 // =====================================================
@@ -3311,7 +4015,10 @@ app.post("/upload-session", async (req, res) => {
       return res.status(400).json({ error: "Missing campaign name" });
     }
 
-    const campaignRecord = await db.queryOne("SELECT id, name FROM campaigns WHERE name = $1", [campaign]);
+    const campaignRecord = await db.queryOne(
+      `SELECT id, name, ${quotas.QUOTA_COLUMNS} FROM campaigns WHERE name = $1`,
+      [campaign]
+    );
     if (!campaignRecord) {
       console.log(`❌ Campaign not found: ${campaign}`);
       return res.status(404).json({ error: `Campaign not found: ${campaign}` });
@@ -3328,13 +4035,27 @@ app.post("/upload-session", async (req, res) => {
     console.log(`✅ Domain verified: ${host}`);
     const verifiedDomain = host;
 
-    // Determine the correct S3 bucket for this domain
+    // Determine the correct storage bucket for this domain
     const bucketName = allowedDomains[verifiedDomain].bucket;
     if (!bucketName) {
-      return res.status(500).json({ error: "S3 bucket not configured for domain" });
+      return res.status(500).json({ error: "Storage bucket not configured for domain" });
+    }
+
+    // Same sampling + caps as upload-url
+    const admission = await quotas.admitSession(sessionId, distinctId, campaignRecord, db);
+    if (!admission.allowed) {
+      console.log(`🚫 Session not admitted: ${sessionId} -> ${campaign} (${admission.reason})`);
+      return res.status(429).json({ error: "Session not recorded for this campaign", reason: admission.reason });
     }
 
-    // Prepare session data for S3
+    // Mask PII before anything is stored
+    const scrubRules = piiScrubber.getRulesForHost(verifiedDomain);
+    if (scrubRules) {
+      const { stats } = await scrubUpload(sessionId, events, scrubRules);
+      console.log(`🙈 Scrubbed: ${stats.text} text, ${stats.inputs} inputs, ${stats.attributes} attributes`);
+    }
+
+    // Prepare session data for storage
     const s3Key = `sessions/${sessionId}_${Date.now()}_${uuidv4()}.json`;
     const sessionData = JSON.stringify({
       sessionId,
@@ -3345,22 +4066,15 @@ app.post("/upload-session", async (req, res) => {
       campaign: campaign
     });
 
-    // Upload to S3
-    const params = {
-      Bucket: bucketName,
-      Key: s3Key,
-      Body: sessionData,
-      ContentType: "application/json"
-    };
-
+    // Upload to the domain's storage driver
     try {
-      await s3.upload(params).promise();
-      console.log(`☁️  Uploaded to S3: s3://${bucketName}/${s3Key}`);
+      await storage.putObject(bucketName, s3Key, sessionData, "application/json");
+      console.log(`☁️  Uploaded to storage: ${bucketName}/${s3Key}`);
       console.log(`📋 Campaign: ${campaign}`);
       console.log(`📊 Events captured: ${events.length}`);
       console.log(`🌐 Page URL: ${pageUrl}`);
 
-      // Write to PostgreSQL after successful S3 upload
+      // Write to PostgreSQL after successful storage upload
       await db.query(`
         INSERT INTO session_chunks (session_id, distinct_id, campaign_id, s3_key, s3_bucket, page_url, timestamp)
         VALUES ($1, $2, $3, $4, $5, $6, $7)
@@ -3369,8 +4083,8 @@ app.post("/upload-session", async (req, res) => {
 
       res.json({ success: true, s3_key: s3Key });
     } catch (uploadErr) {
-      console.error("Error uploading to S3:", uploadErr);
-      return res.status(500).json({ error: "Failed to upload session to S3" });
+      console.error("Error uploading to storage:", uploadErr);
+      return res.status(500).json({ error: "Failed to upload session to storage" });
     }
   } catch (err) {
     console.error("Error in /upload-session:", err);
@@ -3419,6 +4133,227 @@ app.post("/identify", validateDomainToken, async (req, res) => {
   }
 });
 
+// =====================================================
+// QUEUE ENDPOINTS
+// =====================================================
+
+const RETRYABLE_STATUSES = ["failed", "dead"];
+
+// Parse ?status= / body.status ("failed", "dead" or omitted for both; requeue also takes "cancelled")
+function parseRetryableStatus(status, allowed = RETRYABLE_STATUSES) {
+  if (status === undefined || status === null || status === "") return RETRYABLE_STATUSES;
+  return allowed.includes(status) ? [status] : null;
+}
+
+// Parse ?status=queued,processing (omitted = all job statuses)
+function parseJobStatuses(status) {
+  if (!status) return queue.JOB_STATUSES;
+  const statuses = String(status).split(",").map(s => s.trim()).filter(Boolean);
+  return statuses.every(s => queue.JOB_STATUSES.includes(s)) ? statuses : null;
+}
+
+// List render jobs with progress (auth required)
+app.get("/api/queue/jobs", authenticateJWT, async (req, res) => {
+  try {
+    const statuses = parseJobStatuses(req.query.status);
+    if (!statuses) {
+      return res.status(400).json({ error: `status must be one or more of: ${queue.JOB_STATUSES.join(", ")}` });
+    }
+    if (req.query.queue && !queue.QUEUES.includes(req.query.queue)) {
+      return res.status(400).json({ error: `queue must be one of: ${queue.QUEUES.join(", ")}` });
+    }
+
+    // Pagination params
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = (page - 1) * limit;
+
+    const { jobs, total } = await queue.listJobs({
+      statuses,
+      queue: req.query.queue || null,
+      campaignId: req.query.campaign_id ? parseInt(req.query.campaign_id) : null,
+      workerId: req.query.worker_id || null,
+      limit,
+      offset
+    });
+
+    const total_pages = Math.ceil(total / limit);
+    res.json({
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages,
+        has_next: page < total_pages,
+        has_prev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /api/queue/jobs:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get one render job with progress (auth required)
+app.get("/api/queue/jobs/:session_id", authenticateJWT, async (req, res) => {
+  try {
+    const job = await queue.getJob(req.params.session_id);
+    if (!job) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json(job);
+  } catch (err) {
+    console.error("Error in GET /api/queue/jobs/:session_id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Cancel a queued, processing or retrying render job (auth required)
+app.post("/api/queue/jobs/:session_id/cancel", authenticateJWT, async (req, res) => {
+  try {
+    const { session_id } = req.params;
+
+    const previousStatus = await queue.cancelJob(session_id);
+    if (!previousStatus) {
+      const job = await queue.getJob(session_id);
+      if (!job) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      return res.status(409).json({ error: "Job is not queued, processing or waiting for a retry", assets_status: job.assets_status });
+    }
+
+    console.log(`🛑 Render job cancelled: ${session_id} (was ${previousStatus})`);
+    res.json({ success: true, session_id, assets_status: "cancelled", previous_status: previousStatus });
+  } catch (err) {
+    console.error("Error in POST /api/queue/jobs/:session_id/cancel:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Re-queue one render job with fresh attempts, e.g. after a cancel or to re-render (auth required)
+app.post("/api/queue/jobs/:session_id/requeue", authenticateJWT, async (req, res) => {
+  try {
+    const { session_id } = req.params;
+
+    const job = await queue.getJob(session_id);
+    if (!job) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (job.assets_status === "queued" || job.assets_status === "processing") {
+      return res.status(409).json({ error: `Job is already ${job.assets_status}`, assets_status: job.assets_status });
+    }
+
+    const renderProfile = renderProfiles.parseProfileName(req.body?.render_profile);
+    if (!renderProfile.valid) {
+      return res.status(400).json({ error: RENDER_PROFILE_ERROR() });
+    }
+
+    // Someone asked for it, so it goes in the manual queue
+    await queue.addJob(session_id, { queue: "manual", renderProfile: renderProfile.value });
+
+    console.log(`🔁 Render job re-queued: ${session_id} (was ${job.assets_status || "raw"})`);
+    res.json({ success: true, session_id, assets_status: "queued", job_queue: "manual", render_profile: renderProfile.value });
+  } catch (err) {
+    console.error("Error in POST /api/queue/jobs/:session_id/requeue:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// List failed and dead render jobs with their last error (auth required)
+app.get("/api/queue/failed", authenticateJWT, async (req, res) => {
+  try {
+    const statuses = parseRetryableStatus(req.query.status);
+    if (!statuses) {
+      return res.status(400).json({ error: "status must be failed or dead" });
+    }
+
+    // Pagination params
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = (page - 1) * limit;
+
+    const { jobs, total } = await queue.listFailedJobs({
+      statuses,
+      campaignId: req.query.campaign_id ? parseInt(req.query.campaign_id) : null,
+      limit,
+      offset
+    });
+
+    const total_pages = Math.ceil(total / limit);
+    res.json({
+      jobs,
+      max_attempts: queue.MAX_ATTEMPTS,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages,
+        has_next: page < total_pages,
+        has_prev: page > 1
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /api/queue/failed:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Available render profiles (auth required)
+app.get("/api/render-profiles", authenticateJWT, (req, res) => {
+  res.json({ default: renderProfiles.DEFAULT_PROFILE, profiles: renderProfiles.getProfiles() });
+});
+
+// Queue depth and age per named queue (auth required)
+app.get("/api/queue/stats", authenticateJWT, async (req, res) => {
+  try {
+    const stats = await queue.getQueueStats();
+    res.json({
+      queued: parseInt(stats.queued) || 0,
+      processing: parseInt(stats.processing) || 0,
+      ready: parseInt(stats.ready) || 0,
+      failed: parseInt(stats.failed) || 0,
+      dead: parseInt(stats.dead) || 0,
+      cancelled: parseInt(stats.cancelled) || 0,
+      raw: parseInt(stats.raw) || 0,
+      queues: stats.queues
+    });
+  } catch (err) {
+    console.error("Error in GET /api/queue/stats:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Re-queue failed/dead jobs with fresh attempts (auth required)
+// Body: { session_ids: [...] } or { status?, campaign_id? } for everything matching
+// (status "cancelled" re-queues cancelled jobs; they are left alone by default)
+app.post("/api/queue/requeue", authenticateJWT, async (req, res) => {
+  try {
+    const { session_ids, campaign_id } = req.body || {};
+
+    if (session_ids !== undefined && (!Array.isArray(session_ids) || session_ids.length === 0 ||
+        !session_ids.every(id => typeof id === "string"))) {
+      return res.status(400).json({ error: "session_ids must be a non-empty array of session IDs" });
+    }
+    const statuses = parseRetryableStatus(req.body?.status, [...RETRYABLE_STATUSES, "cancelled"]);
+    if (!statuses) {
+      return res.status(400).json({ error: "status must be failed, dead or cancelled" });
+    }
+
+    const requeued = await queue.requeueFailedJobs({
+      sessionIds: session_ids || null,
+      statuses,
+      campaignId: campaign_id ? parseInt(campaign_id) : null
+    });
+
+    console.log(`🔁 Re-queued ${requeued.length} render job(s)`);
+    res.json({ success: true, requeued: requeued.length, session_ids: requeued });
+  } catch (err) {
+    console.error("Error in POST /api/queue/requeue:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // =====================================================
 // STATS ENDPOINT
 // =====================================================
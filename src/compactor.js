@@ -0,0 +1,393 @@
+/**
+ * Session Compactor
+ *
+ * Rewrites all of a session's chunks into one deduplicated, timestamp-sorted,
+ * gzipped archive at recordings/{campaignId}/{sessionId}/archive_{ts}.json.gz
+ * and points sessions.archive_s3_key at it. Playback and the worker then read
+ * one object instead of N (see src/session-reader.js).
+ *
+ * - Runs once a session has gone idle, or shortly after it gets a status
+ * - session_chunks rows are kept (session lists, funnels and metadata query them);
+ *   they are only marked compacted_at
+ * - Chunk objects are garbage-collected after a grace period so in-flight
+ *   readers that listed them just before compaction still succeed
+ * - Chunks that arrive after compaction are read on top of the archive and
+ *   folded in by the next pass
+ * - A session that is skipped (missing/corrupt/unavailable chunks) or fails is
+ *   retried after COMPACTION_RETRY_BASE_MINUTES, doubling per attempt up to
+ *   COMPACTION_RETRY_MAX_MINUTES, so it can't hold a batch slot on every pass
+ * - Events are PII-scrubbed with the bucket's domain rules on the way into the
+ *   archive (src/pii-scrubber.js) - chunks uploaded straight to storage are
+ *   first scrubbed here
+ * - Frustration signals (src/frustration.js), captured errors
+ *   (src/session-errors.js), search entries (src/session-search.js) and visited
+ *   pages (src/session-pages.js) are indexed from the archived events
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const zlib = require('zlib');
+const { once } = require('events');
+const storage = require('./storage');
+const sessionReader = require('./session-reader');
+const integrity = require('./integrity');
+const piiScrubber = require('./pii-scrubber');
+const frustration = require('./frustration');
+const sessionErrors = require('./session-errors');
+const sessionSearch = require('./session-search');
+const sessionPages = require('./session-pages');
+
+// A session with no new chunks for this long is considered finished
+const IDLE_MINUTES = parseInt(process.env.COMPACTION_IDLE_MINUTES || '30', 10);
+// Sessions with a status are compacted sooner, leaving time for the final flush beacon to land
+const STATUS_SETTLE_MINUTES = parseInt(process.env.COMPACTION_STATUS_SETTLE_MINUTES || '2', 10);
+// How long compacted chunk objects are kept before being deleted
+const GC_GRACE_MINUTES = parseInt(process.env.COMPACTION_GC_GRACE_MINUTES || '60', 10);
+// Backoff for sessions that were skipped or failed
+const RETRY_BASE_MINUTES = parseInt(process.env.COMPACTION_RETRY_BASE_MINUTES || '15', 10);
+const RETRY_MAX_MINUTES = parseInt(process.env.COMPACTION_RETRY_MAX_MINUTES || '1440', 10);   // 1 day
+
+const BATCH_SIZE = 20;
+const GC_BATCH_SIZE = 500;
+
+/**
+ * Find sessions with chunks that are ready to be compacted.
+ * Single chunk sessions without an archive are skipped (nothing to merge)
+ * unless their bucket has PII scrub rules. Sessions backing off after a
+ * skipped or failed pass are left out until their next_compaction_at.
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {number} limit - Max sessions to return
+ * @returns {Promise<Array<string>>} - Session IDs
+ */
+async function findCandidates(db, limit = BATCH_SIZE) {
+    const { rows } = await db.query(`
+        SELECT sc.session_id
+        FROM session_chunks sc
+        LEFT JOIN sessions s ON sc.session_id = s.session_id
+        WHERE sc.compacted_at IS NULL
+          AND (s.next_compaction_at IS NULL OR s.next_compaction_at <= NOW())
+        GROUP BY sc.session_id, s.status, s.archive_s3_key
+        HAVING (COUNT(*) > 1 OR s.archive_s3_key IS NOT NULL OR BOOL_OR(sc.s3_bucket = ANY($4)))
+           AND (
+                MAX(sc.created_at) < NOW() - make_interval(mins => $1)
+                OR (s.status IS NOT NULL AND MAX(sc.created_at) < NOW() - make_interval(mins => $2))
+           )
+        ORDER BY MAX(sc.created_at) ASC
+        LIMIT $3
+    `, [IDLE_MINUTES, STATUS_SETTLE_MINUTES, limit, Object.keys(piiScrubber.getDomainRules().byBucket)]);
+
+    return rows.map(row => row.session_id);
+}
+
+/**
+ * Record a skipped or failed compaction pass and push the session's next
+ * attempt back (RETRY_BASE_MINUTES, doubling per attempt, capped).
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Attempts so far
+ */
+async function deferSession(sessionId, db) {
+    const row = await db.queryOne(`
+        INSERT INTO sessions (session_id, campaign_id, compaction_attempts, next_compaction_at, updated_at)
+        VALUES ($1, (SELECT campaign_id FROM session_chunks WHERE session_id = $1 LIMIT 1), 1,
+                NOW() + LEAST($2, $3) * INTERVAL '1 minute', $4)
+        ON CONFLICT (session_id) DO UPDATE SET
+            compaction_attempts = COALESCE(sessions.compaction_attempts, 0) + 1,
+            next_compaction_at = NOW() + LEAST($2 * POWER(2, COALESCE(sessions.compaction_attempts, 0)), $3) * INTERVAL '1 minute'
+        RETURNING compaction_attempts
+    `, [RETRY_BASE_MINUTES, RETRY_MAX_MINUTES, Date.now()]);
+
+    return row ? row.compaction_attempts : 0;
+}
+
+/**
+ * Streaming gzip writer for the archive JSON document.
+ * Only the compressed bytes are buffered.
+ */
+function createArchiveWriter() {
+    const gzip = zlib.createGzip();
+    const parts = [];
+    gzip.on('data', part => parts.push(part));
+    const finished = new Promise((resolve, reject) => {
+        gzip.on('end', () => resolve(Buffer.concat(parts)));
+        gzip.on('error', reject);
+    });
+
+    return {
+        async write(text) {
+            if (!gzip.write(text)) {
+                await once(gzip, 'drain');
+            }
+        },
+        async finish() {
+            gzip.end();
+            return finished;
+        }
+    };
+}
+
+/**
+ * Drops exact duplicate events (the same chunk uploaded twice by a retry or a
+ * flush beacon). Input is timestamp-sorted, so duplicates are always adjacent
+ * in time and only events sharing the current timestamp need remembering.
+ */
+function createDeduper() {
+    let currentTs = null;
+    let seen = new Set();
+
+    return function isDuplicate(serialized, timestamp) {
+        if (timestamp !== currentTs) {
+            currentTs = timestamp;
+            seen = new Set();
+        }
+        if (seen.has(serialized)) return true;
+        seen.add(serialized);
+        return false;
+    };
+}
+
+/**
+ * Write the archive document from already-ordered batches.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {Function} produce - async (onBatch) => { pageUrls }, feeds ordered batches
+ * @param {object|null} scrubRules - PII scrub rules for the session's bucket
+ * @returns {Promise<{body: Buffer, eventCount: number, duplicates: number, pageUrls: Array, signals: Array, errors: Array, searchEntries: Array, pages: Array}>}
+ *   - signals / errors / searchEntries / pages: frustration signals, captured errors, search entries and visited pages of the archived events
+ */
+async function buildArchive(sessionId, produce, scrubRules = null) {
+    const writer = createArchiveWriter();
+    const isDuplicate = createDeduper();
+    // Fresh per archive: the scrubber tracks the DOM from the session's first snapshot
+    const scrubber = scrubRules ? piiScrubber.createScrubber(scrubRules) : null;
+    const detector = frustration.createSignalDetector();
+    const errorCollector = sessionErrors.createErrorCollector();
+    const searchIndexer = sessionSearch.createSearchIndexer();
+    const pageTracker = sessionPages.createPageTracker();
+    let eventCount = 0;
+    let duplicates = 0;
+
+    await writer.write(`{"sessionId":${JSON.stringify(sessionId)},"archive":true,"events":[`);
+
+    const { pageUrls } = await produce(async (batch) => {
+        if (scrubber) scrubber.scrub(batch);
+        const parts = [];
+        for (const event of batch) {
+            const serialized = JSON.stringify(event);
+            if (isDuplicate(serialized, event.timestamp || 0)) {
+                duplicates++;
+                continue;
+            }
+            detector.add(event);
+            errorCollector.add(event);
+            searchIndexer.add(event);
+            pageTracker.add(event);
+            parts.push(serialized);
+        }
+        if (parts.length === 0) return;
+        await writer.write((eventCount > 0 ? ',' : '') + parts.join(','));
+        eventCount += parts.length;
+    });
+
+    await writer.write(`],"pageUrls":${JSON.stringify(pageUrls)}}`);
+    const body = await writer.finish();
+
+    return { body, eventCount, duplicates, pageUrls, signals: detector.finish(), errors: errorCollector.finish(),
+        searchEntries: searchIndexer.finish(), pages: pageTracker.finish() };
+}
+
+/**
+ * Compact one session.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object|null>} - Summary, or null if there was nothing to do
+ */
+async function compactSession(sessionId, db) {
+    const chunks = await sessionReader.listSessionChunks(sessionId, db);
+    const pending = chunks.filter(chunk => !chunk.compacted_at && chunk.s3_key && chunk.s3_bucket);
+    if (pending.length === 0) return null;
+
+    const previousArchive = chunks[0].archive_s3_key || null;
+    const previousBucket = chunks[0].archive_s3_bucket || null;
+    const bucket = previousBucket || pending[0].s3_bucket;
+    const campaignId = pending[0].campaign_id;
+    const scrubRules = piiScrubber.getRulesForBucket(pending[0].s3_bucket);
+
+    // Stream the merge straight into the archive
+    let report;
+    let archive = await buildArchive(sessionId, async (onBatch) => {
+        const result = await sessionReader.readSession(sessionId, db, { chunks, onBatch });
+        report = result.report;
+        return result;
+    }, scrubRules);
+
+    // Never replace readable data with an archive that is missing part of it
+    if (!report.complete) {
+        await integrity.recordReadReport(sessionId, report, db);
+        const attempts = await deferSession(sessionId, db);
+        console.error(`[Compactor] Skipping ${sessionId}: ${report.missing.length} missing, ` +
+            `${report.corrupt.length} corrupt, ${report.unavailable.length} unavailable chunk(s) (attempt ${attempts})`);
+        return { session_id: sessionId, skipped: true, report };
+    }
+
+    // Late/overlapping chunks were streamed out of order - redo with a full sort
+    if (report.out_of_order_events > 0) {
+        // readMergedSession sorts events that were streamed out of order
+        const { events, pageUrls } = await sessionReader.readMergedSession(sessionId, db, { chunks });
+        archive = await buildArchive(sessionId, async (onBatch) => {
+            await onBatch(events);
+            return { pageUrls };
+        }, scrubRules);
+    }
+
+    const archiveKey = `recordings/${campaignId}/${sessionId}/archive_${Date.now()}.json.gz`;
+    await storage.putObject(bucket, archiveKey, archive.body, 'application/gzip');
+
+    // Point the session at the new archive. Guard against a concurrent pass
+    // having compacted the same chunks or swapped the archive under us.
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+
+        const marked = await client.query(`
+            UPDATE session_chunks SET compacted_at = NOW()
+            WHERE id = ANY($1::int[]) AND compacted_at IS NULL
+        `, [pending.map(chunk => chunk.id)]);
+
+        const updated = await client.query(`
+            INSERT INTO sessions (session_id, campaign_id, archive_s3_key, archive_s3_bucket, archive_event_count, compacted_at, updated_at)
+            VALUES ($1, $2, $3, $4, $5, NOW(), $6)
+            ON CONFLICT (session_id) DO UPDATE SET
+                archive_s3_key = EXCLUDED.archive_s3_key,
+                archive_s3_bucket = EXCLUDED.archive_s3_bucket,
+                archive_event_count = EXCLUDED.archive_event_count,
+                compacted_at = EXCLUDED.compacted_at,
+                compaction_attempts = 0,
+                next_compaction_at = NULL
+            WHERE sessions.archive_s3_key IS NOT DISTINCT FROM $7
+        `, [sessionId, campaignId, archiveKey, bucket, archive.eventCount, Date.now(), previousArchive]);
+
+        if (marked.rowCount !== pending.length || updated.rowCount !== 1) {
+            throw new Error('Session was compacted concurrently');
+        }
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        await storage.deleteObject(bucket, archiveKey).catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    // The previous archive is fully contained in the new one.
+    // A reader that listed it a moment ago reports it missing and recovers on its next request.
+    if (previousArchive) {
+        await storage.deleteObject(previousBucket, previousArchive).catch(err => {
+            console.error(`[Compactor] Failed to delete old archive ${previousArchive}:`, err.message);
+        });
+    }
+
+    // Signals, errors, search entries and pages are derived data: a failure here leaves the previous ones until the next pass
+    await frustration.saveSignals(sessionId, archive.signals, db).catch(err => {
+        console.error(`[Compactor] Failed to save signals for ${sessionId}:`, err.message);
+    });
+    await sessionErrors.saveErrors(sessionId, archive.errors, db).catch(err => {
+        console.error(`[Compactor] Failed to save errors for ${sessionId}:`, err.message);
+    });
+    await sessionSearch.saveSearchEntries(sessionId, archive.searchEntries, db).catch(err => {
+        console.error(`[Compactor] Failed to save search entries for ${sessionId}:`, err.message);
+    });
+    await sessionPages.savePages(sessionId, archive.pages, db).catch(err => {
+        console.error(`[Compactor] Failed to save pages for ${sessionId}:`, err.message);
+    });
+
+    console.log(`[Compactor] ${sessionId}: ${pending.length} chunk(s) -> ${archiveKey} ` +
+        `(${archive.eventCount} events, ${archive.duplicates} duplicates dropped)`);
+
+    return {
+        session_id: sessionId,
+        archive_s3_key: archiveKey,
+        compacted_chunks: pending.length,
+        event_count: archive.eventCount,
+        duplicates: archive.duplicates
+    };
+}
+
+/**
+ * Compact every session that is ready.
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<{compacted: number, skipped: number, failed: number}>}
+ */
+async function runCompaction(db) {
+    const sessionIds = await findCandidates(db);
+    const stats = { compacted: 0, skipped: 0, failed: 0 };
+
+    for (const sessionId of sessionIds) {
+        try {
+            const result = await compactSession(sessionId, db);
+            if (!result || result.skipped) {
+                stats.skipped++;
+            } else {
+                stats.compacted++;
+            }
+        } catch (err) {
+            stats.failed++;
+            console.error(`[Compactor] Failed to compact ${sessionId}:`, err.message);
+            await deferSession(sessionId, db).catch(deferErr => {
+                console.error(`[Compactor] Failed to defer ${sessionId}:`, deferErr.message);
+            });
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Delete chunk objects that were compacted more than GC_GRACE_MINUTES ago.
+ * Rows are kept and marked purged_at.
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Number of objects deleted
+ */
+async function collectGarbage(db) {
+    const { rows } = await db.query(`
+        SELECT id, s3_key, s3_bucket FROM session_chunks
+        WHERE compacted_at < NOW() - make_interval(mins => $1)
+          AND purged_at IS NULL
+        ORDER BY compacted_at ASC
+        LIMIT $2
+    `, [GC_GRACE_MINUTES, GC_BATCH_SIZE]);
+
+    const purgedIds = [];
+    for (const chunk of rows) {
+        try {
+            await storage.deleteObject(chunk.s3_bucket, chunk.s3_key);
+            purgedIds.push(chunk.id);
+        } catch (err) {
+            console.error(`[Compactor] GC failed for ${chunk.s3_bucket}/${chunk.s3_key}:`, err.message);
+        }
+    }
+
+    if (purgedIds.length > 0) {
+        await db.query(
+            'UPDATE session_chunks SET purged_at = NOW() WHERE id = ANY($1::int[])',
+            [purgedIds]
+        );
+        console.log(`[Compactor] Garbage-collected ${purgedIds.length} compacted chunk object(s)`);
+    }
+
+    return purgedIds.length;
+}
+
+module.exports = {
+    findCandidates,
+    deferSession,
+    compactSession,
+    runCompaction,
+    collectGarbage
+};
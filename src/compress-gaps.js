@@ -70,6 +70,39 @@ function compressGaps(events, maxGapMs = MAX_GAP_MS) {
     return compressed;
 }
 
+/**
+ * Where compressGaps cut time out, for converting between session time (ms from
+ * the first event, as in timeline.json) and video time (ms into the rendered video).
+ *
+ * Each entry is the first event after a compressed gap: offset_ms in session time,
+ * video_ms in video time. From an entry until the next, video time is session
+ * time minus (offset_ms - video_ms); before the first entry the two are equal.
+ *
+ * @param {Array} events - Array of rrweb events (uncompressed)
+ * @param {number} maxGapMs - Maximum allowed gap in milliseconds (default: 5000)
+ * @returns {Array<{offset_ms: number, video_ms: number}>}
+ */
+function gapMap(events, maxGapMs = MAX_GAP_MS) {
+    if (!events || events.length < 2) {
+        return [];
+    }
+
+    const sorted = [...events].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const gaps = [];
+    let removed = 0;
+
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i].timestamp - sorted[i - 1].timestamp;
+        if (gap > maxGapMs) {
+            removed += gap - maxGapMs;
+            const offset = sorted[i].timestamp - sorted[0].timestamp;
+            gaps.push({ offset_ms: offset, video_ms: offset - removed });
+        }
+    }
+
+    return gaps;
+}
+
 /**
  * Analyze gaps in rrweb events.
  *
@@ -109,6 +142,7 @@ function analyzeGaps(events) {
 
 module.exports = {
     compressGaps,
+    gapMap,
     analyzeGaps,
     MAX_GAP_MS
 };
@@ -0,0 +1,342 @@
+/**
+ * Data Subject Requests (GDPR/CCPA)
+ *
+ * Finds everything tied to an email address via users -> aliases -> distinct_id:
+ * sessions, chunk events, rendered assets, funnel steps, notes, problem cohort
+ * membership and per-session AI results. Supports:
+ *
+ * - export: stream it all as a .tar.gz (see src/utils/tar.js)
+ * - erase: delete it everywhere (storage + DB) via src/session-purge.js, then the
+ *   user and aliases, and issue an HMAC-signed deletion receipt
+ *
+ * Receipts never contain the email - only a keyed hash, so a later request for
+ * the same address can be matched to its receipt without storing the address.
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { once } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const sessionReader = require('./session-reader');
+const { deleteSessionData } = require('./session-purge');
+const { createTarWriter } = require('./utils/tar');
+
+function getReceiptSecret() {
+    const secret = process.env.ERASURE_RECEIPT_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('ERASURE_RECEIPT_SECRET (or JWT_SECRET) must be set to sign erasure receipts');
+    }
+    return secret;
+}
+
+/**
+ * Keyed hash of a normalized email address (stored instead of the address).
+ *
+ * @param {string} email
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function hashEmail(email) {
+    return crypto.createHmac('sha256', getReceiptSecret())
+        .update(String(email).trim().toLowerCase())
+        .digest('hex');
+}
+
+/**
+ * Sign a receipt body. Keys are sorted so the signature doesn't depend on property order.
+ */
+function signReceipt(receipt) {
+    const canonical = JSON.stringify(receipt, Object.keys(receipt).sort());
+    return crypto.createHmac('sha256', getReceiptSecret()).update(canonical).digest('hex');
+}
+
+/**
+ * Check a stored receipt's signature.
+ *
+ * @param {object} receipt - Receipt body
+ * @param {string} signature - Hex signature
+ * @returns {boolean}
+ */
+function verifyReceipt(receipt, signature) {
+    const expected = Buffer.from(signReceipt(receipt), 'hex');
+    const provided = Buffer.from(String(signature || ''), 'hex');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Find the user, aliases and sessions for an email (case-insensitive).
+ *
+ * @param {string} email
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<{users: Array, aliases: Array, distinctIds: Array<string>, sessionIds: Array<string>}>}
+ */
+async function findSubject(email, db) {
+    const { rows: users } = await db.query(
+        'SELECT id, email, created_at FROM users WHERE LOWER(email) = LOWER($1)',
+        [String(email).trim()]
+    );
+    if (users.length === 0) {
+        return { users: [], aliases: [], distinctIds: [], sessionIds: [] };
+    }
+
+    const { rows: aliases } = await db.query(
+        'SELECT distinct_id, user_id, created_at FROM aliases WHERE user_id = ANY($1)',
+        [users.map(u => u.id)]
+    );
+    const distinctIds = aliases.map(a => a.distinct_id);
+
+    const { rows: sessions } = distinctIds.length > 0 ? await db.query(`
+        SELECT DISTINCT session_id FROM session_chunks WHERE distinct_id = ANY($1)
+        ORDER BY session_id
+    `, [distinctIds]) : { rows: [] };
+
+    return { users, aliases, distinctIds, sessionIds: sessions.map(s => s.session_id) };
+}
+
+/**
+ * Summarize what is held for an email (preview before export/erase).
+ *
+ * @param {string} email
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object>}
+ */
+async function summarizeSubject(email, db) {
+    const { users, distinctIds, sessionIds } = await findSubject(email, db);
+    if (users.length === 0) {
+        return { found: false, aliases: 0, sessions: [] };
+    }
+
+    const { rows: sessions } = sessionIds.length > 0 ? await db.query(`
+        SELECT sc.session_id, sc.campaign_id, c.name as campaign_name,
+               MIN(sc.timestamp) as first_timestamp, COUNT(sc.id) as chunk_count,
+               s.video_s3_key IS NOT NULL as has_video,
+               s.ai_diagnosis IS NOT NULL as has_ai_diagnosis
+        FROM session_chunks sc
+        LEFT JOIN campaigns c ON sc.campaign_id = c.id
+        LEFT JOIN sessions s ON sc.session_id = s.session_id
+        WHERE sc.session_id = ANY($1)
+        GROUP BY sc.session_id, sc.campaign_id, c.name, s.video_s3_key, s.ai_diagnosis
+        ORDER BY first_timestamp ASC
+    `, [sessionIds]) : { rows: [] };
+
+    return {
+        found: true,
+        aliases: distinctIds.length,
+        sessions: sessions.map(s => ({ ...s, chunk_count: parseInt(s.chunk_count) || 0 }))
+    };
+}
+
+// Session IDs are client-supplied: only plain ones are used as directory names as-is
+const SAFE_DIR_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Directory of a session inside the export archive. IDs that could escape the
+ * export directory (../, leading /) or overflow a tar header are replaced by a
+ * hash; manifest.json maps every raw session ID to its directory.
+ *
+ * @param {string} sessionId
+ * @returns {string} - e.g. sessions/sess_123 or sessions/id-3f2a...
+ */
+function sessionDir(sessionId) {
+    if (SAFE_DIR_NAME.test(sessionId)) return `sessions/${sessionId}`;
+    return `sessions/id-${crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Stream a .tar.gz export of everything held for an email.
+ *
+ * Layout:
+ *   manifest.json                      session IDs and their directories ({id} below, see sessionDir)
+ *   user.json                          users + aliases rows
+ *   sessions/{id}/session.json         sessions row (status, location, device, AI results)
+ *   sessions/{id}/chunks.json          session_chunks rows
+ *   sessions/{id}/steps.json           session_steps rows
+ *   sessions/{id}/signals.json         session_signals rows (frustration signals)
+ *   sessions/{id}/errors.json          session_errors rows (captured errors)
+ *   sessions/{id}/search.json          session_search_entries rows (indexed clicks, pages, input and page text)
+ *   sessions/{id}/pages.json           session_pages rows (visited pages with dwell time)
+ *   sessions/{id}/notes.json           problem_notes rows
+ *   sessions/{id}/problems.json        problem cohorts the session belongs to
+ *   sessions/{id}/events.json          merged rrweb events
+ *   sessions/{id}/video.mp4 / timeline.txt (if rendered)
+ *
+ * @param {string} email
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {import('stream').Writable} output - Destination (e.g. Express response)
+ * @returns {Promise<{sessions: number, files: number}>}
+ */
+async function exportSubject(email, db, output) {
+    const { users, aliases, sessionIds } = await findSubject(email, db);
+
+    const gzip = zlib.createGzip();
+    gzip.pipe(output);
+    const tar = createTarWriter(gzip);
+    let files = 0;
+
+    async function addJson(name, data) {
+        await tar.addFile(name, JSON.stringify(data, null, 2));
+        files++;
+    }
+
+    await addJson('manifest.json', {
+        email,
+        exported_at: new Date().toISOString(),
+        aliases: aliases.map(a => a.distinct_id),
+        sessions: sessionIds,
+        session_dirs: Object.fromEntries(sessionIds.map(sessionId => [sessionId, sessionDir(sessionId)]))
+    });
+    await addJson('user.json', { users, aliases });
+
+    for (const sessionId of sessionIds) {
+        const dir = sessionDir(sessionId);
+
+        const session = await db.queryOne('SELECT * FROM sessions WHERE session_id = $1', [sessionId]);
+        const chunks = await sessionReader.listSessionChunks(sessionId, db);
+        const { rows: steps } = await db.query(
+            'SELECT step_key, step_index, visited_at FROM session_steps WHERE session_id = $1 ORDER BY step_index',
+            [sessionId]
+        );
+        const { rows: signals } = await db.query(
+            'SELECT signal, offset_ms, label, selector, url, details FROM session_signals WHERE session_id = $1 ORDER BY offset_ms',
+            [sessionId]
+        );
+        const { rows: errors } = await db.query(
+            'SELECT kind, message, request_url, status, page_url, count, first_offset_ms, last_offset_ms FROM session_errors WHERE session_id = $1 ORDER BY first_offset_ms',
+            [sessionId]
+        );
+        const { rows: searchEntries } = await db.query(
+            'SELECT kind, offset_ms, text, url FROM session_search_entries WHERE session_id = $1 ORDER BY offset_ms, id',
+            [sessionId]
+        );
+        const { rows: pages } = await db.query(
+            'SELECT visit_index, url, entered_at, offset_ms, dwell_ms, is_exit FROM session_pages WHERE session_id = $1 ORDER BY visit_index',
+            [sessionId]
+        );
+        const { rows: notes } = await db.query(
+            'SELECT id, problem_id, content, color, created_at FROM problem_notes WHERE session_id = $1',
+            [sessionId]
+        );
+        const { rows: problems } = await db.query(`
+            SELECT cp.id, cp.title, ps.added_at
+            FROM problem_sessions ps
+            JOIN campaign_problems cp ON ps.problem_id = cp.id
+            WHERE ps.session_id = $1
+        `, [sessionId]);
+
+        await addJson(`${dir}/session.json`, session);
+        await addJson(`${dir}/chunks.json`, chunks.map(({ archive_s3_key, archive_s3_bucket, ...chunk }) => chunk));
+        await addJson(`${dir}/steps.json`, steps);
+        await addJson(`${dir}/signals.json`, signals);
+        await addJson(`${dir}/errors.json`, errors);
+        await addJson(`${dir}/search.json`, searchEntries);
+        await addJson(`${dir}/pages.json`, pages);
+        await addJson(`${dir}/notes.json`, notes);
+        await addJson(`${dir}/problems.json`, problems);
+
+        // One session's events at a time - never the whole subject in memory
+        const { events, report } = await sessionReader.readMergedSession(sessionId, db, { chunks });
+        await addJson(`${dir}/events.json`, { events, chunk_report: report });
+
+        const bucket = chunks[0]?.s3_bucket;
+        const assets = [
+            ['video.mp4', session?.video_s3_key],
+            ['timeline.txt', session?.timeline_s3_key],
+            ['timeline.json', session?.timeline_json_s3_key],
+            ['poster.jpg', session?.poster_s3_key],
+            ['preview.webp', session?.preview_s3_key],
+            ['sprite.jpg', session?.sprite_s3_key]
+        ];
+        for (const [fileName, key] of assets) {
+            if (!bucket || !key) continue;
+            try {
+                await tar.addFile(`${dir}/${fileName}`, await storage.getObject(bucket, key));
+                files++;
+            } catch (err) {
+                if (!storage.isNotFoundError(err)) throw err;
+            }
+        }
+    }
+
+    const flushed = once(gzip, 'end');
+    await tar.finish();
+    await flushed;
+
+    console.log(`[DataSubject] Exported ${sessionIds.length} session(s), ${files} file(s)`);
+    return { sessions: sessionIds.length, files };
+}
+
+/**
+ * Erase everything held for an email and store a signed receipt.
+ *
+ * If any session can't be fully deleted from storage, the user and aliases are
+ * kept so the request can be re-run; the receipt then has status 'partial'.
+ *
+ * @param {string} email
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {object} options - { actor }
+ * @returns {Promise<{receipt: object, signature: string, failures: Array}|null>} - null if the email is unknown
+ */
+async function eraseSubject(email, db, { actor = null } = {}) {
+    const { users, distinctIds, sessionIds } = await findSubject(email, db);
+    if (users.length === 0) return null;
+
+    const erased = [];
+    const failed = [];
+    let objectsDeleted = 0;
+
+    for (const sessionId of sessionIds) {
+        try {
+            const result = await deleteSessionData(sessionId, db, { reason: 'erasure', actor });
+            if (!result || result.deleted) {
+                erased.push(sessionId);
+                objectsDeleted += result ? result.objects_deleted : 0;
+            } else {
+                failed.push({ session_id: sessionId, storage_errors: result.storage_errors });
+            }
+        } catch (err) {
+            failed.push({ session_id: sessionId, error: err.message });
+            console.error(`[DataSubject] Failed to erase session ${sessionId}:`, err.message);
+        }
+    }
+
+    let identityErased = false;
+    if (failed.length === 0) {
+        // aliases cascade from users
+        await db.query('DELETE FROM users WHERE id = ANY($1)', [users.map(u => u.id)]);
+        identityErased = true;
+    }
+
+    const receipt = {
+        receipt_id: uuidv4(),
+        subject_hash: hashEmail(email),
+        status: failed.length === 0 ? 'complete' : 'partial',
+        erased_at: new Date().toISOString(),
+        actor,
+        aliases_erased: identityErased ? distinctIds.length : 0,
+        sessions_erased: erased,
+        sessions_failed: failed.map(f => f.session_id),
+        objects_deleted: objectsDeleted,
+        identity_erased: identityErased
+    };
+    const signature = signReceipt(receipt);
+
+    await db.query(`
+        INSERT INTO erasure_receipts (id, subject_hash, status, receipt, signature, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [receipt.receipt_id, receipt.subject_hash, receipt.status, JSON.stringify(receipt), signature, Date.now()]);
+
+    console.log(`[DataSubject] Erasure ${receipt.receipt_id}: ${erased.length} session(s) erased, ${failed.length} failed`);
+    return { receipt, signature, failures: failed };
+}
+
+module.exports = {
+    hashEmail,
+    signReceipt,
+    verifyReceipt,
+    findSubject,
+    summarizeSubject,
+    exportSubject,
+    eraseSubject
+};
@@ -0,0 +1,38 @@
+/**
+ * ffmpeg Runner
+ *
+ * Shared by the video renderer (render-worker.js) and thumbnail generation
+ * (src/thumbnails.js). ffmpeg must be on the PATH (see Dockerfile).
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * Run ffmpeg to completion.
+ *
+ * @param {Array<string>} args
+ * @returns {Promise<void>}
+ * @throws {Error} - If ffmpeg can't be started or exits non-zero
+ */
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', args);
+
+        // Handle FFMPEG errors
+        ffmpeg.stderr.on('data', (data) => {
+            // FFMPEG outputs progress info to stderr, ignore unless it's an error
+            const msg = data.toString();
+            if (msg.includes('Error') || msg.includes('error')) {
+                console.error(`[FFMPEG] ${msg}`);
+            }
+        });
+
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`FFMPEG exited with code ${code}`));
+        });
+    });
+}
+
+module.exports = { runFfmpeg };
@@ -0,0 +1,291 @@
+/**
+ * Frame Schedule for Session Videos
+ *
+ * Decides when render-worker.js seeks and screenshots the replay, and how long
+ * each frame stays on screen. Instead of a fixed grid for the whole session:
+ * - Key rrweb events (clicks, inputs, scrolls, DOM mutations, snapshots) get a
+ *   frame at the moment they happen plus a couple shortly after, so transitions
+ *   they trigger aren't lost between frames
+ * - Shortly after any activity (including mouse movement) frames are taken at
+ *   the profile's fps
+ * - Idle stretches get one frame every maxHoldMs, each held on screen until the
+ *   next one (variable frame timing, encoded with ffmpeg's concat demuxer)
+ *
+ * Frames are never closer together than 1000 / maxFps. Video length always
+ * matches the session length.
+ *
+ * Long sessions are split into segments at full snapshots (page loads and
+ * rrweb checkouts) so render-worker.js can render them in parallel pages.
+ */
+
+// rrweb event types and incremental sources
+const EventType = {
+    FullSnapshot: 2,
+    IncrementalSnapshot: 3,
+    Meta: 4
+};
+
+const IncrementalSource = {
+    Mutation: 0,
+    MouseMove: 1,
+    MouseInteraction: 2,
+    Scroll: 3,
+    ViewportResize: 4,
+    Input: 5,
+    TouchMove: 6,
+    MediaInteraction: 7
+};
+
+// Sources that change what's on screen (mouse movement only moves the cursor)
+const KEY_SOURCES = new Set([
+    IncrementalSource.Mutation,
+    IncrementalSource.MouseInteraction,
+    IncrementalSource.Scroll,
+    IncrementalSource.ViewportResize,
+    IncrementalSource.Input,
+    IncrementalSource.MediaInteraction
+]);
+
+// Extra frames after a key event, for CSS transitions / async updates it triggers
+const FOLLOW_UP_MS = [150, 500];
+// How long after any event the page counts as active (frames at the profile's fps)
+const ACTIVE_WINDOW_MS = 1000;
+
+const DEFAULT_MAX_HOLD_MS = 2000;
+// Shorter segments aren't worth another page load
+const DEFAULT_MIN_SEGMENT_MS = 30000;
+
+/**
+ * Is this event something worth a frame of its own?
+ *
+ * @param {object} event - rrweb event
+ * @returns {boolean}
+ */
+function isKeyEvent(event) {
+    if (event.type === EventType.FullSnapshot || event.type === EventType.Meta) return true;
+    return event.type === EventType.IncrementalSnapshot && KEY_SOURCES.has(event.data?.source);
+}
+
+/**
+ * Add `extra` times to sorted `base` times wherever they are at least
+ * minSpacingMs from every time already taken (base times always stay).
+ *
+ * @param {Array<number>} base - Sorted, already spaced
+ * @param {Array<number>} extra - Sorted
+ * @returns {Array<number>} - Sorted
+ */
+function mergeSpaced(base, extra, minSpacingMs) {
+    const merged = [];
+    let b = 0;
+    for (const t of extra) {
+        while (b < base.length && base[b] <= t) {
+            merged.push(base[b++]);
+        }
+        const prev = merged[merged.length - 1];
+        const next = base[b];
+        if ((prev === undefined || t - prev >= minSpacingMs) && (next === undefined || next - t >= minSpacingMs)) {
+            merged.push(t);
+        }
+    }
+    while (b < base.length) {
+        merged.push(base[b++]);
+    }
+    return merged;
+}
+
+/**
+ * Turn sorted capture times into frames with hold durations.
+ * The last frame is held for one fps interval.
+ */
+function toFrames(times, frameMs) {
+    return times.map((time, i) => ({
+        time,
+        duration: i < times.length - 1 ? times[i + 1] - time : frameMs
+    }));
+}
+
+/**
+ * Fixed-interval schedule: one frame every 1000 / fps ms.
+ *
+ * @param {number} durationMs - Session length
+ * @param {number} fps
+ * @returns {Array<{time: number, duration: number}>} - Offsets from the first event (ms)
+ */
+function fixedFrameSchedule(durationMs, fps) {
+    const frameMs = 1000 / fps;
+    const totalFrames = Math.max(1, Math.ceil((durationMs / 1000) * fps));
+    const times = [];
+    for (let i = 0; i < totalFrames; i++) {
+        times.push(i * frameMs);
+    }
+    return toFrames(times, frameMs);
+}
+
+/**
+ * Event-driven schedule (see top of file).
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @param {object} options
+ * @param {number} options.fps - Frame rate while the page is active
+ * @param {number} [options.maxFps] - Cap on frame density around key events (default 2 x fps)
+ * @param {number} [options.maxHoldMs] - Longest a frame is held through idle time (default 2000)
+ * @returns {Array<{time: number, duration: number}>} - Offsets from the first event (ms)
+ */
+function buildFrameSchedule(events, { fps, maxFps = fps * 2, maxHoldMs = DEFAULT_MAX_HOLD_MS }) {
+    const frameMs = 1000 / fps;
+    if (!events || events.length === 0) {
+        return toFrames([0], frameMs);
+    }
+
+    const start = events[0].timestamp;
+    const durationMs = Math.max(0, events[events.length - 1].timestamp - start);
+    const minSpacingMs = 1000 / Math.max(fps, maxFps);
+
+    // Where frames compete for a slot: key events beat their follow-ups,
+    // which beat active-window frames
+    const eventCandidates = [0, durationMs];
+    const followUpCandidates = [];
+    const activeCandidates = [];
+    let activeUntil = -1;
+
+    for (const event of events) {
+        const t = event.timestamp - start;
+
+        if (isKeyEvent(event)) {
+            eventCandidates.push(t);
+            for (const delay of FOLLOW_UP_MS) {
+                followUpCandidates.push(t + delay);
+            }
+        }
+
+        if (event.type === EventType.IncrementalSnapshot) {
+            // Fill the active window on the fps grid (continuing an overlapping window)
+            const from = Math.max(t, activeUntil);
+            const until = t + ACTIVE_WINDOW_MS;
+            for (let g = Math.ceil(from / frameMs) * frameMs; g <= until; g += frameMs) {
+                activeCandidates.push(g);
+            }
+            activeUntil = Math.max(activeUntil, until);
+        }
+    }
+
+    const inRange = list => list.filter(t => t >= 0 && t <= durationMs).sort((a, b) => a - b);
+
+    // Key event frames at least minSpacingMs apart; the final state always gets a frame
+    const eventTimes = [];
+    for (const t of inRange(eventCandidates)) {
+        if (eventTimes.length === 0 || t - eventTimes[eventTimes.length - 1] >= minSpacingMs) {
+            eventTimes.push(t);
+        }
+    }
+    if (eventTimes[eventTimes.length - 1] !== durationMs) {
+        if (eventTimes.length > 1) eventTimes.pop();
+        eventTimes.push(durationMs);
+    }
+
+    const kept = mergeSpaced(
+        mergeSpaced(eventTimes, inRange(followUpCandidates), minSpacingMs),
+        inRange(activeCandidates),
+        minSpacingMs
+    );
+
+    // Idle stretches: one frame per maxHoldMs, so nothing is frozen for too long
+    const times = [];
+    for (let i = 0; i < kept.length; i++) {
+        times.push(kept[i]);
+        const next = kept[i + 1];
+        if (next === undefined) break;
+        const gap = next - kept[i];
+        if (gap > maxHoldMs) {
+            const fill = Math.ceil(gap / maxHoldMs) - 1;
+            for (let k = 1; k <= fill; k++) {
+                times.push(kept[i] + (gap * k) / (fill + 1));
+            }
+        }
+    }
+
+    return toFrames(times, frameMs);
+}
+
+/**
+ * Split a session into segments that can be rendered independently.
+ *
+ * Each segment after the first starts at a full snapshot (with the Meta event
+ * before it, or a copy of the latest one), so a replayer given only that
+ * segment's events shows the same page as one that played the whole session.
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @param {Array<{time: number, duration: number}>} schedule - Frames for the whole session
+ * @param {object} [options]
+ * @param {number} [options.minSegmentMs] - Skip boundaries closer than this to the previous one (default 30000; Infinity = one segment)
+ * @returns {Array<{offset: number, events: Array, frames: Array<{index: number, time: number, duration: number}>}>}
+ *   - offset: segment start from the first event (ms); frame times and indexes stay session-wide
+ */
+function splitSegments(events, schedule, { minSegmentMs = DEFAULT_MIN_SEGMENT_MS } = {}) {
+    if (!events || events.length === 0) return [];
+
+    const start = events[0].timestamp;
+    const boundaries = [{ from: 0, meta: null }];
+    let lastMeta = null;
+
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        if (event.type === EventType.Meta) lastMeta = event;
+        if (event.type !== EventType.FullSnapshot || !lastMeta) continue;
+
+        const hasMeta = i > 0 && events[i - 1].type === EventType.Meta;
+        const from = hasMeta ? i - 1 : i;
+        const previous = boundaries[boundaries.length - 1];
+        if (from <= previous.from || events[from].timestamp - events[previous.from].timestamp < minSegmentMs) continue;
+
+        // Without its own Meta the replayer wouldn't know the page size
+        boundaries.push({ from, meta: hasMeta ? null : { ...lastMeta, timestamp: event.timestamp } });
+    }
+
+    const segments = boundaries.map(({ from, meta }, k) => {
+        const until = k < boundaries.length - 1 ? boundaries[k + 1].from : events.length;
+        const slice = events.slice(from, until);
+        return {
+            offset: events[from].timestamp - start,
+            events: meta ? [meta, ...slice] : slice,
+            frames: []
+        };
+    });
+
+    let k = 0;
+    schedule.forEach((frame, index) => {
+        while (k < segments.length - 1 && frame.time >= segments[k + 1].offset) k++;
+        segments[k].frames.push({ index, ...frame });
+    });
+
+    return segments;
+}
+
+/**
+ * Write an ffmpeg concat demuxer script for captured frames.
+ * The last file is listed twice: the demuxer ignores the final duration otherwise.
+ *
+ * @param {Array<{file: string, duration: number}>} frames - Frame file names (relative to the script) and hold times (ms)
+ * @returns {string} - Script contents
+ */
+function buildConcatScript(frames) {
+    const lines = ['ffconcat version 1.0'];
+    for (const frame of frames) {
+        lines.push(`file '${frame.file.replace(/'/g, "'\\''")}'`);
+        lines.push(`duration ${(frame.duration / 1000).toFixed(3)}`);
+    }
+    if (frames.length > 0) {
+        lines.push(`file '${frames[frames.length - 1].file.replace(/'/g, "'\\''")}'`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    EventType,
+    IncrementalSource,
+    isKeyEvent,
+    fixedFrameSchedule,
+    buildFrameSchedule,
+    splitSegments,
+    buildConcatScript
+};
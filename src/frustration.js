@@ -0,0 +1,323 @@
+/**
+ * Frustration Signals
+ *
+ * Spots moments where a user struggled. The session is replayed through the
+ * same virtual DOM as the timeline (timeline-react-aware.js), so each signal
+ * names the element involved:
+ * - rage_click: RAGE_MIN_CLICKS or more clicks on the same element within RAGE_WINDOW_MS
+ * - dead_click: a click after which nothing changes (no DOM mutation, navigation,
+ *   scroll or input) for DEAD_CLICK_WINDOW_MS, or before the session ends. Form
+ *   fields are skipped: focusing them doesn't change the page. Repeated dead
+ *   clicks on one element count as one.
+ * - error_click: a click followed by an error within ERROR_CLICK_WINDOW_MS (console
+ *   error, unhandled rejection or failed request - see src/session-errors.js)
+ * - thrashing: the cursor reversing direction THRASH_MIN_REVERSALS or more times
+ *   within THRASH_WINDOW_MS
+ * - back_and_forth: leaving a page and coming straight back (A -> B -> A)
+ *   within BOUNCE_WINDOW_MS
+ *
+ * Events can be fed one at a time (createSignalDetector), so the compactor can
+ * detect while it streams a session into its archive. Signals are stored per
+ * session in session_signals (saveSignals) and filter GET /api/sessions (?signal=).
+ *
+ * IMPORTANT: saveSignals is ASYNC - always use await!
+ */
+
+const { createVirtualDOM } = require('../timeline-react-aware');
+const { errorFromEvent } = require('./session-errors');
+
+const SIGNALS = ['rage_click', 'dead_click', 'error_click', 'thrashing', 'back_and_forth'];
+
+const RAGE_MIN_CLICKS = 3;
+const RAGE_WINDOW_MS = 1000;
+const DEAD_CLICK_WINDOW_MS = 1000;
+const ERROR_CLICK_WINDOW_MS = 2000;
+const THRASH_MIN_REVERSALS = 6;
+const THRASH_WINDOW_MS = 2000;
+// Smaller wiggles are hand tremor, not a change of direction
+const THRASH_MIN_DISTANCE_PX = 40;
+const BOUNCE_WINDOW_MS = 10000;
+
+// Clicking these focuses them or opens native UI, without touching the DOM
+const FORM_TAGS = new Set(['input', 'textarea', 'select', 'option', 'label']);
+
+// rrweb event types, incremental sources and MouseInteractions types used here
+const EventType = { FullSnapshot: 2, IncrementalSnapshot: 3, Meta: 4 };
+const Source = { Mutation: 0, MouseMove: 1, MouseInteraction: 2, Scroll: 3, Input: 5 };
+const MOUSE_CLICK = 2;
+
+/**
+ * Does a mutation event change anything?
+ */
+function isChange(data) {
+    return ['adds', 'removes', 'texts', 'attributes'].some(field => Array.isArray(data[field]) && data[field].length > 0);
+}
+
+/**
+ * Follows the cursor along one axis and reports where it turned back.
+ *
+ * @returns {Function} - (time, position) => time of the turn, or null
+ */
+function createTurnTracker() {
+    let direction = 0;
+    let extreme = null;
+
+    return function track(time, position) {
+        if (!extreme) {
+            extreme = { time, position };
+            return null;
+        }
+        const moved = position - extreme.position;
+        if (direction === 0 || Math.sign(moved) === direction) {
+            // Still heading the same way (or not yet committed to a direction)
+            if (direction !== 0 || Math.abs(moved) >= THRASH_MIN_DISTANCE_PX) {
+                direction = direction || Math.sign(moved);
+                extreme = { time, position };
+            }
+            return null;
+        }
+        if (Math.abs(moved) < THRASH_MIN_DISTANCE_PX) return null;
+        const turnedAt = extreme.time;
+        direction = -direction;
+        extreme = { time, position };
+        return turnedAt;
+    };
+}
+
+/**
+ * Incremental signal detector.
+ *
+ * Signals: { t, signal, label, nodeId, selector, url, details }
+ * - t: ms from the first event (the first click of a rage/dead burst, the first turn of thrashing)
+ * - details: clicks (rage_click, dead_click), session_end (dead_click: nothing at all
+ *   followed the click before the session ended), error (error_click),
+ *   reversals and duration_ms (thrashing), via (back_and_forth: the page in between)
+ *
+ * @returns {{add: Function, finish: Function}} - add(event) in timestamp order; finish() returns signals sorted by t
+ */
+function createSignalDetector() {
+    const dom = createVirtualDOM();
+    const signals = [];
+    let start = null;
+    let currentUrl = null;
+
+    // Clicks still waiting to see what they caused
+    let pending = [];
+    // Recent clicks, for rage bursts
+    let recentClicks = [];
+    let rage = null;
+    let lastDead = null;
+    // Cursor turns within the thrash window
+    const turnX = createTurnTracker();
+    const turnY = createTurnTracker();
+    let turns = [];
+    let thrash = null;
+    // Pages visited, latest last (repeats of the current page are skipped)
+    const pages = [];
+
+    const push = (t, signal, fields = {}) => {
+        const entry = { t, signal, label: null, nodeId: null, selector: null, url: currentUrl, details: {}, ...fields };
+        signals.push(entry);
+        return entry;
+    };
+
+    function isFormField(id) {
+        let node = dom.nodes[id];
+        for (let depth = 0; node && depth < 3; depth++) {
+            if (FORM_TAGS.has(node.tagName)) return true;
+            if (node.attributes && node.attributes.contenteditable !== undefined) return true;
+            node = node.parentId ? dom.nodes[node.parentId] : null;
+        }
+        return false;
+    }
+
+    // Clicks whose dead-click window has passed without a change are dead.
+    // When the session has ended every click still waiting is judged.
+    function expireClicks(t, ended = false) {
+        pending = pending.filter(click => {
+            if (!click.deadChecked && (ended || t - click.t > DEAD_CLICK_WINDOW_MS)) {
+                click.deadChecked = true;
+                if (!click.changed && !click.formField) {
+                    if (lastDead && lastDead.signal.nodeId === click.target.nodeId && click.t - lastDead.t <= DEAD_CLICK_WINDOW_MS) {
+                        lastDead.signal.details.clicks++;
+                        lastDead.t = click.t;
+                    } else {
+                        const details = ended ? { clicks: 1, session_end: true } : { clicks: 1 };
+                        const signal = push(click.t, 'dead_click', { ...click.target, url: click.url, details });
+                        lastDead = { signal, t: click.t };
+                    }
+                }
+            }
+            return t - click.t <= ERROR_CLICK_WINDOW_MS;
+        });
+    }
+
+    const markChanged = () => pending.forEach(click => { click.changed = true; });
+
+    function onClick(t, id) {
+        const target = { label: dom.resolveLabel(id), nodeId: id ?? null, selector: dom.buildSelector(id) };
+        pending.push({ t, target, url: currentUrl, changed: false, deadChecked: false, errored: false, formField: isFormField(id) });
+
+        if (id === undefined || id === null) return;
+        recentClicks = recentClicks.filter(click => t - click.t <= RAGE_WINDOW_MS);
+        recentClicks.push({ t, id });
+        const burst = recentClicks.filter(click => click.id === id);
+        if (burst.length < RAGE_MIN_CLICKS) return;
+        if (rage && rage.signal.nodeId === id && t - rage.last <= RAGE_WINDOW_MS) {
+            rage.signal.details.clicks++;
+        } else {
+            rage = { signal: push(burst[0].t, 'rage_click', { ...target, details: { clicks: burst.length } }) };
+        }
+        rage.last = t;
+    }
+
+    function onError(t, message) {
+        for (const click of pending) {
+            if (!click.errored && t - click.t <= ERROR_CLICK_WINDOW_MS) {
+                click.errored = true;
+                push(click.t, 'error_click', { ...click.target, url: click.url, details: { error: message } });
+            }
+        }
+    }
+
+    function onCursor(t, x, y) {
+        const turned = [turnX(t, x), turnY(t, y)].filter(time => time !== null);
+        if (turned.length === 0) return;
+        turns = turns.concat(turned).filter(time => t - time <= THRASH_WINDOW_MS).sort((a, b) => a - b);
+        if (turns.length < THRASH_MIN_REVERSALS) return;
+
+        if (thrash && turns[0] <= thrash.last) {
+            // Still thrashing: stretch the current signal
+            thrash.signal.details.reversals += turned.length;
+        } else {
+            thrash = { signal: push(turns[0], 'thrashing', { details: { reversals: turns.length, duration_ms: 0 } }) };
+        }
+        thrash.last = turns[turns.length - 1];
+        thrash.signal.details.duration_ms = thrash.last - thrash.signal.t;
+    }
+
+    function onNavigation(t, href) {
+        const current = pages[pages.length - 1];
+        if (current && current.url === href) return;
+        const previous = pages[pages.length - 2];
+        if (previous && previous.url === href && t - current.t <= BOUNCE_WINDOW_MS) {
+            push(t, 'back_and_forth', { url: href, details: { via: current.url } });
+        }
+        pages.push({ t, url: href });
+    }
+
+    function add(event) {
+        if (!event || typeof event.timestamp !== 'number') return;
+        if (start === null) start = event.timestamp;
+        const t = event.timestamp - start;
+        const data = event.data || {};
+
+        expireClicks(t);
+
+        if (event.type === EventType.Meta) {
+            if (data.href) {
+                currentUrl = data.href;
+                onNavigation(t, data.href);
+                markChanged();
+            }
+            return;
+        }
+        if (event.type === EventType.FullSnapshot) {
+            dom.registerNode(data.node);
+            markChanged();
+            return;
+        }
+
+        const error = errorFromEvent(event);
+        if (error) {
+            onError(t, error.message);
+            return;
+        }
+
+        if (event.type !== EventType.IncrementalSnapshot) return;
+
+        if (data.source === Source.Mutation) {
+            dom.applyMutation(data);
+            if (isChange(data)) markChanged();
+        } else if (data.source === Source.Scroll || data.source === Source.Input) {
+            markChanged();
+        } else if (data.source === Source.MouseInteraction && data.type === MOUSE_CLICK) {
+            onClick(t, data.id);
+        } else if (data.source === Source.MouseMove) {
+            // Positions are batched; timeOffset is relative to the event (negative)
+            for (const position of data.positions || []) {
+                onCursor(t + (position.timeOffset || 0), position.x, position.y);
+            }
+        }
+    }
+
+    // A click nothing answered before the session ended (the user gave up) is dead too
+    function finish() {
+        expireClicks(Infinity, true);
+        return signals.sort((a, b) => a.t - b.t);
+    }
+
+    return { add, finish };
+}
+
+/**
+ * Detect frustration signals in a whole session.
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @returns {Array<object>} - Signals (see createSignalDetector)
+ */
+function detectSignals(events) {
+    const detector = createSignalDetector();
+    for (const event of events || []) {
+        detector.add(event);
+    }
+    return detector.finish();
+}
+
+/**
+ * Replace a session's stored signals.
+ *
+ * @param {string} sessionId
+ * @param {Array<object>} signals - From detectSignals / createSignalDetector
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Signals stored
+ */
+async function saveSignals(sessionId, signals, db) {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM session_signals WHERE session_id = $1', [sessionId]);
+        for (const s of signals) {
+            await client.query(`
+                INSERT INTO session_signals (session_id, signal, offset_ms, node_id, label, selector, url, details)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [sessionId, s.signal, Math.round(s.t), s.nodeId, s.label, s.selector, s.url, JSON.stringify(s.details)]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return signals.length;
+}
+
+/**
+ * Parse a comma-separated ?signal= value.
+ *
+ * @param {string} [value]
+ * @returns {{valid: boolean, signals: Array<string>}}
+ */
+function parseSignalFilter(value) {
+    const signals = value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+    return { valid: signals.every(s => SIGNALS.includes(s)), signals };
+}
+
+module.exports = {
+    SIGNALS,
+    createSignalDetector,
+    detectSignals,
+    saveSignals,
+    parseSignalFilter
+};
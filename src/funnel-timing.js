@@ -0,0 +1,157 @@
+/**
+ * Funnel Timing
+ *
+ * How long sessions take to move through a campaign's funnel, from
+ * session_steps.visited_at (GET /api/campaigns/:id/funnel-stats):
+ * - time_from_start: session start to reaching the step
+ * - time_from_previous: previous funnel step to this one, for sessions that
+ *   reached both in order
+ * - drop_off: for dropped-off sessions whose furthest step is this one, time
+ *   from reaching it to the session's last chunk, as percentiles and buckets
+ *
+ * Step visits and chunk arrivals are both server times. A session starts at its
+ * first step or its first chunk, whichever came first; chunks are uploaded once
+ * a minute, so a session that only reports a step later can start up to a
+ * minute late.
+ *
+ * IMPORTANT: getFunnelTiming is ASYNC - always use await!
+ */
+
+const PERCENTILES = [0.5, 0.75, 0.9];
+
+// Drop-off buckets: [0, 10s), [10s, 30s), [30s, 1m), [1m, 5m), [5m, ...)
+const DROP_OFF_BUCKETS_MS = [10000, 30000, 60000, 300000];
+
+/**
+ * Shape a percentile row (sessions, percentiles) into a timing summary.
+ *
+ * @param {object|undefined} row - { sessions, percentiles: [p50, p75, p90] }
+ * @returns {{sessions: number, median_ms: number|null, p75_ms: number|null, p90_ms: number|null}}
+ */
+function toTiming(row) {
+    const sessions = row ? parseInt(row.sessions) : 0;
+    const values = (row && Array.isArray(row.percentiles) ? row.percentiles : [])
+        .map(value => (value === null || value === undefined ? null : Math.round(parseFloat(value))));
+    return {
+        sessions,
+        median_ms: sessions > 0 ? values[0] ?? null : null,
+        p75_ms: sessions > 0 ? values[1] ?? null : null,
+        p90_ms: sessions > 0 ? values[2] ?? null : null
+    };
+}
+
+/**
+ * Bucket counts of a drop-off row (bucket_0 ... bucket_N columns).
+ *
+ * @param {object|undefined} row
+ * @returns {Array<{from_ms: number, to_ms: number|null, sessions: number}>}
+ */
+function toBuckets(row) {
+    const bounds = [0, ...DROP_OFF_BUCKETS_MS];
+    return bounds.map((from, i) => ({
+        from_ms: from,
+        to_ms: i < DROP_OFF_BUCKETS_MS.length ? DROP_OFF_BUCKETS_MS[i] : null,
+        sessions: row ? parseInt(row[`bucket_${i}`] || 0) : 0
+    }));
+}
+
+/**
+ * Timing for each step of a campaign's funnel.
+ *
+ * @param {number|string} campaignId
+ * @param {Array<string>} stepKeys - Keys of the funnel steps (funnel_config)
+ * @param {string} conditions - Extra session conditions (`AND ...`, sessions as `s`), e.g. status and
+ *   src/session-filters.js clauses; their placeholders start at $2
+ * @param {Array} params - Values for those placeholders
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object>} - { [step_key]: { time_from_start, time_from_previous, drop_off: { ...timing, buckets } } }
+ */
+async function getFunnelTiming(campaignId, stepKeys, conditions, params, db) {
+    const values = [campaignId, ...params];
+    const percentiles = `COUNT(*) as sessions,
+        PERCENTILE_CONT(ARRAY[${PERCENTILES.join(', ')}]) WITHIN GROUP (ORDER BY ms) as percentiles`;
+
+    // Sessions in the campaign matching the filters, with their first/last chunk arrival
+    const filtered = `
+        SELECT sc.session_id,
+               MIN(sc.created_at) as first_chunk_at,
+               MAX(sc.created_at) as last_chunk_at,
+               (s.status IS NULL OR s.status = 'dropped_off') as dropped_off
+        FROM session_chunks sc
+        LEFT JOIN sessions s ON sc.session_id = s.session_id
+        WHERE sc.campaign_id = $1 ${conditions}
+        GROUP BY sc.session_id, s.status`;
+
+    const { rows: fromStart } = await db.query(`
+        WITH filtered AS (${filtered}),
+        timed AS (
+            SELECT ss.step_key,
+                   EXTRACT(EPOCH FROM ss.visited_at - LEAST(f.first_chunk_at, MIN(ss.visited_at) OVER (PARTITION BY ss.session_id))) * 1000 as ms
+            FROM session_steps ss
+            JOIN filtered f ON ss.session_id = f.session_id
+        )
+        SELECT step_key, ${percentiles}
+        FROM timed
+        GROUP BY step_key
+    `, values);
+
+    const { rows: fromPrevious } = await db.query(`
+        WITH filtered AS (${filtered}),
+        timed AS (
+            SELECT cur.step_key, EXTRACT(EPOCH FROM cur.visited_at - prev.visited_at) * 1000 as ms
+            FROM session_steps cur
+            JOIN filtered f ON cur.session_id = f.session_id
+            JOIN session_steps prev ON prev.session_id = cur.session_id AND prev.step_index = cur.step_index - 1
+            WHERE cur.visited_at >= prev.visited_at
+        )
+        SELECT step_key, ${percentiles}
+        FROM timed
+        GROUP BY step_key
+    `, values);
+
+    const bounds = [0, ...DROP_OFF_BUCKETS_MS];
+    const buckets = bounds.map((from, i) => i < DROP_OFF_BUCKETS_MS.length
+        ? `COUNT(*) FILTER (WHERE ms >= ${from} AND ms < ${DROP_OFF_BUCKETS_MS[i]}) as bucket_${i}`
+        : `COUNT(*) FILTER (WHERE ms >= ${from}) as bucket_${i}`).join(',\n               ');
+    const { rows: dropOff } = await db.query(`
+        WITH filtered AS (${filtered}),
+        furthest AS (
+            SELECT DISTINCT ON (ss.session_id) ss.session_id, ss.step_key, ss.visited_at, f.last_chunk_at
+            FROM session_steps ss
+            JOIN filtered f ON ss.session_id = f.session_id
+            WHERE f.dropped_off
+            ORDER BY ss.session_id, ss.step_index DESC
+        ),
+        timed AS (
+            SELECT step_key, GREATEST(0, EXTRACT(EPOCH FROM last_chunk_at - visited_at) * 1000) as ms
+            FROM furthest
+        )
+        SELECT step_key, ${percentiles},
+               ${buckets}
+        FROM timed
+        GROUP BY step_key
+    `, values);
+
+    const byStep = rows => Object.fromEntries(rows.map(row => [row.step_key, row]));
+    const startMap = byStep(fromStart);
+    const previousMap = byStep(fromPrevious);
+    const dropOffMap = byStep(dropOff);
+
+    const timing = {};
+    for (const key of stepKeys) {
+        timing[key] = {
+            time_from_start: toTiming(startMap[key]),
+            time_from_previous: toTiming(previousMap[key]),
+            drop_off: { ...toTiming(dropOffMap[key]), buckets: toBuckets(dropOffMap[key]) }
+        };
+    }
+    return timing;
+}
+
+module.exports = {
+    PERCENTILES,
+    DROP_OFF_BUCKETS_MS,
+    toTiming,
+    toBuckets,
+    getFunnelTiming
+};
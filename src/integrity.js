@@ -0,0 +1,186 @@
+/**
+ * Session Integrity
+ *
+ * Works out whether a recording has holes. The recorder numbers chunks 0, 1, 2...
+ * (sequence_id), so the expected range for a session is 0..max(sequence_id);
+ * any number in that range without a session_chunks row is a hole.
+ *
+ * Chunk problems are recorded in chunk_failures:
+ * - stage 'confirm': confirm-chunk couldn't find the uploaded object
+ * - stage 'read': the session reader found a recorded chunk missing or corrupt in storage
+ *
+ * Status (sessions.integrity_status):
+ * - complete: every expected chunk is recorded and readable
+ * - partial:  some sequence numbers never arrived (holes)
+ * - corrupt:  at least one recorded chunk can't be read
+ *
+ * The full breakdown is stored as JSON in sessions.integrity_report.
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const STATUSES = ['complete', 'partial', 'corrupt'];
+
+/**
+ * Collapse a sorted list of integers into [start, end] ranges.
+ * [3, 4, 5, 9] -> [[3, 5], [9, 9]]
+ */
+function toRanges(numbers) {
+    const ranges = [];
+    for (const n of numbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && n === last[1] + 1) {
+            last[1] = n;
+        } else {
+            ranges.push([n, n]);
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Build the integrity report from recorded sequence IDs and failures.
+ * Pure function - no DB access.
+ *
+ * @param {Array<number>} sequenceIds - sequence_ids present in session_chunks
+ * @param {Array<object>} failures - chunk_failures rows ({ sequence_id, s3_key, stage, reason, created_at })
+ * @param {Set<string>} recordedKeys - s3_keys present in session_chunks (plus the archive key)
+ * @returns {object} - { status, ... }
+ */
+function buildReport(sequenceIds, failures, recordedKeys) {
+    const present = [...new Set(sequenceIds)].sort((a, b) => a - b);
+    const maxSeq = present.length > 0 ? present[present.length - 1] : null;
+
+    const missing = [];
+    if (maxSeq !== null) {
+        const have = new Set(present);
+        for (let seq = 0; seq <= maxSeq; seq++) {
+            if (!have.has(seq)) missing.push(seq);
+        }
+    }
+
+    // A failed confirm only matters while no chunk with that sequence_id made it in
+    const presentSet = new Set(present);
+    const failedChunks = failures
+        .filter(f => f.stage === 'confirm' && !(f.sequence_id !== null && presentSet.has(f.sequence_id)))
+        .map(f => ({ sequence_id: f.sequence_id, s3_key: f.s3_key, reason: f.reason, at: Number(f.created_at) }));
+
+    const unreadableChunks = failures
+        .filter(f => f.stage === 'read' && recordedKeys.has(f.s3_key))
+        .map(f => ({ sequence_id: f.sequence_id, s3_key: f.s3_key, reason: f.reason, at: Number(f.created_at) }));
+
+    let status = 'complete';
+    if (unreadableChunks.length > 0) {
+        status = 'corrupt';
+    } else if (missing.length > 0 || failedChunks.length > 0) {
+        status = 'partial';
+    }
+
+    return {
+        status,
+        // Legacy sessions (no sequence IDs) can't be checked for holes
+        sequence_tracked: maxSeq !== null,
+        expected_range: maxSeq !== null ? [0, maxSeq] : null,
+        received_chunks: present.length,
+        missing_count: missing.length,
+        missing_ranges: toRanges(missing),
+        failed_chunks: failedChunks,
+        unreadable_chunks: unreadableChunks,
+        checked_at: Date.now()
+    };
+}
+
+/**
+ * Recompute and store a session's integrity status/report.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object|null>} - The report, or null if the session has no chunks
+ */
+async function updateSessionIntegrity(sessionId, db) {
+    const { rows: chunks } = await db.query(
+        'SELECT s3_key, sequence_id FROM session_chunks WHERE session_id = $1',
+        [sessionId]
+    );
+    if (chunks.length === 0) return null;
+
+    const { rows: failures } = await db.query(
+        'SELECT sequence_id, s3_key, stage, reason, created_at FROM chunk_failures WHERE session_id = $1',
+        [sessionId]
+    );
+
+    // A compacted session's archive is as much a part of the recording as its chunks
+    const session = await db.queryOne(
+        'SELECT archive_s3_key FROM sessions WHERE session_id = $1',
+        [sessionId]
+    );
+    const recordedKeys = new Set(chunks.map(c => c.s3_key));
+    if (session?.archive_s3_key) recordedKeys.add(session.archive_s3_key);
+
+    const report = buildReport(
+        chunks.filter(c => c.sequence_id !== null).map(c => c.sequence_id),
+        failures,
+        recordedKeys
+    );
+
+    await db.query(`
+        UPDATE sessions SET integrity_status = $1, integrity_report = $2
+        WHERE session_id = $3
+    `, [report.status, JSON.stringify(report), sessionId]);
+
+    return report;
+}
+
+/**
+ * Record a chunk problem. Repeats for the same object/stage update the existing row.
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {object} failure - { sessionId, sequenceId, s3Key, s3Bucket, stage, reason }
+ * @returns {Promise<void>}
+ */
+async function recordChunkFailure(db, { sessionId, sequenceId, s3Key, s3Bucket, stage, reason }) {
+    await db.query(`
+        INSERT INTO chunk_failures (session_id, sequence_id, s3_key, s3_bucket, stage, reason, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (s3_key, stage) DO UPDATE SET reason = EXCLUDED.reason, created_at = EXCLUDED.created_at
+    `, [sessionId, sequenceId ?? null, s3Key, s3Bucket || null, stage, reason || null, Date.now()]);
+}
+
+/**
+ * Feed a session reader report (src/session-reader.js) into integrity tracking.
+ * Only missing/corrupt chunks are recorded - 'unavailable' is a transient storage
+ * error, not a property of the recording. No-op for clean reports.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} report - readSession() report
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object|null>} - Updated integrity report, or null if nothing changed
+ */
+async function recordReadReport(sessionId, report, db) {
+    const problems = [
+        ...report.missing.map(chunk => ({ ...chunk, reason: `missing: ${chunk.reason}` })),
+        ...report.corrupt.map(chunk => ({ ...chunk, reason: `corrupt: ${chunk.reason}` }))
+    ];
+    if (problems.length === 0) return null;
+
+    for (const chunk of problems) {
+        await recordChunkFailure(db, {
+            sessionId,
+            sequenceId: chunk.sequence_id,
+            s3Key: chunk.s3_key,
+            s3Bucket: chunk.s3_bucket,
+            stage: 'read',
+            reason: chunk.reason
+        });
+    }
+
+    return updateSessionIntegrity(sessionId, db);
+}
+
+module.exports = {
+    STATUSES,
+    buildReport,
+    updateSessionIntegrity,
+    recordChunkFailure,
+    recordReadReport
+};
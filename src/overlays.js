@@ -0,0 +1,126 @@
+/**
+ * Video Overlays
+ *
+ * What renderer.html draws over the replay when a render profile enables
+ * overlays (profile.overlays):
+ * - clicks: a ripple where each click landed
+ * - trail: the cursor's path over the last second
+ * - rage: clicks of the session's rage_click signals (src/frustration.js), ringed
+ *   in red and labelled, so the video agrees with the stored signals
+ * - captions: timeline entries (src: timeline-react-aware.js) such as
+ *   `Clicked: "Pay now"` or `Navigated to: /checkout`, shown for a few seconds
+ *
+ * Everything is precomputed from the events here, with times in ms from the
+ * first event, so any frame can be drawn from its time alone (frames are
+ * captured out of order across segments).
+ */
+
+const { EventType, IncrementalSource } = require('./frame-schedule');
+const { buildTimeline, describeEntry } = require('../timeline-react-aware');
+const { detectSignals } = require('./frustration');
+
+const OVERLAYS = ['clicks', 'trail', 'rage', 'captions'];
+
+// rrweb MouseInteractions type for a click
+const MOUSE_CLICK = 2;
+
+// Timeline entries worth a caption
+const CAPTION_KINDS = new Set(['navigation', 'click', 'input']);
+
+/**
+ * Mark the clicks that make up rage_click signals: each signal's `details.clicks`
+ * clicks on its element, starting at the signal's time.
+ *
+ * @param {Array<{time: number, x: number, y: number, id: number}>} clicks - Sorted by time
+ * @param {Array<object>} signals - From detectSignals (same events, so the same times)
+ * @returns {Array<{time: number, x: number, y: number, rage: boolean}>}
+ */
+function markRageClicks(clicks, signals) {
+    const marked = clicks.map(({ id, ...click }) => ({ ...click, rage: false }));
+    for (const signal of signals) {
+        if (signal.signal !== 'rage_click') continue;
+        let remaining = signal.details.clicks;
+        for (let i = 0; i < clicks.length && remaining > 0; i++) {
+            if (clicks[i].id === signal.nodeId && clicks[i].time >= signal.t) {
+                marked[i].rage = true;
+                remaining--;
+            }
+        }
+    }
+    return marked;
+}
+
+/**
+ * Build overlay data for a session.
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @param {Array<string>} enabled - Overlays to draw (see OVERLAYS)
+ * @returns {object|null} - { clicks, trail, captions } (empty for disabled overlays), or null when none are enabled
+ */
+function buildOverlays(events, enabled = []) {
+    if (!enabled || enabled.length === 0 || !events || events.length === 0) return null;
+
+    const start = events[0].timestamp;
+    const clicks = [];
+    const trail = [];
+
+    for (const event of events) {
+        if (event.type !== EventType.IncrementalSnapshot || !event.data) continue;
+        const t = event.timestamp - start;
+
+        if (event.data.source === IncrementalSource.MouseInteraction && event.data.type === MOUSE_CLICK &&
+            typeof event.data.x === 'number' && typeof event.data.y === 'number') {
+            clicks.push({ time: t, x: event.data.x, y: event.data.y, id: event.data.id });
+        } else if (event.data.source === IncrementalSource.MouseMove || event.data.source === IncrementalSource.TouchMove) {
+            // Positions are batched; timeOffset is relative to the event (negative)
+            for (const position of event.data.positions || []) {
+                trail.push({ time: t + (position.timeOffset || 0), x: position.x, y: position.y });
+            }
+        }
+    }
+    trail.sort((a, b) => a.time - b.time);
+
+    const showClicks = enabled.includes('clicks');
+    const showRage = enabled.includes('rage');
+    const marked = markRageClicks(clicks, showRage ? detectSignals(events) : []);
+
+    return {
+        clicks: marked
+            .filter(click => showClicks || (showRage && click.rage))
+            .map(click => ({ ...click, rage: showRage && click.rage })),
+        trail: enabled.includes('trail') ? trail : [],
+        captions: enabled.includes('captions')
+            ? buildTimeline(events)
+                .filter(entry => CAPTION_KINDS.has(entry.kind))
+                .map(entry => ({ time: entry.t, text: describeEntry(entry) }))
+            : []
+    };
+}
+
+/**
+ * Overlay data needed to draw frames between two times (ms from the first
+ * event), so each segment's page only gets its own share.
+ *
+ * @param {object|null} overlays - From buildOverlays
+ * @param {number} from
+ * @param {number} until
+ * @returns {object|null}
+ */
+function sliceOverlays(overlays, from, until) {
+    if (!overlays) return null;
+    // Covers the longest an overlay stays on screen (see renderer.html)
+    const lookBehindMs = 5000;
+    const within = item => item.time >= from - lookBehindMs && item.time <= until;
+    return {
+        clicks: overlays.clicks.filter(within),
+        trail: overlays.trail.filter(within),
+        captions: overlays.captions.filter(within)
+    };
+}
+
+module.exports = {
+    OVERLAYS,
+    markRageClicks,
+    buildOverlays,
+    sliceOverlays
+};
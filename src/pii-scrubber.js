@@ -0,0 +1,423 @@
+/**
+ * PII Scrubber
+ *
+ * Rewrites rrweb events before they are stored, so typed input and on-page text
+ * matching a domain's rules never reach the recording bucket (maskPII in
+ * timeline-react-aware.js only masks the generated text timeline).
+ *
+ * Rules are configured per domain with an optional "scrub" field in ALLOWED_DOMAINS:
+ *
+ *   {"app.com": {"bucket": "...", "token": "...", "scrub": {
+ *       "patterns":   ["\\b\\d{3}-\\d{2}-\\d{4}\\b", {"pattern": "[\\w.+-]+@[\\w-]+\\.[\\w.]+", "flags": "i"}],
+ *       "selectors":  ["#ssn", ".account-number", "form.billing input[name=card]"],
+ *       "attributes": ["data-private"]
+ *   }}}
+ *
+ * - patterns:   regexes masked wherever they appear in text, input values and text attributes
+ * - selectors:  elements (and everything inside them) whose text and input values are fully masked.
+ *               Tag, #id, .class, [attr] and [attr=value] compounds joined by descendant
+ *               combinators (spaces) are supported
+ * - attributes: elements carrying any of these attributes are treated like a selector match
+ *
+ * Masked text is replaced with '*' of the same length so replay layout stays intact.
+ * Rewritten: full snapshot text nodes and attributes, mutation texts/attributes/adds,
+ * and input events (incremental source 5).
+ *
+ * A scrubber keeps a node map across calls, so feed one session's events in order
+ * (full snapshot first). Events are modified in place.
+ *
+ * Applied on /flush, /upload-session (scrubSessionBatch) and by the compactor (src/compactor.js).
+ */
+
+// rrweb node types (rrweb-snapshot NodeType)
+const NODE_ELEMENT = 2;
+const NODE_TEXT = 3;
+
+// rrweb event types / incremental sources
+const EVENT_FULL_SNAPSHOT = 2;
+const EVENT_INCREMENTAL = 3;
+const SOURCE_MUTATION = 0;
+const SOURCE_INPUT = 5;
+
+// Attributes holding user-visible text (others - class, href, src... - are left alone)
+const TEXT_ATTRIBUTES = ['value', 'placeholder', 'title', 'alt', 'aria-label'];
+// Elements whose text content is code, not page text
+const RAW_TEXT_TAGS = new Set(['style', 'script']);
+
+let domainRules = null;
+
+/**
+ * Mask a string with '*' of the same length.
+ */
+function mask(value) {
+    return '*'.repeat(value.length);
+}
+
+/**
+ * Parse one compound selector (e.g. "input.secret[type=password]").
+ */
+function parseCompound(text) {
+    const compound = { tag: null, id: null, classes: [], attrs: [] };
+    const token = /([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]/y;
+    let index = 0;
+
+    while (index < text.length) {
+        token.lastIndex = index;
+        const match = token.exec(text);
+        if (!match) {
+            throw new Error(`Unsupported selector syntax near "${text.slice(index)}"`);
+        }
+        if (match[1]) {
+            if (index !== 0) throw new Error(`Unexpected tag name in "${text}"`);
+            compound.tag = match[1] === '*' ? null : match[1].toLowerCase();
+        } else if (match[2]) {
+            compound.id = match[2];
+        } else if (match[3]) {
+            compound.classes.push(match[3]);
+        } else {
+            const value = match[5] ?? match[6] ?? match[7];
+            compound.attrs.push({ name: match[4].toLowerCase(), value: value === undefined ? null : value });
+        }
+        index = token.lastIndex;
+    }
+
+    return compound;
+}
+
+/**
+ * Parse a selector list into arrays of compounds (descendant combinators only).
+ *
+ * @param {string} selector - e.g. "#ssn, form.billing input[name=card]"
+ * @returns {Array<Array<object>>}
+ */
+function parseSelector(selector) {
+    return String(selector).split(',').map(part => {
+        const compounds = part.trim().split(/\s+/).filter(Boolean);
+        if (compounds.length === 0) {
+            throw new Error(`Empty selector in "${selector}"`);
+        }
+        return compounds.map(parseCompound);
+    });
+}
+
+function matchesCompound(entry, compound) {
+    if (!entry || !entry.tagName) return false;
+    const attributes = entry.attributes || {};
+
+    if (compound.tag && entry.tagName !== compound.tag) return false;
+    if (compound.id && attributes.id !== compound.id) return false;
+    if (compound.classes.length > 0) {
+        const classes = typeof attributes.class === 'string' ? attributes.class.split(/\s+/) : [];
+        if (!compound.classes.every(name => classes.includes(name))) return false;
+    }
+    for (const { name, value } of compound.attrs) {
+        if (!(name in attributes)) return false;
+        if (value !== null && String(attributes[name]) !== value) return false;
+    }
+    return true;
+}
+
+/**
+ * Compile a domain's "scrub" config.
+ *
+ * @param {object} config - { patterns, selectors, attributes }
+ * @returns {{patterns: Array<RegExp>, selectors: Array<Array<object>>, attributes: Array<string>}|null} - null if there is nothing to scrub
+ */
+function compileRules(config) {
+    if (!config) return null;
+
+    const patterns = (config.patterns || []).map(pattern => {
+        const source = typeof pattern === 'string' ? pattern : pattern.pattern;
+        const flags = typeof pattern === 'string' ? '' : (pattern.flags || '');
+        return new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+    });
+    const selectors = (config.selectors || []).flatMap(parseSelector);
+    const attributes = (config.attributes || []).map(name => String(name).toLowerCase());
+
+    if (patterns.length === 0 && selectors.length === 0 && attributes.length === 0) {
+        return null;
+    }
+    return { patterns, selectors, attributes };
+}
+
+/**
+ * Combine rules (domains sharing a bucket get the union of their rules).
+ */
+function mergeRules(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return {
+        patterns: [...a.patterns, ...b.patterns],
+        selectors: [...a.selectors, ...b.selectors],
+        attributes: [...new Set([...a.attributes, ...b.attributes])]
+    };
+}
+
+/**
+ * Build host -> rules and bucket -> rules from ALLOWED_DOMAINS (once).
+ * Throws on invalid patterns or selectors.
+ *
+ * @returns {{byHost: object, byBucket: object}}
+ */
+function getDomainRules() {
+    if (domainRules) return domainRules;
+
+    let domains = {};
+    try {
+        domains = JSON.parse(process.env.ALLOWED_DOMAINS || '{}');
+    } catch (err) {
+        console.error('[Scrubber] Error parsing ALLOWED_DOMAINS:', err.message);
+    }
+
+    const rules = { byHost: {}, byBucket: {} };
+    for (const [host, config] of Object.entries(domains)) {
+        if (!config || !config.scrub) continue;
+        let compiled;
+        try {
+            compiled = compileRules(config.scrub);
+        } catch (err) {
+            throw new Error(`Invalid scrub rules for domain ${host}: ${err.message}`);
+        }
+        if (!compiled) continue;
+        rules.byHost[host] = compiled;
+        if (config.bucket) {
+            rules.byBucket[config.bucket] = mergeRules(rules.byBucket[config.bucket], compiled);
+        }
+    }
+
+    domainRules = rules;
+    return domainRules;
+}
+
+/**
+ * @param {string} host - Verified domain
+ * @returns {object|null} - Compiled rules, null if the domain doesn't scrub
+ */
+function getRulesForHost(host) {
+    return getDomainRules().byHost[host] || null;
+}
+
+/**
+ * @param {string} bucket - Bucket name (session_chunks.s3_bucket)
+ * @returns {object|null} - Compiled rules, null if no domain using the bucket scrubs
+ */
+function getRulesForBucket(bucket) {
+    return getDomainRules().byBucket[bucket] || null;
+}
+
+/**
+ * Create a stateful scrubber for one session.
+ *
+ * @param {object} rules - Compiled rules (compileRules / getRulesFor*)
+ * @returns {{scrub: (events: Array) => Array, stats: {text: number, inputs: number, attributes: number}}}
+ */
+function createScrubber(rules) {
+    // node id -> { parentId, tagName, attributes, private, raw }
+    const nodes = new Map();
+    const stats = { text: 0, inputs: 0, attributes: 0 };
+
+    function scrubText(value, isPrivate) {
+        if (typeof value !== 'string' || value.length === 0) return value;
+        if (isPrivate) return mask(value);
+        let result = value;
+        for (const pattern of rules.patterns) {
+            pattern.lastIndex = 0;
+            result = result.replace(pattern, mask);
+        }
+        return result;
+    }
+
+    function matchesSelector(id, compounds) {
+        let entry = nodes.get(id);
+        if (!matchesCompound(entry, compounds[compounds.length - 1])) return false;
+
+        // Remaining compounds must match ancestors, right to left
+        let index = compounds.length - 2;
+        while (index >= 0) {
+            entry = nodes.get(entry.parentId);
+            if (!entry) return false;
+            if (matchesCompound(entry, compounds[index])) index--;
+        }
+        return true;
+    }
+
+    function isPrivateElement(id, entry) {
+        const parent = nodes.get(entry.parentId);
+        if (parent && parent.private) return true;
+        const attributes = entry.attributes || {};
+        if (rules.attributes.some(name => name in attributes)) return true;
+        return rules.selectors.some(compounds => matchesSelector(id, compounds));
+    }
+
+    /**
+     * Scrub the text attributes in `attributes` (a snapshot node's or a mutation's).
+     */
+    function scrubAttributes(attributes, isPrivate) {
+        if (!attributes) return;
+        for (const name of TEXT_ATTRIBUTES) {
+            const value = attributes[name];
+            if (typeof value !== 'string') continue;
+            const scrubbed = scrubText(value, isPrivate);
+            if (scrubbed !== value) {
+                attributes[name] = scrubbed;
+                stats.attributes++;
+            }
+        }
+    }
+
+    function scrubTextNode(node, parent) {
+        if (node.isStyle || (parent && parent.raw)) return;
+        const value = node.textContent;
+        const scrubbed = scrubText(value, !!(parent && parent.private));
+        if (scrubbed !== value) {
+            node.textContent = scrubbed;
+            stats.text++;
+        }
+    }
+
+    /**
+     * Register a serialized node (and its subtree) and scrub it.
+     */
+    function visit(root, rootParentId) {
+        const stack = [[root, rootParentId]];
+        while (stack.length > 0) {
+            const [node, parentId] = stack.pop();
+            if (!node || node.id === undefined) continue;
+
+            const parent = nodes.get(parentId);
+            const entry = { parentId, tagName: null, attributes: null, private: false, raw: false };
+            nodes.set(node.id, entry);
+
+            if (node.type === NODE_ELEMENT) {
+                entry.tagName = String(node.tagName || '').toLowerCase();
+                entry.attributes = { ...(node.attributes || {}) };
+                entry.raw = RAW_TEXT_TAGS.has(entry.tagName);
+                entry.private = isPrivateElement(node.id, entry);
+                scrubAttributes(node.attributes, entry.private);
+            } else if (node.type === NODE_TEXT) {
+                entry.private = !!(parent && parent.private);
+                entry.raw = !!(node.isStyle || (parent && parent.raw));
+                scrubTextNode(node, parent);
+            } else {
+                entry.private = !!(parent && parent.private);
+            }
+
+            const children = node.childNodes || [];
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push([children[i], node.id]);
+            }
+        }
+    }
+
+    function scrubMutation(data) {
+        for (const removed of data.removes || []) {
+            nodes.delete(removed.id);
+        }
+        for (const added of data.adds || []) {
+            visit(added.node, added.parentId);
+        }
+        for (const text of data.texts || []) {
+            const entry = nodes.get(text.id);
+            if (!entry || entry.raw) continue;
+            const scrubbed = scrubText(text.value, entry.private);
+            if (scrubbed !== text.value) {
+                text.value = scrubbed;
+                stats.text++;
+            }
+        }
+        for (const change of data.attributes || []) {
+            const entry = nodes.get(change.id);
+            if (!entry) continue;
+            entry.attributes = entry.attributes || {};
+            for (const [name, value] of Object.entries(change.attributes || {})) {
+                if (value === null) delete entry.attributes[name];
+                else entry.attributes[name] = value;
+            }
+            if (entry.tagName) entry.private = isPrivateElement(change.id, entry);
+            scrubAttributes(change.attributes, entry.private);
+        }
+    }
+
+    function scrubInput(data) {
+        const entry = nodes.get(data.id);
+        const scrubbed = scrubText(data.text, !!(entry && entry.private));
+        if (scrubbed !== data.text) {
+            data.text = scrubbed;
+            stats.inputs++;
+        }
+    }
+
+    function scrub(events) {
+        for (const event of events) {
+            if (!event || !event.data) continue;
+            if (event.type === EVENT_FULL_SNAPSHOT) {
+                // A full snapshot rebuilds the page - start a fresh node map
+                nodes.clear();
+                visit(event.data.node, null);
+            } else if (event.type === EVENT_INCREMENTAL) {
+                if (event.data.source === SOURCE_MUTATION) scrubMutation(event.data);
+                else if (event.data.source === SOURCE_INPUT) scrubInput(event.data);
+            }
+        }
+        return events;
+    }
+
+    return { scrub, stats };
+}
+
+/**
+ * Scrub one self-contained batch of events (e.g. a single upload).
+ *
+ * @param {Array} events - rrweb events (modified in place)
+ * @param {object} rules - Compiled rules
+ * @returns {{events: Array, stats: object}}
+ */
+function scrubEvents(events, rules) {
+    const scrubber = createScrubber(rules);
+    scrubber.scrub(events);
+    return { events, stats: scrubber.stats };
+}
+
+/**
+ * Scrub a batch uploaded in the middle of a session (/flush, /upload-session).
+ *
+ * Selector and attribute rules need the node map of the page the batch belongs to.
+ * Unless the batch brings its own full snapshot, the session's stored events are
+ * run through the scrubber first to rebuild it (they are read, not rewritten).
+ *
+ * @param {Array} events - rrweb events of the batch (modified in place)
+ * @param {object} rules - Compiled rules
+ * @param {Function} readStored - async (onBatch) => void, streams the session's stored
+ *                                events in order (e.g. sessionReader.readSession)
+ * @returns {Promise<{events: Array, stats: object, primed: boolean}>}
+ */
+async function scrubSessionBatch(events, rules, readStored) {
+    const scrubber = createScrubber(rules);
+    const needsNodeMap = rules.selectors.length > 0 || rules.attributes.length > 0;
+    const snapshotAt = events.findIndex(event => event && event.type === EVENT_FULL_SNAPSHOT);
+    const incrementalAt = events.findIndex(event => event && event.type === EVENT_INCREMENTAL);
+    const selfContained = snapshotAt !== -1 && (incrementalAt === -1 || snapshotAt < incrementalAt);
+
+    let primed = false;
+    if (needsNodeMap && !selfContained) {
+        await readStored(async (batch) => {
+            scrubber.scrub(batch);
+        });
+        // Only count what is masked in this batch
+        for (const key of Object.keys(scrubber.stats)) scrubber.stats[key] = 0;
+        primed = true;
+    }
+
+    scrubber.scrub(events);
+    return { events, stats: scrubber.stats, primed };
+}
+
+module.exports = {
+    compileRules,
+    getDomainRules,
+    getRulesForHost,
+    getRulesForBucket,
+    createScrubber,
+    scrubEvents,
+    scrubSessionBatch
+};
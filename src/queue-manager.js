@@ -6,66 +6,291 @@
  * - 'queued': Waiting for worker to pick up
  * - 'processing': Worker is currently processing
  * - 'ready': Processing complete, assets available
- * - 'failed': Processing failed
+ * - 'failed': Last attempt failed; retried automatically at next_attempt_at
+ * - 'dead': Failed RENDER_MAX_ATTEMPTS times; only re-queued by an admin
+ * - 'cancelled': Cancelled by an admin; only re-queued by an admin
+ *
+ * Several workers can share the queue: claimNextJob() takes a job atomically
+ * (FOR UPDATE SKIP LOCKED) and records the worker_id. The worker sends a
+ * heartbeat while rendering; jobs whose heartbeat stops (worker crashed or was
+ * killed) are put back in the queue by requeueStaleJobs(). Only the worker that
+ * holds a job can mark it ready or failed.
+ *
+ * Every claim counts as an attempt. A failed attempt stores the error and is
+ * retried with exponential backoff (RENDER_RETRY_BASE_MS doubling per attempt,
+ * capped at RENDER_RETRY_MAX_MS) until RENDER_MAX_ATTEMPTS is reached, after
+ * which the job is 'dead'. A worker dying mid-render also uses up an attempt,
+ * so a session that crashes the renderer can't take workers down forever.
+ *
+ * Jobs belong to a named queue (job_queue) and have a priority (job_priority):
+ * - 'manual': requested from the dashboard (generate-assets), someone is waiting
+ * - 'auto': sessions auto-queued when they drop off
+ * Higher priority is claimed first, then oldest queued_at. Sessions in a problem
+ * cohort get at least PRIORITY.problem, so they jump ahead of bulk drop-offs.
+ * Workers can be limited to some queues (WORKER_QUEUES) to keep capacity for
+ * manual requests.
+ *
+ * While processing, the worker reports its stage (fetching, timeline, rendering,
+ * uploading) and frames rendered / total with updateProgress(), which also
+ * counts as a heartbeat. Cancelling a processing job takes the claim away, so
+ * the worker's next heartbeat or progress update tells it to stop.
  *
  * IMPORTANT: All functions are ASYNC - always use await!
  */
 
 const db = require('./db');
 
+const MAX_ATTEMPTS = parseInt(process.env.RENDER_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.RENDER_RETRY_BASE_MS || '60000', 10);       // 1 minute
+const RETRY_MAX_MS = parseInt(process.env.RENDER_RETRY_MAX_MS || '3600000', 10);       // 1 hour
+
+/**
+ * Delay before retrying a job that has failed `attempts` times.
+ *
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} - Delay in ms
+ */
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+}
+
+const QUEUES = ['manual', 'auto'];
+
+const JOB_STATUSES = ['queued', 'processing', 'failed', 'dead', 'cancelled'];
+const JOB_STAGES = ['fetching', 'timeline', 'rendering', 'thumbnails', 'uploading'];
+
+// Default priority per queue; higher is claimed first
+const PRIORITY = {
+    manual: 100,
+    problem: 50,    // sessions in a problem cohort (any queue)
+    auto: 0
+};
+
+/**
+ * Parse a comma-separated queue list (WORKER_QUEUES).
+ *
+ * @param {string} [value] - e.g. "manual" or "manual,auto"
+ * @returns {Array<string>|null} - Queue names, or null for all queues
+ */
+function parseQueueList(value) {
+    if (!value || !value.trim()) return null;
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    for (const name of names) {
+        if (!QUEUES.includes(name)) {
+            throw new Error(`Unknown queue "${name}" (expected ${QUEUES.join(', ')})`);
+        }
+    }
+    return names;
+}
+
 /**
  * Add a session to the processing queue.
  * Creates session record if it doesn't exist.
+ * Queueing a session that is already waiting never lowers its priority
+ * or moves it to the back of the queue.
  *
  * @param {string} sessionId - The session ID to queue
+ * @param {object} [options]
+ * @param {string} [options.queue] - 'manual' or 'auto' (default 'auto')
+ * @param {number} [options.priority] - Defaults to the queue's priority
+ * @param {string} [options.renderProfile] - Render profile for this job (default: campaign's, see src/render-profiles.js)
  * @returns {Promise<void>}
  */
-async function addJob(sessionId) {
+async function addJob(sessionId, { queue = 'auto', priority, renderProfile = null } = {}) {
+    if (!QUEUES.includes(queue)) {
+        throw new Error(`Unknown queue: ${queue}`);
+    }
     const now = Date.now();
 
+    let jobPriority = priority !== undefined ? priority : PRIORITY[queue];
+    const inProblem = await db.queryOne('SELECT 1 FROM problem_sessions WHERE session_id = $1 LIMIT 1', [sessionId]);
+    if (inProblem) {
+        jobPriority = Math.max(jobPriority, PRIORITY.problem);
+    }
+
     // Upsert: create or update session to 'queued' status
+    // (clears any claim, so a worker still rendering an older request can't finish it)
     await db.query(`
-        INSERT INTO sessions (session_id, assets_status, updated_at)
-        VALUES ($1, 'queued', $2)
+        INSERT INTO sessions (session_id, assets_status, job_queue, job_priority, job_render_profile, queued_at, updated_at)
+        VALUES ($1, 'queued', $4, $5, $6, $2, $2)
         ON CONFLICT (session_id) DO UPDATE SET
+            job_render_profile = CASE WHEN sessions.assets_status = 'queued' AND EXCLUDED.job_render_profile IS NULL
+                                      THEN sessions.job_render_profile ELSE EXCLUDED.job_render_profile END,
+            job_queue = CASE WHEN sessions.assets_status = 'queued' AND sessions.job_priority > EXCLUDED.job_priority
+                             THEN sessions.job_queue ELSE EXCLUDED.job_queue END,
+            job_priority = CASE WHEN sessions.assets_status = 'queued'
+                                THEN GREATEST(sessions.job_priority, EXCLUDED.job_priority) ELSE EXCLUDED.job_priority END,
+            queued_at = CASE WHEN sessions.assets_status = 'queued' AND sessions.queued_at IS NOT NULL
+                             THEN sessions.queued_at ELSE EXCLUDED.queued_at END,
             assets_status = 'queued',
+            worker_id = NULL,
+            heartbeat_at = NULL,
+            render_attempts = 0,
+            last_error = NULL,
+            last_error_stack = NULL,
+            next_attempt_at = NULL,
             updated_at = $3
-    `, [sessionId, now, now]);
+    `, [sessionId, now, now, queue, jobPriority, renderProfile]);
+
+    console.log(`[Queue] Added job: ${sessionId} (${queue}, priority ${jobPriority})`);
+}
 
-    console.log(`[Queue] Added job: ${sessionId}`);
+/**
+ * Raise the priority of a waiting job (e.g. session added to a problem cohort).
+ * Jobs that aren't queued or failed, or already have a higher priority, are left alone.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {number} [priority] - Minimum priority (default PRIORITY.problem)
+ * @returns {Promise<boolean>} - true if the priority was raised
+ */
+async function prioritizeJob(sessionId, priority = PRIORITY.problem) {
+    const result = await db.query(`
+        UPDATE sessions SET job_priority = $1
+        WHERE session_id = $2
+          AND assets_status IN ('queued', 'failed')
+          AND COALESCE(job_priority, 0) < $1
+    `, [priority, sessionId]);
+
+    if (result.rowCount === 1) {
+        console.log(`[Queue] Prioritized: ${sessionId} (priority ${priority})`);
+    }
+    return result.rowCount === 1;
 }
 
 /**
- * Get the next job to process (FIFO order by updated_at).
+ * Atomically claim the next job for a worker: queued jobs, or failed jobs
+ * whose retry time has come, highest priority first, then oldest. Concurrent
+ * workers never get the same session: rows locked by another claim are
+ * skipped rather than waited on.
  *
+ * @param {string} workerId - Identity of the claiming worker
+ * @param {Array<string>|null} [queues] - Only claim from these queues (null = all)
  * @returns {Promise<string|null>} - Session ID or null if no jobs available
  */
-async function getNextJob() {
+async function claimNextJob(workerId, queues = null) {
+    const now = Date.now();
     const result = await db.queryOne(`
-        SELECT session_id
-        FROM sessions
-        WHERE assets_status = 'queued'
-        ORDER BY updated_at ASC
-        LIMIT 1
-    `);
+        UPDATE sessions
+        SET assets_status = 'processing', worker_id = $1, heartbeat_at = $2, updated_at = $2,
+            render_attempts = COALESCE(render_attempts, 0) + 1,
+            next_attempt_at = NULL,
+            job_stage = NULL, frames_rendered = NULL, frames_total = NULL
+        WHERE session_id = (
+            SELECT session_id
+            FROM sessions
+            WHERE (assets_status = 'queued'
+                   OR (assets_status = 'failed' AND next_attempt_at <= $2))
+              AND ($3::text[] IS NULL OR COALESCE(job_queue, 'auto') = ANY($3))
+            ORDER BY COALESCE(job_priority, 0) DESC, COALESCE(next_attempt_at, queued_at, updated_at) ASC
+            LIMIT 1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING session_id, render_attempts, job_queue
+    `, [workerId, now, queues]);
 
+    if (result) {
+        console.log(`[Queue] Processing: ${result.session_id} (worker ${workerId}, ${result.job_queue} queue, attempt ${result.render_attempts}/${MAX_ATTEMPTS})`);
+    }
     return result ? result.session_id : null;
 }
 
 /**
- * Mark a session as currently being processed.
+ * Record that a worker is still working on a job.
  *
  * @param {string} sessionId - The session ID
- * @returns {Promise<void>}
+ * @param {string} workerId - Worker holding the job
+ * @returns {Promise<boolean>} - false if the worker no longer holds the job (re-queued)
  */
-async function markProcessing(sessionId) {
-    await db.query(`
+async function heartbeat(sessionId, workerId) {
+    const result = await db.query(`
+        UPDATE sessions SET heartbeat_at = $1
+        WHERE session_id = $2 AND worker_id = $3 AND assets_status = 'processing'
+    `, [Date.now(), sessionId, workerId]);
+
+    return result.rowCount === 1;
+}
+
+/**
+ * Record a worker's progress on a job (also refreshes its heartbeat).
+ *
+ * @param {string} sessionId - The session ID
+ * @param {string} workerId - Worker holding the job
+ * @param {object} progress
+ * @param {string} progress.stage - One of JOB_STAGES
+ * @param {number} [progress.framesRendered] - Frames rendered so far (rendering stage)
+ * @param {number} [progress.framesTotal] - Total frames to render
+ * @returns {Promise<boolean>} - false if the worker no longer holds the job (cancelled or re-queued)
+ */
+async function updateProgress(sessionId, workerId, { stage, framesRendered = null, framesTotal = null }) {
+    if (!JOB_STAGES.includes(stage)) {
+        throw new Error(`Unknown job stage: ${stage}`);
+    }
+
+    const result = await db.query(`
         UPDATE sessions
-        SET assets_status = 'processing', updated_at = $1
-        WHERE session_id = $2
-    `, [Date.now(), sessionId]);
+        SET job_stage = $1,
+            frames_rendered = COALESCE($2, frames_rendered),
+            frames_total = COALESCE($3, frames_total),
+            heartbeat_at = $4
+        WHERE session_id = $5 AND worker_id = $6 AND assets_status = 'processing'
+    `, [stage, framesRendered, framesTotal, Date.now(), sessionId, workerId]);
+
+    return result.rowCount === 1;
+}
+
+/**
+ * Put jobs whose worker stopped sending heartbeats back in the queue.
+ * Jobs that have used up their attempts go to 'dead' instead.
+ *
+ * @param {number} staleMs - Heartbeat age after which a worker is considered dead
+ * @returns {Promise<Array<string>>} - Re-queued session IDs
+ */
+async function requeueStaleJobs(staleMs) {
+    const now = Date.now();
+    const { rows } = await db.query(`
+        UPDATE sessions
+        SET assets_status = CASE WHEN render_attempts >= $3 THEN 'dead' ELSE 'queued' END,
+            last_error = 'Worker stopped responding (worker ' || COALESCE(worker_id, 'unknown') || ')',
+            last_error_stack = NULL,
+            worker_id = NULL,
+            heartbeat_at = NULL,
+            updated_at = $1
+        WHERE assets_status = 'processing'
+          AND (heartbeat_at IS NULL OR heartbeat_at < $2)
+        RETURNING session_id, assets_status
+    `, [now, now - staleMs, MAX_ATTEMPTS]);
+
+    const requeued = rows.filter(row => row.assets_status === 'queued').map(row => row.session_id);
+    const dead = rows.filter(row => row.assets_status === 'dead').map(row => row.session_id);
+    if (requeued.length > 0) {
+        console.log(`[Queue] Re-queued ${requeued.length} stale job(s): ${requeued.join(', ')}`);
+    }
+    if (dead.length > 0) {
+        console.warn(`[Queue] ${dead.length} stale job(s) out of attempts, marked dead: ${dead.join(', ')}`);
+    }
+    return requeued;
+}
+
+/**
+ * Give a claimed job back to the queue (e.g. worker shutting down).
+ * Doesn't count as an attempt.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {string} workerId - Worker holding the job
+ * @returns {Promise<boolean>} - false if the worker no longer held the job
+ */
+async function releaseJob(sessionId, workerId) {
+    const result = await db.query(`
+        UPDATE sessions
+        SET assets_status = 'queued', worker_id = NULL, heartbeat_at = NULL,
+            render_attempts = GREATEST(render_attempts - 1, 0)
+        WHERE session_id = $1 AND worker_id = $2 AND assets_status = 'processing'
+    `, [sessionId, workerId]);
 
-    console.log(`[Queue] Processing: ${sessionId}`);
+    if (result.rowCount === 1) {
+        console.log(`[Queue] Released: ${sessionId}`);
+    }
+    return result.rowCount === 1;
 }
 
 /**
@@ -74,61 +299,343 @@ async function markProcessing(sessionId) {
  * @param {string} sessionId - The session ID
  * @param {string} videoKey - S3 key for the video file
  * @param {string} timelineKey - S3 key for the timeline file
- * @returns {Promise<void>}
+ * @param {string} workerId - Worker holding the job
+ * @param {string} [renderProfile] - Render profile the video was made with
+ * @param {object} [assets] - Other assets
+ * @param {string} [assets.timelineJsonKey] - S3 key for the structured timeline (JSON)
+ * @param {object} [assets.thumbnails] - Preview images (src/thumbnails.js); none if generating them failed
+ * @param {string} assets.thumbnails.posterKey
+ * @param {string} assets.thumbnails.previewKey
+ * @param {string} assets.thumbnails.spriteKey
+ * @param {object} assets.thumbnails.sprite - Sprite sheet layout (planSprite) with its time_base and gaps (gapMap)
+ * @returns {Promise<boolean>} - false if the worker no longer holds the job
  */
-async function markReady(sessionId, videoKey, timelineKey) {
-    await db.query(`
+async function markReady(sessionId, videoKey, timelineKey, workerId, renderProfile = null, { timelineJsonKey = null, thumbnails = null } = {}) {
+    const result = await db.query(`
         UPDATE sessions
         SET assets_status = 'ready',
             video_s3_key = $1,
             timeline_s3_key = $2,
+            render_profile = $6,
+            poster_s3_key = $7,
+            preview_s3_key = $8,
+            sprite_s3_key = $9,
+            sprite_meta = $10,
+            timeline_json_s3_key = $11,
+            worker_id = NULL,
+            heartbeat_at = NULL,
+            last_error = NULL,
+            last_error_stack = NULL,
             updated_at = $3
-        WHERE session_id = $4
-    `, [videoKey, timelineKey, Date.now(), sessionId]);
+        WHERE session_id = $4 AND worker_id = $5 AND assets_status = 'processing'
+    `, [
+        videoKey, timelineKey, Date.now(), sessionId, workerId, renderProfile,
+        thumbnails?.posterKey || null,
+        thumbnails?.previewKey || null,
+        thumbnails?.spriteKey || null,
+        thumbnails?.sprite ? JSON.stringify(thumbnails.sprite) : null,
+        timelineJsonKey
+    ]);
 
+    if (result.rowCount !== 1) {
+        console.warn(`[Queue] Not marking ${sessionId} ready: job no longer held by worker ${workerId}`);
+        return false;
+    }
     console.log(`[Queue] Ready: ${sessionId}`);
+    return true;
 }
 
 /**
- * Mark a session as failed.
+ * Record a failed attempt. The job is retried after retryDelay(attempts),
+ * or marked 'dead' once it has used RENDER_MAX_ATTEMPTS attempts.
  *
  * @param {string} sessionId - The session ID
- * @returns {Promise<void>}
+ * @param {string} workerId - Worker holding the job
+ * @param {Error|string} [error] - What went wrong (message and stack are stored)
+ * @returns {Promise<boolean>} - false if the worker no longer holds the job
  */
-async function markFailed(sessionId) {
-    await db.query(`
+async function markFailed(sessionId, workerId, error) {
+    const message = error ? String(error.message || error) : 'Unknown error';
+    const stack = error && error.stack ? String(error.stack) : null;
+
+    const job = await db.queryOne(
+        'SELECT render_attempts FROM sessions WHERE session_id = $1 AND worker_id = $2 AND assets_status = $3',
+        [sessionId, workerId, 'processing']
+    );
+    const attempts = job ? job.render_attempts || 1 : 0;
+    const dead = attempts >= MAX_ATTEMPTS;
+    const now = Date.now();
+
+    const result = job && await db.query(`
         UPDATE sessions
-        SET assets_status = 'failed', updated_at = $1
-        WHERE session_id = $2
+        SET assets_status = $1,
+            next_attempt_at = $2,
+            last_error = $3,
+            last_error_stack = $4,
+            worker_id = NULL,
+            heartbeat_at = NULL,
+            updated_at = $5
+        WHERE session_id = $6 AND worker_id = $7 AND assets_status = 'processing'
+    `, [dead ? 'dead' : 'failed', dead ? null : now + retryDelay(attempts), message, stack, now, sessionId, workerId]);
+
+    if (!result || result.rowCount !== 1) {
+        console.warn(`[Queue] Not marking ${sessionId} failed: job no longer held by worker ${workerId}`);
+        return false;
+    }
+    if (dead) {
+        console.warn(`[Queue] Dead after ${attempts} attempt(s): ${sessionId} (${message})`);
+    } else {
+        console.log(`[Queue] Failed attempt ${attempts}/${MAX_ATTEMPTS}: ${sessionId}, retrying in ${Math.round(retryDelay(attempts) / 1000)}s`);
+    }
+    return true;
+}
+
+const JOB_COLUMNS = `
+    s.session_id, s.campaign_id, c.name as campaign_name, s.assets_status,
+    s.job_queue, s.job_priority, s.job_render_profile, s.render_profile, s.queued_at, s.worker_id, s.heartbeat_at,
+    s.job_stage, s.frames_rendered, s.frames_total,
+    s.render_attempts, s.last_error, s.last_error_stack, s.next_attempt_at, s.updated_at
+`;
+
+function toNumber(value) {
+    return value === null || value === undefined ? null : parseInt(value);
+}
+
+/**
+ * Shape a sessions row as a job (BIGINT columns arrive as strings).
+ */
+function formatJob(row) {
+    const framesRendered = toNumber(row.frames_rendered);
+    const framesTotal = toNumber(row.frames_total);
+    return {
+        session_id: row.session_id,
+        campaign_id: row.campaign_id,
+        campaign_name: row.campaign_name,
+        assets_status: row.assets_status,
+        job_queue: row.job_queue || 'auto',
+        job_priority: row.job_priority || 0,
+        job_render_profile: row.job_render_profile,
+        render_profile: row.render_profile,
+        queued_at: toNumber(row.queued_at),
+        worker_id: row.worker_id,
+        heartbeat_at: toNumber(row.heartbeat_at),
+        progress: {
+            stage: row.job_stage,
+            frames_rendered: framesRendered,
+            frames_total: framesTotal,
+            percent: framesTotal ? Math.min(100, Math.floor((framesRendered || 0) / framesTotal * 100)) : null
+        },
+        render_attempts: row.render_attempts || 0,
+        last_error: row.last_error,
+        last_error_stack: row.last_error_stack,
+        next_attempt_at: toNumber(row.next_attempt_at),
+        updated_at: toNumber(row.updated_at)
+    };
+}
+
+/**
+ * List jobs, most recently updated first.
+ *
+ * @param {object} [options]
+ * @param {Array<string>} [options.statuses] - Subset of JOB_STATUSES (default all)
+ * @param {string} [options.queue] - Only this queue
+ * @param {number} [options.campaignId] - Only this campaign's sessions
+ * @param {string} [options.workerId] - Only jobs held by this worker
+ * @param {number} [options.limit] - Page size (default 50)
+ * @param {number} [options.offset] - Rows to skip
+ * @returns {Promise<{jobs: Array<object>, total: number}>}
+ */
+async function listJobs({ statuses = JOB_STATUSES, queue = null, campaignId = null, workerId = null, limit = 50, offset = 0 } = {}) {
+    const conditions = ['s.assets_status = ANY($1)'];
+    const params = [statuses];
+    if (queue) {
+        params.push(queue);
+        conditions.push(`COALESCE(s.job_queue, 'auto') = $${params.length}`);
+    }
+    if (campaignId) {
+        params.push(campaignId);
+        conditions.push(`s.campaign_id = $${params.length}`);
+    }
+    if (workerId) {
+        params.push(workerId);
+        conditions.push(`s.worker_id = $${params.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await db.queryOne(`SELECT COUNT(*) as count FROM sessions s WHERE ${where}`, params);
+    const { rows } = await db.query(`
+        SELECT ${JOB_COLUMNS}
+        FROM sessions s
+        LEFT JOIN campaigns c ON c.id = s.campaign_id
+        WHERE ${where}
+        ORDER BY s.updated_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return { jobs: rows.map(formatJob), total: parseInt(countResult?.count) || 0 };
+}
+
+/**
+ * List failed and dead jobs, most recently failed first.
+ *
+ * @param {object} [options] - As listJobs; statuses is a subset of ['failed', 'dead'] (default both)
+ * @returns {Promise<{jobs: Array<object>, total: number}>}
+ */
+async function listFailedJobs(options = {}) {
+    return listJobs({ ...options, statuses: options.statuses || ['failed', 'dead'] });
+}
+
+/**
+ * Get one job.
+ *
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<object|null>}
+ */
+async function getJob(sessionId) {
+    const row = await db.queryOne(`
+        SELECT ${JOB_COLUMNS}
+        FROM sessions s
+        LEFT JOIN campaigns c ON c.id = s.campaign_id
+        WHERE s.session_id = $1
+    `, [sessionId]);
+    return row ? formatJob(row) : null;
+}
+
+/**
+ * Cancel a queued, processing or failed (waiting for retry) job.
+ * A processing job's worker finds out on its next heartbeat and stops.
+ *
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<string|null>} - Status the job was cancelled from, or null if it wasn't cancellable
+ */
+async function cancelJob(sessionId) {
+    const result = await db.queryOne(`
+        UPDATE sessions s
+        SET assets_status = 'cancelled',
+            worker_id = NULL,
+            heartbeat_at = NULL,
+            next_attempt_at = NULL,
+            updated_at = $1
+        FROM (SELECT session_id, assets_status FROM sessions WHERE session_id = $2 FOR UPDATE) prev
+        WHERE s.session_id = prev.session_id
+          AND prev.assets_status IN ('queued', 'processing', 'failed')
+        RETURNING prev.assets_status as previous_status
     `, [Date.now(), sessionId]);
 
-    console.log(`[Queue] Failed: ${sessionId}`);
+    if (result) {
+        console.log(`[Queue] Cancelled: ${sessionId} (was ${result.previous_status})`);
+    }
+    return result ? result.previous_status : null;
+}
+
+/**
+ * Put failed/dead (or cancelled) jobs back in the queue with a fresh set of attempts.
+ * Either pass sessionIds, or filter by statuses/campaignId.
+ *
+ * @param {object} options
+ * @param {Array<string>} [options.sessionIds] - Specific sessions
+ * @param {Array<string>} [options.statuses] - Subset of ['failed', 'dead', 'cancelled'] (default failed + dead)
+ * @param {number} [options.campaignId] - Only this campaign's sessions
+ * @returns {Promise<Array<string>>} - Re-queued session IDs (sessions in other states are skipped)
+ */
+async function requeueFailedJobs({ sessionIds = null, statuses = ['failed', 'dead'], campaignId = null } = {}) {
+    const conditions = ['assets_status = ANY($2)'];
+    const params = [Date.now(), statuses];
+    if (sessionIds) {
+        params.push(sessionIds);
+        conditions.push(`session_id = ANY($${params.length})`);
+    }
+    if (campaignId) {
+        params.push(campaignId);
+        conditions.push(`campaign_id = $${params.length}`);
+    }
+
+    const { rows } = await db.query(`
+        UPDATE sessions
+        SET assets_status = 'queued',
+            render_attempts = 0,
+            next_attempt_at = NULL,
+            queued_at = $1,
+            updated_at = $1
+        WHERE ${conditions.join(' AND ')}
+        RETURNING session_id
+    `, params);
+
+    const requeued = rows.map(row => row.session_id);
+    if (requeued.length > 0) {
+        console.log(`[Queue] Manually re-queued ${requeued.length} job(s)`);
+    }
+    return requeued;
 }
 
 /**
  * Get queue statistics.
  *
- * @returns {Promise<object>} - Counts by status
+ * @returns {Promise<object>} - Counts by status, plus depth and age per queue:
+ *   queues: { manual: { queued, processing, retrying, oldest_queued_at, max_age_ms }, auto: {...} }
  */
 async function getQueueStats() {
+    const now = Date.now();
     const result = await db.queryOne(`
         SELECT
             COUNT(CASE WHEN assets_status = 'queued' THEN 1 END) as queued,
             COUNT(CASE WHEN assets_status = 'processing' THEN 1 END) as processing,
             COUNT(CASE WHEN assets_status = 'ready' THEN 1 END) as ready,
             COUNT(CASE WHEN assets_status = 'failed' THEN 1 END) as failed,
+            COUNT(CASE WHEN assets_status = 'dead' THEN 1 END) as dead,
+            COUNT(CASE WHEN assets_status = 'cancelled' THEN 1 END) as cancelled,
             COUNT(CASE WHEN assets_status = 'raw' THEN 1 END) as raw
         FROM sessions
     `);
 
-    return result;
+    const { rows } = await db.query(`
+        SELECT COALESCE(job_queue, 'auto') as job_queue,
+               COUNT(*) FILTER (WHERE assets_status = 'queued') as queued,
+               COUNT(*) FILTER (WHERE assets_status = 'processing') as processing,
+               COUNT(*) FILTER (WHERE assets_status = 'failed') as retrying,
+               MIN(COALESCE(queued_at, updated_at)) FILTER (WHERE assets_status = 'queued') as oldest_queued_at
+        FROM sessions
+        WHERE assets_status IN ('queued', 'processing', 'failed')
+        GROUP BY COALESCE(job_queue, 'auto')
+    `);
+
+    const queues = {};
+    for (const name of QUEUES) {
+        const row = rows.find(r => r.job_queue === name);
+        const oldest = row && row.oldest_queued_at !== null ? parseInt(row.oldest_queued_at) : null;
+        queues[name] = {
+            queued: parseInt(row?.queued) || 0,
+            processing: parseInt(row?.processing) || 0,
+            retrying: parseInt(row?.retrying) || 0,
+            oldest_queued_at: oldest,
+            max_age_ms: oldest === null ? 0 : Math.max(0, now - oldest)
+        };
+    }
+
+    return { ...result, queues };
 }
 
 module.exports = {
+    MAX_ATTEMPTS,
+    QUEUES,
+    JOB_STATUSES,
+    JOB_STAGES,
+    PRIORITY,
+    retryDelay,
+    parseQueueList,
     addJob,
-    getNextJob,
-    markProcessing,
+    prioritizeJob,
+    claimNextJob,
+    heartbeat,
+    updateProgress,
+    requeueStaleJobs,
+    releaseJob,
     markReady,
     markFailed,
+    listJobs,
+    listFailedJobs,
+    getJob,
+    cancelJob,
+    requeueFailedJobs,
     getQueueStats
 };
@@ -0,0 +1,288 @@
+/**
+ * Campaign Sampling & Quotas
+ *
+ * Limits how many sessions a campaign records:
+ * - sample_rate: percentage of distinct_ids recorded (0-100, default 100).
+ *   Decided by a stable hash of campaign id + distinct_id, so a user is either
+ *   always or never sampled for a campaign
+ * - daily_session_cap / monthly_session_cap: max new sessions per UTC day/month (NULL = no cap)
+ *
+ * A session is admitted once, on its first chunk, and recorded in session_admissions;
+ * admitted sessions keep recording even after a cap is reached. Usage counts those rows.
+ *
+ * Enforced in three places:
+ * - GET /api/projects/:token/config tells the recorder which campaigns not to start
+ * - POST /api/sessions/:id/upload-url and /flush reject unadmitted sessions with 429
+ * - public/recorder.js stops and drops its buffer on 429
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const SAMPLE_BUCKETS = 10000;           // 0.01% sampling resolution
+const MAX_SESSION_CAP = 10000000;
+// Admissions older than this are only kept for last month's usage
+const ADMISSION_KEEP_MONTHS = 2;
+
+// Columns every caller needs from campaigns to make a decision
+const QUOTA_COLUMNS = 'sample_rate, daily_session_cap, monthly_session_cap';
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ *
+ * @param {string} str
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Is this distinct_id inside the campaign's sample?
+ *
+ * @param {number} campaignId
+ * @param {string} distinctId
+ * @param {number|string|null} sampleRate - Percentage 0-100 (NUMERIC columns arrive as strings)
+ * @returns {boolean}
+ */
+function isSampledIn(campaignId, distinctId, sampleRate) {
+    const rate = sampleRate === null || sampleRate === undefined ? 100 : parseFloat(sampleRate);
+    if (rate >= 100) return true;
+    if (rate <= 0) return false;
+    return fnv1a(`${campaignId}:${distinctId}`) % SAMPLE_BUCKETS < Math.round(rate * SAMPLE_BUCKETS / 100);
+}
+
+/**
+ * Validate sample_rate / daily_session_cap / monthly_session_cap from the API.
+ * Fields not present in the body are returned as undefined (leave unchanged).
+ *
+ * @param {object} body - Request body
+ * @returns {{valid: boolean, error?: string, values: object}}
+ */
+function parseQuotaSettings(body) {
+    const values = {};
+
+    if (body.sample_rate !== undefined) {
+        const rate = body.sample_rate === null ? 100 : Number(body.sample_rate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+            return { valid: false, error: 'sample_rate must be a number from 0 to 100', values };
+        }
+        values.sample_rate = Math.round(rate * 100) / 100;
+    }
+
+    for (const field of ['daily_session_cap', 'monthly_session_cap']) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value === null || value === '') {
+            values[field] = null;
+            continue;
+        }
+        const cap = Number(value);
+        if (!Number.isInteger(cap) || cap < 1 || cap > MAX_SESSION_CAP) {
+            return { valid: false, error: `${field} must be an integer from 1 to ${MAX_SESSION_CAP}, or null for no cap`, values };
+        }
+        values[field] = cap;
+    }
+
+    return { valid: true, values };
+}
+
+/**
+ * Start of the current UTC day and month (Unix ms).
+ */
+function periodStarts(now = Date.now()) {
+    const date = new Date(now);
+    return {
+        day: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+        month: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+    };
+}
+
+function hasCaps(campaign) {
+    return campaign.daily_session_cap !== null || campaign.monthly_session_cap !== null;
+}
+
+/**
+ * Sessions admitted today / this month (UTC).
+ *
+ * @param {number} campaignId
+ * @param {object} db - PostgreSQL database adapter (src/db.js) or a transaction client
+ * @returns {Promise<{today: number, this_month: number, day_start: number, month_start: number}>}
+ */
+async function getUsage(campaignId, db, now = Date.now()) {
+    const { day, month } = periodStarts(now);
+    const { rows } = await db.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE admitted_at >= $2) as today,
+            COUNT(*) as this_month
+        FROM session_admissions
+        WHERE campaign_id = $1 AND admitted_at >= $3
+    `, [campaignId, day, month]);
+
+    return {
+        today: parseInt(rows[0]?.today) || 0,
+        this_month: parseInt(rows[0]?.this_month) || 0,
+        day_start: day,
+        month_start: month
+    };
+}
+
+/**
+ * Which cap (if any) the usage has reached.
+ *
+ * @returns {string|null} - 'daily_cap', 'monthly_cap' or null
+ */
+function capReached(campaign, usage) {
+    if (campaign.daily_session_cap !== null && usage.today >= campaign.daily_session_cap) return 'daily_cap';
+    if (campaign.monthly_session_cap !== null && usage.this_month >= campaign.monthly_session_cap) return 'monthly_cap';
+    return null;
+}
+
+/**
+ * Admit a session on its first chunk, or confirm it was admitted earlier.
+ * Cap checks are serialized per campaign so concurrent first chunks can't overshoot.
+ *
+ * @param {string} sessionId
+ * @param {string} distinctId
+ * @param {object} campaign - campaigns row with id + QUOTA_COLUMNS
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<{allowed: boolean, reason: string|null}>} - reason: 'sampled_out', 'daily_cap', 'monthly_cap'
+ */
+async function admitSession(sessionId, distinctId, campaign, db) {
+    const admitted = await db.queryOne(
+        'SELECT campaign_id FROM session_admissions WHERE session_id = $1',
+        [sessionId]
+    );
+    if (admitted) return { allowed: true, reason: null };
+
+    // Sessions that were recording before quotas existed keep going
+    const legacy = await db.queryOne('SELECT 1 FROM session_chunks WHERE session_id = $1 LIMIT 1', [sessionId]);
+
+    if (!legacy && !isSampledIn(campaign.id, distinctId, campaign.sample_rate)) {
+        return { allowed: false, reason: 'sampled_out' };
+    }
+
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        if (!legacy && hasCaps(campaign)) {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [campaign.id]);
+            const reason = capReached(campaign, await getUsage(campaign.id, client));
+            if (reason) {
+                await client.query('ROLLBACK');
+                return { allowed: false, reason };
+            }
+        }
+        await client.query(`
+            INSERT INTO session_admissions (session_id, campaign_id, admitted_at)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (session_id) DO NOTHING
+        `, [sessionId, campaign.id, Date.now()]);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    return { allowed: true, reason: null };
+}
+
+/**
+ * Campaigns the recorder should not start for this visitor (config manifest).
+ * Only campaigns with a sample rate below 100% or a cap are checked.
+ *
+ * @param {string|null} distinctId - Visitor's distinct_id (sampling is skipped without one)
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object>} - { [campaign name]: { record: false, reason } }
+ */
+async function getBlockedCampaigns(distinctId, db) {
+    const { day, month } = periodStarts();
+    const { rows } = await db.query(`
+        SELECT c.id, c.name, c.sample_rate, c.daily_session_cap, c.monthly_session_cap,
+               COUNT(sa.session_id) FILTER (WHERE sa.admitted_at >= $1) as today,
+               COUNT(sa.session_id) as this_month
+        FROM campaigns c
+        LEFT JOIN session_admissions sa ON sa.campaign_id = c.id AND sa.admitted_at >= $2
+        WHERE c.is_paused IS NOT TRUE
+          AND (c.sample_rate < 100 OR c.daily_session_cap IS NOT NULL OR c.monthly_session_cap IS NOT NULL)
+        GROUP BY c.id, c.name, c.sample_rate, c.daily_session_cap, c.monthly_session_cap
+    `, [day, month]);
+
+    const blocked = {};
+    for (const campaign of rows) {
+        if (distinctId && !isSampledIn(campaign.id, distinctId, campaign.sample_rate)) {
+            blocked[campaign.name] = { record: false, reason: 'sampled_out' };
+            continue;
+        }
+        const usage = { today: parseInt(campaign.today) || 0, this_month: parseInt(campaign.this_month) || 0 };
+        const reason = capReached(campaign, usage);
+        if (reason) {
+            blocked[campaign.name] = { record: false, reason };
+        }
+    }
+    return blocked;
+}
+
+/**
+ * Quota settings + current usage for the campaign detail endpoint.
+ *
+ * @param {object} campaign - campaigns row with id + QUOTA_COLUMNS
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object>}
+ */
+async function describeQuota(campaign, db) {
+    const usage = await getUsage(campaign.id, db);
+    const remaining = (cap, used) => cap === null ? null : Math.max(0, cap - used);
+
+    return {
+        sample_rate: campaign.sample_rate === null ? 100 : parseFloat(campaign.sample_rate),
+        daily_session_cap: campaign.daily_session_cap,
+        monthly_session_cap: campaign.monthly_session_cap,
+        usage: {
+            today: usage.today,
+            this_month: usage.this_month,
+            day_start: usage.day_start,
+            month_start: usage.month_start
+        },
+        remaining: {
+            today: remaining(campaign.daily_session_cap, usage.today),
+            this_month: remaining(campaign.monthly_session_cap, usage.this_month)
+        },
+        cap_reached: capReached(campaign, usage)
+    };
+}
+
+/**
+ * Delete admissions no longer needed for usage (run by src/scheduler.js).
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Rows deleted
+ */
+async function pruneAdmissions(db) {
+    const now = new Date();
+    const cutoff = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (ADMISSION_KEEP_MONTHS - 1), 1);
+    const result = await db.query('DELETE FROM session_admissions WHERE admitted_at < $1', [cutoff]);
+    if (result.rowCount > 0) {
+        console.log(`[Quotas] Pruned ${result.rowCount} old session admission(s)`);
+    }
+    return result.rowCount;
+}
+
+module.exports = {
+    QUOTA_COLUMNS,
+    fnv1a,
+    isSampledIn,
+    parseQuotaSettings,
+    periodStarts,
+    getUsage,
+    admitSession,
+    getBlockedCampaigns,
+    describeQuota,
+    pruneAdmissions
+};
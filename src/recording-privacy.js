@@ -0,0 +1,121 @@
+/**
+ * Recorder Privacy Settings
+ *
+ * Per-domain rrweb masking options, delivered to public/recorder.js through
+ * GET /api/projects/:token/config so masking can be tightened centrally
+ * without redeploying customer sites. Configured with an optional "recording"
+ * field in ALLOWED_DOMAINS:
+ *
+ *   {"app.com": {"bucket": "...", "token": "...", "recording": {
+ *       "maskAllInputs": false,
+ *       "maskTextSelector": ".pii, [data-mask]",
+ *       "blockSelector": ".payment-iframe",
+ *       "ignoreClass": "rr-ignore-input",
+ *       "maskInputTypes": ["email", "tel"],
+ *       "captureConsole": true,
+ *       "captureNetwork": true,
+ *       "networkBodyLimit": 0
+ *   }}}
+ *
+ * This is client-side masking (nothing leaves the browser); src/pii-scrubber.js
+ * is the server-side safety net for whatever still gets through.
+ *
+ * The same field switches on error capture (indexed per session by src/session-errors.js):
+ * - captureConsole: console errors, uncaught exceptions and unhandled promise
+ *   rejections (defaults to ENABLE_CONSOLE_PLUGIN)
+ * - captureNetwork: failed fetch/XHR calls - method, URL without its query string,
+ *   status and timing
+ * - networkBodyLimit: characters of a failed response's body to keep (default 0: none)
+ */
+
+// Input types rrweb's maskInputOptions understands
+const INPUT_TYPES = [
+    'color', 'date', 'datetime-local', 'email', 'month', 'number', 'range',
+    'search', 'tel', 'text', 'time', 'url', 'week', 'textarea', 'select', 'password'
+];
+
+const DEFAULT_SETTINGS = {
+    maskAllInputs: false,
+    maskTextSelector: null,
+    blockSelector: null,
+    ignoreClass: null,
+    maskInputOptions: { password: true },
+    captureConsole: false,
+    captureNetwork: false,
+    networkBodyLimit: 0
+};
+
+const MAX_NETWORK_BODY_LIMIT = 10000;
+
+function optionalString(config, name) {
+    const value = config[name];
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') {
+        throw new Error(`${name} must be a string`);
+    }
+    return value;
+}
+
+function optionalBoolean(config, name, fallback) {
+    const value = config[name];
+    if (value === undefined || value === null) return fallback;
+    if (typeof value !== 'boolean') {
+        throw new Error(`${name} must be true or false`);
+    }
+    return value;
+}
+
+/**
+ * Validate a domain's "recording" config and convert it to rrweb.record() options.
+ * Passwords are always masked.
+ *
+ * @param {object} [config] - { maskAllInputs, maskTextSelector, blockSelector, ignoreClass, maskInputTypes,
+ *   captureConsole, captureNetwork, networkBodyLimit }
+ * @param {object} [defaults]
+ * @param {boolean} [defaults.captureConsole] - For domains that don't set it (ENABLE_CONSOLE_PLUGIN)
+ * @returns {{maskAllInputs: boolean, maskTextSelector: string|null, blockSelector: string|null, ignoreClass: string|null, maskInputOptions: object,
+ *   captureConsole: boolean, captureNetwork: boolean, networkBodyLimit: number}}
+ */
+function buildRecordingSettings(config, { captureConsole = DEFAULT_SETTINGS.captureConsole } = {}) {
+    if (!config) {
+        return { ...DEFAULT_SETTINGS, maskInputOptions: { ...DEFAULT_SETTINGS.maskInputOptions }, captureConsole };
+    }
+
+    if (config.maskAllInputs !== undefined && typeof config.maskAllInputs !== 'boolean') {
+        throw new Error('maskAllInputs must be true or false');
+    }
+
+    const maskInputTypes = config.maskInputTypes || [];
+    if (!Array.isArray(maskInputTypes)) {
+        throw new Error('maskInputTypes must be an array');
+    }
+    const maskInputOptions = { password: true };
+    for (const type of maskInputTypes) {
+        const name = String(type).toLowerCase();
+        if (!INPUT_TYPES.includes(name)) {
+            throw new Error(`Unknown input type in maskInputTypes: ${type}`);
+        }
+        maskInputOptions[name] = true;
+    }
+
+    const networkBodyLimit = config.networkBodyLimit ?? 0;
+    if (!Number.isInteger(networkBodyLimit) || networkBodyLimit < 0 || networkBodyLimit > MAX_NETWORK_BODY_LIMIT) {
+        throw new Error(`networkBodyLimit must be an integer from 0 to ${MAX_NETWORK_BODY_LIMIT}`);
+    }
+
+    return {
+        maskAllInputs: config.maskAllInputs === true,
+        maskTextSelector: optionalString(config, 'maskTextSelector'),
+        blockSelector: optionalString(config, 'blockSelector'),
+        ignoreClass: optionalString(config, 'ignoreClass'),
+        maskInputOptions,
+        captureConsole: optionalBoolean(config, 'captureConsole', captureConsole),
+        captureNetwork: optionalBoolean(config, 'captureNetwork', false),
+        networkBodyLimit
+    };
+}
+
+module.exports = {
+    INPUT_TYPES,
+    buildRecordingSettings
+};
@@ -0,0 +1,249 @@
+/**
+ * Render Profiles
+ *
+ * Named output settings for session videos (render-worker.js):
+ * - preview: small and cheap, for skimming in the dashboard
+ * - analysis: what the AI analyst watches (720p, 3 FPS, up to 8 FPS around interactions)
+ * - hifi: smooth full-HD video for sharing with stakeholders
+ *
+ * A job renders with the profile requested for it (generate-assets / requeue
+ * "render_profile"), else its campaign's render_profile, else DEFAULT_PROFILE.
+ * The profile used is stored with the asset (sessions.render_profile).
+ *
+ * Frames are captured around rrweb events (adaptive: true, see src/frame-schedule.js):
+ * fps while the page is active, up to maxFps around clicks/inputs/mutations, and
+ * one frame per maxHoldMs through idle time. adaptive: false captures a frame
+ * every 1000 / fps ms for the whole session.
+ *
+ * overlays lists what's drawn over the replay (src/overlays.js): clicks, trail,
+ * rage, captions. hifi videos, made for people watching without the timeline,
+ * get all of them.
+ *
+ * Built-in profiles can be tuned, or new ones added, with RENDER_PROFILES (JSON):
+ *
+ *   RENDER_PROFILES={"hifi": {"fps": 15}, "mobile": {"width": 720, "height": 1280}}
+ *
+ * Fields not given are taken from the built-in profile of the same name, or from
+ * DEFAULT_PROFILE for new profiles.
+ */
+
+const { OVERLAYS } = require('./overlays');
+
+const DEFAULT_PROFILE = 'analysis';
+
+const BUILTIN_PROFILES = {
+    preview: {
+        adaptive: true,
+        fps: 2,
+        maxFps: 4,
+        maxHoldMs: 2000,
+        overlays: [],
+        width: 960,
+        height: 540,
+        jpegQuality: 60,
+        codec: 'libx264',
+        preset: 'ultrafast',
+        crf: 32
+    },
+    analysis: {
+        adaptive: true,
+        fps: 3,
+        maxFps: 8,
+        maxHoldMs: 2000,
+        overlays: [],
+        width: 1280,
+        height: 720,
+        jpegQuality: 80,
+        codec: 'libx264',
+        preset: 'ultrafast',
+        crf: 23
+    },
+    hifi: {
+        adaptive: true,
+        fps: 10,
+        maxFps: 24,
+        maxHoldMs: 1000,
+        overlays: [...OVERLAYS],
+        width: 1920,
+        height: 1080,
+        jpegQuality: 92,
+        codec: 'libx264',
+        preset: 'slow',
+        crf: 18
+    }
+};
+
+// Encoders that can go in the .mp4 container
+const CODECS = ['libx264', 'libx265'];
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,50}$/;
+
+let cachedProfiles = null;
+
+function checkInteger(name, field, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Render profile "${name}": ${field} must be an integer from ${min} to ${max}`);
+    }
+}
+
+/**
+ * Validate a complete profile.
+ *
+ * @param {string} name - Profile name (for error messages)
+ * @param {object} profile
+ * @returns {object} - The profile
+ */
+function validateProfile(name, profile) {
+    if (typeof profile.adaptive !== 'boolean') {
+        throw new Error(`Render profile "${name}": adaptive must be true or false`);
+    }
+    checkInteger(name, 'fps', profile.fps, 1, 30);
+    checkInteger(name, 'maxFps', profile.maxFps, profile.fps, 60);
+    checkInteger(name, 'maxHoldMs', profile.maxHoldMs, 100, 60000);
+    if (!Array.isArray(profile.overlays) || profile.overlays.some(overlay => !OVERLAYS.includes(overlay))) {
+        throw new Error(`Render profile "${name}": overlays must be a list of ${OVERLAYS.join(', ')}`);
+    }
+    checkInteger(name, 'width', profile.width, 160, 3840);
+    checkInteger(name, 'height', profile.height, 160, 3840);
+    checkInteger(name, 'jpegQuality', profile.jpegQuality, 1, 100);
+    checkInteger(name, 'crf', profile.crf, 0, 51);
+    // yuv420p needs even dimensions
+    if (profile.width % 2 !== 0 || profile.height % 2 !== 0) {
+        throw new Error(`Render profile "${name}": width and height must be even`);
+    }
+    if (!CODECS.includes(profile.codec)) {
+        throw new Error(`Render profile "${name}": codec must be one of ${CODECS.join(', ')}`);
+    }
+    if (!PRESETS.includes(profile.preset)) {
+        throw new Error(`Render profile "${name}": preset must be one of ${PRESETS.join(', ')}`);
+    }
+    return profile;
+}
+
+/**
+ * Merge RENDER_PROFILES-style overrides into the built-in profiles.
+ *
+ * @param {object} [overrides] - { [name]: partial profile }
+ * @returns {object} - { [name]: profile }
+ * @throws {Error} - On an invalid name or setting
+ */
+function buildProfiles(overrides = {}) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('RENDER_PROFILES must be a JSON object of profiles');
+    }
+
+    const profiles = {};
+    for (const [name, profile] of Object.entries(BUILTIN_PROFILES)) {
+        profiles[name] = { ...profile, overlays: [...profile.overlays] };
+    }
+
+    for (const [name, override] of Object.entries(overrides)) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid render profile name "${name}" (lowercase letters, digits, - and _)`);
+        }
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            throw new Error(`Render profile "${name}" must be an object`);
+        }
+        const base = BUILTIN_PROFILES[name] || BUILTIN_PROFILES[DEFAULT_PROFILE];
+        profiles[name] = { ...base, ...override };
+    }
+
+    for (const [name, profile] of Object.entries(profiles)) {
+        validateProfile(name, profile);
+    }
+    return profiles;
+}
+
+/**
+ * All render profiles (built-in plus RENDER_PROFILES), cached.
+ *
+ * @returns {object} - { [name]: profile }
+ * @throws {Error} - If RENDER_PROFILES is invalid
+ */
+function getProfiles() {
+    if (!cachedProfiles) {
+        let overrides = {};
+        if (process.env.RENDER_PROFILES) {
+            try {
+                overrides = JSON.parse(process.env.RENDER_PROFILES);
+            } catch (err) {
+                throw new Error(`RENDER_PROFILES is not valid JSON: ${err.message}`);
+            }
+        }
+        cachedProfiles = buildProfiles(overrides);
+    }
+    return cachedProfiles;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isProfile(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(getProfiles(), name);
+}
+
+/**
+ * Get a profile by name.
+ *
+ * @param {string} [name] - Defaults to DEFAULT_PROFILE
+ * @returns {object} - Profile settings plus its name
+ * @throws {Error} - Unknown profile
+ */
+function getProfile(name = DEFAULT_PROFILE) {
+    if (!isProfile(name)) {
+        throw new Error(`Unknown render profile: ${name}`);
+    }
+    return { name, ...getProfiles()[name] };
+}
+
+/**
+ * Validate a render_profile value from the API.
+ *
+ * @param {*} value - Request value (null/undefined/'' = none)
+ * @returns {{valid: boolean, value: string|null}}
+ */
+function parseProfileName(value) {
+    if (value === null || value === undefined || value === '') {
+        return { valid: true, value: null };
+    }
+    return isProfile(value) ? { valid: true, value } : { valid: false, value: null };
+}
+
+/**
+ * Profile a job should render with: the one requested for the job, else the
+ * campaign's default, else DEFAULT_PROFILE. Names that no longer exist
+ * (removed from RENDER_PROFILES) fall through to the next choice.
+ *
+ * @param {string} sessionId
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object>} - Profile (see getProfile)
+ */
+async function resolveJobProfile(sessionId, db) {
+    const row = await db.queryOne(`
+        SELECT s.job_render_profile, c.render_profile as campaign_profile
+        FROM sessions s
+        LEFT JOIN campaigns c ON c.id = s.campaign_id
+        WHERE s.session_id = $1
+    `, [sessionId]);
+
+    for (const name of [row?.job_render_profile, row?.campaign_profile]) {
+        if (!name) continue;
+        if (isProfile(name)) return getProfile(name);
+        console.warn(`[RenderProfiles] Unknown profile "${name}" for ${sessionId}, ignoring`);
+    }
+    return getProfile(DEFAULT_PROFILE);
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    BUILTIN_PROFILES,
+    CODECS,
+    buildProfiles,
+    getProfiles,
+    isProfile,
+    getProfile,
+    parseProfileName,
+    resolveJobProfile
+};
@@ -0,0 +1,136 @@
+/**
+ * Retention Purger
+ *
+ * Deletes sessions older than their campaign's retention_days
+ * (campaigns with retention_days = NULL keep recordings forever).
+ * A session's age is measured from its last received chunk (server time),
+ * so long-running sessions are kept until they've been quiet for the full period.
+ *
+ * Every purge goes through src/session-purge.js and is written to deletion_audit_log.
+ * A session whose purge failed (e.g. storage errors) is left alone for
+ * RETENTION_RETRY_AFTER_MS, so sessions that keep failing can't fill every batch.
+ * Run periodically by src/scheduler.js.
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const { deleteSessionData } = require('./session-purge');
+
+const BATCH_SIZE = 100;
+// Upper bound per run so one backlog can't hold the scheduler forever
+const MAX_BATCHES_PER_RUN = 20;
+// Wait before retrying a session whose purge failed
+const RETRY_AFTER_MS = parseInt(process.env.RETENTION_RETRY_AFTER_MS || '86400000', 10);   // 1 day
+
+// Allowed retention periods are validated in the API (1..MAX_RETENTION_DAYS)
+const MAX_RETENTION_DAYS = 3650;
+
+/**
+ * Validate a retention_days value from the API.
+ *
+ * @param {*} value - Request value (null/undefined = keep forever)
+ * @returns {{valid: boolean, value: number|null}}
+ */
+function parseRetentionDays(value) {
+    if (value === null || value === undefined || value === '') {
+        return { valid: true, value: null };
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+        return { valid: false, value: null };
+    }
+    return { valid: true, value: days };
+}
+
+/**
+ * Find sessions past their campaign's retention period.
+ * Sessions rows without chunks (e.g. failed uploads) are aged by updated_at.
+ * Sessions with a failed purge in the last RETRY_AFTER_MS are left out.
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {number} limit - Max sessions to return
+ * @returns {Promise<Array<{session_id: string, retention_days: number}>>}
+ */
+async function findExpiredSessions(db, limit = BATCH_SIZE) {
+    const { rows } = await db.query(`
+        SELECT expired.session_id, expired.retention_days
+        FROM (
+            SELECT sc.session_id, c.retention_days
+            FROM session_chunks sc
+            JOIN campaigns c ON sc.campaign_id = c.id
+            WHERE c.retention_days IS NOT NULL
+            GROUP BY sc.session_id, c.retention_days
+            HAVING MAX(sc.created_at) < NOW() - make_interval(days => c.retention_days)
+
+            UNION
+
+            SELECT s.session_id, c.retention_days
+            FROM sessions s
+            JOIN campaigns c ON s.campaign_id = c.id
+            WHERE c.retention_days IS NOT NULL
+              AND s.updated_at < (EXTRACT(EPOCH FROM NOW()) * 1000 - c.retention_days::BIGINT * 86400000)
+              AND NOT EXISTS (SELECT 1 FROM session_chunks sc WHERE sc.session_id = s.session_id)
+        ) expired
+        WHERE NOT EXISTS (
+            SELECT 1 FROM deletion_audit_log dal
+            WHERE dal.session_id = expired.session_id
+              AND dal.status = 'failed'
+              AND dal.created_at > $2
+        )
+        ORDER BY expired.session_id
+        LIMIT $1
+    `, [limit, Date.now() - RETRY_AFTER_MS]);
+
+    return rows;
+}
+
+/**
+ * Purge every expired session.
+ *
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<{purged: number, failed: number}>}
+ */
+async function runRetention(db) {
+    const stats = { purged: 0, failed: 0 };
+    const failedIds = new Set();
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+        const expired = (await findExpiredSessions(db)).filter(row => !failedIds.has(row.session_id));
+        if (expired.length === 0) break;
+
+        for (const { session_id, retention_days } of expired) {
+            try {
+                const result = await deleteSessionData(session_id, db, {
+                    reason: 'retention',
+                    retentionDays: retention_days
+                });
+                if (result && result.deleted) {
+                    stats.purged++;
+                } else {
+                    stats.failed++;
+                    failedIds.add(session_id);
+                }
+            } catch (err) {
+                stats.failed++;
+                failedIds.add(session_id);
+                console.error(`[Retention] Failed to purge ${session_id}:`, err.message);
+            }
+        }
+
+        // Only failures left in this batch - retry them on the next run
+        if (expired.every(row => failedIds.has(row.session_id))) break;
+    }
+
+    if (stats.purged > 0 || stats.failed > 0) {
+        console.log(`[Retention] Purged ${stats.purged} expired session(s), ${stats.failed} failed`);
+    }
+
+    return stats;
+}
+
+module.exports = {
+    MAX_RETENTION_DAYS,
+    parseRetentionDays,
+    findExpiredSessions,
+    runRetention
+};
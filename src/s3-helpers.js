@@ -2,39 +2,28 @@
  * S3 Helper Functions for Session Processing
  *
  * Provides utilities for fetching merged session events and uploading processed assets.
- * Supports both legacy .json files and new .json.gz (gzipped) files from direct upload.
+ * Chunk reading/merging lives in src/session-reader.js (shared with the playback API).
+ * Objects are read/written through src/storage, so local-disk tenants work the same way.
  *
  * IMPORTANT: All functions using db are ASYNC - always use await!
  */
 
 const fs = require('fs');
-const zlib = require('zlib');
-const { promisify } = require('util');
-
-const gunzip = promisify(zlib.gunzip);
+const storage = require('./storage');
+const sessionReader = require('./session-reader');
+const integrity = require('./integrity');
 
 /**
- * Fetch and merge all session chunks from S3.
- * Chunks are sorted by sequence_id (client-assigned) to ensure correct event ordering.
+ * Fetch and merge all session chunks via the shared session reader.
+ * Chunks are read in sequence_id order (client-assigned) to ensure correct event ordering.
  * Falls back to timestamp for legacy data without sequence_id.
  *
  * @param {string} sessionId - The session ID to fetch
  * @param {object} db - PostgreSQL database adapter (src/db.js)
- * @param {object} s3 - AWS S3 client instance
- * @returns {Promise<{events: Array, bucket: string, campaignId: number}>}
+ * @returns {Promise<{events: Array, bucket: string, campaignId: number, pageUrls: Array, report: object}>}
  */
-async function fetchMergedSession(sessionId, db, s3) {
-    // Get all chunks for this session, ordered by sequence_id (with timestamp fallback)
-    // CASE WHEN puts NULL sequence_ids last, then sorts by sequence_id, then timestamp for legacy
-    const { rows: chunks } = await db.query(`
-        SELECT s3_key, s3_bucket, campaign_id, timestamp, sequence_id
-        FROM session_chunks
-        WHERE session_id = $1
-        ORDER BY
-            CASE WHEN sequence_id IS NULL THEN 1 ELSE 0 END,
-            sequence_id ASC,
-            timestamp ASC
-    `, [sessionId]);
+async function fetchMergedSession(sessionId, db) {
+    const chunks = await sessionReader.listSessionChunks(sessionId, db);
 
     if (chunks.length === 0) {
         throw new Error(`No chunks found for session: ${sessionId}`);
@@ -48,83 +37,51 @@ async function fetchMergedSession(sessionId, db, s3) {
 
     console.log(`[S3] Fetching ${validChunks.length} chunks for session: ${sessionId}`);
 
-    // Fetch all chunks from S3 in parallel
-    const chunkPromises = validChunks.map(async (chunk) => {
-        try {
-            const response = await s3.getObject({
-                Bucket: chunk.s3_bucket,
-                Key: chunk.s3_key
-            }).promise();
-
-            // Handle both gzipped (.json.gz) and plain JSON files
-            let jsonString;
-            if (chunk.s3_key.endsWith('.gz')) {
-                // Decompress gzipped content
-                const decompressed = await gunzip(response.Body);
-                jsonString = decompressed.toString('utf8');
-            } else {
-                // Legacy plain JSON
-                jsonString = response.Body.toString('utf8');
-            }
-
-            return JSON.parse(jsonString);
-        } catch (err) {
-            console.error(`[S3] Error fetching chunk ${chunk.s3_key}:`, err.message);
-            return null;
-        }
-    });
-
-    const chunkResults = await Promise.all(chunkPromises);
-
-    // Merge all events
-    let allEvents = [];
-    for (const data of chunkResults) {
-        if (data && data.events && Array.isArray(data.events)) {
-            allEvents = allEvents.concat(data.events);
-        }
-    }
+    const { events, pageUrls, report } = await sessionReader.readMergedSession(sessionId, db, { chunks });
 
-    // Sort events by timestamp (handles any out-of-order events)
-    allEvents.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    await integrity.recordReadReport(sessionId, report, db);
+
+    if (report.loaded_chunks === 0) {
+        throw new Error(`No readable chunks for session: ${sessionId}`);
+    }
 
-    console.log(`[S3] Merged ${allEvents.length} events from ${validChunks.length} chunks`);
+    console.log(`[S3] Merged ${events.length} events from ${report.loaded_chunks}/${report.total_chunks} objects` +
+        (report.complete ? '' : ` (missing: ${report.missing.length}, corrupt: ${report.corrupt.length}, unavailable: ${report.unavailable.length})`));
 
     return {
-        events: allEvents,
+        events,
         bucket: validChunks[0].s3_bucket,  // Use bucket from first chunk
-        campaignId: validChunks[0].campaign_id
+        campaignId: validChunks[0].campaign_id,
+        pageUrls,
+        report
     };
 }
 
 /**
- * Upload a local file to S3.
+ * Upload a local file to the bucket's storage driver.
  *
  * @param {string} localPath - Path to local file
  * @param {string} s3Key - S3 object key (path)
  * @param {string} bucket - S3 bucket name
- * @param {object} s3 - AWS S3 client instance
  * @returns {Promise<void>}
  */
-async function uploadFile(localPath, s3Key, bucket, s3) {
+async function uploadFile(localPath, s3Key, bucket) {
     const fileContent = fs.readFileSync(localPath);
 
     // Determine content type based on extension
     const ext = localPath.split('.').pop().toLowerCase();
     const contentTypes = {
         'mp4': 'video/mp4',
+        'jpg': 'image/jpeg',
+        'webp': 'image/webp',
         'txt': 'text/plain',
         'json': 'application/json'
     };
     const contentType = contentTypes[ext] || 'application/octet-stream';
 
-    await s3.upload({
-        Bucket: bucket,
-        Key: s3Key,
-        Body: fileContent,
-        ContentType: contentType
-    }).promise();
+    await storage.putObject(bucket, s3Key, fileContent, contentType);
 
-    console.log(`[S3] Uploaded: s3://${bucket}/${s3Key}`);
+    console.log(`[S3] Uploaded: ${bucket}/${s3Key}`);
 }
 
 /**
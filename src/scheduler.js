@@ -0,0 +1,84 @@
+/**
+ * Maintenance Scheduler
+ *
+ * Runs periodic housekeeping tasks against the database and storage:
+ * - compaction: merge idle/finished sessions' chunks into one archive
+ * - chunk-gc: delete chunk objects that have been compacted
+ * - retention: purge sessions older than their campaign's retention_days
+ *   (and prune session admissions no longer counted toward quotas)
+ *
+ * Each task runs on its own interval; a task never overlaps with itself.
+ * Runs as its own process so rendering load never delays housekeeping.
+ *
+ * Run with: node src/scheduler.js
+ */
+
+require('dotenv').config();
+
+const db = require('./db');
+const compactor = require('./compactor');
+const retention = require('./retention');
+const quotas = require('./quotas');
+
+const TASKS = [
+    {
+        name: 'compaction',
+        intervalMs: parseInt(process.env.COMPACTION_INTERVAL_MS || '60000', 10),
+        run: async () => {
+            const stats = await compactor.runCompaction(db);
+            if (stats.compacted || stats.failed) {
+                console.log(`[Scheduler] Compaction: ${JSON.stringify(stats)}`);
+            }
+        }
+    },
+    {
+        name: 'chunk-gc',
+        intervalMs: parseInt(process.env.COMPACTION_GC_INTERVAL_MS || '300000', 10),
+        run: async () => {
+            await compactor.collectGarbage(db);
+        }
+    },
+    {
+        name: 'retention',
+        intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS || '3600000', 10),
+        run: async () => {
+            await retention.runRetention(db);
+            await quotas.pruneAdmissions(db);
+        }
+    }
+];
+
+/**
+ * Run a task now, then again intervalMs after each run finishes.
+ */
+function scheduleTask(task) {
+    const tick = async () => {
+        try {
+            await task.run();
+        } catch (err) {
+            console.error(`[Scheduler] Task ${task.name} failed:`, err.message);
+        }
+        task.timer = setTimeout(tick, task.intervalMs);
+    };
+    tick();
+}
+
+function startScheduler() {
+    console.log(`[Scheduler] Starting ${TASKS.length} task(s): ${TASKS.map(t => `${t.name} (every ${t.intervalMs / 1000}s)`).join(', ')}`);
+    for (const task of TASKS) {
+        scheduleTask(task);
+    }
+}
+
+// Handle graceful shutdown
+async function shutdown() {
+    console.log('\n[Scheduler] Shutting down...');
+    TASKS.forEach(task => clearTimeout(task.timer));
+    await db.close();
+    process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+startScheduler();
@@ -0,0 +1,172 @@
+/**
+ * Session Errors
+ *
+ * Errors the recorder captured (public/recorder.js, recording.captureConsole /
+ * captureNetwork), indexed per session in session_errors so sessions can be
+ * filtered by them (GET /api/sessions ?has_errors= / ?error_contains=):
+ * - console: console.error calls and uncaught exceptions (rrweb console plugin,
+ *   or the pre-plugin source 11 format)
+ * - rejection: unhandled promise rejections ("unhandled_rejection" custom events)
+ * - network: failed fetch/XHR calls ("network_error" custom events), status 0
+ *   when there was no response at all
+ *
+ * Repeats of the same error are grouped into one row with a count and the first
+ * and last time they happened. Indexed alongside frustration signals: by the
+ * compactor when it archives a session and by the worker when it renders one.
+ *
+ * IMPORTANT: saveErrors is ASYNC - always use await!
+ */
+
+const { consoleMessage } = require('../timeline-react-aware');
+
+const ERROR_KINDS = ['console', 'rejection', 'network'];
+
+// Longest message stored (console messages are already cut at 200)
+const MAX_MESSAGE_LENGTH = 500;
+
+function truncate(text) {
+    return text.length > MAX_MESSAGE_LENGTH ? text.substring(0, MAX_MESSAGE_LENGTH - 3) + '...' : text;
+}
+
+/**
+ * The error an rrweb event records, if any.
+ *
+ * @param {object} event - rrweb event
+ * @returns {{kind: string, message: string, requestUrl: string|null, status: number|null, durationMs: number|null}|null}
+ */
+function errorFromEvent(event) {
+    const data = event && event.data;
+    if (!data) return null;
+    const error = { requestUrl: null, status: null, durationMs: null };
+
+    if ((event.type === 6 && data.plugin === 'rrweb/console@1' && data.payload?.level === 'error') ||
+        (event.type === 3 && data.source === 11 && data.level === 'error')) {
+        return { ...error, kind: 'console', message: consoleMessage(event.type === 6 ? data.payload : data) };
+    }
+
+    if (event.type !== 5 || !data.payload || typeof data.payload !== 'object') return null;
+    const payload = data.payload;
+
+    if (data.tag === 'unhandled_rejection') {
+        return { ...error, kind: 'rejection', message: truncate(String(payload.message || 'Unknown rejection')) };
+    }
+    if (data.tag === 'network_error') {
+        const method = String(payload.method || 'GET');
+        const url = String(payload.url || '');
+        const status = Number.isInteger(payload.status) ? payload.status : 0;
+        return {
+            kind: 'network',
+            message: truncate(status > 0
+                ? `${method} ${url} returned ${status}`
+                : `${method} ${url} failed: ${payload.error || 'Network error'}`),
+            requestUrl: url || null,
+            status,
+            durationMs: typeof payload.duration_ms === 'number' ? Math.round(payload.duration_ms) : null
+        };
+    }
+    return null;
+}
+
+/**
+ * Incremental error collector.
+ *
+ * Errors: { kind, message, requestUrl, status, pageUrl, count, firstOffsetMs, lastOffsetMs, maxDurationMs }
+ * - pageUrl: page of the first occurrence
+ * - offsets: ms from the first event
+ * - maxDurationMs: slowest of the failed requests (network only)
+ *
+ * @returns {{add: Function, finish: Function}} - add(event) in timestamp order; finish() returns errors by first occurrence
+ */
+function createErrorCollector() {
+    const groups = new Map();
+    let start = null;
+    let currentUrl = null;
+
+    function add(event) {
+        if (!event || typeof event.timestamp !== 'number') return;
+        if (start === null) start = event.timestamp;
+        if (event.type === 4 && event.data?.href) currentUrl = event.data.href;
+
+        const error = errorFromEvent(event);
+        if (!error) return;
+        const t = event.timestamp - start;
+        const key = `${error.kind}\n${error.message}`;
+        const group = groups.get(key);
+        if (group) {
+            group.count++;
+            group.lastOffsetMs = t;
+            if (error.durationMs !== null) group.maxDurationMs = Math.max(group.maxDurationMs ?? 0, error.durationMs);
+            return;
+        }
+        groups.set(key, {
+            kind: error.kind,
+            message: error.message,
+            requestUrl: error.requestUrl,
+            status: error.status,
+            pageUrl: currentUrl,
+            count: 1,
+            firstOffsetMs: t,
+            lastOffsetMs: t,
+            maxDurationMs: error.durationMs
+        });
+    }
+
+    function finish() {
+        return [...groups.values()].sort((a, b) => a.firstOffsetMs - b.firstOffsetMs);
+    }
+
+    return { add, finish };
+}
+
+/**
+ * Collect the errors in a whole session.
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @returns {Array<object>} - Errors (see createErrorCollector)
+ */
+function collectErrors(events) {
+    const collector = createErrorCollector();
+    for (const event of events || []) {
+        collector.add(event);
+    }
+    return collector.finish();
+}
+
+/**
+ * Replace a session's indexed errors.
+ *
+ * @param {string} sessionId
+ * @param {Array<object>} errors - From collectErrors / createErrorCollector
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Error rows stored
+ */
+async function saveErrors(sessionId, errors, db) {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM session_errors WHERE session_id = $1', [sessionId]);
+        for (const e of errors) {
+            await client.query(`
+                INSERT INTO session_errors
+                    (session_id, kind, message, request_url, status, page_url, count, first_offset_ms, last_offset_ms, max_duration_ms)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [sessionId, e.kind, e.message, e.requestUrl, e.status, e.pageUrl, e.count,
+                Math.round(e.firstOffsetMs), Math.round(e.lastOffsetMs), e.maxDurationMs]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return errors.length;
+}
+
+module.exports = {
+    ERROR_KINDS,
+    errorFromEvent,
+    createErrorCollector,
+    collectErrors,
+    saveErrors
+};
@@ -0,0 +1,116 @@
+/**
+ * Session Filters
+ *
+ * WHERE clauses for the session attribute filters shared by GET /api/sessions
+ * and GET /api/campaigns/:id/funnel-stats, so both read the same query
+ * parameters the same way:
+ * - country, city: IP geolocation (country is an ISO code, city is case-insensitive)
+ * - os, browser, device_type: parsed User-Agent (case-insensitive)
+ * - min_duration, max_duration: session length in ms
+ * - hour_start, hour_end: hour of day the session started (0-23)
+ * - date_from, date_to: last activity, ISO dates (2025-12-03, date_to covers
+ *   the whole day) or Unix ms
+ *
+ * Clauses reference the sessions table as `s`. Values that don't parse are ignored.
+ */
+
+const FILTER_PARAMS = [
+    'country', 'city', 'os', 'browser', 'device_type',
+    'min_duration', 'max_duration', 'hour_start', 'hour_end', 'date_from', 'date_to'
+];
+
+const DAY_MS = 86400000;
+
+/**
+ * Build WHERE clauses for the session attribute filters in a query string.
+ *
+ * @param {object} query - Query parameters (req.query)
+ * @param {number} [paramIndex=1] - Number of the first $n placeholder to use
+ * @returns {{clauses: Array<string>, params: Array, paramIndex: number}} - paramIndex: the next free placeholder
+ */
+function buildSessionFilters(query, paramIndex = 1) {
+    const { country, city, os, browser, device_type, min_duration, max_duration, hour_start, hour_end, date_from, date_to } = query || {};
+    const clauses = [];
+    const params = [];
+
+    // Location filters
+    if (country) {
+        clauses.push(`s.location_country = $${paramIndex++}`);
+        params.push(String(country).toUpperCase()); // ISO codes are uppercase
+    }
+    if (city) {
+        clauses.push(`LOWER(s.location_city) = LOWER($${paramIndex++})`);
+        params.push(city);
+    }
+
+    // Device filters
+    if (os) {
+        clauses.push(`LOWER(s.device_os) = LOWER($${paramIndex++})`);
+        params.push(os);
+    }
+    if (browser) {
+        clauses.push(`LOWER(s.device_browser) = LOWER($${paramIndex++})`);
+        params.push(browser);
+    }
+    if (device_type) {
+        clauses.push(`LOWER(s.device_type) = LOWER($${paramIndex++})`);
+        params.push(device_type);
+    }
+
+    // Duration filters (uses indexed s.duration_ms column)
+    if (min_duration) {
+        const minMs = parseInt(min_duration);
+        if (!isNaN(minMs)) {
+            clauses.push(`s.duration_ms >= $${paramIndex++}`);
+            params.push(minMs);
+        }
+    }
+    if (max_duration) {
+        const maxMs = parseInt(max_duration);
+        if (!isNaN(maxMs)) {
+            clauses.push(`s.duration_ms <= $${paramIndex++}`);
+            params.push(maxMs);
+        }
+    }
+
+    // Time-of-day filters (uses indexed s.start_hour column, 0-23)
+    if (hour_start !== undefined && hour_start !== '') {
+        const hStart = parseInt(hour_start);
+        if (!isNaN(hStart) && hStart >= 0 && hStart <= 23) {
+            clauses.push(`s.start_hour >= $${paramIndex++}`);
+            params.push(hStart);
+        }
+    }
+    if (hour_end !== undefined && hour_end !== '') {
+        const hEnd = parseInt(hour_end);
+        if (!isNaN(hEnd) && hEnd >= 0 && hEnd <= 23) {
+            clauses.push(`s.start_hour <= $${paramIndex++}`);
+            params.push(hEnd);
+        }
+    }
+
+    // Date range filters (uses indexed s.updated_at column, Unix ms)
+    // Accepts ISO date strings (2025-12-03) or Unix ms timestamps
+    if (date_from) {
+        const fromMs = String(date_from).includes('-') ? new Date(date_from).getTime() : parseInt(date_from);
+        if (!isNaN(fromMs)) {
+            clauses.push(`s.updated_at >= $${paramIndex++}`);
+            params.push(fromMs);
+        }
+    }
+    if (date_to) {
+        // If ISO date, set to end of day (23:59:59.999)
+        const toMs = String(date_to).includes('-') ? new Date(date_to).getTime() + DAY_MS - 1 : parseInt(date_to);
+        if (!isNaN(toMs)) {
+            clauses.push(`s.updated_at <= $${paramIndex++}`);
+            params.push(toMs);
+        }
+    }
+
+    return { clauses, params, paramIndex };
+}
+
+module.exports = {
+    FILTER_PARAMS,
+    buildSessionFilters
+};
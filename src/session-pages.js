@@ -0,0 +1,130 @@
+/**
+ * Session Pages
+ *
+ * Every page a session visited, read from rrweb meta events (href) and stored
+ * in session_pages with when it was entered and how long the user stayed:
+ * - dwell: until the next page was entered, or until the session's last event
+ *   for the last page (its exit page)
+ * - URLs are stored without their query string, so ?utm_/token parameters
+ *   neither split pages apart nor get stored; the #fragment stays (hash routers)
+ * - reloads and query-only changes of the current page are the same visit
+ *
+ * session_chunks.page_url only holds the URL a chunk was uploaded from; this
+ * index powers GET /api/sessions ?visited_url= and GET /api/campaigns/:id/pages.
+ * Indexed alongside signals and errors: by the compactor when it archives a
+ * session and by the worker when it renders one.
+ *
+ * IMPORTANT: savePages is ASYNC - always use await!
+ */
+
+/**
+ * A page URL as indexed: without its query string.
+ *
+ * @param {string} href
+ * @returns {string}
+ */
+function pageUrl(href) {
+    try {
+        const url = new URL(href);
+        url.search = '';
+        return url.toString();
+    } catch (e) {
+        // Not an absolute URL, strip what looks like a query
+        return String(href).replace(/\?[^#]*/, '');
+    }
+}
+
+/**
+ * Incremental page tracker.
+ *
+ * Pages: { url, visitIndex, enteredAt, offsetMs, dwellMs, isExit }
+ * - enteredAt: Unix ms; offsetMs: ms from the first event
+ *
+ * @returns {{add: Function, finish: Function}} - add(event) in timestamp order; finish() returns pages in visit order
+ */
+function createPageTracker() {
+    const pages = [];
+    let start = null;
+    let lastTimestamp = null;
+
+    function add(event) {
+        if (!event || typeof event.timestamp !== 'number') return;
+        if (start === null) start = event.timestamp;
+        lastTimestamp = Math.max(lastTimestamp ?? event.timestamp, event.timestamp);
+
+        if (event.type !== 4 || !event.data?.href) return;
+        const url = pageUrl(event.data.href);
+        const current = pages[pages.length - 1];
+        if (current && current.url === url) return;
+        if (current) current.dwellMs = event.timestamp - current.enteredAt;
+        pages.push({
+            url,
+            visitIndex: pages.length,
+            enteredAt: event.timestamp,
+            offsetMs: event.timestamp - start,
+            dwellMs: 0,
+            isExit: false
+        });
+    }
+
+    function finish() {
+        const last = pages[pages.length - 1];
+        if (last) {
+            last.dwellMs = lastTimestamp - last.enteredAt;
+            last.isExit = true;
+        }
+        return pages;
+    }
+
+    return { add, finish };
+}
+
+/**
+ * Collect the pages of a whole session.
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @returns {Array<object>} - Pages (see createPageTracker)
+ */
+function collectPages(events) {
+    const tracker = createPageTracker();
+    for (const event of events || []) {
+        tracker.add(event);
+    }
+    return tracker.finish();
+}
+
+/**
+ * Replace a session's indexed pages.
+ *
+ * @param {string} sessionId
+ * @param {Array<object>} pages - From collectPages / createPageTracker
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Pages stored
+ */
+async function savePages(sessionId, pages, db) {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM session_pages WHERE session_id = $1', [sessionId]);
+        for (const p of pages) {
+            await client.query(`
+                INSERT INTO session_pages (session_id, visit_index, url, entered_at, offset_ms, dwell_ms, is_exit)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [sessionId, p.visitIndex, p.url, p.enteredAt, Math.round(p.offsetMs), Math.round(p.dwellMs), p.isExit]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return pages.length;
+}
+
+module.exports = {
+    pageUrl,
+    createPageTracker,
+    collectPages,
+    savePages
+};
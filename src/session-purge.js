@@ -0,0 +1,149 @@
+/**
+ * Session Purge
+ *
+ * Deletes everything stored for a session - chunk objects, the compacted archive,
+ * rendered assets (video.mp4 / timeline.txt) and every DB row that references it -
+ * and records what was removed in deletion_audit_log.
+ *
+ * Used by DELETE /api/sessions/:session_id and the retention purger, so a manual
+ * delete and an automated purge remove exactly the same data.
+ *
+ * If any storage object can't be deleted the DB rows are kept, so the session
+ * stays visible (and the next purge pass retries) instead of leaving orphaned
+ * recordings nobody can find. Failed purges are audited too (status 'failed').
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const storage = require('./storage');
+
+/**
+ * Collect every storage object belonging to a session.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<{campaignId: number|null, chunkCount: number, exists: boolean, objects: Array<{bucket: string, key: string}>}>}
+ */
+async function listSessionObjects(sessionId, db) {
+    const { rows: chunks } = await db.query(
+        'SELECT s3_key, s3_bucket, campaign_id, purged_at FROM session_chunks WHERE session_id = $1',
+        [sessionId]
+    );
+    const session = await db.queryOne(`
+        SELECT campaign_id, video_s3_key, timeline_s3_key, timeline_json_s3_key,
+               poster_s3_key, preview_s3_key, sprite_s3_key,
+               archive_s3_key, archive_s3_bucket
+        FROM sessions WHERE session_id = $1
+    `, [sessionId]);
+
+    const objects = [];
+    for (const chunk of chunks) {
+        // Compacted chunk objects already garbage-collected
+        if (chunk.purged_at || !chunk.s3_key || !chunk.s3_bucket) continue;
+        objects.push({ bucket: chunk.s3_bucket, key: chunk.s3_key });
+    }
+
+    if (session) {
+        if (session.archive_s3_key) {
+            objects.push({ bucket: session.archive_s3_bucket, key: session.archive_s3_key });
+        }
+        // Rendered assets live in the session's chunk bucket (see worker.js)
+        const assetBucket = chunks[0]?.s3_bucket;
+        if (assetBucket) {
+            for (const key of [session.video_s3_key, session.timeline_s3_key, session.timeline_json_s3_key,
+                session.poster_s3_key, session.preview_s3_key, session.sprite_s3_key]) {
+                if (key) objects.push({ bucket: assetBucket, key });
+            }
+        }
+    }
+
+    return {
+        campaignId: session?.campaign_id ?? chunks[0]?.campaign_id ?? null,
+        chunkCount: chunks.length,
+        exists: chunks.length > 0 || !!session,
+        objects
+    };
+}
+
+/**
+ * Delete all of a session's data and write an audit log entry.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {object} options
+ * @param {string} options.reason - 'manual', 'retention', ...
+ * @param {string} [options.actor] - Admin email for manual deletes
+ * @param {number} [options.retentionDays] - Policy that expired the session
+ * @returns {Promise<object|null>} - Summary ({ deleted, objects_deleted, rows_deleted, storage_errors }), null if not found
+ */
+async function deleteSessionData(sessionId, db, { reason, actor = null, retentionDays = null } = {}) {
+    const { campaignId, chunkCount, exists, objects } = await listSessionObjects(sessionId, db);
+    if (!exists) return null;
+
+    const deletedKeys = [];
+    const storageErrors = [];
+    for (const { bucket, key } of objects) {
+        try {
+            await storage.deleteObject(bucket, key);
+            deletedKeys.push(`${bucket}/${key}`);
+        } catch (err) {
+            storageErrors.push({ object: `${bucket}/${key}`, error: err.message });
+            console.error(`[Purge] Error deleting ${bucket}/${key}:`, err.message);
+        }
+    }
+
+    const rowsDeleted = {};
+    let dbError = null;
+    if (storageErrors.length === 0) {
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+            // Children first; problem_sessions/problem_notes would cascade, but count them for the audit log
+            const tables = ['session_steps', 'session_signals', 'session_errors', 'session_search_entries', 'session_pages', 'problem_notes', 'problem_sessions', 'chunk_failures', 'session_chunks', 'sessions'];
+            for (const table of tables) {
+                const result = await client.query(`DELETE FROM ${table} WHERE session_id = $1`, [sessionId]);
+                rowsDeleted[table] = result.rowCount;
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            dbError = err;
+        } finally {
+            client.release();
+        }
+    }
+
+    const deleted = storageErrors.length === 0 && !dbError;
+    const errors = dbError ? [...storageErrors, { error: dbError.message }] : storageErrors;
+    await db.query(`
+        INSERT INTO deletion_audit_log
+            (session_id, campaign_id, reason, actor, retention_days, status, objects_deleted, rows_deleted, error, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+        sessionId,
+        campaignId,
+        reason,
+        actor,
+        retentionDays,
+        deleted ? 'deleted' : 'failed',
+        JSON.stringify(deletedKeys),
+        JSON.stringify(rowsDeleted),
+        deleted ? null : JSON.stringify(errors),
+        Date.now()
+    ]);
+    if (dbError) throw dbError;
+
+    return {
+        session_id: sessionId,
+        deleted,
+        chunk_count: chunkCount,
+        objects_deleted: deletedKeys.length,
+        rows_deleted: rowsDeleted,
+        storage_errors: storageErrors
+    };
+}
+
+module.exports = {
+    listSessionObjects,
+    deleteSessionData
+};
@@ -0,0 +1,269 @@
+/**
+ * Streaming Session Reader
+ *
+ * Single implementation of "fetch every chunk of a session and merge the events",
+ * shared by the playback API and the video worker.
+ *
+ * - Chunks are read in sequence_id order (timestamp fallback for legacy rows)
+ * - Only a small window of chunks is fetched ahead, so memory stays bounded
+ *   no matter how many chunks a session has
+ * - Events are merged incrementally and handed to the caller in timestamp-ordered batches
+ * - Missing/corrupt/unreadable chunks are reported in a structured way instead of
+ *   being silently dropped
+ * - Once a session has been compacted (src/compactor.js) its archive is read in
+ *   place of every chunk it covers; chunks uploaded afterwards are read on top
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const storage = require('./storage');
+
+const gunzip = promisify(zlib.gunzip);
+
+// Number of chunks fetched ahead of the one being merged
+const DEFAULT_PREFETCH = 4;
+
+/**
+ * List a session's chunks in playback order.
+ * CASE WHEN puts NULL sequence_ids last, then sorts by sequence_id, then timestamp for legacy.
+ * Compacted chunks are still listed (their rows back the session list/metadata queries);
+ * every row carries the session's archive_s3_key/archive_s3_bucket.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<Array>} - session_chunks rows (plus campaign_name and archive columns)
+ */
+async function listSessionChunks(sessionId, db) {
+    const { rows } = await db.query(`
+        SELECT sc.*, c.name as campaign_name, s.archive_s3_key, s.archive_s3_bucket
+        FROM session_chunks sc
+        LEFT JOIN campaigns c ON sc.campaign_id = c.id
+        LEFT JOIN sessions s ON sc.session_id = s.session_id
+        WHERE sc.session_id = $1
+        ORDER BY
+            CASE WHEN sc.sequence_id IS NULL THEN 1 ELSE 0 END,
+            sc.sequence_id ASC,
+            sc.timestamp ASC
+    `, [sessionId]);
+
+    return rows;
+}
+
+/**
+ * Fetch, decompress and parse one chunk.
+ * Returns { data } on success or { problem: { type, reason } } on failure, never throws.
+ *
+ * Problem types:
+ * - 'missing': object does not exist in storage
+ * - 'corrupt': object exists but can't be decompressed/parsed, or has no events array
+ * - 'unavailable': storage error (network, permissions) - may succeed on retry
+ */
+async function loadChunk(chunk) {
+    let body;
+    try {
+        body = await storage.getObject(chunk.s3_bucket, chunk.s3_key);
+    } catch (err) {
+        if (storage.isNotFoundError(err)) {
+            return { problem: { type: 'missing', reason: 'Object not found in storage' } };
+        }
+        return { problem: { type: 'unavailable', reason: err.message } };
+    }
+
+    try {
+        // Handle both gzipped (.json.gz) and plain JSON files
+        const raw = chunk.s3_key.endsWith('.gz') ? await gunzip(body) : body;
+        const data = JSON.parse(raw.toString('utf8'));
+        if (!data || !Array.isArray(data.events)) {
+            return { problem: { type: 'corrupt', reason: 'Chunk has no events array' } };
+        }
+        return { data };
+    } catch (err) {
+        return { problem: { type: 'corrupt', reason: err.message } };
+    }
+}
+
+/**
+ * Work out which objects to read for a list of chunk rows: the archive (if the
+ * session was compacted) followed by every chunk the archive doesn't cover yet.
+ *
+ * @param {Array} chunks - Rows from listSessionChunks
+ * @returns {Array} - Objects to read ({ s3_key, s3_bucket, sequence_id, is_archive })
+ */
+function planReads(chunks) {
+    const sources = [];
+    const archived = chunks.find(chunk => chunk.archive_s3_key && chunk.archive_s3_bucket);
+    if (archived) {
+        sources.push({
+            s3_key: archived.archive_s3_key,
+            s3_bucket: archived.archive_s3_bucket,
+            sequence_id: null,
+            is_archive: true
+        });
+    }
+
+    for (const chunk of chunks) {
+        if (!chunk.s3_key || !chunk.s3_bucket) continue;
+        // Covered by the archive (and possibly already garbage-collected)
+        if (archived && chunk.compacted_at) continue;
+        sources.push(chunk);
+    }
+
+    return sources;
+}
+
+/**
+ * Merge two timestamp-sorted event arrays.
+ */
+function mergeSorted(a, b) {
+    const merged = new Array(a.length + b.length);
+    let i = 0, j = 0, k = 0;
+    while (i < a.length && j < b.length) {
+        merged[k++] = (a[i].timestamp || 0) <= (b[j].timestamp || 0) ? a[i++] : b[j++];
+    }
+    while (i < a.length) merged[k++] = a[i++];
+    while (j < b.length) merged[k++] = b[j++];
+    return merged;
+}
+
+/**
+ * Stream a session's events in timestamp order.
+ *
+ * Chunks normally start after the previous chunk started, so once chunk N is
+ * loaded everything buffered before its first timestamp is final and can be
+ * emitted. Only events that arrive later than an already-emitted timestamp
+ * (clock skew, overlapping flushes) are emitted out of order; they are counted
+ * in report.out_of_order_events.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {object} options
+ * @param {Function} options.onBatch - async (events) => void, called with each ordered batch
+ * @param {Array} [options.chunks] - Pre-fetched chunk rows (skips the DB query)
+ * @param {number} [options.prefetch] - Chunks to fetch ahead (default 4)
+ * @returns {Promise<{chunks: Array, pageUrls: Array, eventCount: number, report: object}>}
+ */
+async function readSession(sessionId, db, { onBatch, chunks = null, prefetch = DEFAULT_PREFETCH } = {}) {
+    const allChunks = chunks || await listSessionChunks(sessionId, db);
+    const validChunks = planReads(allChunks);
+    const archive = validChunks.find(chunk => chunk.is_archive);
+
+    const report = {
+        total_chunks: validChunks.length,
+        archive_s3_key: archive ? archive.s3_key : null,
+        loaded_chunks: 0,
+        missing: [],
+        corrupt: [],
+        unavailable: [],
+        out_of_order_events: 0,
+        complete: true
+    };
+    const pageUrls = [];
+    let eventCount = 0;
+    let lastEmitted = -Infinity;
+    let pending = [];
+
+    async function emit(batch) {
+        if (batch.length === 0) return;
+        for (const event of batch) {
+            const ts = event.timestamp || 0;
+            if (ts < lastEmitted) {
+                report.out_of_order_events++;
+            } else {
+                lastEmitted = ts;
+            }
+        }
+        eventCount += batch.length;
+        await onBatch(batch);
+    }
+
+    // Rolling prefetch window: chunk i is awaited while i+1..i+prefetch download
+    const inFlight = [];
+    let nextToStart = 0;
+    function fillWindow() {
+        while (nextToStart < validChunks.length && inFlight.length < prefetch) {
+            inFlight.push(loadChunk(validChunks[nextToStart++]));
+        }
+    }
+
+    fillWindow();
+    for (let i = 0; i < validChunks.length; i++) {
+        const chunk = validChunks[i];
+        const { data, problem } = await inFlight.shift();
+        fillWindow();
+
+        if (problem) {
+            report[problem.type].push({
+                sequence_id: chunk.sequence_id ?? null,
+                s3_key: chunk.s3_key,
+                s3_bucket: chunk.s3_bucket,
+                reason: problem.reason
+            });
+            console.error(`[SessionReader] ${problem.type} chunk ${chunk.s3_key}: ${problem.reason}`);
+            continue;
+        }
+
+        report.loaded_chunks++;
+        // Archives carry every page URL of the chunks they replaced
+        for (const pageUrl of data.pageUrls || [data.pageUrl || chunk.page_url]) {
+            if (pageUrl && !pageUrls.includes(pageUrl)) {
+                pageUrls.push(pageUrl);
+            }
+        }
+
+        const chunkEvents = data.events.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        if (chunkEvents.length === 0) continue;
+
+        // Everything buffered up to this chunk's first timestamp is now final
+        const low = chunkEvents[0].timestamp || 0;
+        let splitAt = 0;
+        while (splitAt < pending.length && (pending[splitAt].timestamp || 0) <= low) {
+            splitAt++;
+        }
+        await emit(pending.slice(0, splitAt));
+        pending = mergeSorted(pending.slice(splitAt), chunkEvents);
+    }
+
+    await emit(pending);
+
+    report.complete = report.missing.length === 0 &&
+        report.corrupt.length === 0 &&
+        report.unavailable.length === 0;
+
+    return { chunks: allChunks, pageUrls, eventCount, report };
+}
+
+/**
+ * Read a whole session into one ordered array (for consumers that need all events,
+ * e.g. the timeline generator and video renderer). Events streamed out of order
+ * (an archive read before overlapping later chunks, overlapping flushes) are
+ * sorted back into timestamp order.
+ *
+ * @param {string} sessionId - The session ID
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @param {object} [options] - Passed through to readSession (chunks, prefetch)
+ * @returns {Promise<{events: Array, chunks: Array, pageUrls: Array, report: object}>}
+ */
+async function readMergedSession(sessionId, db, options = {}) {
+    const events = [];
+    const result = await readSession(sessionId, db, {
+        ...options,
+        onBatch: async (batch) => {
+            for (const event of batch) events.push(event);
+        }
+    });
+
+    if (result.report.out_of_order_events > 0) {
+        events.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    return { events, ...result };
+}
+
+module.exports = {
+    listSessionChunks,
+    planReads,
+    readSession,
+    readMergedSession
+};
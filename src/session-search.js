@@ -0,0 +1,353 @@
+/**
+ * Session Search
+ *
+ * Full-text index of what happened in a session, built from the timeline
+ * (timeline-react-aware.js) and stored in session_search_entries with a
+ * PostgreSQL tsvector per entry:
+ * - click: the clicked element's label (`Apply coupon`)
+ * - navigation: the page URL
+ * - input: the field and the typed value, PII-masked as in the timeline
+ * - text: text that appeared on the page, from snapshots and mutations
+ *   (scripts and styles skipped, emails and card numbers masked)
+ * - error: console errors, unhandled rejections and failed requests
+ *
+ * Page text is indexed when it first appears on a page (again after the next
+ * navigation), so "clicked 'Apply coupon' then saw 'Invalid code'" can be
+ * answered by comparing entry times. Searches are ordered steps
+ * (GET /api/sessions/search ?step=clicked:Apply coupon&step=saw:Invalid code);
+ * each step is a phrase, optionally limited to one kind.
+ *
+ * Indexed alongside signals and errors: by the compactor when it archives a
+ * session and by the worker when it renders one.
+ *
+ * IMPORTANT: saveSearchEntries and findMatches are ASYNC - always use await!
+ */
+
+const { createTimelineBuilder, describeEntry } = require('../timeline-react-aware');
+
+const SEARCH_KINDS = ['click', 'navigation', 'input', 'text', 'error'];
+
+// ?step= prefixes and the entry kind they search
+const STEP_VERBS = { clicked: 'click', visited: 'navigation', typed: 'input', saw: 'text', error: 'error' };
+
+const MAX_STEPS = 5;
+const MAX_STEP_LENGTH = 200;
+// Longest text stored per entry
+const MAX_TEXT_LENGTH = 500;
+// Page text is cut off here, so one huge page can't crowd out the rest of the session
+const MAX_TEXT_ENTRIES = 4000;
+const MAX_ENTRIES = 5000;
+// Rows per INSERT when saving
+const INSERT_BATCH_SIZE = 500;
+
+// Text inside these is never shown
+const HIDDEN_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const CARD_PATTERN = /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g;
+
+/**
+ * Words of a text as they are indexed and searched: punctuation becomes
+ * spaces, so URLs, labels and queries split the same way.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function searchText(text) {
+    return String(text || '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function cleanText(text) {
+    const cleaned = String(text || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(EMAIL_PATTERN, '[EMAIL]')
+        .replace(CARD_PATTERN, '[PAYMENT]');
+    return cleaned.length > MAX_TEXT_LENGTH ? cleaned.substring(0, MAX_TEXT_LENGTH - 3) + '...' : cleaned;
+}
+
+// Labels come quoted from the timeline (`"Pay now"`, `"email" field`)
+function unquote(label) {
+    return label && /^".*"$/.test(label) ? label.slice(1, -1) : label;
+}
+
+/**
+ * Search entry for a timeline entry, if it is one worth searching.
+ *
+ * @param {object} entry - From buildTimeline
+ * @returns {{t: number, kind: string, text: string, url: string|null}|null}
+ */
+function entryFromTimeline(entry) {
+    const base = { t: entry.t, url: entry.url };
+    switch (entry.kind) {
+        case 'click':
+            return entry.label ? { ...base, kind: 'click', text: unquote(entry.label) } : null;
+        case 'navigation':
+            return entry.url ? { ...base, kind: 'navigation', text: entry.url } : null;
+        case 'input':
+            return { ...base, kind: 'input', text: `${entry.label}: ${entry.value}` };
+        case 'console_error':
+        case 'network_error':
+            return { ...base, kind: 'error', text: describeEntry(entry) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Incremental search indexer.
+ *
+ * Entries: { t, kind, text, url } - t in ms from the first event
+ *
+ * @returns {{add: Function, finish: Function}} - add(event) in timestamp order; finish() returns entries sorted by t
+ */
+function createSearchIndexer() {
+    const timeline = createTimelineBuilder(true);
+    const texts = [];
+    let start = null;
+    let currentUrl = null;
+    // Text already indexed on the current page
+    let seen = new Set();
+
+    function addText(t, value) {
+        if (texts.length >= MAX_TEXT_ENTRIES) return;
+        const text = cleanText(value);
+        // Masked text (rrweb maskTextSelector) is all asterisks
+        if (text.length < 2 || /^[*\s]+$/.test(text) || seen.has(text)) return;
+        seen.add(text);
+        texts.push({ t, kind: 'text', text, url: currentUrl });
+    }
+
+    function addTree(t, node, parentTag) {
+        if (!node) return;
+        if (node.type === 3) {
+            if (!HIDDEN_TAGS.has(parentTag) && !node.isStyle) addText(t, node.textContent);
+            return;
+        }
+        if (HIDDEN_TAGS.has(node.tagName)) return;
+        for (const child of node.childNodes || []) {
+            addTree(t, child, node.tagName);
+        }
+    }
+
+    const tagOf = id => timeline.dom.nodes[id]?.tagName;
+
+    function add(event) {
+        if (!event || typeof event.timestamp !== 'number') return;
+        if (start === null) start = event.timestamp;
+        const t = event.timestamp - start;
+        const data = event.data || {};
+
+        // The builder registers added nodes first, so their parents can be looked up
+        timeline.add(event);
+
+        if (event.type === 4 && data.href && data.href !== currentUrl) {
+            currentUrl = data.href;
+            seen = new Set();
+        } else if (event.type === 2) {
+            addTree(t, data.node, null);
+        } else if (event.type === 3 && data.source === 0) {
+            for (const added of data.adds || []) {
+                // Parents removed in the same mutation are no longer on the page
+                const parentTag = tagOf(added.parentId);
+                if (parentTag) addTree(t, added.node, parentTag);
+            }
+            for (const change of data.texts || []) {
+                const node = timeline.dom.nodes[change.id];
+                const parentTag = node && tagOf(node.parentId);
+                if (parentTag && !HIDDEN_TAGS.has(parentTag) && change.value) addText(t, change.value);
+            }
+        }
+    }
+
+    function finish() {
+        const entries = timeline.finish().map(entryFromTimeline).filter(Boolean).concat(texts);
+        // Stable sort: a click stays ahead of the text it brought up at the same time
+        return entries.sort((a, b) => a.t - b.t).slice(0, MAX_ENTRIES);
+    }
+
+    return { add, finish };
+}
+
+/**
+ * Build search entries for a whole session.
+ *
+ * @param {Array} events - rrweb events, sorted by timestamp
+ * @returns {Array<object>} - Entries (see createSearchIndexer)
+ */
+function buildSearchEntries(events) {
+    const indexer = createSearchIndexer();
+    for (const event of events || []) {
+        indexer.add(event);
+    }
+    return indexer.finish();
+}
+
+/**
+ * Replace a session's search entries.
+ *
+ * @param {string} sessionId
+ * @param {Array<object>} entries - From buildSearchEntries / createSearchIndexer
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<number>} - Entries stored
+ */
+async function saveSearchEntries(sessionId, entries, db) {
+    const client = await db.getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM session_search_entries WHERE session_id = $1', [sessionId]);
+        for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+            const batch = entries.slice(i, i + INSERT_BATCH_SIZE);
+            await client.query(`
+                INSERT INTO session_search_entries (session_id, kind, offset_ms, text, url, search_vector)
+                SELECT $1, e.kind, e.offset_ms, e.text, e.url, to_tsvector('simple', e.words)
+                FROM unnest($2::text[], $3::int[], $4::text[], $5::text[], $6::text[]) AS e(kind, offset_ms, text, url, words)
+            `, [
+                sessionId,
+                batch.map(e => e.kind),
+                batch.map(e => Math.round(e.t)),
+                batch.map(e => e.text),
+                batch.map(e => e.url),
+                batch.map(e => searchText(e.text))
+            ]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return entries.length;
+}
+
+/**
+ * Parse ?step= values (and ?q=, a single step of any kind).
+ *
+ * Each step is `verb:phrase` (clicked, visited, typed, saw, error) or just a
+ * phrase to match any kind.
+ *
+ * @param {string|Array<string>} [stepValues] - ?step= (repeated)
+ * @param {string} [q] - ?q=
+ * @returns {{error: string|null, steps: Array<{kind: string|null, phrase: string}>}}
+ */
+function parseSearchSteps(stepValues, q) {
+    const raw = [].concat(stepValues || []);
+    if (q) raw.unshift(q);
+    if (raw.length > MAX_STEPS) return { error: `At most ${MAX_STEPS} steps allowed`, steps: [] };
+
+    const steps = [];
+    for (const value of raw) {
+        if (typeof value !== 'string') return { error: 'Invalid step', steps: [] };
+        const match = value.match(/^(\w+):(.*)$/);
+        const kind = match && STEP_VERBS[match[1]] ? STEP_VERBS[match[1]] : null;
+        const phrase = (kind ? match[2] : value).trim();
+        if (!searchText(phrase)) return { error: `Empty search phrase: "${value}"`, steps: [] };
+        if (phrase.length > MAX_STEP_LENGTH) return { error: `Search phrase longer than ${MAX_STEP_LENGTH} characters`, steps: [] };
+        steps.push({ kind, phrase });
+    }
+    return { error: null, steps };
+}
+
+// SQL condition for one step against entry alias `e`, appending its params
+function stepCondition(e, step, params) {
+    params.push(searchText(step.phrase));
+    let sql = `${e}.search_vector @@ phraseto_tsquery('simple', $${params.length})`;
+    if (step.kind) {
+        params.push(step.kind);
+        sql += ` AND ${e}.kind = $${params.length}`;
+    }
+    return sql;
+}
+
+/**
+ * Query selecting sessions whose entries match the steps in order (each step
+ * at or after the previous one), with the time of the first match.
+ *
+ * Like findMatches, each step takes the earliest matching entry after the
+ * previous step's, so every session costs one lookup per step instead of a
+ * join over every combination of matching entries.
+ *
+ * @param {Array<object>} steps - From parseSearchSteps
+ * @param {Array} params - Query params so far; the step params are appended
+ * @param {number|null} [campaignId] - Only search this campaign's sessions
+ * @returns {string} - SQL selecting session_id, first_match_ms
+ */
+function buildSequenceQuery(steps, params, campaignId = null) {
+    let campaignCondition = '';
+    if (campaignId !== null && campaignId !== undefined) {
+        params.push(campaignId);
+        campaignCondition = `
+                AND e.session_id IN (SELECT sc.session_id FROM session_chunks sc WHERE sc.campaign_id = $${params.length})`;
+    }
+    const first = stepCondition('e', steps[0], params);
+    const laterals = steps.slice(1).map((step, i) => `
+        CROSS JOIN LATERAL (
+            SELECT MIN(e.offset_ms) as at_ms
+            FROM session_search_entries e
+            WHERE e.session_id = s1.session_id
+              AND e.offset_ms >= s${i + 1}.at_ms
+              AND ${stepCondition('e', step, params)}
+        ) s${i + 2}`).join('');
+    return `
+        SELECT s1.session_id, s1.at_ms as first_match_ms
+        FROM (
+            SELECT e.session_id, MIN(e.offset_ms) as at_ms
+            FROM session_search_entries e
+            WHERE ${first}${campaignCondition}
+            GROUP BY e.session_id
+        ) s1${laterals}
+        WHERE s${steps.length}.at_ms IS NOT NULL`;
+}
+
+/**
+ * The earliest entries matching the steps in order, per session.
+ *
+ * @param {Array<string>} sessionIds
+ * @param {Array<object>} steps - From parseSearchSteps
+ * @param {object} db - PostgreSQL database adapter (src/db.js)
+ * @returns {Promise<object>} - { [sessionId]: [{ step, kind, text, url, offset_ms }] }
+ */
+async function findMatches(sessionIds, steps, db) {
+    if (sessionIds.length === 0) return {};
+
+    // Candidates for each step, one query per step (avoids N+1 over sessions)
+    const candidates = [];
+    for (const step of steps) {
+        const params = [sessionIds];
+        const condition = stepCondition('e', step, params);
+        const { rows } = await db.query(`
+            SELECT e.session_id, e.kind, e.text, e.url, e.offset_ms
+            FROM session_search_entries e
+            WHERE e.session_id = ANY($1) AND ${condition}
+            ORDER BY e.session_id, e.offset_ms, e.id
+        `, params);
+        candidates.push(rows);
+    }
+
+    const matches = {};
+    for (const sessionId of sessionIds) {
+        const chain = [];
+        let after = -Infinity;
+        for (let i = 0; i < steps.length; i++) {
+            const next = candidates[i].find(row => row.session_id === sessionId && row.offset_ms >= after);
+            if (!next) break;
+            chain.push({ step: i, kind: next.kind, text: next.text, url: next.url, offset_ms: next.offset_ms });
+            after = next.offset_ms;
+        }
+        matches[sessionId] = chain;
+    }
+    return matches;
+}
+
+module.exports = {
+    SEARCH_KINDS,
+    STEP_VERBS,
+    searchText,
+    createSearchIndexer,
+    buildSearchEntries,
+    saveSearchEntries,
+    parseSearchSteps,
+    buildSequenceQuery,
+    findMatches
+};
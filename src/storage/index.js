@@ -0,0 +1,136 @@
+/**
+ * Storage Driver Registry
+ *
+ * Every read/write of session chunks and rendered assets goes through here
+ * instead of calling the AWS SDK directly. The driver is picked per domain via
+ * the optional "storage" field in ALLOWED_DOMAINS:
+ *
+ *   {"big.com":   {"bucket": "big-recordings", "token": "...", "storage": "s3"},
+ *    "small.com": {"bucket": "small-tenant",   "token": "...", "storage": "local"}}
+ *
+ * Chunks and sessions only record their bucket, so lookups resolve
+ * bucket -> driver. Buckets not listed in ALLOWED_DOMAINS use STORAGE_DRIVER
+ * (default: s3).
+ *
+ * Driver interface (all async):
+ *   put(bucket, key, body, contentType)
+ *   get(bucket, key)                     -> Buffer (throws err.code === 'NoSuchKey')
+ *   exists(bucket, key)                  -> boolean
+ *   remove(bucket, key)
+ *   getUploadUrl(bucket, key, { contentType, expiresIn, baseUrl }) -> string
+ *   getDownloadUrl(bucket, key, { expiresIn, baseUrl })            -> string
+ */
+
+// Drivers are loaded on first use so a disk-only box never loads the AWS SDK
+const DRIVERS = {
+    s3: () => require('./s3-driver'),
+    local: () => require('./local-driver')
+};
+
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 's3';
+
+let bucketDrivers = null;
+
+/**
+ * Build the bucket -> driver name map from ALLOWED_DOMAINS (once).
+ */
+function getBucketDrivers() {
+    if (bucketDrivers) return bucketDrivers;
+
+    bucketDrivers = {};
+    let domains = {};
+    try {
+        domains = JSON.parse(process.env.ALLOWED_DOMAINS || '{}');
+    } catch (err) {
+        console.error('[Storage] Error parsing ALLOWED_DOMAINS:', err.message);
+    }
+
+    for (const [host, config] of Object.entries(domains)) {
+        if (!config || !config.bucket) continue;
+        const driverName = config.storage || DEFAULT_DRIVER;
+        if (!DRIVERS[driverName]) {
+            throw new Error(`Unknown storage driver "${driverName}" for domain ${host}`);
+        }
+        if (bucketDrivers[config.bucket] && bucketDrivers[config.bucket] !== driverName) {
+            throw new Error(`Bucket ${config.bucket} is configured with conflicting storage drivers`);
+        }
+        bucketDrivers[config.bucket] = driverName;
+    }
+
+    return bucketDrivers;
+}
+
+/**
+ * Get the driver responsible for a bucket.
+ *
+ * @param {string} bucket - Bucket name (session_chunks.s3_bucket)
+ * @returns {object} - Storage driver
+ */
+function forBucket(bucket) {
+    const driverName = getBucketDrivers()[bucket] || DEFAULT_DRIVER;
+    const load = DRIVERS[driverName];
+    if (!load) {
+        throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+    return load();
+}
+
+/**
+ * Get a driver by name (used by the local storage HTTP routes).
+ *
+ * @param {string} name - 's3' or 'local'
+ * @returns {object} - Storage driver
+ */
+function getDriver(name) {
+    const load = DRIVERS[name];
+    if (!load) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return load();
+}
+
+/**
+ * True if the error means "object does not exist".
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isNotFoundError(err) {
+    return !!err && err.code === 'NoSuchKey';
+}
+
+async function putObject(bucket, key, body, contentType) {
+    return forBucket(bucket).put(bucket, key, body, contentType);
+}
+
+async function getObject(bucket, key) {
+    return forBucket(bucket).get(bucket, key);
+}
+
+async function objectExists(bucket, key) {
+    return forBucket(bucket).exists(bucket, key);
+}
+
+async function deleteObject(bucket, key) {
+    return forBucket(bucket).remove(bucket, key);
+}
+
+async function getUploadUrl(bucket, key, options) {
+    return forBucket(bucket).getUploadUrl(bucket, key, options);
+}
+
+async function getDownloadUrl(bucket, key, options) {
+    return forBucket(bucket).getDownloadUrl(bucket, key, options);
+}
+
+module.exports = {
+    forBucket,
+    getDriver,
+    isNotFoundError,
+    putObject,
+    getObject,
+    objectExists,
+    deleteObject,
+    getUploadUrl,
+    getDownloadUrl
+};
@@ -0,0 +1,194 @@
+/**
+ * Local Filesystem Storage Driver
+ *
+ * Stores objects on disk at {STORAGE_LOCAL_DIR}/{bucket}/{key}.
+ * The "bucket" is just a top-level directory, so the same keys and DB rows
+ * work whether a tenant lives in S3 or on disk.
+ *
+ * Browsers can't write to disk directly, so upload/download URLs point back
+ * at this server (/api/storage/...) and carry an HMAC signature + expiry,
+ * mirroring how S3 presigned URLs behave.
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../storage'));
+
+/**
+ * Resolve bucket/key to an absolute path, refusing anything that escapes the root.
+ */
+function resolvePath(bucket, key) {
+    if (!bucket || !key) {
+        throw new Error('Bucket and key are required');
+    }
+    const bucketDir = path.resolve(ROOT_DIR, bucket);
+    const filePath = path.resolve(bucketDir, key);
+    if (!bucketDir.startsWith(ROOT_DIR + path.sep) || !filePath.startsWith(bucketDir + path.sep)) {
+        throw new Error(`Invalid storage path: ${bucket}/${key}`);
+    }
+    return filePath;
+}
+
+function normalizeError(err) {
+    if (err.code === 'ENOENT') {
+        err.code = 'NoSuchKey';
+    }
+    return err;
+}
+
+function getSigningSecret() {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) must be set to sign local storage URLs');
+    }
+    return secret;
+}
+
+function sign(method, bucket, key, expires) {
+    return crypto
+        .createHmac('sha256', getSigningSecret())
+        .update(`${method}\n${bucket}\n${key}\n${expires}`)
+        .digest('hex');
+}
+
+function buildSignedUrl(method, bucket, key, expiresIn, baseUrl) {
+    if (!baseUrl) {
+        throw new Error('baseUrl is required to build local storage URLs');
+    }
+    const expires = Date.now() + expiresIn * 1000;
+    const signature = sign(method, bucket, key, expires);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl.replace(/\/$/, '')}/api/storage/${encodeURIComponent(bucket)}/${encodedKey}` +
+        `?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Verify a signature produced by getUploadUrl/getDownloadUrl.
+ *
+ * @param {string} method - 'PUT' or 'GET'
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {string|number} expires - Expiry (Unix ms) from the query string
+ * @param {string} signature - Hex signature from the query string
+ * @returns {boolean}
+ */
+function verifySignature(method, bucket, key, expires, signature) {
+    const expiresMs = parseInt(expires, 10);
+    if (!signature || isNaN(expiresMs) || expiresMs < Date.now()) {
+        return false;
+    }
+    const expected = Buffer.from(sign(method, bucket, key, expiresMs), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Write an object (atomically, via temp file + rename).
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @param {Buffer|string} body - Object contents
+ * @returns {Promise<void>}
+ */
+async function put(bucket, key, body) {
+    const filePath = resolvePath(bucket, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, body);
+    await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Read an object into memory.
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>}
+ */
+async function get(bucket, key) {
+    try {
+        return await fs.promises.readFile(resolvePath(bucket, key));
+    } catch (err) {
+        throw normalizeError(err);
+    }
+}
+
+/**
+ * Check whether an object exists.
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @returns {Promise<boolean>}
+ */
+async function exists(bucket, key) {
+    try {
+        const stat = await fs.promises.stat(resolvePath(bucket, key));
+        return stat.isFile();
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    }
+}
+
+/**
+ * Delete an object. Deleting a missing object is not an error.
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, key) {
+    await fs.promises.rm(resolvePath(bucket, key), { force: true });
+}
+
+/**
+ * Open a read stream for an object (used by the download route).
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @returns {fs.ReadStream}
+ */
+function createReadStream(bucket, key) {
+    return fs.createReadStream(resolvePath(bucket, key));
+}
+
+/**
+ * Create a signed PUT URL pointing at this server's storage route.
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @param {object} options - { expiresIn, baseUrl }
+ * @returns {Promise<string>}
+ */
+async function getUploadUrl(bucket, key, { expiresIn = 60, baseUrl } = {}) {
+    return buildSignedUrl('PUT', bucket, key, expiresIn, baseUrl);
+}
+
+/**
+ * Create a signed GET URL pointing at this server's storage route.
+ *
+ * @param {string} bucket - Bucket directory
+ * @param {string} key - Object key
+ * @param {object} options - { expiresIn, baseUrl }
+ * @returns {Promise<string>}
+ */
+async function getDownloadUrl(bucket, key, { expiresIn = 3600, baseUrl } = {}) {
+    return buildSignedUrl('GET', bucket, key, expiresIn, baseUrl);
+}
+
+module.exports = {
+    name: 'local',
+    ROOT_DIR,
+    put,
+    get,
+    exists,
+    remove,
+    createReadStream,
+    getUploadUrl,
+    getDownloadUrl,
+    verifySignature
+};
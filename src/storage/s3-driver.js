@@ -0,0 +1,150 @@
+/**
+ * S3 Storage Driver
+ *
+ * Stores session chunks and rendered assets in AWS S3.
+ * Uses SDK v2 for object reads/writes and SDK v3 for presigned PUT URLs
+ * (the v3 presigner produces smaller, faster-to-sign URLs for direct uploads).
+ *
+ * IMPORTANT: All functions are ASYNC - always use await!
+ */
+
+const AWS = require('aws-sdk');
+const { S3Client, PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Clients are created lazily so local-only deployments never touch AWS config
+let s3 = null;
+let s3Client = null;
+
+function getS3() {
+    if (!s3) {
+        AWS.config.update({ region: process.env.AWS_REGION });
+        s3 = new AWS.S3();
+    }
+    return s3;
+}
+
+function getS3Client() {
+    if (!s3Client) {
+        s3Client = new S3Client({ region: process.env.AWS_REGION });
+    }
+    return s3Client;
+}
+
+/**
+ * Normalize "object does not exist" errors from both SDK versions.
+ */
+function normalizeError(err) {
+    if (err.code === 'NoSuchKey' || err.code === 'NotFound' ||
+        err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+        err.code = 'NoSuchKey';
+    }
+    return err;
+}
+
+/**
+ * Write an object.
+ *
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @param {Buffer|string} body - Object contents
+ * @param {string} contentType - MIME type
+ * @returns {Promise<void>}
+ */
+async function put(bucket, key, body, contentType) {
+    await getS3().upload({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+    }).promise();
+}
+
+/**
+ * Read an object into memory.
+ *
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<Buffer>}
+ */
+async function get(bucket, key) {
+    try {
+        const response = await getS3().getObject({ Bucket: bucket, Key: key }).promise();
+        return response.Body;
+    } catch (err) {
+        throw normalizeError(err);
+    }
+}
+
+/**
+ * Check whether an object exists (HEAD request).
+ *
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<boolean>}
+ */
+async function exists(bucket, key) {
+    try {
+        await getS3Client().send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+    } catch (err) {
+        if (normalizeError(err).code === 'NoSuchKey') {
+            return false;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Delete an object. Deleting a missing object is not an error.
+ *
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+async function remove(bucket, key) {
+    await getS3().deleteObject({ Bucket: bucket, Key: key }).promise();
+}
+
+/**
+ * Create a presigned PUT URL the browser can upload to directly.
+ *
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @param {object} options - { contentType, expiresIn }
+ * @returns {Promise<string>}
+ */
+async function getUploadUrl(bucket, key, { contentType, expiresIn = 60 } = {}) {
+    const command = new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType
+    });
+    return getSignedUrl(getS3Client(), command, { expiresIn });
+}
+
+/**
+ * Create a presigned GET URL for an object.
+ *
+ * @param {string} bucket - S3 bucket name
+ * @param {string} key - Object key
+ * @param {object} options - { expiresIn }
+ * @returns {Promise<string>}
+ */
+async function getDownloadUrl(bucket, key, { expiresIn = 3600 } = {}) {
+    return getS3().getSignedUrl('getObject', {
+        Bucket: bucket,
+        Key: key,
+        Expires: expiresIn
+    });
+}
+
+module.exports = {
+    name: 's3',
+    put,
+    get,
+    exists,
+    remove,
+    getUploadUrl,
+    getDownloadUrl
+};
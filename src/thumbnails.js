@@ -0,0 +1,138 @@
+/**
+ * Session Thumbnails
+ *
+ * Visual previews made from a rendered video.mp4, for session lists:
+ * - poster.jpg: the last thing the user saw (the drop-off for dropped-off sessions)
+ * - preview.webp: a short animated clip of the seconds leading up to it
+ * - sprite.jpg: keyframes tiled in a grid for scrubbing; the grid layout is
+ *   returned (planSprite) and stored with the session as sprite_meta
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg } = require('./ffmpeg');
+
+const POSTER_WIDTH = 640;
+
+const PREVIEW_SECONDS = 8;
+const PREVIEW_FPS = 6;
+const PREVIEW_WIDTH = 480;
+
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_TILES = 100;
+// Never more than one tile per second, however short the session
+const SPRITE_MIN_INTERVAL_S = 1;
+
+/**
+ * Height matching the video's aspect ratio (even, for the encoders).
+ */
+function scaledHeight(width, videoWidth, videoHeight) {
+    return Math.max(2, Math.round((width * videoHeight) / videoWidth / 2) * 2);
+}
+
+/**
+ * Where the poster frame and the animated preview come from.
+ *
+ * @param {number} durationMs - Video length
+ * @returns {{posterAt: number, previewStart: number, previewDuration: number}} - Seconds
+ */
+function planPreview(durationMs) {
+    const durationS = Math.max(0, durationMs / 1000);
+    // Just before the end: seeking to the very end can land past the last frame
+    const posterAt = Math.max(0, durationS - 0.5);
+    const previewStart = Math.max(0, durationS - PREVIEW_SECONDS);
+    return {
+        posterAt,
+        previewStart,
+        previewDuration: Math.max(0.5, durationS - previewStart)
+    };
+}
+
+/**
+ * Sprite sheet layout: tile i shows the video at i * interval seconds,
+ * at column i % columns, row floor(i / columns).
+ *
+ * @param {number} durationMs - Video length
+ * @param {number} videoWidth
+ * @param {number} videoHeight
+ * @returns {{interval: number, count: number, columns: number, rows: number, tile_width: number, tile_height: number}}
+ */
+function planSprite(durationMs, videoWidth, videoHeight) {
+    const durationS = Math.max(0, durationMs / 1000);
+    const interval = Math.max(SPRITE_MIN_INTERVAL_S, durationS / SPRITE_MAX_TILES);
+    const count = Math.max(1, Math.min(SPRITE_MAX_TILES, Math.ceil(durationS / interval)));
+    const columns = Math.min(SPRITE_COLUMNS, count);
+    return {
+        interval: Math.round(interval * 1000) / 1000,
+        count,
+        columns,
+        rows: Math.ceil(count / columns),
+        tile_width: SPRITE_TILE_WIDTH,
+        tile_height: scaledHeight(SPRITE_TILE_WIDTH, videoWidth, videoHeight)
+    };
+}
+
+/**
+ * Generate poster, animated preview and sprite sheet for a video.
+ *
+ * @param {string} videoPath - Rendered video
+ * @param {string} outputDir - Where to write the images
+ * @param {object} video
+ * @param {number} video.durationMs - Video length
+ * @param {number} video.width - Video frame size (render profile)
+ * @param {number} video.height
+ * @returns {Promise<{posterPath: string, previewPath: string, spritePath: string, sprite: object}>} - sprite: see planSprite
+ */
+async function generateThumbnails(videoPath, outputDir, { durationMs, width, height }) {
+    if (!fs.existsSync(videoPath)) {
+        throw new Error(`Video not found: ${videoPath}`);
+    }
+
+    const posterPath = path.join(outputDir, 'poster.jpg');
+    const previewPath = path.join(outputDir, 'preview.webp');
+    const spritePath = path.join(outputDir, 'sprite.jpg');
+    const { posterAt, previewStart, previewDuration } = planPreview(durationMs);
+    const sprite = planSprite(durationMs, width, height);
+
+    await runFfmpeg([
+        '-y',
+        '-ss', posterAt.toFixed(3),
+        '-i', videoPath,
+        '-frames:v', '1',
+        '-vf', `scale=${POSTER_WIDTH}:-2`,
+        '-q:v', '3',
+        posterPath
+    ]);
+
+    await runFfmpeg([
+        '-y',
+        '-ss', previewStart.toFixed(3),
+        '-t', previewDuration.toFixed(3),
+        '-i', videoPath,
+        '-vf', `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2`,
+        '-c:v', 'libwebp',
+        '-lossless', '0',
+        '-quality', '60',
+        '-loop', '0',
+        '-an',
+        previewPath
+    ]);
+
+    await runFfmpeg([
+        '-y',
+        '-i', videoPath,
+        '-vf', `fps=1/${sprite.interval},scale=${sprite.tile_width}:${sprite.tile_height},tile=${sprite.columns}x${sprite.rows}`,
+        '-frames:v', '1',
+        '-q:v', '5',
+        spritePath
+    ]);
+
+    return { posterPath, previewPath, spritePath, sprite };
+}
+
+module.exports = {
+    planPreview,
+    planSprite,
+    generateThumbnails
+};
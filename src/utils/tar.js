@@ -0,0 +1,110 @@
+// src/utils/tar.js
+// Minimal streaming tar (ustar) writer for downloadable exports
+// Only regular files are supported - enough for JSON + asset bundles, no dependency needed
+
+const { once } = require('events');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a string into a header field (NUL-padded)
+ */
+function writeField(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+/**
+ * Write a number as a NUL-terminated octal string
+ */
+function writeOctal(header, value, offset, length) {
+  writeField(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+/**
+ * Split a path into ustar name (100 bytes) + prefix (155 bytes)
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { name, prefix: '' };
+  }
+  const slash = name.lastIndexOf('/', 155);
+  if (slash <= 0 || Buffer.byteLength(name.slice(slash + 1)) > 100) {
+    throw new Error(`Path too long for tar: ${name}`);
+  }
+  return { name: name.slice(slash + 1), prefix: name.slice(0, slash) };
+}
+
+/**
+ * Build a 512-byte ustar header for a regular file
+ *
+ * @param {string} fileName - Path inside the archive
+ * @param {number} size - File size in bytes
+ * @param {Date} [mtime] - Modification time
+ * @returns {Buffer}
+ */
+function createHeader(fileName, size, mtime = new Date()) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { name, prefix } = splitName(fileName);
+
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);                    // mode
+  writeOctal(header, 0, 108, 8);                        // uid
+  writeOctal(header, 0, 116, 8);                        // gid
+  writeOctal(header, size, 124, 12);                    // size
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);                           // checksum placeholder
+  header.write('0', 156);                               // typeflag: regular file
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+  writeField(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) checksum += header[i];
+  writeField(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+}
+
+/**
+ * Create a tar writer on top of a writable stream (e.g. zlib.createGzip() piped to a response)
+ *
+ * @param {import('stream').Writable} stream - Destination
+ * @returns {{ addFile: (name: string, content: Buffer|string) => Promise<void>, finish: () => Promise<void> }}
+ *
+ * @example
+ * const gzip = zlib.createGzip();
+ * gzip.pipe(res);
+ * const tar = createTarWriter(gzip);
+ * await tar.addFile('manifest.json', JSON.stringify(manifest));
+ * await tar.finish();
+ */
+function createTarWriter(stream) {
+  async function write(chunk) {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  }
+
+  return {
+    async addFile(name, content) {
+      const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      await write(createHeader(name, body.length));
+      await write(body);
+      const padding = (BLOCK_SIZE - (body.length % BLOCK_SIZE)) % BLOCK_SIZE;
+      if (padding > 0) {
+        await write(Buffer.alloc(padding));
+      }
+    },
+
+    async finish() {
+      // End-of-archive marker: two empty blocks
+      await write(Buffer.alloc(BLOCK_SIZE * 2));
+      stream.end();
+    }
+  };
+}
+
+module.exports = {
+  createHeader,
+  createTarWriter
+};
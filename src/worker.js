@@ -2,7 +2,17 @@
  * Video Processing Worker
  *
  * Polls the PostgreSQL queue for sessions to process.
- * For each session: fetches events, generates timeline, renders video, uploads to S3.
+ * For each session: fetches events, generates timeline (text and JSON), indexes frustration
+ * signals and captured errors, renders video and its thumbnails (poster, animated preview, sprite sheet),
+ * uploads assets to the session's storage driver (S3 or local disk, see src/storage).
+ *
+ * Any number of workers can run against the same database: jobs are claimed
+ * atomically, each claimed job gets a heartbeat, and jobs of workers that died
+ * mid-render are re-queued (see src/queue-manager.js). Failed renders are
+ * retried with backoff and end up 'dead' after RENDER_MAX_ATTEMPTS.
+ * WORKER_QUEUES limits a worker to some queues (e.g. "manual" for a worker
+ * reserved for dashboard requests); by default it takes jobs from all queues.
+ * Long sessions render in RENDER_PARALLELISM segments at once (see render-worker.js).
  *
  * Run with: node src/worker.js
  */
@@ -10,26 +20,43 @@
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
-const AWS = require('aws-sdk');
+const os = require('os');
 
 const db = require('./db');
 const queue = require('./queue-manager');
 const s3Helpers = require('./s3-helpers');
-const { compressGaps, analyzeGaps } = require('./compress-gaps');
-const { generateTimeline } = require('../timeline-react-aware');
+const { compressGaps, gapMap, analyzeGaps } = require('./compress-gaps');
+const { buildTimeline, renderTimelineText } = require('../timeline-react-aware');
 const { renderVideo } = require('../render-worker');
+const renderProfiles = require('./render-profiles');
+const { generateThumbnails } = require('./thumbnails');
+const frustration = require('./frustration');
+const sessionErrors = require('./session-errors');
+const sessionSearch = require('./session-search');
+const sessionPages = require('./session-pages');
 
 // Configuration
 const POLL_INTERVAL_MS = 5000;  // Check for work every 5 seconds
-const TEMP_DIR = path.join(__dirname, '../temp');
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WORKER_HEARTBEAT_MS || '15000', 10);
+const PROGRESS_INTERVAL_MS = 2000;  // Write frame progress at most this often
+// A job whose heartbeat is older than this is assumed abandoned and re-queued
+const STALE_JOB_MS = parseInt(process.env.WORKER_STALE_MS || '120000', 10);
+
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const WORKER_QUEUES = queue.parseQueueList(process.env.WORKER_QUEUES);
+// Per-worker temp dir, so workers sharing a disk never clean up each other's files
+const TEMP_ROOT = path.join(__dirname, '../temp');
+const TEMP_DIR = path.join(TEMP_ROOT, WORKER_ID.replace(/[^\w.-]/g, '_'));
+// Other workers' temp dirs untouched this long belong to workers that are gone
+const ORPHAN_TEMP_MS = 24 * 60 * 60 * 1000;
+
+// Job currently held by this worker (released on shutdown)
+let currentJob = null;
+let lastStaleCheck = 0;
 
 // Database connection is managed by src/db.js
 console.log(`[Worker] Using PostgreSQL database`);
 
-// AWS S3 setup
-AWS.config.update({ region: process.env.AWS_REGION });
-const s3 = new AWS.S3();
-
 /**
  * Process a single session: fetch, render, upload.
  */
@@ -38,8 +65,31 @@ async function processSession(sessionId) {
     console.log(`[Worker] Processing session: ${sessionId}`);
     console.log(`${'='.repeat(60)}`);
 
-    // Mark as processing
-    await queue.markProcessing(sessionId);
+    currentJob = sessionId;
+
+    // Set once the job is cancelled or re-queued elsewhere; the job is abandoned at the next check
+    let claimLost = false;
+    const onClaim = held => {
+        if (!held && !claimLost) {
+            claimLost = true;
+            console.warn(`[Worker] Lost claim on ${sessionId} (cancelled or re-queued elsewhere), stopping`);
+        }
+    };
+    const ensureClaim = () => {
+        if (claimLost) throw new Error('Job cancelled or re-queued elsewhere');
+    };
+    const setStage = async (stage, progress = {}) => {
+        ensureClaim();
+        onClaim(await queue.updateProgress(sessionId, WORKER_ID, { stage, ...progress }));
+        ensureClaim();
+    };
+
+    // Keep the claim alive while rendering
+    const heartbeatTimer = setInterval(() => {
+        queue.heartbeat(sessionId, WORKER_ID)
+            .then(onClaim)
+            .catch(err => console.error(`[Worker] Heartbeat failed for ${sessionId}:`, err.message));
+    }, HEARTBEAT_INTERVAL_MS);
 
     // Create temp directory for this session
     const sessionTempDir = path.join(TEMP_DIR, sessionId);
@@ -48,9 +98,10 @@ async function processSession(sessionId) {
     }
 
     try {
-        // 1. Fetch merged session events from S3
-        console.log(`[Worker] Fetching session data from S3...`);
-        const { events, bucket } = await s3Helpers.fetchMergedSession(sessionId, db, s3);
+        // 1. Fetch merged session events from storage
+        await setStage('fetching');
+        console.log(`[Worker] Fetching session data from storage...`);
+        const { events, bucket } = await s3Helpers.fetchMergedSession(sessionId, db);
 
         if (!events || events.length === 0) {
             throw new Error('No events found in session');
@@ -71,38 +122,108 @@ async function processSession(sessionId) {
         console.log(`[Worker] Saved ${compressedEvents.length} events to temp file`);
 
         // 2. Generate Timeline (Text)
+        await setStage('timeline');
         console.log(`[Worker] Generating timeline...`);
-        const timelineText = generateTimeline(events);
+        const timelineEntries = buildTimeline(events);
+        const durationMs = events[events.length - 1].timestamp - events[0].timestamp;
+        const timelineText = renderTimelineText(timelineEntries, { durationMs, eventCount: events.length });
         const timelinePath = path.join(sessionTempDir, 'timeline.txt');
+        const timelineJsonPath = path.join(sessionTempDir, 'timeline.json');
         fs.writeFileSync(timelinePath, timelineText);
-        console.log(`[Worker] Timeline generated (${timelineText.length} chars)`);
+        fs.writeFileSync(timelineJsonPath, JSON.stringify({ duration_ms: durationMs, event_count: events.length, entries: timelineEntries }));
+        console.log(`[Worker] Timeline generated (${timelineEntries.length} entries, ${timelineText.length} chars)`);
+
+        // Frustration signals, captured errors, search entries and pages (also indexed by the compactor; sessions that never get compacted rely on this)
+        try {
+            const signals = frustration.detectSignals(events);
+            await frustration.saveSignals(sessionId, signals, db);
+            const errors = sessionErrors.collectErrors(events);
+            await sessionErrors.saveErrors(sessionId, errors, db);
+            const searchEntries = sessionSearch.buildSearchEntries(events);
+            await sessionSearch.saveSearchEntries(sessionId, searchEntries, db);
+            const pages = sessionPages.collectPages(events);
+            await sessionPages.savePages(sessionId, pages, db);
+            console.log(`[Worker] Stored ${signals.length} frustration signal(s), ${errors.length} error(s), ` +
+                `${searchEntries.length} search entries, ${pages.length} page(s)`);
+        } catch (err) {
+            console.warn(`[Worker] Session indexing failed for ${sessionId}, continuing without:`, err.message);
+        }
 
         // 3. Render Video (MP4)
-        console.log(`[Worker] Rendering video...`);
-        const videoPath = await renderVideo(eventsPath, sessionTempDir);
+        const profile = await renderProfiles.resolveJobProfile(sessionId, db);
+        await setStage('rendering', { framesRendered: 0 });
+        console.log(`[Worker] Rendering video (${profile.name} profile)...`);
+        let lastProgressAt = 0;
+        const videoPath = await renderVideo(eventsPath, sessionTempDir, {
+            profile,
+            isCancelled: () => claimLost,
+            onProgress: (framesRendered, framesTotal) => {
+                if (Date.now() - lastProgressAt < PROGRESS_INTERVAL_MS && framesRendered < framesTotal) return;
+                lastProgressAt = Date.now();
+                queue.updateProgress(sessionId, WORKER_ID, { stage: 'rendering', framesRendered, framesTotal })
+                    .then(onClaim)
+                    .catch(err => console.error(`[Worker] Progress update failed for ${sessionId}:`, err.message));
+            }
+        });
         console.log(`[Worker] Video rendered: ${videoPath}`);
 
-        // 4. Upload to S3
+        // 4. Thumbnails - optional, the video is still worth keeping without them
+        await setStage('thumbnails');
+        let images = null;
+        try {
+            images = await generateThumbnails(videoPath, sessionTempDir, {
+                durationMs: compressedEvents[compressedEvents.length - 1].timestamp - compressedEvents[0].timestamp,
+                width: profile.width,
+                height: profile.height
+            });
+            console.log(`[Worker] Thumbnails generated (${images.sprite.count} sprite tiles)`);
+        } catch (err) {
+            console.warn(`[Worker] Thumbnails failed for ${sessionId}, continuing without:`, err.message);
+        }
+
+        // 5. Upload to storage
         const videoKey = `sessions/${sessionId}/assets/video.mp4`;
         const timelineKey = `sessions/${sessionId}/assets/timeline.txt`;
+        const timelineJsonKey = `sessions/${sessionId}/assets/timeline.json`;
+        const thumbnails = images && {
+            posterKey: `sessions/${sessionId}/assets/poster.jpg`,
+            previewKey: `sessions/${sessionId}/assets/preview.webp`,
+            spriteKey: `sessions/${sessionId}/assets/sprite.jpg`,
+            // Tiles are in video time (gaps compressed), timeline.json in session time: store the map between them
+            sprite: { ...images.sprite, time_base: 'video', gaps: gapMap(events) }
+        };
 
-        console.log(`[Worker] Uploading assets to S3...`);
+        await setStage('uploading');
+        console.log(`[Worker] Uploading assets to storage...`);
         await Promise.all([
-            s3Helpers.uploadFile(videoPath, videoKey, bucket, s3),
-            s3Helpers.uploadFile(timelinePath, timelineKey, bucket, s3)
+            s3Helpers.uploadFile(videoPath, videoKey, bucket),
+            s3Helpers.uploadFile(timelinePath, timelineKey, bucket),
+            s3Helpers.uploadFile(timelineJsonPath, timelineJsonKey, bucket),
+            ...(thumbnails ? [
+                s3Helpers.uploadFile(images.posterPath, thumbnails.posterKey, bucket),
+                s3Helpers.uploadFile(images.previewPath, thumbnails.previewKey, bucket),
+                s3Helpers.uploadFile(images.spritePath, thumbnails.spriteKey, bucket)
+            ] : [])
         ]);
 
-        // 5. Mark as ready
-        await queue.markReady(sessionId, videoKey, timelineKey);
+        // 6. Mark as ready
+        await queue.markReady(sessionId, videoKey, timelineKey, WORKER_ID, profile.name, { timelineJsonKey, thumbnails });
 
         console.log(`[Worker] Session complete: ${sessionId}`);
-        console.log(`[Worker] Video: s3://${bucket}/${videoKey}`);
-        console.log(`[Worker] Timeline: s3://${bucket}/${timelineKey}`);
+        console.log(`[Worker] Video: ${bucket}/${videoKey}`);
+        console.log(`[Worker] Timeline: ${bucket}/${timelineKey}`);
 
     } catch (err) {
-        console.error(`[Worker] Error processing ${sessionId}:`, err.message);
-        await queue.markFailed(sessionId);
+        if (claimLost) {
+            console.log(`[Worker] Abandoned ${sessionId}: ${err.message}`);
+        } else {
+            console.error(`[Worker] Error processing ${sessionId}:`, err.message);
+            await queue.markFailed(sessionId, WORKER_ID, err);
+        }
     } finally {
+        clearInterval(heartbeatTimer);
+        currentJob = null;
+
         // Cleanup temp files
         if (fs.existsSync(sessionTempDir)) {
             fs.rmSync(sessionTempDir, { recursive: true, force: true });
@@ -117,6 +238,9 @@ async function processSession(sessionId) {
 async function startWorker() {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`[Worker] Video Processing Worker Started`);
+    console.log(`[Worker] Worker ID: ${WORKER_ID}`);
+    console.log(`[Worker] Queues: ${WORKER_QUEUES ? WORKER_QUEUES.join(', ') : 'all'}`);
+    console.log(`[Worker] Render profiles: ${Object.keys(renderProfiles.getProfiles()).join(', ')} (default ${renderProfiles.DEFAULT_PROFILE})`);
     console.log(`[Worker] Poll interval: ${POLL_INTERVAL_MS}ms`);
     console.log(`[Worker] Temp directory: ${TEMP_DIR}`);
     console.log(`${'='.repeat(60)}\n`);
@@ -135,6 +259,16 @@ async function startWorker() {
         }
     }
 
+    // ...and whatever dead workers left behind
+    for (const entry of fs.readdirSync(TEMP_ROOT)) {
+        const entryPath = path.join(TEMP_ROOT, entry);
+        if (entryPath === TEMP_DIR) continue;
+        if (Date.now() - fs.statSync(entryPath).mtimeMs > ORPHAN_TEMP_MS) {
+            console.log(`[Worker] Removing orphaned temp directory: ${entry}`);
+            fs.rmSync(entryPath, { recursive: true, force: true });
+        }
+    }
+
     // Log initial queue stats
     const stats = await queue.getQueueStats();
     console.log(`[Worker] Queue stats: ${JSON.stringify(stats)}`);
@@ -142,7 +276,13 @@ async function startWorker() {
     // Polling loop
     while (true) {
         try {
-            const sessionId = await queue.getNextJob();
+            // Any worker can recover jobs from dead workers; once per stale period is enough
+            if (Date.now() - lastStaleCheck > STALE_JOB_MS / 2) {
+                lastStaleCheck = Date.now();
+                await queue.requeueStaleJobs(STALE_JOB_MS);
+            }
+
+            const sessionId = await queue.claimNextJob(WORKER_ID, WORKER_QUEUES);
 
             if (sessionId) {
                 await processSession(sessionId);
@@ -158,18 +298,20 @@ async function startWorker() {
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
+// Handle graceful shutdown - hand an in-progress job back instead of waiting for it to go stale
+async function shutdown() {
     console.log('\n[Worker] Shutting down...');
+    if (currentJob) {
+        await queue.releaseJob(currentJob, WORKER_ID).catch(err => {
+            console.error(`[Worker] Failed to release ${currentJob}:`, err.message);
+        });
+    }
     await db.close();
     process.exit(0);
-});
+}
 
-process.on('SIGTERM', async () => {
-    console.log('\n[Worker] Shutting down...');
-    await db.close();
-    process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Start the worker
 startWorker().catch(err => {
@@ -0,0 +1,149 @@
+/**
+ * Test: Frame Schedule
+ *
+ * Verifies that adaptive frame schedules put frames on key events, hold
+ * frames through idle time, respect maxFps and keep the video length, and
+ * that sessions are split into self-contained segments at full snapshots.
+ *
+ * Run with: node tests/test-frame-schedule.js
+ */
+
+const {
+    EventType,
+    IncrementalSource,
+    buildFrameSchedule,
+    fixedFrameSchedule,
+    splitSegments,
+    buildConcatScript
+} = require('../src/frame-schedule');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+
+function incremental(offset, source) {
+    return { type: EventType.IncrementalSnapshot, timestamp: START + offset, data: { source } };
+}
+
+function totalDuration(frames) {
+    return frames.reduce((sum, frame) => sum + frame.duration, 0);
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Frame Schedule');
+console.log('='.repeat(60));
+
+// 10 minutes: snapshot, a burst of activity, 9 idle minutes, a click at the end
+const events = [
+    { type: EventType.Meta, timestamp: START, data: { width: 1280, height: 720 } },
+    { type: EventType.FullSnapshot, timestamp: START + 10, data: {} },
+    incremental(2000, IncrementalSource.MouseMove),
+    incremental(2400, IncrementalSource.MouseInteraction),
+    incremental(2450, IncrementalSource.Mutation),
+    incremental(2470, IncrementalSource.Mutation),
+    incremental(3000, IncrementalSource.Input),
+    incremental(600000, IncrementalSource.MouseInteraction)
+];
+const options = { fps: 3, maxFps: 8, maxHoldMs: 2000 };
+const durationMs = 600000;
+
+const adaptive = buildFrameSchedule(events, options);
+const fixed = fixedFrameSchedule(durationMs, options.fps);
+
+// Test 1: Far fewer frames than a fixed grid
+console.log('\nStep 1: Frame count...');
+console.log(`Adaptive: ${adaptive.length} frames, fixed: ${fixed.length} frames`);
+if (fixed.length !== 1800) fail(`Fixed schedule should have 1800 frames, got ${fixed.length}`);
+if (adaptive.length > fixed.length / 4) fail('Adaptive schedule should skip most idle frames');
+console.log('PASS: Idle time no longer costs a frame per interval');
+
+// Test 2: Key events get a frame of their own
+console.log('\nStep 2: Frames on key events...');
+for (const offset of [2400, 2400 + 150, 3000, 600000]) {
+    if (!adaptive.some(frame => frame.time === offset)) fail(`No frame at ${offset}ms`);
+}
+console.log('PASS: Frames at clicks, inputs and their follow-ups');
+
+// Test 3: Timing
+console.log('\nStep 3: Timing...');
+const minSpacing = 1000 / options.maxFps;
+for (let i = 1; i < adaptive.length; i++) {
+    const gap = adaptive[i].time - adaptive[i - 1].time;
+    if (gap < minSpacing - 1e-9) fail(`Frames ${i - 1}/${i} closer than 1000/maxFps (${gap}ms)`);
+    if (gap > options.maxHoldMs + 1e-9) fail(`Frame ${i - 1} held longer than maxHoldMs (${gap}ms)`);
+    if (Math.abs(adaptive[i - 1].duration - gap) > 1e-9) fail(`Frame ${i - 1} duration doesn't reach the next frame`);
+}
+if (adaptive[0].time !== 0) fail('First frame should be at the start');
+if (adaptive[adaptive.length - 1].time !== durationMs) fail('Last frame should show the final state');
+const drift = Math.abs(totalDuration(adaptive) - totalDuration(fixed));
+if (drift > 1000 / options.fps + 1e-6) fail(`Video length drifted by ${drift}ms`);
+console.log('PASS: Frames spaced within [1000/maxFps, maxHoldMs]; video length kept');
+
+// Test 4: Mouse movement alone is rendered at fps, not maxFps
+console.log('\nStep 4: Mouse movement...');
+const moves = [{ type: EventType.FullSnapshot, timestamp: START, data: {} }];
+for (let t = 10000; t <= 12000; t += 50) moves.push(incremental(t, IncrementalSource.MouseMove));
+moves.push(incremental(30000, IncrementalSource.MouseMove));
+const moveFrames = buildFrameSchedule(moves, options).filter(f => f.time >= 10000 && f.time <= 13000);
+const expected = Math.floor(3000 / (1000 / options.fps)) + 1;
+if (moveFrames.length > expected) fail(`Mouse movement should use fps (${moveFrames.length} > ${expected} frames)`);
+console.log('PASS: Mouse movement rendered at the active fps');
+
+// Test 5: Degenerate sessions
+console.log('\nStep 5: Single-event session...');
+const single = buildFrameSchedule([{ type: EventType.FullSnapshot, timestamp: START, data: {} }], options);
+if (single.length !== 1 || single[0].time !== 0 || !(single[0].duration > 0)) fail(`Unexpected schedule: ${JSON.stringify(single)}`);
+console.log('PASS: One frame');
+
+// Test 6: Concat script
+console.log('\nStep 6: Concat script...');
+const script = buildConcatScript([{ file: '000000.jpg', duration: 500 }, { file: "it's.jpg", duration: 1000 / 3 }]);
+const expectedScript = [
+    'ffconcat version 1.0',
+    "file '000000.jpg'",
+    'duration 0.500',
+    "file 'it'\\''s.jpg'",
+    'duration 0.333',
+    "file 'it'\\''s.jpg'",
+    ''
+].join('\n');
+if (script !== expectedScript) fail(`Unexpected concat script:\n${script}`);
+console.log('PASS: Durations written and last frame repeated');
+
+// Test 7: Segments
+console.log('\nStep 7: Splitting into segments...');
+const meta = offset => ({ type: EventType.Meta, timestamp: START + offset, data: { width: 1280, height: 720 } });
+const snapshot = offset => ({ type: EventType.FullSnapshot, timestamp: START + offset, data: {} });
+const pages = [
+    meta(0), snapshot(5), incremental(20000, IncrementalSource.MouseInteraction),
+    meta(60000), snapshot(60005),                      // navigation
+    snapshot(62000),                                   // checkout too close to the last boundary
+    incremental(100000, IncrementalSource.Input),
+    snapshot(200000),                                  // checkout without its own Meta
+    incremental(240000, IncrementalSource.Scroll)
+];
+const pageSchedule = buildFrameSchedule(pages, options);
+const segments = splitSegments(pages, pageSchedule);
+const offsets = segments.map(segment => segment.offset);
+if (JSON.stringify(offsets) !== JSON.stringify([0, 60000, 200000])) fail(`Unexpected segment offsets: ${offsets}`);
+for (const segment of segments) {
+    const [first, second] = segment.events;
+    if (first.type !== EventType.Meta || second.type !== EventType.FullSnapshot || first.timestamp - START !== segment.offset) {
+        fail(`Segment at ${segment.offset}ms doesn't start with Meta + FullSnapshot`);
+    }
+}
+const indexes = segments.flatMap(segment => segment.frames.map(frame => frame.index));
+if (indexes.length !== pageSchedule.length || indexes.some((index, i) => index !== i)) fail('Every frame should be in exactly one segment, in order');
+for (let k = 1; k < segments.length; k++) {
+    if (segments[k - 1].frames.some(frame => frame.time >= segments[k].offset)) fail(`Segment ${k - 1} has frames past its end`);
+}
+if (segments.reduce((sum, segment) => sum + segment.events.length, 0) !== pages.length + 1) fail('Events lost or duplicated');
+if (splitSegments(pages, pageSchedule, { minSegmentMs: Infinity }).length !== 1) fail('minSegmentMs Infinity should give one segment');
+console.log(`PASS: ${segments.length} self-contained segments covering all ${pageSchedule.length} frames`);
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
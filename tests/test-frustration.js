@@ -0,0 +1,165 @@
+/**
+ * Test: Frustration Signals
+ *
+ * Verifies rage, dead and error clicks, cursor thrashing and back-and-forth
+ * navigation detected from rrweb events, and that feeding events one at a
+ * time gives the same signals.
+ *
+ * Run with: node tests/test-frustration.js
+ */
+
+const { detectSignals, createSignalDetector, parseSignalFilter } = require('../src/frustration');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+
+function meta(offset, href) {
+    return { type: 4, timestamp: START + offset, data: { href, width: 1280, height: 720 } };
+}
+
+function snapshot(offset) {
+    return {
+        type: 2,
+        timestamp: START + offset,
+        data: {
+            node: {
+                type: 0, id: 1, childNodes: [
+                    {
+                        type: 2, id: 2, tagName: 'form', attributes: { id: 'checkout' }, childNodes: [
+                            { type: 2, id: 3, tagName: 'input', attributes: { name: 'coupon' }, childNodes: [] },
+                            { type: 2, id: 4, tagName: 'button', attributes: {}, childNodes: [{ type: 3, id: 5, textContent: 'Apply' }] },
+                            { type: 2, id: 6, tagName: 'button', attributes: {}, childNodes: [{ type: 3, id: 7, textContent: 'Pay' }] }
+                        ]
+                    }
+                ]
+            }
+        }
+    };
+}
+
+function click(offset, id) {
+    return { type: 3, timestamp: START + offset, data: { source: 2, type: 2, id, x: 100, y: 100 } };
+}
+
+function mutation(offset) {
+    return { type: 3, timestamp: START + offset, data: { source: 0, adds: [], removes: [], texts: [{ id: 7, value: 'Paying...' }], attributes: [] } };
+}
+
+function consoleError(offset, message) {
+    return { type: 6, timestamp: START + offset, data: { plugin: 'rrweb/console@1', payload: { level: 'error', payload: [JSON.stringify(message)] } } };
+}
+
+function mouseMove(offset, xs) {
+    // One batch, positions 50ms apart ending at the event
+    return {
+        type: 3,
+        timestamp: START + offset,
+        data: { source: 1, positions: xs.map((x, i) => ({ x, y: 300, id: 1, timeOffset: (i - xs.length + 1) * 50 })) }
+    };
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Frustration Signals');
+console.log('='.repeat(60));
+
+const events = [
+    meta(0, 'https://shop.example.com/cart'),
+    snapshot(5),
+    // "Apply" clicked four times, nothing happens
+    click(1000, 4),
+    click(1200, 4),
+    click(1400, 4),
+    click(1600, 4),
+    // Clicking the coupon field changes nothing either, but that's expected
+    click(4000, 3),
+    // "Pay" updates the page, then errors
+    click(6000, 6),
+    mutation(6100),
+    consoleError(6800, 'Payment failed: 500'),
+    // Cursor shaken left and right
+    mouseMove(9000, [100, 300, 100, 300, 100, 300, 100, 300, 100]),
+    // Cart -> help -> cart within a few seconds, then to the next page
+    meta(12000, 'https://shop.example.com/help'),
+    snapshot(12005),
+    meta(14000, 'https://shop.example.com/cart'),
+    snapshot(14005),
+    meta(30000, 'https://shop.example.com/thanks'),
+    snapshot(30005)
+];
+
+const signals = detectSignals(events);
+const byType = type => signals.filter(s => s.signal === type);
+
+// Test 1: Rage clicks
+console.log('\nStep 1: Rage clicks...');
+const rage = byType('rage_click');
+if (rage.length !== 1) fail(`Expected 1 rage click, got ${JSON.stringify(rage)}`);
+if (rage[0].t !== 1000 || rage[0].details.clicks !== 4 || rage[0].nodeId !== 4) fail(`Unexpected rage click: ${JSON.stringify(rage[0])}`);
+if (!rage[0].label.startsWith('"Apply') || rage[0].selector !== 'form#checkout > button') fail(`Rage click not named: ${JSON.stringify(rage[0])}`);
+if (rage[0].url !== 'https://shop.example.com/cart') fail(`Rage click URL: ${rage[0].url}`);
+console.log('PASS: One signal per burst, named from the virtual DOM');
+
+// Test 2: Dead clicks
+console.log('\nStep 2: Dead clicks...');
+const dead = byType('dead_click');
+if (dead.length !== 1 || dead[0].nodeId !== 4 || dead[0].details.clicks !== 4) fail(`Unexpected dead clicks: ${JSON.stringify(dead)}`);
+if (signals.some(s => s.nodeId === 3)) fail('Clicking a form field is not a dead click');
+if (signals.some(s => s.signal === 'dead_click' && s.nodeId === 6)) fail('A click followed by a mutation is not dead');
+console.log('PASS: Repeated dead clicks counted once; form fields and updating clicks skipped');
+
+// A last click that nothing answers before the session ends (the user gave up)
+const gaveUp = detectSignals([meta(0, 'https://shop.example.com/cart'), snapshot(5), click(2000, 4), mouseMove(2400, [100, 110])]);
+const lastDead = gaveUp.filter(s => s.signal === 'dead_click');
+if (lastDead.length !== 1 || lastDead[0].t !== 2000 || !lastDead[0].details.session_end) fail(`Last click not judged at the end: ${JSON.stringify(gaveUp)}`);
+const answered = detectSignals([meta(0, 'https://shop.example.com/cart'), snapshot(5), click(2000, 6), mutation(2100)]);
+if (answered.some(s => s.signal === 'dead_click')) fail(`Answered last click reported dead: ${JSON.stringify(answered)}`);
+console.log('PASS: Unanswered clicks at the end of a session are dead');
+
+// Test 3: Error clicks
+console.log('\nStep 3: Error clicks...');
+const errors = byType('error_click');
+if (errors.length !== 1 || errors[0].t !== 6000 || errors[0].details.error !== 'Payment failed: 500') {
+    fail(`Unexpected error clicks: ${JSON.stringify(errors)}`);
+}
+console.log('PASS: Console error after a click reported against the click');
+
+// Test 4: Thrashing
+console.log('\nStep 4: Thrashing...');
+const thrash = byType('thrashing');
+if (thrash.length !== 1 || thrash[0].details.reversals < 6) fail(`Unexpected thrashing: ${JSON.stringify(thrash)}`);
+const calm = detectSignals([meta(0, 'https://a.example.com'), mouseMove(1000, [100, 120, 140, 160, 180, 170, 190])]);
+if (calm.length !== 0) fail(`Steady movement flagged: ${JSON.stringify(calm)}`);
+console.log('PASS: Erratic movement flagged once, steady movement ignored');
+
+// Test 5: Back-and-forth navigation
+console.log('\nStep 5: Back-and-forth navigation...');
+const bounce = byType('back_and_forth');
+if (bounce.length !== 1 || bounce[0].t !== 14000 || bounce[0].details.via !== 'https://shop.example.com/help') {
+    fail(`Unexpected back-and-forth: ${JSON.stringify(bounce)}`);
+}
+console.log('PASS: Cart -> help -> cart detected, onward navigation ignored');
+
+// Test 6: Streaming
+console.log('\nStep 6: Streaming...');
+const detector = createSignalDetector();
+events.forEach(event => detector.add(event));
+if (JSON.stringify(detector.finish()) !== JSON.stringify(signals)) fail('Streamed events gave different signals');
+const order = signals.map(s => s.t);
+if (order.some((t, i) => i > 0 && t < order[i - 1])) fail(`Signals not sorted: ${order}`);
+console.log('PASS: Same signals, sorted by time');
+
+// Test 7: Filter parsing
+console.log('\nStep 7: ?signal= parsing...');
+const parsed = parseSignalFilter('rage_click, dead_click');
+if (!parsed.valid || parsed.signals.join() !== 'rage_click,dead_click') fail(`Unexpected parse: ${JSON.stringify(parsed)}`);
+if (parseSignalFilter('rage_click,angry').valid) fail('Unknown signal accepted');
+if (parseSignalFilter(undefined).signals.length !== 0) fail('Missing filter should be empty');
+console.log('PASS: Known signals accepted, unknown rejected');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
@@ -0,0 +1,61 @@
+/**
+ * Test: Funnel Timing
+ *
+ * Verifies the session filters shared by GET /api/sessions and funnel-stats,
+ * and how timing percentiles and drop-off buckets are shaped for the response.
+ *
+ * Run with: node tests/test-funnel-timing.js
+ */
+
+const { buildSessionFilters } = require('../src/session-filters');
+const { toTiming, toBuckets, DROP_OFF_BUCKETS_MS } = require('../src/funnel-timing');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Funnel Timing');
+console.log('='.repeat(60));
+
+// Test 1: Session filters
+console.log('\nStep 1: Session filters...');
+const filters = buildSessionFilters({ country: 'ca', device_type: 'Mobile', date_from: '2025-12-01', date_to: '2025-12-31', hour_start: '25' }, 2);
+const expectedClauses = [
+    's.location_country = $2',
+    'LOWER(s.device_type) = LOWER($3)',
+    's.updated_at >= $4',
+    's.updated_at <= $5'
+];
+if (JSON.stringify(filters.clauses) !== JSON.stringify(expectedClauses)) fail(`Unexpected clauses: ${JSON.stringify(filters.clauses)}`);
+const dayEnd = new Date('2025-12-31').getTime() + 86400000 - 1;
+if (JSON.stringify(filters.params) !== JSON.stringify(['CA', 'Mobile', new Date('2025-12-01').getTime(), dayEnd])) {
+    fail(`Unexpected params: ${JSON.stringify(filters.params)}`);
+}
+if (filters.paramIndex !== 6) fail(`Next placeholder should be 6, got ${filters.paramIndex}`);
+const unixRange = buildSessionFilters({ date_from: '1700000000000', min_duration: 'abc' });
+if (unixRange.clauses.join() !== 's.updated_at >= $1' || unixRange.params[0] !== 1700000000000) fail(`Unix ms not accepted: ${JSON.stringify(unixRange)}`);
+if (buildSessionFilters({}).clauses.length !== 0 || buildSessionFilters(undefined).paramIndex !== 1) fail('No filters should give no clauses');
+console.log('PASS: Placeholders continue from the caller; bad values ignored; date_to covers the day');
+
+// Test 2: Timing summaries
+console.log('\nStep 2: Timing summaries...');
+const timing = toTiming({ sessions: '12', percentiles: [1500.4, '3000.6', 9000] });
+if (JSON.stringify(timing) !== JSON.stringify({ sessions: 12, median_ms: 1500, p75_ms: 3001, p90_ms: 9000 })) fail(`Unexpected timing: ${JSON.stringify(timing)}`);
+const empty = toTiming(undefined);
+if (empty.sessions !== 0 || empty.median_ms !== null || empty.p90_ms !== null) fail(`Unexpected empty timing: ${JSON.stringify(empty)}`);
+console.log('PASS: Percentiles rounded to ms; null without sessions');
+
+// Test 3: Drop-off buckets
+console.log('\nStep 3: Drop-off buckets...');
+const buckets = toBuckets({ bucket_0: '4', bucket_1: '2', bucket_4: '1' });
+if (buckets.length !== DROP_OFF_BUCKETS_MS.length + 1) fail(`Expected ${DROP_OFF_BUCKETS_MS.length + 1} buckets, got ${buckets.length}`);
+const shape = buckets.map(b => `${b.from_ms}-${b.to_ms}:${b.sessions}`).join(',');
+if (shape !== '0-10000:4,10000-30000:2,30000-60000:0,60000-300000:0,300000-null:1') fail(`Unexpected buckets: ${shape}`);
+if (toBuckets(undefined).some(b => b.sessions !== 0)) fail('Missing row should give empty buckets');
+console.log('PASS: Contiguous buckets, last one open-ended');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
@@ -0,0 +1,109 @@
+/**
+ * Test: Video Overlays
+ *
+ * Verifies click, rage-click, cursor-trail and caption overlay data built
+ * from rrweb events, and the timeline text the captions come from.
+ *
+ * Run with: node tests/test-overlays.js
+ */
+
+const { EventType, IncrementalSource } = require('../src/frame-schedule');
+const { buildOverlays, sliceOverlays, OVERLAYS } = require('../src/overlays');
+const { generateTimeline } = require('../timeline-react-aware');
+const { detectSignals } = require('../src/frustration');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+
+function click(offset, x, y, id = 3) {
+    return { type: EventType.IncrementalSnapshot, timestamp: START + offset, data: { source: IncrementalSource.MouseInteraction, type: 2, id, x, y } };
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Video Overlays');
+console.log('='.repeat(60));
+
+const events = [
+    { type: EventType.Meta, timestamp: START, data: { href: 'https://shop.example.com/checkout', width: 1280, height: 720 } },
+    {
+        type: EventType.FullSnapshot,
+        timestamp: START + 10,
+        data: {
+            node: {
+                type: 0, id: 1, childNodes: [
+                    { type: 2, id: 2, tagName: 'button', attributes: {}, childNodes: [{ type: 3, id: 4, textContent: 'Pay now' }] },
+                    { type: 2, id: 3, tagName: 'div', attributes: { id: 'broken' }, childNodes: [] }
+                ]
+            }
+        }
+    },
+    {
+        type: EventType.IncrementalSnapshot,
+        timestamp: START + 1000,
+        data: { source: IncrementalSource.MouseMove, positions: [{ x: 10, y: 10, id: 1, timeOffset: -400 }, { x: 90, y: 40, id: 1, timeOffset: 0 }] }
+    },
+    click(1000, 100, 50, 2),
+    // Three quick clicks on one spot
+    click(5000, 400, 300),
+    click(5300, 405, 302),
+    click(5600, 398, 299),
+    // Same spot, too late to count
+    click(9000, 400, 300)
+];
+
+// Test 1: Nothing enabled
+console.log('\nStep 1: Disabled overlays...');
+if (buildOverlays(events, []) !== null) fail('No overlays enabled should give null');
+console.log('PASS: null when no overlays are enabled');
+
+// Test 2: Clicks and rage clicks
+console.log('\nStep 2: Clicks...');
+const all = buildOverlays(events, OVERLAYS);
+if (all.clicks.length !== 5) fail(`Expected 5 clicks, got ${all.clicks.length}`);
+const rage = all.clicks.filter(c => c.rage).map(c => c.time);
+if (JSON.stringify(rage) !== JSON.stringify([5000, 5300, 5600])) fail(`Unexpected rage clicks: ${rage}`);
+const signalled = detectSignals(events).filter(s => s.signal === 'rage_click');
+if (signalled.length !== 1 || signalled[0].t !== 5000 || signalled[0].details.clicks !== rage.length) fail(`Overlay disagrees with signals: ${JSON.stringify(signalled)}`);
+// Quick clicks on one spot but on different elements aren't a rage_click signal, so aren't marked
+const mixed = buildOverlays([...events.slice(0, 2), click(5000, 400, 300, 2), click(5300, 400, 300, 3), click(5600, 400, 300, 2)], ['rage']);
+if (mixed.clicks.length !== 0) fail(`Clicks on different elements marked as rage: ${JSON.stringify(mixed.clicks)}`);
+const rageOnly = buildOverlays(events, ['rage']);
+if (rageOnly.clicks.length !== 3 || rageOnly.trail.length !== 0 || rageOnly.captions.length !== 0) {
+    fail('Rage-only overlays should only contain the rage clicks');
+}
+console.log('PASS: Clicks recorded, only the rage_click signal\'s clicks marked');
+
+// Test 3: Cursor trail
+console.log('\nStep 3: Cursor trail...');
+const trail = all.trail.map(p => p.time);
+if (JSON.stringify(trail) !== JSON.stringify([600, 1000])) fail(`Trail times should include position offsets: ${trail}`);
+console.log('PASS: Trail positions at their own times');
+
+// Test 4: Captions
+console.log('\nStep 4: Captions...');
+const captions = all.captions.map(c => `${c.time} ${c.text}`);
+const expected = ['0 Navigated to: https://shop.example.com/checkout', '1000 Clicked: "Pay now', '5000 Clicked: '];
+for (const line of expected) {
+    if (!captions.some(caption => caption.startsWith(line))) fail(`Missing caption "${line}" in ${JSON.stringify(captions)}`);
+}
+if (captions.some(c => c.includes('Viewport') || c.includes('Page Loaded'))) fail('Viewport / page load should not be captioned');
+const timeline = generateTimeline(events);
+if (!timeline.includes('[0:01.0] Clicked: "Pay now') || !timeline.includes('[0:00.0] Navigated to: https://shop.example.com/checkout')) {
+    fail(`Timeline text changed:\n${timeline}`);
+}
+console.log('PASS: Captions drawn from the timeline; timeline text unchanged');
+
+// Test 5: Slicing for a segment
+console.log('\nStep 5: Slicing...');
+const slice = sliceOverlays(all, 8000, 20000);
+if (slice.clicks.length !== 4 || slice.captions.some(c => c.time > 20000)) fail(`Unexpected slice: ${JSON.stringify(slice)}`);
+if (sliceOverlays(null, 0, 1000) !== null) fail('Slicing null should give null');
+console.log('PASS: Segment gets overlays from just before its start to its end');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
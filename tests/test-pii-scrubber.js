@@ -0,0 +1,160 @@
+/**
+ * Test: PII Scrubber
+ *
+ * Verifies src/pii-scrubber.js masks snapshot text, mutations and input events
+ * by pattern, selector and attribute rules, including mid-session batches whose
+ * node map comes from the stored events. Pure logic - no database required.
+ *
+ * Run with: node tests/test-pii-scrubber.js
+ */
+
+const { compileRules, createScrubber, scrubEvents, scrubSessionBatch } = require('../src/pii-scrubber');
+
+function fail(message) {
+    console.error(`FAIL: ${message}`);
+    process.exit(1);
+}
+
+// Minimal rrweb full snapshot:
+// <html><body>
+//   <p id=3>Call 555-123-4567</p>
+//   <div id=5 class="account box"><span id=6>Acct 1234</span></div>
+//   <input id=8 name=card value="4111">
+//   <section id=9 data-private><b id=10>Secret</b></section>
+//   <style id=12>.a{color:red}</style>
+// </body></html>
+function snapshot() {
+    return {
+        type: 2,
+        timestamp: 1000,
+        data: {
+            node: {
+                type: 0, id: 1, childNodes: [{
+                    type: 2, id: 2, tagName: 'body', attributes: {}, childNodes: [
+                        { type: 2, id: 3, tagName: 'p', attributes: {}, childNodes: [
+                            { type: 3, id: 4, textContent: 'Call 555-123-4567' }
+                        ] },
+                        { type: 2, id: 5, tagName: 'div', attributes: { class: 'account box' }, childNodes: [
+                            { type: 2, id: 6, tagName: 'span', attributes: {}, childNodes: [
+                                { type: 3, id: 7, textContent: 'Acct 1234' }
+                            ] }
+                        ] },
+                        { type: 2, id: 8, tagName: 'input', attributes: { name: 'card', value: '4111' }, childNodes: [] },
+                        { type: 2, id: 9, tagName: 'section', attributes: { 'data-private': '' }, childNodes: [
+                            { type: 2, id: 10, tagName: 'b', attributes: {}, childNodes: [
+                                { type: 3, id: 11, textContent: 'Secret' }
+                            ] }
+                        ] },
+                        { type: 2, id: 12, tagName: 'style', attributes: {}, childNodes: [
+                            { type: 3, id: 13, textContent: '.a{color:555-123-4567}' }
+                        ] }
+                    ]
+                }]
+            }
+        }
+    };
+}
+
+function textOf(event, id) {
+    const stack = [event.data.node];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.id === id) return node;
+        stack.push(...(node.childNodes || []));
+    }
+    return null;
+}
+
+console.log('='.repeat(60));
+console.log('TEST: PII Scrubber');
+console.log('='.repeat(60));
+
+const rules = compileRules({
+    patterns: ['\\d{3}-\\d{3}-\\d{4}'],
+    selectors: ['div.account span', 'input[name=card]'],
+    attributes: ['data-private']
+});
+
+// Test 1: Full snapshot text and attributes
+const snap = snapshot();
+scrubEvents([snap], rules);
+if (textOf(snap, 4).textContent !== 'Call ************') fail(`Pattern not masked: ${textOf(snap, 4).textContent}`);
+if (textOf(snap, 7).textContent !== '*********') fail('Descendant selector text not masked');
+if (textOf(snap, 8).attributes.value !== '****') fail('Selected input value not masked');
+if (textOf(snap, 11).textContent !== '******') fail('data-private subtree not masked');
+if (textOf(snap, 13).textContent !== '.a{color:555-123-4567}') fail('Style text should be left alone');
+console.log('PASS: Full snapshot text, values and private subtrees masked');
+
+// Test 2: Input events and mutations use the node map from the snapshot
+const scrubber = createScrubber(rules);
+const events = [
+    snapshot(),
+    { type: 3, timestamp: 1100, data: { source: 5, id: 8, text: '4111 1111', isChecked: false } },
+    { type: 3, timestamp: 1200, data: { source: 5, id: 20, text: 'call 555-000-1111' } },
+    { type: 3, timestamp: 1300, data: {
+        source: 0, removes: [], attributes: [],
+        texts: [{ id: 11, value: 'New secret' }, { id: 4, value: 'Plain text' }],
+        adds: [{ parentId: 5, nextId: null, node: { type: 3, id: 21, textContent: 'Inside account div' } },
+               { parentId: 9, nextId: null, node: { type: 2, id: 22, tagName: 'i', attributes: { title: 'tip' }, childNodes: [] } }]
+    } },
+    { type: 3, timestamp: 1400, data: {
+        source: 0, removes: [], adds: [], texts: [],
+        attributes: [{ id: 3, attributes: { 'data-private': '', title: 'hello' } }]
+    } }
+];
+scrubber.scrub(events);
+if (events[1].data.text !== '*********') fail(`Input on selected element not masked: ${events[1].data.text}`);
+if (events[2].data.text !== 'call ************') fail(`Input pattern not masked: ${events[2].data.text}`);
+if (events[3].data.texts[0].value !== '**********') fail('Text mutation in private subtree not masked');
+if (events[3].data.texts[1].value !== 'Plain text') fail('Unrelated text mutation should be unchanged');
+if (events[3].data.adds[0].node.textContent !== 'Inside account div') fail('Text directly in div.account is not a span match');
+if (events[3].data.adds[1].node.attributes.title !== '***') fail('Added node in private subtree not masked');
+if (events[4].data.attributes[0].attributes.title !== '*****') fail('Element made private by attribute mutation not masked');
+if (scrubber.stats.inputs !== 2) fail(`Expected 2 masked inputs, got ${scrubber.stats.inputs}`);
+console.log('PASS: Input events and mutations masked using snapshot node map');
+
+// Test 3: Config validation
+if (compileRules({}) !== null) fail('Empty config should compile to null');
+let threw = false;
+try {
+    compileRules({ selectors: ['ul > li'] });
+} catch (err) {
+    threw = true;
+}
+if (!threw) fail('Unsupported combinator should be rejected');
+console.log('PASS: Empty and unsupported rules handled');
+
+// Test 4: A mid-session batch gets its node map from the stored events
+async function testSessionBatch() {
+    const stored = [snapshot(), { type: 3, timestamp: 1100, data: { source: 5, id: 8, text: '4111' } }];
+    const readStored = async (onBatch) => {
+        await onBatch(stored);
+    };
+
+    const batch = [{ type: 3, timestamp: 2000, data: { source: 5, id: 8, text: '4111 2222' } }];
+    const result = await scrubSessionBatch(batch, rules, readStored);
+    if (!result.primed) fail('Batch without a full snapshot should read the stored events');
+    if (batch[0].data.text !== '*********') fail(`Input on selected element not masked: ${batch[0].data.text}`);
+    if (result.stats.inputs !== 1) fail(`Stats should only count the batch, got ${result.stats.inputs} inputs`);
+
+    let read = false;
+    const fresh = [{ type: 4, timestamp: 3000, data: {} }, snapshot(),
+        { type: 3, timestamp: 3100, data: { source: 5, id: 8, text: '4111' } }];
+    await scrubSessionBatch(fresh, rules, async () => {
+        read = true;
+    });
+    if (read) fail('Batch starting with a full snapshot should not read the stored events');
+    if (fresh[2].data.text !== '****') fail('Self-contained batch not masked');
+    console.log('PASS: Mid-session batch masked using the stored node map');
+}
+
+testSessionBatch()
+    .then(() => {
+        console.log('\n' + '='.repeat(60));
+        console.log('ALL TESTS PASSED');
+        console.log('='.repeat(60));
+    })
+    .catch(err => {
+        console.error('FAIL:', err);
+        process.exit(1);
+    });
@@ -1,92 +1,209 @@
 /**
  * Test 2.2: Queue Manager Logic
  *
- * Verifies the queue adds, retrieves, and updates jobs correctly.
+ * Verifies the queue adds, claims, and updates jobs correctly,
+ * including concurrent claims, re-queueing of jobs from dead workers,
+ * retries with backoff, the dead-letter state, named queues/priorities,
+ * progress reporting and cancellation.
+ *
+ * The test job lives in its own queue with the lowest priority, and is only
+ * claimed from that queue, so jobs already in the database are never touched.
+ *
+ * Requires PostgreSQL (DATABASE_URL). Run with: node tests/test-queue.js
  */
 
 const db = require('../src/db');
 const queue = require('../src/queue-manager');
 
 const TEST_SESSION_ID = 'test-queue-' + Date.now();
+// A queue no real job uses (job_queue is VARCHAR(20)), and one that stays empty
+const TEST_QUEUE = 'test-' + Date.now().toString(36);
+const EMPTY_QUEUE = 'empty-' + Date.now().toString(36);
+// Below every real priority, so workers claiming from all queues take real jobs first
+const TEST_PRIORITY = -1000;
 
-console.log('='.repeat(60));
-console.log('TEST: Queue Manager');
-console.log('='.repeat(60));
-console.log(`Test Session ID: ${TEST_SESSION_ID}\n`);
-
-// Test 1: Add a job
-console.log('Step 1: Adding job to queue...');
-try {
-    queue.addJob(TEST_SESSION_ID, db);
-    console.log('PASS: Job added');
-} catch (err) {
-    console.error('FAIL: Could not add job -', err.message);
-    process.exit(1);
+// Throw rather than exit so the test session is always cleaned up
+function fail(message) {
+    throw new Error(message);
 }
 
-// Verify in DB
-const afterAdd = db.prepare('SELECT * FROM sessions WHERE session_id = ?').get(TEST_SESSION_ID);
-if (afterAdd && afterAdd.assets_status === 'queued') {
-    console.log('PASS: DB shows assets_status = queued');
-} else {
-    console.error('FAIL: DB status incorrect -', afterAdd);
-    process.exit(1);
+async function getSession() {
+    return db.queryOne(
+        `SELECT assets_status, worker_id, heartbeat_at, video_s3_key, timeline_s3_key,
+                render_attempts, last_error, last_error_stack, next_attempt_at, job_queue, job_priority
+         FROM sessions WHERE session_id = $1`,
+        [TEST_SESSION_ID]
+    );
 }
 
-// Test 2: Get next job
-console.log('\nStep 2: Getting next job...');
-const nextJob = queue.getNextJob(db);
-console.log(`Next job in queue: ${nextJob}`);
+// Move the test job into the test queue (addJob only takes the real queues)
+async function isolateTestJob() {
+    await db.query('UPDATE sessions SET job_queue = $1, job_priority = $2 WHERE session_id = $3',
+        [TEST_QUEUE, TEST_PRIORITY, TEST_SESSION_ID]);
+}
 
-if (nextJob) {
-    console.log('PASS: Queue returned a job');
-} else {
-    console.log('WARN: No job returned (might have been picked up already)');
+// Queue the test job, isolated in the test queue
+async function addTestJob(options) {
+    await queue.addJob(TEST_SESSION_ID, options);
+    await isolateTestJob();
 }
 
-// Test 3: Mark as processing
-console.log('\nStep 3: Marking as processing...');
-try {
-    queue.markProcessing(TEST_SESSION_ID, db);
-    const afterProcessing = db.prepare('SELECT assets_status FROM sessions WHERE session_id = ?').get(TEST_SESSION_ID);
-    if (afterProcessing?.assets_status === 'processing') {
-        console.log('PASS: Status updated to processing');
-    } else {
-        console.error('FAIL: Status not updated correctly');
-        process.exit(1);
-    }
-} catch (err) {
-    console.error('FAIL: Could not mark processing -', err.message);
-    process.exit(1);
+// Claim from the test queue only: the test job is the only one that can be there
+async function claimTestJob(workerId, queues = [TEST_QUEUE]) {
+    const sessionId = await queue.claimNextJob(workerId, queues);
+    if (sessionId && sessionId !== TEST_SESSION_ID) fail(`Claimed a job the test didn't add: ${sessionId}`);
+    return sessionId === TEST_SESSION_ID;
 }
 
-// Test 4: Mark as ready
-console.log('\nStep 4: Marking as ready...');
-try {
-    queue.markReady(TEST_SESSION_ID, 'test/video.mp4', 'test/timeline.txt', db);
-    const afterReady = db.prepare('SELECT * FROM sessions WHERE session_id = ?').get(TEST_SESSION_ID);
-    if (afterReady?.assets_status === 'ready' &&
-        afterReady?.video_s3_key === 'test/video.mp4' &&
-        afterReady?.timeline_s3_key === 'test/timeline.txt') {
-        console.log('PASS: Status updated to ready with S3 keys');
-    } else {
-        console.error('FAIL: Status or keys not set correctly');
-        process.exit(1);
+async function main() {
+    console.log('='.repeat(60));
+    console.log('TEST: Queue Manager');
+    console.log('='.repeat(60));
+    console.log(`Test Session ID: ${TEST_SESSION_ID}\n`);
+
+    // Test 1: Add a job
+    console.log('Step 1: Adding job to queue...');
+    await addTestJob();
+    if ((await getSession())?.assets_status !== 'queued') fail('DB status should be queued');
+    console.log('PASS: DB shows assets_status = queued');
+
+    // Test 2: Concurrent claims - exactly one worker gets the job
+    console.log('\nStep 2: Claiming from two workers at once...');
+    const [first, second] = await Promise.all([claimTestJob('worker-a'), claimTestJob('worker-b')]);
+    if (first === second) fail(`Exactly one worker should claim the job (a: ${first}, b: ${second})`);
+    const owner = first ? 'worker-a' : 'worker-b';
+    const other = first ? 'worker-b' : 'worker-a';
+    const claimed = await getSession();
+    if (claimed.assets_status !== 'processing' || claimed.worker_id !== owner || !claimed.heartbeat_at) {
+        fail(`Unexpected claim state: ${JSON.stringify(claimed)}`);
     }
-} catch (err) {
-    console.error('FAIL: Could not mark ready -', err.message);
-    process.exit(1);
-}
+    console.log(`PASS: Only ${owner} claimed the job`);
 
-// Test 5: Queue stats
-console.log('\nStep 5: Checking queue stats...');
-const stats = queue.getQueueStats(db);
-console.log('Queue stats:', JSON.stringify(stats, null, 2));
+    // Test 3: Only the owner can heartbeat / finish
+    console.log('\nStep 3: Checking ownership...');
+    if (!(await queue.heartbeat(TEST_SESSION_ID, owner))) fail('Owner heartbeat should succeed');
+    if (await queue.heartbeat(TEST_SESSION_ID, other)) fail('Other worker heartbeat should fail');
+    if (await queue.markReady(TEST_SESSION_ID, 'x.mp4', 'x.txt', other)) fail('Other worker must not mark ready');
+    if ((await getSession()).assets_status !== 'processing') fail('Job should still be processing');
+    console.log('PASS: Heartbeat and completion limited to the owning worker');
+
+    // Test 4: Stale jobs are re-queued and the old owner can no longer finish
+    console.log('\nStep 4: Re-queueing stale job...');
+    // Far staler than any live job can be (workers re-queue theirs after WORKER_STALE_MS)
+    const DAY_MS = 86400000;
+    await db.query('UPDATE sessions SET heartbeat_at = $1 WHERE session_id = $2', [Date.now() - 30 * DAY_MS, TEST_SESSION_ID]);
+    const requeued = await queue.requeueStaleJobs(29 * DAY_MS);
+    if (!requeued.includes(TEST_SESSION_ID)) fail('Stale job should be re-queued');
+    const afterRequeue = await getSession();
+    if (afterRequeue.assets_status !== 'queued' || afterRequeue.worker_id !== null) fail('Re-queued job should be unclaimed');
+    if (await queue.markFailed(TEST_SESSION_ID, owner)) fail('Dead worker must not mark a re-queued job failed');
+    console.log('PASS: Stale job re-queued; previous owner locked out');
+
+    // Test 5: Mark as ready
+    console.log('\nStep 5: Claiming again and marking ready...');
+    if (!(await claimTestJob('worker-c'))) fail('Re-queued job should be claimable');
+    if (!(await queue.markReady(TEST_SESSION_ID, 'test/video.mp4', 'test/timeline.txt', 'worker-c'))) fail('markReady failed');
+    const ready = await getSession();
+    if (ready.assets_status !== 'ready' || ready.video_s3_key !== 'test/video.mp4' ||
+        ready.timeline_s3_key !== 'test/timeline.txt' || ready.worker_id !== null) {
+        fail(`Status or keys not set correctly: ${JSON.stringify(ready)}`);
+    }
+    console.log('PASS: Status updated to ready with S3 keys');
 
-// Cleanup: Remove test session
-console.log('\nCleaning up test data...');
-db.prepare('DELETE FROM sessions WHERE session_id = ?').run(TEST_SESSION_ID);
+    // Test 6: Failed attempts are retried with backoff, then dead
+    console.log('\nStep 6: Failing until dead...');
+    await addTestJob();
+    for (let attempt = 1; attempt <= queue.MAX_ATTEMPTS; attempt++) {
+        if (attempt > 1) {
+            // Make the scheduled retry due now
+            await db.query('UPDATE sessions SET next_attempt_at = $1 WHERE session_id = $2', [Date.now(), TEST_SESSION_ID]);
+        }
+        if (!(await claimTestJob('worker-d'))) fail(`Attempt ${attempt}: job should be claimable`);
+        if (!(await queue.markFailed(TEST_SESSION_ID, 'worker-d', new Error(`boom ${attempt}`)))) fail('markFailed failed');
+        const failed = await getSession();
+        if (failed.render_attempts !== attempt || failed.last_error !== `boom ${attempt}` || !failed.last_error_stack) {
+            fail(`Attempt ${attempt}: error not recorded: ${JSON.stringify(failed)}`);
+        }
+        if (attempt < queue.MAX_ATTEMPTS) {
+            if (failed.assets_status !== 'failed' || !(failed.next_attempt_at > Date.now())) {
+                fail(`Attempt ${attempt}: retry not scheduled: ${JSON.stringify(failed)}`);
+            }
+            if (await claimTestJob('worker-d')) fail(`Attempt ${attempt}: job claimed before its retry time`);
+        } else if (failed.assets_status !== 'dead' || failed.next_attempt_at !== null) {
+            fail(`Job should be dead after ${attempt} attempts: ${JSON.stringify(failed)}`);
+        }
+    }
+    if (queue.retryDelay(2) !== 2 * queue.retryDelay(1)) fail('Backoff should double per attempt');
+    if (queue.retryDelay(100) !== queue.retryDelay(101)) fail('Backoff should be capped');
+    console.log(`PASS: Retried with backoff, dead after ${queue.MAX_ATTEMPTS} attempts`);
+
+    // Test 7: Dead jobs are listed and can be re-queued
+    console.log('\nStep 7: Listing and re-queueing dead jobs...');
+    const { jobs } = await queue.listFailedJobs({ statuses: ['dead'], queue: TEST_QUEUE, limit: 100 });
+    if (!jobs.some(job => job.session_id === TEST_SESSION_ID)) fail('Dead job should be listed');
+    const requeuedDead = await queue.requeueFailedJobs({ sessionIds: [TEST_SESSION_ID] });
+    if (!requeuedDead.includes(TEST_SESSION_ID)) fail('Dead job should be re-queued');
+    const revived = await getSession();
+    if (revived.assets_status !== 'queued' || revived.render_attempts !== 0) fail(`Re-queued job should start over: ${JSON.stringify(revived)}`);
+    console.log('PASS: Dead job listed and re-queued with fresh attempts');
+
+    // Test 8: Named queues and priorities
+    console.log('\nStep 8: Checking queues and priorities...');
+    if (await claimTestJob('worker-e', [EMPTY_QUEUE])) fail('Worker must not claim from a queue it does not take');
+    await queue.addJob(TEST_SESSION_ID, { queue: 'manual' });
+    const manual = await getSession();
+    if (manual.job_queue !== 'manual' || manual.job_priority !== queue.PRIORITY.manual) {
+        fail(`Manual job not queued correctly: ${JSON.stringify(manual)}`);
+    }
+    await queue.addJob(TEST_SESSION_ID, { queue: 'auto' });
+    if ((await getSession()).job_priority !== queue.PRIORITY.manual) fail('Re-queueing as auto must not lower priority');
+    const stats = await queue.getQueueStats();
+    if (stats.queues.manual.queued < 1) fail('Manual queue depth should include the test job');
+    await isolateTestJob();
+    if (!(await claimTestJob('worker-e'))) fail('Worker should claim from the queue it takes');
+    await queue.releaseJob(TEST_SESSION_ID, 'worker-e');
+    if (queue.parseQueueList('') !== null || queue.parseQueueList('manual, auto').length !== 2) fail('parseQueueList');
+    console.log('PASS: Manual jobs kept their priority; workers only claim from their queues');
+
+    // Test 9: Progress and cancellation
+    console.log('\nStep 9: Reporting progress and cancelling...');
+    if (!(await claimTestJob('worker-f'))) fail('Job should be claimable');
+    if (!(await queue.updateProgress(TEST_SESSION_ID, 'worker-f', { stage: 'rendering', framesRendered: 25, framesTotal: 100 }))) {
+        fail('Owner progress update should succeed');
+    }
+    const progressing = await queue.getJob(TEST_SESSION_ID);
+    if (progressing.progress.stage !== 'rendering' || progressing.progress.percent !== 25) {
+        fail(`Progress not recorded: ${JSON.stringify(progressing.progress)}`);
+    }
+    if ((await queue.cancelJob(TEST_SESSION_ID)) !== 'processing') fail('Processing job should be cancellable');
+    if (await queue.updateProgress(TEST_SESSION_ID, 'worker-f', { stage: 'rendering', framesRendered: 50 })) {
+        fail('Progress update after cancel should tell the worker to stop');
+    }
+    if (await queue.cancelJob(TEST_SESSION_ID)) fail('Cancelled job should not be cancellable again');
+    if ((await queue.requeueFailedJobs({ sessionIds: [TEST_SESSION_ID] })).length !== 0) fail('Cancelled jobs are not re-queued by default');
+    if (!(await queue.requeueFailedJobs({ sessionIds: [TEST_SESSION_ID], statuses: ['cancelled'] })).includes(TEST_SESSION_ID)) {
+        fail('Cancelled job should be re-queued when asked for');
+    }
+    console.log('PASS: Progress reported; cancel stopped the worker; cancelled job re-queued');
+
+    // Test 10: Queue stats
+    console.log('\nStep 10: Checking queue stats...');
+    console.log('Queue stats:', JSON.stringify(stats, null, 2));
+}
 
-console.log('\n' + '='.repeat(60));
-console.log('ALL TESTS PASSED');
-console.log('='.repeat(60));
+main()
+    .then(() => {
+        console.log('\n' + '='.repeat(60));
+        console.log('ALL TESTS PASSED');
+        console.log('='.repeat(60));
+    })
+    .catch(err => {
+        console.error('FAIL:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        // Cleanup: Remove test session
+        console.log('\nCleaning up test data...');
+        await db.query('DELETE FROM sessions WHERE session_id = $1', [TEST_SESSION_ID]).catch(() => {});
+        await db.close();
+    });
@@ -0,0 +1,56 @@
+/**
+ * Test: Campaign Sampling & Quotas
+ *
+ * Verifies the sampling hash, quota validation and UTC periods in src/quotas.js.
+ * Pure logic - no database required.
+ *
+ * Run with: node tests/test-quotas.js
+ */
+
+const { fnv1a, isSampledIn, parseQuotaSettings, periodStarts } = require('../src/quotas');
+
+function fail(message) {
+    console.error(`FAIL: ${message}`);
+    process.exit(1);
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Campaign Sampling & Quotas');
+console.log('='.repeat(60));
+
+// Test 1: FNV-1a reference values
+if (fnv1a('') !== 0x811c9dc5) fail(`fnv1a('') = ${fnv1a('').toString(16)}`);
+if (fnv1a('a') !== 0xe40c292c) fail(`fnv1a('a') = ${fnv1a('a').toString(16)}`);
+if (fnv1a('foobar') !== 0xbf9cf968) fail(`fnv1a('foobar') = ${fnv1a('foobar').toString(16)}`);
+console.log('PASS: FNV-1a matches reference values');
+
+// Test 2: Sampling is stable and close to the configured rate
+const ids = Array.from({ length: 20000 }, (_, i) => `uid_${i}_${(i * 7919) % 1000}`);
+const sampled = ids.filter(id => isSampledIn(1, id, 25)).length / ids.length;
+if (Math.abs(sampled - 0.25) > 0.02) fail(`Expected ~25% sampled, got ${(sampled * 100).toFixed(1)}%`);
+if (ids.some(id => isSampledIn(1, id, 25) !== isSampledIn(1, id, '25.00'))) fail('Sampling should be deterministic');
+if (!ids.every(id => !isSampledIn(1, id, 25) || isSampledIn(1, id, 50))) fail('Raising the rate should keep sampled users');
+if (!isSampledIn(1, 'x', 100) || isSampledIn(1, 'x', 0) || !isSampledIn(1, 'x', null)) fail('0/100/null rates');
+const otherCampaign = ids.filter(id => isSampledIn(2, id, 25) !== isSampledIn(1, id, 25)).length;
+if (otherCampaign === 0) fail('Different campaigns should sample independently');
+console.log(`PASS: Sampling stable at ${(sampled * 100).toFixed(1)}% for a 25% rate`);
+
+// Test 3: Validation
+let parsed = parseQuotaSettings({ sample_rate: '12.345', daily_session_cap: 100, monthly_session_cap: null });
+if (!parsed.valid || parsed.values.sample_rate !== 12.35 || parsed.values.daily_session_cap !== 100 || parsed.values.monthly_session_cap !== null) {
+    fail(`Unexpected parse: ${JSON.stringify(parsed)}`);
+}
+if ('sample_rate' in parseQuotaSettings({}).values) fail('Missing fields should stay undefined');
+if (parseQuotaSettings({ sample_rate: 101 }).valid) fail('sample_rate > 100 should be rejected');
+if (parseQuotaSettings({ daily_session_cap: 0 }).valid) fail('Zero cap should be rejected');
+if (parseQuotaSettings({ monthly_session_cap: 1.5 }).valid) fail('Fractional cap should be rejected');
+console.log('PASS: Quota settings validated');
+
+// Test 4: UTC periods
+const { day, month } = periodStarts(Date.UTC(2024, 2, 15, 23, 59, 59));
+if (day !== Date.UTC(2024, 2, 15) || month !== Date.UTC(2024, 2, 1)) fail('Unexpected UTC period starts');
+console.log('PASS: Periods start at UTC midnight / first of month');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
@@ -0,0 +1,82 @@
+/**
+ * Test: Render Profiles
+ *
+ * Verifies built-in profiles, RENDER_PROFILES overrides and validation.
+ *
+ * Run with: node tests/test-render-profiles.js
+ */
+
+const renderProfiles = require('../src/render-profiles');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+function expectThrows(fn, pattern, label) {
+    try {
+        fn();
+    } catch (err) {
+        if (!pattern.test(err.message)) fail(`${label}: unexpected error "${err.message}"`);
+        return;
+    }
+    fail(`${label}: expected an error`);
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Render Profiles');
+console.log('='.repeat(60));
+
+// Test 1: Built-in profiles
+console.log('\nStep 1: Built-in profiles...');
+const builtins = renderProfiles.buildProfiles();
+for (const name of ['preview', 'analysis', 'hifi']) {
+    if (!builtins[name]) fail(`Missing built-in profile ${name}`);
+}
+const analysis = renderProfiles.getProfile();
+if (analysis.name !== 'analysis' || analysis.fps !== 3 || analysis.width !== 1280 || analysis.height !== 720) {
+    fail(`Default profile should be the original 3 FPS 720p render: ${JSON.stringify(analysis)}`);
+}
+console.log('PASS: preview, analysis (default) and hifi available');
+
+// Test 2: Overrides merge over built-ins; new profiles start from the default
+console.log('\nStep 2: Overrides...');
+const custom = renderProfiles.buildProfiles({ hifi: { fps: 15 }, mobile: { width: 720, height: 1280 } });
+if (custom.hifi.fps !== 15 || custom.hifi.width !== 1920) fail(`hifi override not merged: ${JSON.stringify(custom.hifi)}`);
+if (custom.mobile.width !== 720 || custom.mobile.fps !== analysis.fps) fail(`New profile not based on default: ${JSON.stringify(custom.mobile)}`);
+if (renderProfiles.BUILTIN_PROFILES.hifi.fps !== 10) fail('Overrides must not modify the built-in profiles');
+console.log('PASS: Overrides merged');
+
+// Test 3: Validation
+console.log('\nStep 3: Validation...');
+expectThrows(() => renderProfiles.buildProfiles({ hifi: { fps: 0 } }), /fps/, 'fps');
+expectThrows(() => renderProfiles.buildProfiles({ preview: { width: 961 } }), /even/, 'odd width');
+expectThrows(() => renderProfiles.buildProfiles({ preview: { codec: 'libvpx' } }), /codec/, 'codec');
+expectThrows(() => renderProfiles.buildProfiles({ preview: { preset: 'turbo' } }), /preset/, 'preset');
+expectThrows(() => renderProfiles.buildProfiles({ 'Bad Name': {} }), /name/, 'name');
+expectThrows(() => renderProfiles.buildProfiles([]), /object/, 'array');
+expectThrows(() => renderProfiles.getProfile('nope'), /Unknown/, 'unknown profile');
+console.log('PASS: Invalid settings rejected');
+
+// Test 4: API values
+console.log('\nStep 4: Parsing render_profile from the API...');
+const cases = [
+    [undefined, true, null],
+    [null, true, null],
+    ['', true, null],
+    ['hifi', true, 'hifi'],
+    ['HIFI', false, null],
+    ['toString', false, null],
+    [5, false, null]
+];
+for (const [input, valid, value] of cases) {
+    const result = renderProfiles.parseProfileName(input);
+    if (result.valid !== valid || result.value !== value) {
+        fail(`parseProfileName(${JSON.stringify(input)}) = ${JSON.stringify(result)}`);
+    }
+}
+console.log('PASS: render_profile values parsed');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
@@ -0,0 +1,115 @@
+/**
+ * Test: Session Errors
+ *
+ * Verifies console errors, unhandled rejections and failed requests are read
+ * from recorded events and grouped per session, that they show up in the
+ * timeline, and the recorder's capture settings.
+ *
+ * Run with: node tests/test-session-errors.js
+ */
+
+const { collectErrors, createErrorCollector, errorFromEvent } = require('../src/session-errors');
+const { buildTimeline, describeEntry } = require('../timeline-react-aware');
+const { buildRecordingSettings } = require('../src/recording-privacy');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+
+function consoleError(offset, message) {
+    return { type: 6, timestamp: START + offset, data: { plugin: 'rrweb/console@1', payload: { level: 'error', payload: [JSON.stringify(message)] } } };
+}
+
+function networkError(offset, payload) {
+    return { type: 5, timestamp: START + offset, data: { tag: 'network_error', payload } };
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Session Errors');
+console.log('='.repeat(60));
+
+const events = [
+    { type: 4, timestamp: START, data: { href: 'https://shop.example.com/checkout', width: 1280, height: 720 } },
+    { type: 2, timestamp: START + 5, data: { node: { type: 0, id: 1, childNodes: [] } } },
+    networkError(1000, { method: 'POST', url: 'https://api.example.com/pay', status: 500, duration_ms: 300 }),
+    consoleError(1100, 'Payment failed: 500'),
+    networkError(3000, { method: 'POST', url: 'https://api.example.com/pay', status: 500, duration_ms: 900.4 }),
+    { type: 5, timestamp: START + 3500, data: { tag: 'unhandled_rejection', payload: { message: 'Cannot read properties of undefined' } } },
+    { type: 4, timestamp: START + 5000, data: { href: 'https://shop.example.com/help', width: 1280, height: 720 } },
+    networkError(6000, { method: 'GET', url: 'https://api.example.com/faq', status: 0, duration_ms: 20, error: 'Failed to fetch' }),
+    // Log level and other custom events are not errors
+    { type: 6, timestamp: START + 7000, data: { plugin: 'rrweb/console@1', payload: { level: 'log', payload: ['"hello"'] } } },
+    { type: 5, timestamp: START + 7100, data: { tag: 'checkout_step', payload: { step: 2 } } }
+];
+
+// Test 1: Reading errors from events
+console.log('\nStep 1: Error events...');
+const legacy = errorFromEvent({ type: 3, timestamp: START, data: { source: 11, level: 'error', payload: ['"Boom"'] } });
+if (!legacy || legacy.kind !== 'console' || legacy.message !== 'Boom') fail(`Legacy console format not read: ${JSON.stringify(legacy)}`);
+if (errorFromEvent(events[8]) !== null || errorFromEvent(events[9]) !== null) fail('Non-errors should be ignored');
+console.log('PASS: Console plugin, legacy console, rejection and network events recognised');
+
+// Test 2: Grouping
+console.log('\nStep 2: Grouping...');
+const errors = collectErrors(events);
+if (errors.length !== 4) fail(`Expected 4 grouped errors, got ${JSON.stringify(errors)}`);
+const pay = errors[0];
+if (pay.kind !== 'network' || pay.message !== 'POST https://api.example.com/pay returned 500' || pay.count !== 2) {
+    fail(`Repeated request not grouped: ${JSON.stringify(pay)}`);
+}
+if (pay.firstOffsetMs !== 1000 || pay.lastOffsetMs !== 3000 || pay.maxDurationMs !== 900 || pay.status !== 500) {
+    fail(`Unexpected timing/status: ${JSON.stringify(pay)}`);
+}
+if (pay.pageUrl !== 'https://shop.example.com/checkout' || pay.requestUrl !== 'https://api.example.com/pay') fail(`Unexpected URLs: ${JSON.stringify(pay)}`);
+const kinds = errors.map(e => e.kind).join(',');
+if (kinds !== 'network,console,rejection,network') fail(`Errors not in order of first occurrence: ${kinds}`);
+const offline = errors[3];
+if (offline.status !== 0 || offline.message !== 'GET https://api.example.com/faq failed: Failed to fetch' || offline.pageUrl !== 'https://shop.example.com/help') {
+    fail(`Unexpected failed request: ${JSON.stringify(offline)}`);
+}
+const collector = createErrorCollector();
+events.forEach(event => collector.add(event));
+if (JSON.stringify(collector.finish()) !== JSON.stringify(errors)) fail('Streamed events gave different errors');
+console.log('PASS: Repeats grouped with counts, first/last time and slowest request');
+
+// Test 3: Timeline
+console.log('\nStep 3: Timeline entries...');
+const lines = buildTimeline(events).filter(e => e.kind === 'network_error' || e.kind === 'console_error').map(describeEntry);
+const expected = [
+    'Request failed: POST https://api.example.com/pay (500)',
+    'Console error: Payment failed: 500',
+    'Request failed: POST https://api.example.com/pay (500)',
+    'Console error: Unhandled rejection: Cannot read properties of undefined',
+    'Request failed: GET https://api.example.com/faq (Failed to fetch)'
+];
+if (JSON.stringify(lines) !== JSON.stringify(expected)) fail(`Unexpected timeline lines: ${JSON.stringify(lines)}`);
+if (!buildTimeline(events).some(e => e.kind === 'custom' && e.label === 'checkout_step')) fail('Other custom events should stay custom');
+console.log('PASS: Failed requests and rejections narrated');
+
+// Test 4: Capture settings
+console.log('\nStep 4: Capture settings...');
+const defaults = buildRecordingSettings(undefined, { captureConsole: true });
+if (defaults.captureConsole !== true || defaults.captureNetwork !== false || defaults.networkBodyLimit !== 0) {
+    fail(`Unexpected defaults: ${JSON.stringify(defaults)}`);
+}
+const configured = buildRecordingSettings({ captureConsole: false, captureNetwork: true, networkBodyLimit: 500 }, { captureConsole: true });
+if (configured.captureConsole !== false || configured.captureNetwork !== true || configured.networkBodyLimit !== 500) {
+    fail(`Domain settings not applied: ${JSON.stringify(configured)}`);
+}
+for (const bad of [{ captureNetwork: 'yes' }, { networkBodyLimit: -1 }, { networkBodyLimit: 20000 }]) {
+    let threw = false;
+    try {
+        buildRecordingSettings(bad);
+    } catch (err) {
+        threw = true;
+    }
+    if (!threw) fail(`Invalid settings accepted: ${JSON.stringify(bad)}`);
+}
+console.log('PASS: Domain settings override ENABLE_CONSOLE_PLUGIN; invalid values rejected');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
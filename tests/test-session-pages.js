@@ -0,0 +1,78 @@
+/**
+ * Test: Session Pages
+ *
+ * Verifies pages read from rrweb meta events: entry and dwell times, the
+ * exit page, reloads and query strings, and that feeding events one at a
+ * time gives the same pages.
+ *
+ * Run with: node tests/test-session-pages.js
+ */
+
+const { collectPages, createPageTracker, pageUrl } = require('../src/session-pages');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+
+function meta(offset, href) {
+    return { type: 4, timestamp: START + offset, data: { href, width: 1280, height: 720 } };
+}
+
+function click(offset) {
+    return { type: 3, timestamp: START + offset, data: { source: 2, type: 2, id: 4, x: 10, y: 10 } };
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Session Pages');
+console.log('='.repeat(60));
+
+const events = [
+    meta(0, 'https://shop.example.com/cart?utm_source=mail'),
+    click(2000),
+    // Reload with a different query: same visit
+    meta(4000, 'https://shop.example.com/cart?step=2'),
+    meta(10000, 'https://shop.example.com/checkout#payment'),
+    click(15000),
+    meta(20000, 'https://shop.example.com/cart'),
+    click(26500)
+];
+
+// Test 1: URLs
+console.log('\nStep 1: URLs...');
+if (pageUrl('https://shop.example.com/cart?token=abc#/step') !== 'https://shop.example.com/cart#/step') fail('Query string not stripped');
+if (pageUrl('/cart?x=1') !== '/cart') fail('Relative URL not stripped');
+console.log('PASS: Query strings dropped, fragments kept');
+
+// Test 2: Visits and dwell
+console.log('\nStep 2: Visits and dwell...');
+const pages = collectPages(events);
+const shape = pages.map(p => `${p.visitIndex}|${p.url}|${p.offsetMs}|${p.dwellMs}|${p.isExit}`);
+const expected = [
+    '0|https://shop.example.com/cart|0|10000|false',
+    '1|https://shop.example.com/checkout#payment|10000|10000|false',
+    '2|https://shop.example.com/cart|20000|6500|true'
+];
+if (JSON.stringify(shape) !== JSON.stringify(expected)) fail(`Unexpected pages: ${JSON.stringify(shape)}`);
+if (pages[0].enteredAt !== START) fail(`Unexpected entry time: ${pages[0].enteredAt}`);
+console.log('PASS: Reloads merged; dwell until the next page or the last event; last page is the exit');
+
+// Test 3: Edge cases
+console.log('\nStep 3: Edge cases...');
+if (collectPages([]).length !== 0 || collectPages([click(0)]).length !== 0) fail('Sessions without meta events have no pages');
+const single = collectPages([meta(0, 'https://a.example.com/')]);
+if (single.length !== 1 || single[0].dwellMs !== 0 || !single[0].isExit) fail(`Unexpected single page: ${JSON.stringify(single)}`);
+console.log('PASS: No pages without navigation; a lone page is its own exit');
+
+// Test 4: Streaming
+console.log('\nStep 4: Streaming...');
+const tracker = createPageTracker();
+events.forEach(event => tracker.add(event));
+if (JSON.stringify(tracker.finish()) !== JSON.stringify(pages)) fail('Streamed events gave different pages');
+console.log('PASS: Same pages');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
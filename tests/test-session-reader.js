@@ -0,0 +1,158 @@
+/**
+ * Test: Streaming Session Reader
+ *
+ * Verifies chunks are merged in timestamp order across overlapping chunks,
+ * that missing/corrupt chunks are reported instead of silently dropped, and
+ * that compacted sessions are read from their archive.
+ * Uses the local storage driver and a stub db - no AWS or PostgreSQL required.
+ *
+ * Run with: node tests/test-session-reader.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rrweb-reader-'));
+process.env.STORAGE_LOCAL_DIR = TEST_DIR;
+process.env.STORAGE_DRIVER = 'local';
+
+const storage = require('../src/storage');
+const sessionReader = require('../src/session-reader');
+
+const BUCKET = 'test-bucket';
+const SESSION_ID = 'sess_reader_test';
+
+function fail(message) {
+    console.error(`FAIL: ${message}`);
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    process.exit(1);
+}
+
+function chunkRow(sequenceId, key) {
+    return {
+        session_id: SESSION_ID,
+        sequence_id: sequenceId,
+        s3_key: key,
+        s3_bucket: BUCKET,
+        campaign_id: 1,
+        timestamp: 1000 + sequenceId
+    };
+}
+
+async function writeChunk(key, events, pageUrl) {
+    const body = zlib.gzipSync(JSON.stringify({ sessionId: SESSION_ID, pageUrl, events }));
+    await storage.putObject(BUCKET, key, body, 'application/gzip');
+}
+
+async function run() {
+    console.log('='.repeat(60));
+    console.log('TEST: Streaming Session Reader');
+    console.log('='.repeat(60));
+
+    const chunks = [
+        chunkRow(0, 'recordings/1/sess/0.json.gz'),
+        chunkRow(1, 'recordings/1/sess/1.json.gz'),
+        chunkRow(2, 'recordings/1/sess/2.json.gz'),  // never written -> missing
+        chunkRow(3, 'recordings/1/sess/3.json.gz'),  // garbage -> corrupt
+        chunkRow(4, 'recordings/1/sess/4.json.gz')
+    ];
+
+    await writeChunk(chunks[0].s3_key, [{ timestamp: 10 }, { timestamp: 30 }, { timestamp: 20 }], 'https://a.test/');
+    // Overlaps chunk 0 (flushed late) - must interleave, not append
+    await writeChunk(chunks[1].s3_key, [{ timestamp: 25 }, { timestamp: 40 }], 'https://a.test/');
+    await storage.putObject(BUCKET, chunks[3].s3_key, Buffer.from('not gzip'));
+    await writeChunk(chunks[4].s3_key, [{ timestamp: 50 }, { timestamp: 60 }], 'https://a.test/next');
+
+    // Stub db: the reader only needs query() when chunks aren't passed in
+    const db = { query: async () => ({ rows: chunks }) };
+
+    // Test 1: Events come out merged and ordered, in multiple batches
+    const batches = [];
+    const { pageUrls, eventCount, report } = await sessionReader.readSession(SESSION_ID, db, {
+        prefetch: 2,
+        onBatch: async (batch) => { batches.push(batch); }
+    });
+    const timestamps = batches.flat().map(e => e.timestamp);
+    if (timestamps.join(',') !== '10,20,25,30,40,50,60') {
+        fail(`Unexpected event order: ${timestamps.join(',')}`);
+    }
+    if (eventCount !== 7) fail(`eventCount should be 7, got ${eventCount}`);
+    if (batches.length < 2) fail('Events should be emitted incrementally, not in one batch');
+    console.log(`PASS: ${eventCount} events merged in order across ${batches.length} batches`);
+
+    // Test 2: page_urls collected once each, in order
+    if (pageUrls.join(' ') !== 'https://a.test/ https://a.test/next') {
+        fail(`Unexpected page URLs: ${pageUrls.join(' ')}`);
+    }
+    console.log('PASS: page_urls collected');
+
+    // Test 3: Missing and corrupt chunks are reported
+    if (report.total_chunks !== 5 || report.loaded_chunks !== 3) {
+        fail(`Expected 3/5 chunks loaded, got ${report.loaded_chunks}/${report.total_chunks}`);
+    }
+    if (report.missing.length !== 1 || report.missing[0].sequence_id !== 2) fail('Chunk 2 not reported missing');
+    if (report.corrupt.length !== 1 || report.corrupt[0].sequence_id !== 3) fail('Chunk 3 not reported corrupt');
+    if (report.complete) fail('Report should not be complete');
+    console.log('PASS: Missing and corrupt chunks reported');
+
+    // Test 4: readMergedSession returns the same ordered array
+    const merged = await sessionReader.readMergedSession(SESSION_ID, db);
+    if (merged.events.map(e => e.timestamp).join(',') !== timestamps.join(',')) {
+        fail('readMergedSession returned different events than readSession');
+    }
+    console.log('PASS: readMergedSession matches streamed output');
+
+    // Test 5: Compacted chunks are read from the archive instead
+    const archiveKey = 'recordings/1/sess/archive_1.json.gz';
+    await storage.putObject(BUCKET, archiveKey, zlib.gzipSync(JSON.stringify({
+        sessionId: SESSION_ID,
+        archive: true,
+        events: [{ timestamp: 10 }, { timestamp: 20 }],
+        pageUrls: ['https://a.test/', 'https://a.test/next']
+    })));
+    const compactedRows = [
+        { ...chunkRow(0, 'recordings/1/sess/gone-0.json.gz'), compacted_at: new Date(), purged_at: new Date() },
+        { ...chunkRow(1, 'recordings/1/sess/gone-1.json.gz'), compacted_at: new Date(), purged_at: new Date() },
+        chunkRow(5, chunks[4].s3_key)  // arrived after compaction
+    ].map(row => ({ ...row, archive_s3_key: archiveKey, archive_s3_bucket: BUCKET }));
+
+    const plan = sessionReader.planReads(compactedRows);
+    if (plan.length !== 2 || !plan[0].is_archive || plan[1].s3_key !== chunks[4].s3_key) {
+        fail(`Unexpected read plan: ${plan.map(p => p.s3_key).join(', ')}`);
+    }
+    const fromArchive = await sessionReader.readMergedSession(SESSION_ID, db, { chunks: compactedRows });
+    if (fromArchive.events.map(e => e.timestamp).join(',') !== '10,20,50,60') {
+        fail(`Unexpected events from archive: ${fromArchive.events.map(e => e.timestamp).join(',')}`);
+    }
+    if (!fromArchive.report.complete || fromArchive.report.archive_s3_key !== archiveKey) {
+        fail('Archive read should be complete and report the archive key');
+    }
+    if (fromArchive.pageUrls.length !== 2) fail('Archive page URLs not collected');
+    console.log('PASS: Archive replaces compacted chunks, later chunks read on top');
+
+    // Test 6: A late chunk overlapping the archive is merged back into timestamp order
+    const lateKey = 'recordings/1/sess/late.json.gz';
+    await writeChunk(lateKey, [{ timestamp: 15 }, { timestamp: 55 }], 'https://a.test/');
+    const lateRows = [...compactedRows, { ...chunkRow(6, lateKey), archive_s3_key: archiveKey, archive_s3_bucket: BUCKET }];
+    const streamed = [];
+    const lateRead = await sessionReader.readSession(SESSION_ID, db, {
+        chunks: lateRows,
+        onBatch: async (batch) => { streamed.push(...batch); }
+    });
+    if (lateRead.report.out_of_order_events === 0) fail('Overlapping late chunk should be streamed out of order');
+    const sorted = await sessionReader.readMergedSession(SESSION_ID, db, { chunks: lateRows });
+    if (sorted.events.map(e => e.timestamp).join(',') !== '10,15,20,50,55,60') {
+        fail(`readMergedSession should sort out-of-order events: ${sorted.events.map(e => e.timestamp).join(',')}`);
+    }
+    console.log(`PASS: ${lateRead.report.out_of_order_events} out-of-order event(s) sorted in the merged session`);
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    console.log('\n' + '='.repeat(60));
+    console.log('ALL TESTS PASSED');
+    console.log('='.repeat(60));
+}
+
+run().catch(err => fail(err.stack || err.message));
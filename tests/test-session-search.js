@@ -0,0 +1,135 @@
+/**
+ * Test: Session Search
+ *
+ * Verifies search entries built from the timeline and page text, that
+ * feeding events one at a time gives the same entries, and ?q= / ?step=
+ * parsing into ordered full-text queries.
+ *
+ * Run with: node tests/test-session-search.js
+ */
+
+const { buildSearchEntries, createSearchIndexer, parseSearchSteps, buildSequenceQuery, searchText } = require('../src/session-search');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+
+function text(id, value) {
+    return { type: 3, id, textContent: value };
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Session Search');
+console.log('='.repeat(60));
+
+const events = [
+    { type: 4, timestamp: START, data: { href: 'https://shop.example.com/cart?ref=mail', width: 1280, height: 720 } },
+    {
+        type: 2,
+        timestamp: START + 5,
+        data: {
+            node: {
+                type: 0, id: 1, childNodes: [
+                    { type: 2, id: 2, tagName: 'script', attributes: {}, childNodes: [text(3, 'window.secret = 1')] },
+                    {
+                        type: 2, id: 4, tagName: 'form', attributes: { id: 'coupon' }, childNodes: [
+                            { type: 2, id: 5, tagName: 'h1', attributes: {}, childNodes: [text(6, 'Your cart')] },
+                            { type: 2, id: 7, tagName: 'input', attributes: { name: 'coupon' }, childNodes: [] },
+                            { type: 2, id: 8, tagName: 'button', attributes: {}, childNodes: [text(9, 'Apply coupon')] },
+                            { type: 2, id: 10, tagName: 'p', attributes: {}, childNodes: [text(11, 'Signed in as jane@example.com')] },
+                            { type: 2, id: 12, tagName: 'div', attributes: { id: 'message' }, childNodes: [] }
+                        ]
+                    }
+                ]
+            }
+        }
+    },
+    { type: 3, timestamp: START + 1000, data: { source: 5, id: 7, text: 'SUMMER10' } },
+    { type: 3, timestamp: START + 1500, data: { source: 2, type: 2, id: 8, x: 10, y: 10 } },
+    {
+        type: 3,
+        timestamp: START + 1800,
+        data: { source: 0, adds: [{ parentId: 12, node: { type: 2, id: 13, tagName: 'span', attributes: {}, childNodes: [text(14, 'Invalid code')] } }], removes: [], texts: [], attributes: [] }
+    },
+    // The same text again on the same page isn't indexed twice
+    { type: 3, timestamp: START + 2500, data: { source: 0, adds: [{ parentId: 12, node: text(15, 'Invalid code') }], removes: [], texts: [], attributes: [] } },
+    { type: 3, timestamp: START + 2600, data: { source: 0, adds: [], removes: [], texts: [{ id: 6, value: 'Your cart (2)' }], attributes: [] } },
+    { type: 6, timestamp: START + 3000, data: { plugin: 'rrweb/console@1', payload: { level: 'error', payload: ['"Coupon rejected"'] } } },
+    { type: 4, timestamp: START + 5000, data: { href: 'https://shop.example.com/checkout', width: 1280, height: 720 } },
+    {
+        type: 2,
+        timestamp: START + 5005,
+        data: { node: { type: 0, id: 1, childNodes: [{ type: 2, id: 2, tagName: 'div', attributes: {}, childNodes: [text(3, 'Invalid code'), text(4, '*****')] }] } }
+    }
+];
+
+const entries = buildSearchEntries(events);
+const byKind = kind => entries.filter(e => e.kind === kind);
+
+// Test 1: Timeline entries
+console.log('\nStep 1: Clicks, pages, input and errors...');
+const clicks = byKind('click');
+if (clicks.length !== 1 || !clicks[0].text.startsWith('Apply coupon') || clicks[0].t !== 1500) fail(`Unexpected clicks: ${JSON.stringify(clicks)}`);
+const pages = byKind('navigation').map(e => e.text);
+if (pages.join() !== 'https://shop.example.com/cart?ref=mail,https://shop.example.com/checkout') fail(`Unexpected pages: ${pages}`);
+const inputs = byKind('input');
+if (inputs.length !== 1 || inputs[0].text !== '"coupon" field: SUMMER10') fail(`Unexpected input: ${JSON.stringify(inputs)}`);
+const errors = byKind('error');
+if (errors.length !== 1 || errors[0].text !== 'Console error: Coupon rejected') fail(`Unexpected errors: ${JSON.stringify(errors)}`);
+console.log('PASS: Timeline entries indexed with unquoted labels');
+
+// Test 2: Page text
+console.log('\nStep 2: Page text...');
+const texts = byKind('text');
+const cart = texts.filter(e => e.url === 'https://shop.example.com/cart?ref=mail').map(e => `${e.t}:${e.text}`);
+const expected = ['5:Your cart', '5:Apply coupon', '5:Signed in as [EMAIL]', '1800:Invalid code', '2600:Your cart (2)'];
+if (JSON.stringify(cart) !== JSON.stringify(expected)) fail(`Unexpected cart text: ${JSON.stringify(cart)}`);
+if (texts.some(e => e.text.includes('secret'))) fail('Script text indexed');
+const checkout = texts.filter(e => e.url === 'https://shop.example.com/checkout').map(e => e.text);
+if (checkout.join() !== 'Invalid code') fail(`Text not indexed again after navigation, or masked text kept: ${checkout}`);
+const clickIndex = entries.findIndex(e => e.kind === 'click');
+const sawIndex = entries.findIndex(e => e.kind === 'text' && e.text === 'Invalid code');
+if (sawIndex < clickIndex) fail('Entries not in time order');
+console.log('PASS: Text on first appearance per page; scripts skipped, emails and masked text hidden');
+
+// Test 3: Streaming
+console.log('\nStep 3: Streaming...');
+const indexer = createSearchIndexer();
+events.forEach(event => indexer.add(event));
+if (JSON.stringify(indexer.finish()) !== JSON.stringify(entries)) fail('Streamed events gave different entries');
+console.log('PASS: Same entries');
+
+// Test 4: Step parsing
+console.log('\nStep 4: ?q= / ?step= parsing...');
+const parsed = parseSearchSteps(['clicked:Apply coupon', 'saw: Invalid code'], 'SUMMER10');
+if (parsed.error) fail(`Unexpected error: ${parsed.error}`);
+const shape = parsed.steps.map(s => `${s.kind}|${s.phrase}`).join(',');
+if (shape !== 'null|SUMMER10,click|Apply coupon,text|Invalid code') fail(`Unexpected steps: ${shape}`);
+if (parseSearchSteps('Error: timeout').steps[0].kind !== null) fail('Only lowercase verbs are prefixes');
+if (parseSearchSteps('saw:  ').error === null) fail('Empty phrase accepted');
+if (parseSearchSteps(['a', 'b', 'c', 'd', 'e', 'f']).error === null) fail('Too many steps accepted');
+if (searchText('https://shop.example.com/checkout?step=2') !== 'https shop example com checkout step 2') fail('URL not split into words');
+console.log('PASS: Verbs map to kinds; empty and oversized queries rejected');
+
+// Test 5: Sequence query
+console.log('\nStep 5: Sequence query...');
+const params = [42];
+const sql = buildSequenceQuery(parsed.steps, params, 7);
+if (params.length !== 7 || params[0] !== 42 || params[1] !== 7) fail(`Unexpected params: ${JSON.stringify(params)}`);
+if (!sql.includes('e.offset_ms >= s1.at_ms') || !sql.includes('e.offset_ms >= s2.at_ms')) fail(`Steps not ordered: ${sql}`);
+if (!sql.includes('WHERE s3.at_ms IS NOT NULL')) fail('Last step not required');
+if ((sql.match(/JOIN LATERAL/g) || []).length !== 2 || /JOIN session_search_entries/.test(sql)) fail(`Expected one lookup per extra step: ${sql}`);
+const placeholders = (sql.match(/\$\d+/g) || []).map(p => parseInt(p.slice(1))).sort((a, b) => a - b);
+if (placeholders.join() !== '2,3,4,5,6,7') fail(`Placeholders don't match params: ${placeholders}`);
+const first = params.indexOf('SUMMER10');
+if (!sql.includes(`WHERE e.search_vector @@ phraseto_tsquery('simple', $${first + 1})`)) fail('First step should filter the candidates');
+if (!sql.includes('sc.campaign_id = $2')) fail('Campaign not applied to the candidates');
+if (buildSequenceQuery(parsed.steps, []).includes('campaign_id')) fail('Campaign applied without campaign_id');
+console.log('PASS: Earliest match per step, campaign in the candidate set, placeholders after existing params');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
@@ -0,0 +1,74 @@
+/**
+ * Test: Thumbnail Planning
+ *
+ * Verifies where the poster and animated preview are taken from and the
+ * sprite sheet layout for short and long videos, and the gap map that converts
+ * sprite (video) times to timeline (session) times. (Generating the images
+ * needs ffmpeg and a rendered video; see src/thumbnails.js.)
+ *
+ * Run with: node tests/test-thumbnails.js
+ */
+
+const { planPreview, planSprite } = require('../src/thumbnails');
+const { compressGaps, gapMap } = require('../src/compress-gaps');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+console.log('='.repeat(60));
+console.log('TEST: Thumbnail Planning');
+console.log('='.repeat(60));
+
+// Test 1: Poster and preview end at the drop-off
+console.log('\nStep 1: Preview window...');
+const long = planPreview(300000);
+if (long.posterAt !== 299.5 || long.previewStart !== 292 || long.previewDuration !== 8) {
+    fail(`Unexpected preview plan: ${JSON.stringify(long)}`);
+}
+const short = planPreview(3000);
+if (short.previewStart !== 0 || short.previewDuration !== 3 || short.posterAt !== 2.5) {
+    fail(`Short video should preview from the start: ${JSON.stringify(short)}`);
+}
+const empty = planPreview(0);
+if (empty.posterAt !== 0 || !(empty.previewDuration > 0)) fail(`Zero-length video: ${JSON.stringify(empty)}`);
+console.log('PASS: Poster and preview taken from the last seconds');
+
+// Test 2: Sprite layout
+console.log('\nStep 2: Sprite layout...');
+const longSprite = planSprite(40 * 60 * 1000, 1280, 720);
+if (longSprite.count !== 100 || longSprite.interval !== 24 || longSprite.columns !== 10 || longSprite.rows !== 10) {
+    fail(`Long video should get 100 tiles: ${JSON.stringify(longSprite)}`);
+}
+if (longSprite.tile_width !== 160 || longSprite.tile_height !== 90) fail(`Tiles should keep the aspect ratio: ${JSON.stringify(longSprite)}`);
+const shortSprite = planSprite(12500, 1920, 1080);
+if (shortSprite.interval !== 1 || shortSprite.count !== 13 || shortSprite.columns !== 10 || shortSprite.rows !== 2) {
+    fail(`Short video should get one tile per second: ${JSON.stringify(shortSprite)}`);
+}
+const tiny = planSprite(0, 960, 540);
+if (tiny.count !== 1 || tiny.columns !== 1 || tiny.rows !== 1) fail(`Zero-length video should get one tile: ${JSON.stringify(tiny)}`);
+console.log('PASS: At most 100 tiles, at most one per second');
+
+// Test 3: Gap map between video and session time
+console.log('\nStep 3: Gap map...');
+const START = 1700000000000;
+const events = [0, 2000, 62000, 64000, 200000].map(offset => ({ type: 3, timestamp: START + offset, data: {} }));
+const gaps = gapMap(events);
+if (JSON.stringify(gaps) !== JSON.stringify([{ offset_ms: 62000, video_ms: 7000 }, { offset_ms: 200000, video_ms: 14000 }])) {
+    fail(`Unexpected gap map: ${JSON.stringify(gaps)}`);
+}
+const compressed = compressGaps(events);
+const toVideo = t => {
+    const gap = gaps.filter(g => g.offset_ms <= t).pop();
+    return gap ? t - (gap.offset_ms - gap.video_ms) : t;
+};
+if (events.some((event, i) => toVideo(event.timestamp - START) !== compressed[i].timestamp - compressed[0].timestamp)) {
+    fail('Gap map disagrees with compressGaps');
+}
+if (gapMap(events.slice(0, 2)).length !== 0) fail('No gaps should give an empty map');
+console.log('PASS: Session times convert to the compressed video times');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
@@ -0,0 +1,140 @@
+/**
+ * Test: Structured Timeline
+ *
+ * Verifies the typed timeline entries (buildTimeline), including the less
+ * common rrweb sources (media, touch, selection, console plugin...), and that
+ * the text narrative is rendered from them.
+ *
+ * Run with: node tests/test-timeline-entries.js
+ */
+
+const { buildTimeline, generateTimeline, describeEntry } = require('../timeline-react-aware');
+
+function fail(message) {
+    console.error('FAIL:', message);
+    process.exit(1);
+}
+
+const START = 1700000000000;
+const FIELDS = ['t', 'kind', 'label', 'nodeId', 'selector', 'url', 'value', 'masked'];
+
+const events = [
+    { type: 4, timestamp: START, data: { href: 'https://shop.example.com/checkout', width: 1280, height: 720 } },
+    {
+        type: 2,
+        timestamp: START + 5,
+        data: {
+            node: {
+                type: 0, id: 1, childNodes: [
+                    {
+                        type: 2, id: 2, tagName: 'form', attributes: { id: 'checkout' }, childNodes: [
+                            { type: 2, id: 3, tagName: 'input', attributes: { name: 'email', class: 'field wide' }, childNodes: [] },
+                            { type: 2, id: 5, tagName: 'button', attributes: { class: 'css-1x2y primary' }, childNodes: [] }
+                        ]
+                    }
+                ]
+            }
+        }
+    },
+    { type: 3, timestamp: START + 1000, data: { source: 5, id: 3, text: 'jane@example.com' } },
+    { type: 3, timestamp: START + 2000, data: { source: 2, type: 2, id: 5, x: 10, y: 10 } },
+    { type: 3, timestamp: START + 2500, data: { source: 3, id: 1, x: 0, y: 400 } },
+    { type: 3, timestamp: START + 2600, data: { source: 3, id: 1, x: 0, y: 800 } }
+];
+
+console.log('='.repeat(60));
+console.log('TEST: Structured Timeline');
+console.log('='.repeat(60));
+
+const entries = buildTimeline(events);
+
+// Test 1: Shape
+console.log('\nStep 1: Entry fields...');
+for (const entry of entries) {
+    const keys = Object.keys(entry).sort().join(',');
+    if (keys !== [...FIELDS].sort().join(',')) fail(`Unexpected fields: ${keys}`);
+}
+const kinds = entries.map(e => e.kind).join(',');
+if (kinds !== 'viewport,navigation,page_load,input,click,scroll') fail(`Unexpected kinds: ${kinds}`);
+console.log('PASS: Every entry has the same typed fields');
+
+// Test 2: Element details and masking
+console.log('\nStep 2: Element details...');
+const input = entries.find(e => e.kind === 'input');
+if (input.t !== 1000 || input.nodeId !== 3 || input.selector !== 'form#checkout > input.field') {
+    fail(`Unexpected input entry: ${JSON.stringify(input)}`);
+}
+if (input.value !== '[EMAIL]' || input.masked !== true) fail(`Email should be masked: ${JSON.stringify(input)}`);
+if (buildTimeline(events, false).find(e => e.kind === 'input').value !== 'jane@example.com') fail('Masking should be optional');
+const click = entries.find(e => e.kind === 'click');
+// Hash-style classes (css-1x2y) are left out, as in labels
+if (click.selector !== 'form#checkout > button') fail(`Unexpected click selector: ${click.selector}`);
+if (click.url !== 'https://shop.example.com/checkout') fail('Entries should carry the current page URL');
+if (entries.find(e => e.kind === 'viewport').value !== '1280x720') fail('Viewport size should be the value');
+console.log('PASS: Node ids, selectors, URLs and masked values');
+
+// Test 3: Text narrative is rendered from the entries
+console.log('\nStep 3: Text narrative...');
+const text = generateTimeline(events);
+for (const entry of entries) {
+    if (!text.includes(describeEntry(entry))) fail(`Text is missing "${describeEntry(entry)}"`);
+}
+if (!text.includes('[0:01.0] Typed "[EMAIL]" in "email" field')) fail(`Unexpected text:\n${text}`);
+if (!text.includes(`Actions Logged: ${entries.length}`)) fail('Footer should count the entries');
+if (buildTimeline([]).length !== 0 || generateTimeline([]) !== 'No events to process.') fail('Empty sessions');
+console.log('PASS: Text lines match the entries');
+
+// Test 4: Other event sources
+console.log('\nStep 4: Other event sources...');
+const mobile = [
+    { type: 4, timestamp: START, data: { href: 'https://m.example.com/watch', width: 390, height: 844 } },
+    {
+        type: 2,
+        timestamp: START + 5,
+        data: {
+            node: {
+                type: 0, id: 1, childNodes: [
+                    { type: 2, id: 10, tagName: 'video', attributes: { 'aria-label': 'Intro video' }, childNodes: [] },
+                    { type: 2, id: 11, tagName: 'input', attributes: { name: 'search' }, childNodes: [] },
+                    { type: 2, id: 12, tagName: 'canvas', attributes: { id: 'chart' }, childNodes: [] },
+                    { type: 2, id: 13, tagName: 'p', attributes: {}, childNodes: [{ type: 3, id: 14, textContent: 'Refunds take 5 days' }] }
+                ]
+            }
+        }
+    },
+    { type: 3, timestamp: START + 100, data: { source: 4, width: 844, height: 390 } },
+    { type: 3, timestamp: START + 150, data: { source: 4, width: 390, height: 844 } },
+    { type: 3, timestamp: START + 1000, data: { source: 7, type: 0, id: 10 } },
+    { type: 3, timestamp: START + 4000, data: { source: 7, type: 1, id: 10 } },
+    { type: 3, timestamp: START + 5000, data: { source: 2, type: 5, id: 11 } },
+    { type: 3, timestamp: START + 6000, data: { source: 2, type: 6, id: 11 } },
+    { type: 3, timestamp: START + 7000, data: { source: 2, type: 7, id: 10, x: 5, y: 5 } },
+    { type: 3, timestamp: START + 7100, data: { source: 6, positions: [{ x: 5, y: 50, id: 1, timeOffset: 0 }] } },
+    { type: 3, timestamp: START + 7200, data: { source: 6, positions: [{ x: 5, y: 90, id: 1, timeOffset: 0 }] } },
+    { type: 3, timestamp: START + 8000, data: { source: 14, ranges: [{ start: 14, startOffset: 0, end: 14, endOffset: 7 }] } },
+    { type: 3, timestamp: START + 8100, data: { source: 14, ranges: [{ start: 14, startOffset: 0, end: 14, endOffset: 12 }] } },
+    { type: 3, timestamp: START + 8200, data: { source: 14, ranges: [{ start: 14, startOffset: 3, end: 14, endOffset: 3 }] } },
+    { type: 3, timestamp: START + 9000, data: { source: 9, id: 12, type: 0, commands: [] } },
+    { type: 3, timestamp: START + 9050, data: { source: 9, id: 12, type: 0, commands: [] } },
+    { type: 6, timestamp: START + 10000, data: { plugin: 'rrweb/console@1', payload: { level: 'error', payload: ['"Payment failed:"', '"card_declined"'], trace: [] } } },
+    { type: 6, timestamp: START + 10100, data: { plugin: 'rrweb/console@1', payload: { level: 'log', payload: ['"debug"'], trace: [] } } },
+    { type: 5, timestamp: START + 11000, data: { tag: 'checkout_step', payload: { step: 2 } } }
+];
+const mobileEntries = buildTimeline(mobile);
+const summary = mobileEntries.slice(3).map(e => `${e.kind}:${e.value ?? ''}`).join(',');
+const expectedSummary = [
+    'resize:390x844', 'media:play', 'media:pause', 'focus:', 'blur:', 'touch:', 'swipe:',
+    'selection:Refunds take', 'canvas:', 'console_error:Payment failed: card_declined', 'custom:{"step":2}'
+].join(',');
+if (summary !== expectedSummary) fail(`Unexpected entries:\n${summary}\nexpected:\n${expectedSummary}`);
+if (mobileEntries.find(e => e.kind === 'media').label !== '"Intro video"') fail('Media entries should name the element');
+if (mobileEntries.find(e => e.kind === 'custom').label !== 'checkout_step') fail('Custom events should carry their tag');
+const mobileText = generateTimeline(mobile);
+for (const line of ['Resized viewport to 390x844', 'Played media: "Intro video"', 'Console error: Payment failed: card_declined', 'Event: checkout_step {"step":2}']) {
+    if (!mobileText.includes(line)) fail(`Text is missing "${line}"`);
+}
+console.log('PASS: Resizes, media, focus/blur, touch, selection, canvas, console errors and custom events narrated');
+
+console.log('\n' + '='.repeat(60));
+console.log('ALL TESTS PASSED');
+console.log('='.repeat(60));
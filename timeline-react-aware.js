@@ -1,5 +1,37 @@
 const fs = require('fs');
 
+// Longest console error / custom event payload kept in an entry
+const MAX_VALUE_LENGTH = 200;
+
+// rrweb MediaInteractions types
+const MEDIA_ACTIONS = { 0: 'play', 1: 'pause', 2: 'seek' };
+const MEDIA_VERBS = { play: 'Played', pause: 'Paused', seek: 'Seeked' };
+
+function truncate(text) {
+    return text.length > MAX_VALUE_LENGTH ? text.substring(0, MAX_VALUE_LENGTH - 3) + '...' : text;
+}
+
+/**
+ * Message of a recorded console call (rrweb console plugin), from its
+ * serialized arguments.
+ *
+ * @param {object} log - { level, payload: [string] }
+ * @returns {string}
+ */
+function consoleMessage(log) {
+    const args = Array.isArray(log?.payload) ? log.payload : [];
+    const text = args.map(arg => {
+        // Arguments are stored as JSON; strings are the common case
+        try {
+            const parsed = JSON.parse(arg);
+            return typeof parsed === 'string' ? parsed : arg;
+        } catch (e) {
+            return String(arg);
+        }
+    }).join(' ');
+    return truncate(text || 'Unknown error');
+}
+
 /**
  * Mask PII (Personally Identifiable Information) in user input.
  * Replaces sensitive data with placeholders to protect privacy.
@@ -77,20 +109,23 @@ function maskPII(text, fieldName = '') {
     return text;
 }
 
+// Format timestamp as mm:ss.s
+function formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = (seconds % 60).toFixed(1);
+    return `${mins}:${secs.padStart(4, '0')}`;
+}
+
 /**
- * Generate a text timeline narrative from rrweb events.
- * Handles React's virtual DOM updates and nested click targets.
+ * Page structure rebuilt from rrweb snapshots and mutations, so events that only
+ * carry a node id can be named. Handles React's virtual DOM updates and nested
+ * click targets. Feed it events in order with registerNode (full snapshots) and
+ * applyMutation (mutation events).
  *
- * @param {Array} events - Array of rrweb events
- * @param {boolean} maskSensitiveData - Whether to mask PII (default: true)
- * @returns {string} - The timeline narrative as a string
+ * @returns {{nodes: object, registerNode: Function, removeNode: Function, applyMutation: Function, resolveLabel: Function, buildSelector: Function}}
  */
-function generateTimeline(events, maskSensitiveData = true) {
-    if (!events || events.length === 0) {
-        return 'No events to process.';
-    }
-
-    // --- THE VIRTUAL DOM STORE (local to this call) ---
+function createVirtualDOM() {
+    // --- THE VIRTUAL DOM STORE ---
     const virtualDOM = {};
 
     // Helper: Register Nodes into our Virtual DOM
@@ -188,117 +223,352 @@ function generateTimeline(events, maskSensitiveData = true) {
         return label;
     }
 
-    // Format timestamp as mm:ss.s
-    function formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = (seconds % 60).toFixed(1);
-        return `${mins}:${secs.padStart(4, '0')}`;
+    // Helper: CSS-style path to a node (stops at the nearest ancestor with an id)
+    function buildSelector(id) {
+        const parts = [];
+        let node = virtualDOM[id];
+        while (node && parts.length < 5) {
+            if (node.tagName && node.tagName !== 'text') {
+                const attrs = node.attributes;
+                if (attrs.id && typeof attrs.id === 'string') {
+                    parts.unshift(`${node.tagName}#${attrs.id}`);
+                    break;
+                }
+                let part = node.tagName;
+                if (attrs.class && typeof attrs.class === 'string') {
+                    const firstClass = attrs.class.split(' ')[0];
+                    if (firstClass && !firstClass.match(/^(css-|sc-|_)/)) {
+                        part += `.${firstClass}`;
+                    }
+                }
+                parts.unshift(part);
+            }
+            node = node.parentId ? virtualDOM[node.parentId] : null;
+        }
+        return parts.length > 0 ? parts.join(' > ') : null;
     }
 
+    // Helper: Apply an incremental mutation (adds, removes, text changes)
+    function applyMutation(data) {
+        if (data.adds) data.adds.forEach(add => registerNode(add.node, add.parentId));
+        if (data.removes) data.removes.forEach(rem => removeNode(rem.id));
+        if (data.texts) {
+            data.texts.forEach(txt => {
+                if (virtualDOM[txt.id]) {
+                    virtualDOM[txt.id].text = txt.value;
+                    const pId = virtualDOM[txt.id].parentId;
+                    if (pId && virtualDOM[pId]) virtualDOM[pId].textChildren = txt.value;
+                }
+            });
+        }
+    }
+
+    return { nodes: virtualDOM, registerNode, removeNode, applyMutation, resolveLabel, buildSelector };
+}
+
+/**
+ * Build a structured timeline from rrweb events.
+ * Handles React's virtual DOM updates and nested click targets.
+ *
+ * Every entry has the same fields (null when they don't apply):
+ * - t: ms from the first event
+ * - kind: viewport, navigation, page_load, click, scroll, input, resize, media,
+ *   focus, blur, touch, swipe, selection, canvas, console_error, network_error or custom
+ * - label: the element as a person would name it (`"Pay now"`, `"email" field`, `button.primary`),
+ *   the request of a network error (`POST https://api.example.com/pay`) or the tag of a custom event
+ * - nodeId: rrweb node id of the element
+ * - selector: CSS-style path to the element (`form#checkout > button.primary`)
+ * - url: page the entry happened on
+ * - value: typed text (input), viewport size (viewport, resize), play/pause/seek (media),
+ *   selected text (selection), error message (console_error, also unhandled rejections),
+ *   status or failure (network_error) or payload JSON (custom)
+ * - masked: whether value was masked as PII
+ *
+ * @param {Array} events - Array of rrweb events
+ * @param {boolean} maskSensitiveData - Whether to mask PII (default: true)
+ * @returns {Array<{t: number, kind: string, label: string|null, nodeId: number|null, selector: string|null, url: string|null, value: string|null, masked: boolean}>}
+ */
+function buildTimeline(events, maskSensitiveData = true) {
+    if (!events || events.length === 0) {
+        return [];
+    }
+
+    const builder = createTimelineBuilder(maskSensitiveData);
+    events.forEach(e => builder.add(e));
+    return builder.finish();
+}
+
+/**
+ * Incremental timeline builder, so events can be fed one at a time (the
+ * compactor builds search entries while it streams a session into its archive).
+ *
+ * @param {boolean} maskSensitiveData - Whether to mask PII (default: true)
+ * @returns {{add: Function, finish: Function, dom: object}} - add(event) in timestamp order;
+ *   finish() returns the entries (see buildTimeline); dom is the virtual DOM as of the last event
+ */
+function createTimelineBuilder(maskSensitiveData = true) {
+    const dom = createVirtualDOM();
+
     // --- MAIN PROCESSING ---
-    const startTime = events[0].timestamp;
+    let startTime = null;
     const timeline = [];
+    let currentUrl = null;
     let lastClickLabel = '';
     let lastClickTime = 0;
 
-    events.forEach(e => {
+    function addEvent(e) {
+        if (!e || typeof e.timestamp !== 'number') return;
+        if (startTime === null) startTime = e.timestamp;
         const timeOffsetSec = (e.timestamp - startTime) / 1000;
-        const timeStr = formatTime(timeOffsetSec);
+        const add = (kind, fields = {}) => timeline.push({
+            t: e.timestamp - startTime,
+            kind,
+            label: null,
+            nodeId: null,
+            selector: null,
+            url: currentUrl,
+            value: null,
+            masked: false,
+            ...fields
+        });
+        const element = id => ({ label: dom.resolveLabel(id), nodeId: id ?? null, selector: dom.buildSelector(id) });
 
         // --- TYPE 4: META (Viewport Size & Navigation) ---
         if (e.type === 4) {
+            if (e.data.href) {
+                currentUrl = e.data.href;
+            }
             if (e.data.width && e.data.height) {
-                timeline.push(`[${timeStr}] Viewport: ${e.data.width}x${e.data.height}`);
+                add('viewport', { value: `${e.data.width}x${e.data.height}` });
             }
             if (e.data.href) {
-                timeline.push(`[${timeStr}] Navigated to: ${e.data.href}`);
+                add('navigation');
             }
         }
 
         // --- TYPE 2: FULL SNAPSHOT ---
         else if (e.type === 2) {
-            registerNode(e.data.node);
-            timeline.push(`[${timeStr}] Page Loaded`);
+            dom.registerNode(e.data.node);
+            add('page_load');
         }
 
         // --- TYPE 3: INCREMENTAL MUTATIONS (Maintain Virtual DOM) ---
         else if (e.type === 3 && e.data.source === 0) {
-            if (e.data.adds) e.data.adds.forEach(add => registerNode(add.node, add.parentId));
-            if (e.data.removes) e.data.removes.forEach(rem => removeNode(rem.id));
-            if (e.data.texts) {
-                e.data.texts.forEach(txt => {
-                    if (virtualDOM[txt.id]) {
-                        virtualDOM[txt.id].text = txt.value;
-                        const pId = virtualDOM[txt.id].parentId;
-                        if (pId && virtualDOM[pId]) virtualDOM[pId].textChildren = txt.value;
-                    }
-                });
-            }
+            dom.applyMutation(e.data);
         }
 
         // --- TYPE 3: USER INTERACTIONS ---
 
         // Mouse Up (Click)
         else if (e.type === 3 && e.data.source === 2 && e.data.type === 2) {
-            const label = resolveLabel(e.data.id);
-            if (label !== lastClickLabel || (timeOffsetSec - lastClickTime) > 0.3) {
-                timeline.push(`[${timeStr}] Clicked: ${label}`);
-                lastClickLabel = label;
+            const target = element(e.data.id);
+            if (target.label !== lastClickLabel || (timeOffsetSec - lastClickTime) > 0.3) {
+                add('click', target);
+                lastClickLabel = target.label;
                 lastClickTime = timeOffsetSec;
             }
         }
 
         // Scroll
         else if (e.type === 3 && e.data.source === 3) {
-            const lastLog = timeline[timeline.length - 1] || '';
-            if (!lastLog.includes('Scrolled')) {
-                timeline.push(`[${timeStr}] Scrolled`);
+            const lastEntry = timeline[timeline.length - 1];
+            if (!lastEntry || lastEntry.kind !== 'scroll') {
+                add('scroll', { nodeId: e.data.id ?? null });
             }
         }
 
         // Input (Blur/Change)
         else if (e.type === 3 && e.data.source === 5) {
-            const label = resolveLabel(e.data.id);
+            const target = element(e.data.id);
             if (e.data.text) {
                 // Mask PII if enabled (default: true)
-                const displayText = maskSensitiveData ? maskPII(e.data.text, label) : e.data.text;
-                timeline.push(`[${timeStr}] Typed "${displayText}" in ${label}`);
+                const value = maskSensitiveData ? maskPII(e.data.text, target.label) : e.data.text;
+                add('input', { ...target, value, masked: value !== e.data.text });
             }
         }
-    });
 
-    // Build final output
-    const durationSec = (events[events.length - 1].timestamp - startTime) / 1000;
-    const header = `SESSION TIMELINE - Duration: ${formatTime(durationSec)}`;
+        // Focus / Blur
+        else if (e.type === 3 && e.data.source === 2 && (e.data.type === 5 || e.data.type === 6)) {
+            add(e.data.type === 5 ? 'focus' : 'blur', element(e.data.id));
+        }
+
+        // Touch Start (taps also produce a click; swipes come as touch moves)
+        else if (e.type === 3 && e.data.source === 2 && e.data.type === 7) {
+            add('touch', element(e.data.id));
+        }
+
+        // Touch Move (Swipe)
+        else if (e.type === 3 && e.data.source === 6) {
+            const lastEntry = timeline[timeline.length - 1];
+            if (!lastEntry || lastEntry.kind !== 'swipe') {
+                add('swipe');
+            }
+        }
+
+        // Viewport Resize (rotation, window resize) - a burst keeps the final size
+        else if (e.type === 3 && e.data.source === 4) {
+            const value = `${e.data.width}x${e.data.height}`;
+            const lastEntry = timeline[timeline.length - 1];
+            if (lastEntry && lastEntry.kind === 'resize') {
+                lastEntry.value = value;
+            } else {
+                add('resize', { value });
+            }
+        }
+
+        // Media Play / Pause / Seek
+        else if (e.type === 3 && e.data.source === 7) {
+            if (MEDIA_ACTIONS[e.data.type]) {
+                add('media', { ...element(e.data.id), value: MEDIA_ACTIONS[e.data.type] });
+            }
+        }
+
+        // Canvas Drawing - one entry per burst on the same canvas
+        else if (e.type === 3 && e.data.source === 9) {
+            const lastEntry = timeline[timeline.length - 1];
+            if (!lastEntry || lastEntry.kind !== 'canvas' || lastEntry.nodeId !== e.data.id) {
+                add('canvas', element(e.data.id));
+            }
+        }
+
+        // Text Selection - a drag keeps the final selection; a collapsed range is just the caret
+        else if (e.type === 3 && e.data.source === 14) {
+            const range = e.data.ranges && e.data.ranges[0];
+            if (range && !(range.start === range.end && range.startOffset === range.endOffset)) {
+                let selected = null;
+                const startNode = dom.nodes[range.start];
+                if (range.start === range.end && startNode && startNode.text) {
+                    const from = Math.min(range.startOffset, range.endOffset);
+                    const to = Math.max(range.startOffset, range.endOffset);
+                    selected = startNode.text.substring(from, to);
+                }
+                const value = selected && maskSensitiveData ? maskPII(selected) : selected;
+                const fields = { ...element(range.start), value, masked: value !== selected };
+                const lastEntry = timeline[timeline.length - 1];
+                if (lastEntry && lastEntry.kind === 'selection') {
+                    Object.assign(lastEntry, fields);
+                } else {
+                    add('selection', fields);
+                }
+            }
+        }
+
+        // --- CONSOLE ERRORS (console plugin; source 11 is the pre-plugin format) ---
+        else if ((e.type === 6 && e.data.plugin === 'rrweb/console@1' && e.data.payload?.level === 'error') ||
+                 (e.type === 3 && e.data.source === 11 && e.data.level === 'error')) {
+            add('console_error', { value: consoleMessage(e.type === 6 ? e.data.payload : e.data) });
+        }
+
+        // --- TYPE 5: RECORDER ERRORS (public/recorder.js network / rejection capture) ---
+        else if (e.type === 5 && e.data.tag === 'network_error' && e.data.payload) {
+            const request = e.data.payload;
+            add('network_error', {
+                label: `${request.method || 'GET'} ${request.url || ''}`.trim(),
+                value: request.status > 0 ? String(request.status) : truncate(String(request.error || 'Network error'))
+            });
+        }
+        else if (e.type === 5 && e.data.tag === 'unhandled_rejection' && e.data.payload) {
+            add('console_error', { value: truncate(`Unhandled rejection: ${e.data.payload.message || 'Unknown rejection'}`) });
+        }
+
+        // --- TYPE 5: CUSTOM EVENTS (record.addCustomEvent) ---
+        else if (e.type === 5) {
+            const payload = e.data.payload === undefined ? null : JSON.stringify(e.data.payload);
+            add('custom', { label: e.data.tag || null, value: payload ? truncate(payload) : null });
+        }
+    }
+
+    return { add: addEvent, finish: () => timeline, dom };
+}
+
+/**
+ * One-line description of a timeline entry, as used in the text narrative.
+ *
+ * @param {object} entry - From buildTimeline
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    switch (entry.kind) {
+        case 'viewport': return `Viewport: ${entry.value}`;
+        case 'navigation': return `Navigated to: ${entry.url}`;
+        case 'page_load': return 'Page Loaded';
+        case 'click': return `Clicked: ${entry.label}`;
+        case 'scroll': return 'Scrolled';
+        case 'input': return `Typed "${entry.value}" in ${entry.label}`;
+        case 'resize': return `Resized viewport to ${entry.value}`;
+        case 'media': return `${MEDIA_VERBS[entry.value]} media: ${entry.label}`;
+        case 'focus': return `Focused: ${entry.label}`;
+        case 'blur': return `Left: ${entry.label}`;
+        case 'touch': return `Touched: ${entry.label}`;
+        case 'swipe': return 'Swiped';
+        case 'selection': return entry.value ? `Selected "${entry.value}" in ${entry.label}` : `Selected text in ${entry.label}`;
+        case 'canvas': return `Drew on canvas: ${entry.label}`;
+        case 'console_error': return `Console error: ${entry.value}`;
+        case 'network_error': return `Request failed: ${entry.label} (${entry.value})`;
+        case 'custom': return entry.value ? `Event: ${entry.label} ${entry.value}` : `Event: ${entry.label}`;
+        default: return entry.label || entry.kind;
+    }
+}
+
+/**
+ * Render a structured timeline as the text narrative.
+ *
+ * @param {Array} entries - From buildTimeline
+ * @param {object} session
+ * @param {number} session.durationMs - Session length
+ * @param {number} session.eventCount - rrweb events in the session
+ * @returns {string}
+ */
+function renderTimelineText(entries, { durationMs, eventCount }) {
+    const header = `SESSION TIMELINE - Duration: ${formatTime(durationMs / 1000)}`;
     const separator = '='.repeat(60);
-    const footer = `Total Events: ${events.length} | Actions Logged: ${timeline.length}`;
+    const footer = `Total Events: ${eventCount} | Actions Logged: ${entries.length}`;
 
     return [
         separator,
         header,
         separator,
-        ...timeline,
+        ...entries.map(entry => `[${formatTime(entry.t / 1000)}] ${describeEntry(entry)}`),
         separator,
         footer
     ].join('\n');
 }
 
+/**
+ * Generate a text timeline narrative from rrweb events.
+ *
+ * @param {Array} events - Array of rrweb events
+ * @param {boolean} maskSensitiveData - Whether to mask PII (default: true)
+ * @returns {string} - The timeline narrative as a string
+ */
+function generateTimeline(events, maskSensitiveData = true) {
+    if (!events || events.length === 0) {
+        return 'No events to process.';
+    }
+
+    return renderTimelineText(buildTimeline(events, maskSensitiveData), {
+        durationMs: events[events.length - 1].timestamp - events[0].timestamp,
+        eventCount: events.length
+    });
+}
+
 // Export for Worker usage
-module.exports = { generateTimeline };
+module.exports = { generateTimeline, buildTimeline, createTimelineBuilder, describeEntry, renderTimelineText, createVirtualDOM, consoleMessage };
 
-// CLI Support: node timeline-react-aware.js <input.json>
+// CLI Support: node timeline-react-aware.js <input.json> [--json]
 if (require.main === module) {
     const inputFile = process.argv[2] || 'recording.json';
+    const asJson = process.argv.includes('--json');
 
     if (!fs.existsSync(inputFile)) {
-        console.error(`Usage: node timeline-react-aware.js <events.json>`);
+        console.error(`Usage: node timeline-react-aware.js <events.json> [--json]`);
         console.error(`File not found: ${inputFile}`);
         process.exit(1);
     }
 
     try {
         const events = JSON.parse(fs.readFileSync(inputFile, 'utf-8'));
-        const result = generateTimeline(events);
+        const result = asJson ? JSON.stringify(buildTimeline(events), null, 2) : generateTimeline(events);
         console.log(result);
     } catch (err) {
         console.error('Error processing events:', err.message);